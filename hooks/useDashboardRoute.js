@@ -0,0 +1,76 @@
+// 🧬 ASTROFLORA 7.1 - USE DASHBOARD ROUTE
+// =======================================
+// Estado del dashboard direccionable por URL: /dashboard/jobs/{id}?tab=...&frame=...
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+
+/** Pestañas del detalle de un trabajo */
+export const DASHBOARD_TABS = ['overview', 'visualization', 'results'];
+
+const DEFAULT_TAB = 'overview';
+
+// Los cambios de frame (slider, reproducción) se escriben en la URL con retardo
+const FRAME_URL_DELAY_MS = 300;
+
+/**
+ * Construye la URL del dashboard; omite los valores por defecto.
+ * @param {{jobId?: string|null, tab?: string, frame?: number}} state
+ */
+export function buildDashboardHref({ jobId, tab = DEFAULT_TAB, frame = 0 }) {
+  if (!jobId) return '/dashboard';
+
+  const params = new URLSearchParams();
+  if (tab !== DEFAULT_TAB) params.set('tab', tab);
+  if (frame > 0) params.set('frame', String(frame));
+
+  const query = params.toString();
+  return `/dashboard/jobs/${encodeURIComponent(jobId)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Lee y escribe el estado del dashboard en la URL (ruta `pages/dashboard/[[...slug]].js`).
+ * Seleccionar trabajo o pestaña crea una entrada de historial; mover el frame la reemplaza.
+ *
+ * @returns {{ready: boolean, jobId: string|null, tab: string, frame: number, navigate: function}}
+ */
+export default function useDashboardRoute() {
+  const router = useRouter();
+  const { slug = [], tab: tabParam, frame: frameParam } = router.query;
+
+  const jobId = slug[0] === 'jobs' && slug[1] ? slug[1] : null;
+  const tab = jobId && DASHBOARD_TABS.includes(tabParam) ? tabParam : DEFAULT_TAB;
+  const urlFrame = jobId ? Math.max(0, parseInt(frameParam, 10) || 0) : 0;
+
+  // Frame local para que el visor responda sin esperar a la URL
+  const [frame, setFrame] = useState(urlFrame);
+  const frameTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    setFrame(urlFrame);
+  }, [urlFrame]);
+
+  useEffect(() => () => clearTimeout(frameTimeoutRef.current), []);
+
+  const navigate = useCallback((changes) => {
+    const next = { jobId, tab, frame, ...changes };
+    if (next.jobId !== jobId) {
+      // Otro trabajo: empezar desde el primer frame salvo que se indique
+      next.frame = changes.frame ?? 0;
+    }
+
+    clearTimeout(frameTimeoutRef.current);
+    setFrame(next.frame);
+
+    const href = buildDashboardHref(next);
+    if (next.jobId === jobId && next.tab === tab) {
+      frameTimeoutRef.current = setTimeout(() => {
+        router.replace(href, undefined, { shallow: true, scroll: false });
+      }, FRAME_URL_DELAY_MS);
+    } else {
+      router.push(href, undefined, { shallow: true });
+    }
+  }, [router, jobId, tab, frame]);
+
+  return { ready: router.isReady, jobId, tab, frame, navigate };
+}
@@ -0,0 +1,71 @@
+// 🧬 ASTROFLORA 7.1 - USE JOB UPDATES
+// ===================================
+// Actualizaciones en vivo de trabajos vía Socket.IO con polling de respaldo
+
+import { useState, useEffect, useRef } from 'react';
+import { acquireJobSocket, releaseJobSocket, watchJobs } from '../lib/jobSocket';
+
+/**
+ * Suscribe la vista a los eventos de estado, progreso y paso actual de
+ * `jobIds`. Mientras el socket no esté conectado se invoca `fallback`
+ * cada `fallbackInterval` ms, reproduciendo el polling anterior; con socket,
+ * una vez tras cada (re)suscripción para recoger lo ocurrido antes.
+ *
+ * @param {Object} options
+ * @param {string[]} options.jobIds - Trabajos a seguir
+ * @param {boolean} [options.enabled=true] - Activa/desactiva la suscripción
+ * @param {function} options.onUpdate - Recibe cada actualización normalizada
+ * @param {function} [options.fallback] - Consulta HTTP cuando no hay socket
+ * @param {number} [options.fallbackInterval=3000] - Intervalo del polling (ms)
+ * @returns {{isLive: boolean}} Si las actualizaciones llegan por socket
+ */
+export default function useJobUpdates({
+  jobIds = [],
+  enabled = true,
+  onUpdate,
+  fallback,
+  fallbackInterval = 3000
+}) {
+  const [isLive, setIsLive] = useState(false);
+
+  // Refs para no re-suscribir cuando cambian los callbacks
+  const onUpdateRef = useRef(onUpdate);
+  const fallbackRef = useRef(fallback);
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+    fallbackRef.current = fallback;
+  });
+
+  const idsKey = [...jobIds].sort().join(',');
+  const active = enabled && idsKey.length > 0;
+
+  // Suscripción por socket
+  useEffect(() => {
+    if (!active) return;
+
+    const ids = idsKey.split(',');
+    const socket = acquireJobSocket();
+    const unwatch = watchJobs(socket, ids, {
+      onUpdate: update => onUpdateRef.current?.(update),
+      onLiveChange: setIsLive,
+      // Estado actual tras cada suscripción: lo ocurrido antes no se emite
+      onSubscribed: () => fallbackRef.current?.()
+    });
+
+    return () => {
+      unwatch();
+      releaseJobSocket();
+      setIsLive(false);
+    };
+  }, [active, idsKey]);
+
+  // Polling de respaldo mientras el socket no esté disponible
+  useEffect(() => {
+    if (!active || isLive) return;
+
+    const interval = setInterval(() => fallbackRef.current?.(), fallbackInterval);
+    return () => clearInterval(interval);
+  }, [active, isLive, fallbackInterval]);
+
+  return { isLive };
+}
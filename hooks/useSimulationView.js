@@ -0,0 +1,158 @@
+// 🧬 ASTROFLORA 7.1 - USE SIMULATION VIEW
+// =======================================
+// Vista del visor por simulación: guardada en el navegador y en el backend, y compartible por URL
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getSimulationViewState,
+  saveSimulationViewState,
+  createSharedView,
+  getSharedView
+} from '../lib/api/client';
+import {
+  loadViewState,
+  saveViewState,
+  parseViewState,
+  encodeViewToken,
+  decodeViewToken,
+  isInlineViewToken
+} from '../src/lib/viewState';
+
+// Los guardados en el backend se agrupan: la cámara cambia sin parar mientras se mueve
+const REMOTE_SAVE_DELAY_MS = 2000;
+
+/**
+ * Ruta de la página de una simulación que abre la vista de `token`.
+ * @param {string} simId
+ * @param {string} token
+ */
+export function buildViewHref(simId, token) {
+  return `/simulations/${encodeURIComponent(simId)}?view=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Estado del visor de una simulación (`ViewState`). Al montar se resuelve la
+ * vista a restaurar: la del token compartido si hay uno y, si no, la más
+ * reciente entre la del navegador y la del backend. `save` guarda en ambos
+ * sitios; con un token solo en el navegador, para no pisar la vista del autor.
+ *
+ * @param {string|undefined} simId
+ * @param {Object} [options]
+ * @param {boolean} [options.remote=true] - Usar el backend (`/simulations/{id}/view-state`, `/views`)
+ * @param {string|null} [options.token] - Token de una vista compartida (`?view=`)
+ * @returns {{ready: boolean, viewState: Object|null, error: string|null, save: function, share: function}}
+ *   `viewState` es la vista a restaurar (no cambia con `save`); `share` devuelve la URL para compartir la actual
+ */
+export default function useSimulationView(simId, { remote = true, token = null } = {}) {
+  const [viewState, setViewState] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Última vista guardada y si el backend de vistas responde
+  const latestRef = useRef(null);
+  const remoteAvailableRef = useRef(false);
+  const remoteTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    setViewState(null);
+    setReady(false);
+    setError(null);
+    latestRef.current = null;
+    remoteAvailableRef.current = false;
+    if (!simId) return undefined;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const local = loadViewState(simId);
+    const restore = (state) => {
+      latestRef.current = state;
+      setViewState(state);
+    };
+
+    if (!token) {
+      restore(local);
+      setReady(true);
+    } else {
+      const shared = isInlineViewToken(token)
+        ? decodeViewToken(token)
+        : getSharedView(token, { signal }).then(view => parseViewState(view.state));
+
+      shared
+        .then(state => {
+          if (signal.aborted) return;
+          if (!state) setError('El enlace de la vista no es válido');
+          restore(state ?? local);
+        })
+        .catch(err => {
+          if (err.isCancelled) return;
+          console.error('❌ Error abriendo la vista compartida:', err);
+          setError(err.status === 404 ? 'La vista compartida no existe' : 'No se pudo abrir la vista compartida');
+          restore(local);
+        })
+        .finally(() => {
+          if (!signal.aborted) setReady(true);
+        });
+    }
+
+    // El backend puede no implementar las vistas: sin respuesta, todo queda en el navegador
+    if (remote) {
+      getSimulationViewState(simId, { signal })
+        .then(saved => {
+          remoteAvailableRef.current = true;
+          const state = parseViewState(saved.state);
+          // Guardada desde otro navegador después que la local (y sin cambios desde que se abrió)
+          if (!token && (state.savedAt ?? 0) > (latestRef.current?.savedAt ?? 0)) restore(state);
+        })
+        .catch(err => {
+          if (err.isCancelled) return;
+          if (err.status === 404) remoteAvailableRef.current = true;
+          else console.warn('⚠️ Vistas del backend no disponibles:', err.message);
+        });
+    }
+
+    return () => controller.abort();
+  }, [simId, remote, token]);
+
+  const saveRemote = useCallback(() => {
+    remoteTimeoutRef.current = null;
+    const state = latestRef.current;
+    if (!simId || !state) return;
+    saveSimulationViewState(simId, state).catch(err => {
+      console.warn('⚠️ No se pudo guardar la vista en el backend:', err.message);
+    });
+  }, [simId]);
+
+  // Al salir de la simulación se envía el guardado pendiente
+  useEffect(() => () => {
+    if (remoteTimeoutRef.current) {
+      clearTimeout(remoteTimeoutRef.current);
+      saveRemote();
+    }
+  }, [saveRemote]);
+
+  const save = useCallback((state) => {
+    if (!simId) return;
+    latestRef.current = saveViewState(simId, state);
+
+    if (!remote || token || !remoteAvailableRef.current) return;
+    clearTimeout(remoteTimeoutRef.current);
+    remoteTimeoutRef.current = setTimeout(saveRemote, REMOTE_SAVE_DELAY_MS);
+  }, [simId, remote, token, saveRemote]);
+
+  // Con backend, un token corto; sin él, la vista va dentro del token
+  const share = useCallback(async () => {
+    const state = latestRef.current ?? loadViewState(simId);
+    let shareToken = null;
+    if (remote && remoteAvailableRef.current) {
+      try {
+        shareToken = (await createSharedView(simId, state)).token;
+      } catch (err) {
+        console.warn('⚠️ No se pudo crear la vista compartida en el backend:', err.message);
+      }
+    }
+    shareToken ??= await encodeViewToken(state);
+    return `${window.location.origin}${buildViewHref(simId, shareToken)}`;
+  }, [simId, remote]);
+
+  return { ready, viewState, error, save, share };
+}
@@ -0,0 +1,301 @@
+// 🧬 ASTROFLORA 7.1 - API CLIENT
+// ==============================
+// Cliente único para todos los endpoints del backend de Astroflora
+
+import axios from 'axios';
+import { ApiError, toApiError } from './errors';
+import {
+  AnalyzeResponseSchema,
+  JobStatusSchema,
+  SimulationResultsSchema,
+  SimulationsListSchema,
+  ComparisonPcaSchema,
+  SimulationViewStateSchema,
+  SharedViewSchema,
+  JobsListSchema,
+  PipelineJobSchema,
+  PipelineResultsSchema,
+  StartPipelineRequestSchema,
+  CancelJobResponseSchema
+} from './schemas';
+
+/** URL base de la API (incluye el prefijo `/api`) */
+export const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080/api';
+
+/**
+ * Origen del backend, donde se sirven los archivos de simulación.
+ * Con la API simulada (`/api/mock`) queda vacío: mismo origen que el frontend.
+ */
+export const API_ORIGIN = API_BASE_URL.replace(/\/api(\/.*)?$/, '');
+
+const http = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 30000
+});
+
+// Política de reintentos para GET idempotentes
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+
+/**
+ * Espera `ms` milisegundos, abortando si se cancela la petición.
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ApiError('Petición cancelada', { code: 'cancelled' }));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError('Petición cancelada', { code: 'cancelled' }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Ejecuta una petición y valida la respuesta contra `schema`.
+ * Los GET se reintentan con backoff exponencial ante fallos transitorios.
+ */
+async function request({ method = 'get', url, params, data, schema, signal }) {
+  const endpoint = `${method.toUpperCase()} ${url}`;
+  const retries = method === 'get' ? MAX_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await http.request({ method, url, params, data, signal });
+
+      const parsed = schema.safeParse(response.data);
+      if (!parsed.success) {
+        throw new ApiError(`Respuesta inválida de ${endpoint}`, {
+          code: 'invalid_response',
+          status: response.status,
+          endpoint,
+          detail: parsed.error.issues
+        });
+      }
+      return parsed.data;
+
+    } catch (err) {
+      const apiError = toApiError(err, endpoint);
+      if (attempt >= retries || !apiError.isRetryable) {
+        throw apiError;
+      }
+      // 500ms, 1s, 2s... con jitter para no sincronizar clientes
+      await wait(BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5), signal);
+    }
+  }
+}
+
+/**
+ * Resuelve la ruta de un archivo servido por el backend a una URL absoluta.
+ * @param {string} [path] - Ruta devuelta por la API (p. ej. `/files/sim/top.pdb`)
+ * @returns {string|null}
+ */
+export function resolveFileUrl(path) {
+  if (!path) return null;
+  // URLs ya absolutas (http:, https:, blob:) se usan tal cual
+  return /^[a-z][a-z0-9+.-]*:/i.test(path) ? path : `${API_ORIGIN}${path}`;
+}
+
+// ---------------------------------------------------------------------------
+// Simulaciones y análisis
+// ---------------------------------------------------------------------------
+
+/**
+ * Catálogo de simulaciones con su estado y un resumen del análisis.
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function listSimulations({ signal } = {}) {
+  return request({ url: '/simulations', schema: SimulationsListSchema, signal });
+}
+
+/**
+ * Encola el análisis de una simulación.
+ * @param {string} simId
+ * @param {'full'|'pca'} [analysisType='full']
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function analyzeSimulation(simId, analysisType = 'full', { signal } = {}) {
+  return request({
+    method: 'post',
+    url: `/simulations/${encodeURIComponent(simId)}/analyze`,
+    params: { analysis_type: analysisType },
+    schema: AnalyzeResponseSchema,
+    signal
+  });
+}
+
+/**
+ * Resultados (archivos y análisis) de una simulación.
+ * @param {string} simId
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function getSimulationResults(simId, { signal } = {}) {
+  return request({
+    url: `/simulations/${encodeURIComponent(simId)}/results`,
+    schema: SimulationResultsSchema,
+    signal
+  });
+}
+
+/**
+ * Estado de un trabajo de análisis.
+ * @param {string} jobId
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function getJobStatus(jobId, { signal } = {}) {
+  return request({
+    url: `/jobs/${encodeURIComponent(jobId)}/status`,
+    schema: JobStatusSchema,
+    signal
+  });
+}
+
+/**
+ * PCA conjunta de varias simulaciones: sus trayectorias proyectadas sobre los
+ * mismos componentes, para compararlas en un único espacio.
+ * @param {string[]} simIds
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{sims: {sim_id: string, projections: Object[]}[], stats?: Object}>}
+ */
+export function getComparisonPca(simIds, { signal } = {}) {
+  return request({
+    url: '/compare/pca',
+    params: { sims: simIds.join(',') },
+    schema: ComparisonPcaSchema,
+    signal
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Vistas del visor
+// ---------------------------------------------------------------------------
+
+/**
+ * Vista guardada de una simulación. El backend responde 404 si no hay ninguna.
+ * @param {string} simId
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{sim_id: string, state: Object, updated_at?: string}>}
+ */
+export function getSimulationViewState(simId, { signal } = {}) {
+  return request({
+    url: `/simulations/${encodeURIComponent(simId)}/view-state`,
+    schema: SimulationViewStateSchema,
+    signal
+  });
+}
+
+/**
+ * Guarda (sustituye) la vista de una simulación.
+ * @param {string} simId
+ * @param {Object} state - Ver `ViewState` en `src/lib/viewState`
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function saveSimulationViewState(simId, state, { signal } = {}) {
+  return request({
+    method: 'put',
+    url: `/simulations/${encodeURIComponent(simId)}/view-state`,
+    data: { state },
+    schema: SimulationViewStateSchema,
+    signal
+  });
+}
+
+/**
+ * Congela una vista para compartirla; devuelve su token corto.
+ * @param {string} simId
+ * @param {Object} state
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{token: string, sim_id: string, state: Object}>}
+ */
+export function createSharedView(simId, state, { signal } = {}) {
+  return request({
+    method: 'post',
+    url: '/views',
+    data: { sim_id: simId, state },
+    schema: SharedViewSchema,
+    signal
+  });
+}
+
+/**
+ * Vista compartida a partir de su token.
+ * @param {string} token
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function getSharedView(token, { signal } = {}) {
+  return request({
+    url: `/views/${encodeURIComponent(token)}`,
+    schema: SharedViewSchema,
+    signal
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Pipelines de diseño
+// ---------------------------------------------------------------------------
+
+/**
+ * Lista de trabajos de pipeline.
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function listJobs({ signal } = {}) {
+  return request({ url: '/v1/jobs', schema: JobsListSchema, signal });
+}
+
+/**
+ * Resultados de un trabajo de pipeline.
+ * @param {string} jobId
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function getJobResults(jobId, { signal } = {}) {
+  return request({
+    url: `/v1/jobs/${encodeURIComponent(jobId)}/results`,
+    schema: PipelineResultsSchema,
+    signal
+  });
+}
+
+/**
+ * Inicia un pipeline de diseño; valida la configuración antes de enviarla.
+ * @param {Object} config - Ver `StartPipelineRequestSchema`
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function startPipeline(config, { signal } = {}) {
+  const parsed = StartPipelineRequestSchema.safeParse(config);
+  if (!parsed.success) {
+    return Promise.reject(new ApiError('Configuración de pipeline inválida', {
+      code: 'invalid_request',
+      endpoint: 'POST /v1/design/start-pipeline',
+      detail: parsed.error.issues
+    }));
+  }
+
+  return request({
+    method: 'post',
+    url: '/v1/design/start-pipeline',
+    data: parsed.data,
+    schema: PipelineJobSchema,
+    signal
+  });
+}
+
+/**
+ * Cancela un trabajo de pipeline.
+ * @param {string} jobId
+ * @param {{signal?: AbortSignal}} [options]
+ */
+export function cancelJob(jobId, { signal } = {}) {
+  return request({
+    method: 'post',
+    url: `/v1/jobs/${encodeURIComponent(jobId)}/cancel`,
+    schema: CancelJobResponseSchema,
+    signal
+  });
+}
@@ -0,0 +1,145 @@
+import axios, { AxiosError } from 'axios';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ApiError } from './errors';
+
+// Adaptador de axios sustituido: cada petición pasa por `adapter`, sin red
+const adapter = vi.fn();
+const originalAdapter = axios.defaults.adapter;
+let client;
+
+beforeAll(async () => {
+  // El cliente crea su instancia al importarse: el adaptador tiene que estar antes
+  axios.defaults.adapter = config => adapter(config);
+  client = await import('./client');
+});
+
+afterAll(() => {
+  axios.defaults.adapter = originalAdapter;
+});
+
+const ok = data => config => Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+
+const httpError = (status, data = {}) => config => Promise.reject(new AxiosError(
+  `Request failed with status code ${status}`,
+  status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+  config,
+  null,
+  { data, status, statusText: '', headers: {}, config }
+));
+
+const networkError = () => config => Promise.reject(new AxiosError('Network Error', AxiosError.ERR_NETWORK, config));
+
+/** Respuestas de las peticiones sucesivas */
+const respondWith = (...responses) => {
+  responses.forEach(response => adapter.mockImplementationOnce(response));
+};
+
+const rejection = promise => promise.then(
+  () => { throw new Error('La petición debía fallar'); },
+  err => err
+);
+
+beforeEach(() => {
+  adapter.mockReset();
+  // Sin jitter: esperas de 500ms, 1s y 2s
+  vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('reintentos', () => {
+  it('un GET se reintenta con backoff exponencial ante fallos transitorios', async () => {
+    respondWith(httpError(503), networkError(), httpError(429), ok({ status: 'completed' }));
+    const result = client.getJobStatus('job-1');
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(adapter).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(499);
+    expect(adapter).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(adapter).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(adapter).toHaveBeenCalledTimes(3);
+    await vi.advanceTimersByTimeAsync(2000);
+
+    await expect(result).resolves.toEqual({ status: 'completed' });
+    expect(adapter).toHaveBeenCalledTimes(4);
+    expect(adapter.mock.calls[0][0]).toMatchObject({ method: 'get', url: '/jobs/job-1/status' });
+  });
+
+  it('tras tres reintentos devuelve el último error', async () => {
+    respondWith(httpError(500), httpError(500), httpError(500), httpError(502, { detail: 'Bad gateway' }));
+    const error = rejection(client.getJobStatus('job-1'));
+    await vi.runAllTimersAsync();
+
+    expect(await error).toMatchObject({ code: 'http', status: 502, message: 'Bad gateway', endpoint: 'GET /jobs/job-1/status' });
+    expect(adapter).toHaveBeenCalledTimes(4);
+  });
+
+  it('un error 4xx no se reintenta', async () => {
+    respondWith(httpError(404, { detail: 'Trabajo no encontrado' }));
+    const error = await rejection(client.getJobStatus('job-x'));
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ code: 'http', status: 404, message: 'Trabajo no encontrado' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('las peticiones que no son GET no se reintentan', async () => {
+    respondWith(httpError(503), ok({ jobs: [] }));
+    const error = await rejection(client.analyzeSimulation('sim-1'));
+
+    expect(error).toMatchObject({ code: 'http', status: 503, endpoint: 'POST /simulations/sim-1/analyze' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(adapter.mock.calls[0][0]).toMatchObject({ method: 'post', params: { analysis_type: 'full' } });
+  });
+});
+
+describe('errores', () => {
+  it('network: sin respuesta del backend', async () => {
+    respondWith(networkError());
+    const error = await rejection(client.cancelJob('job-1'));
+    expect(error).toMatchObject({ code: 'network', status: null, message: 'Network Error', isRetryable: true });
+  });
+
+  it('invalid_response: la respuesta no cumple el esquema y no se reintenta', async () => {
+    respondWith(ok({ progress: 50 }));
+    const error = await rejection(client.getJobStatus('job-1'));
+
+    expect(error).toMatchObject({ code: 'invalid_response', status: 200, endpoint: 'GET /jobs/job-1/status' });
+    expect(error.detail).toEqual(expect.arrayContaining([expect.objectContaining({ path: ['status'] })]));
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancelled: la señal ya abortada no llega a enviar la petición', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const error = await rejection(client.getJobStatus('job-1', { signal: controller.signal }));
+
+    expect(error).toMatchObject({ code: 'cancelled', isCancelled: true });
+    expect(adapter).not.toHaveBeenCalled();
+  });
+
+  it('cancelled: abortar durante la espera de un reintento lo detiene', async () => {
+    respondWith(httpError(503), ok({ status: 'completed' }));
+    const controller = new AbortController();
+    const error = rejection(client.getJobStatus('job-1', { signal: controller.signal }));
+
+    await vi.advanceTimersByTimeAsync(100);
+    controller.abort();
+    await vi.runAllTimersAsync();
+
+    expect(await error).toMatchObject({ code: 'cancelled' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('invalid_request: una configuración de pipeline inválida no se envía', async () => {
+    const error = await rejection(client.startPipeline({}));
+    expect(error).toMatchObject({ code: 'invalid_request', endpoint: 'POST /v1/design/start-pipeline' });
+    expect(adapter).not.toHaveBeenCalled();
+  });
+});
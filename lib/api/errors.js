@@ -0,0 +1,55 @@
+// 🧬 ASTROFLORA 7.1 - API ERRORS
+// ==============================
+// Errores normalizados del cliente API
+
+/**
+ * Error único que devuelven todas las llamadas del cliente API.
+ *
+ * `code` distingue el origen del fallo:
+ * - `http`: el backend respondió con un estado de error
+ * - `network`: no hubo respuesta (caída, CORS, timeout)
+ * - `cancelled`: la petición se abortó con su `AbortSignal`
+ * - `invalid_request`: los datos enviados no cumplen el esquema
+ * - `invalid_response`: la respuesta no cumple el esquema esperado
+ */
+export class ApiError extends Error {
+  constructor(message, { code, status = null, endpoint = null, detail = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.detail = detail;
+    if (cause) this.cause = cause;
+  }
+
+  get isCancelled() {
+    return this.code === 'cancelled';
+  }
+
+  /** Fallos transitorios que merece la pena reintentar */
+  get isRetryable() {
+    return this.code === 'network' || this.status === 429 || (this.status !== null && this.status >= 500);
+  }
+}
+
+/**
+ * Convierte un error de axios en `ApiError`.
+ * El backend (FastAPI) devuelve el motivo en `detail`.
+ */
+export function toApiError(err, endpoint) {
+  if (err instanceof ApiError) return err;
+
+  if (err?.code === 'ERR_CANCELED' || err?.name === 'CanceledError' || err?.name === 'AbortError') {
+    return new ApiError('Petición cancelada', { code: 'cancelled', endpoint, cause: err });
+  }
+
+  if (err?.response) {
+    const { status, data } = err.response;
+    const detail = data?.detail ?? data?.message ?? null;
+    const message = typeof detail === 'string' ? detail : `Error ${status} en ${endpoint}`;
+    return new ApiError(message, { code: 'http', status, endpoint, detail, cause: err });
+  }
+
+  return new ApiError(err?.message || 'Error de red', { code: 'network', endpoint, cause: err });
+}
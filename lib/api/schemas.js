@@ -0,0 +1,145 @@
+// 🧬 ASTROFLORA 7.1 - API SCHEMAS
+// ===============================
+// Esquemas zod de peticiones y respuestas del backend
+
+import { z } from 'zod';
+
+// Los IDs llegan como string o número según el servicio
+const Id = z.union([z.string(), z.number()]).transform(String);
+
+// ---------------------------------------------------------------------------
+// Simulaciones y análisis
+// ---------------------------------------------------------------------------
+
+export const AnalyzeResponseSchema = z.object({
+  jobs: z.array(z.object({
+    job_id: Id,
+    task: z.string()
+  }).passthrough())
+}).passthrough();
+
+export const JobStatusSchema = z.object({
+  status: z.string(),
+  result: z.any().optional(),
+  error: z.string().nullish(),
+  progress: z.number().optional(),
+  current_step: z.union([z.string(), z.number()]).optional()
+}).passthrough();
+
+export const PCAProjectionSchema = z.object({
+  frame: z.number().int(),
+  pc1: z.number(),
+  pc2: z.number(),
+  pc3: z.number().optional(),
+  time_ns: z.number().optional(),
+  cluster: z.number().int().optional()
+}).passthrough();
+
+export const SimulationResultsSchema = z.object({
+  files: z.object({
+    topology: z.string().optional(),
+    trajectory: z.string().optional()
+  }).passthrough().optional(),
+  analysis_results: z.object({
+    pca: z.object({
+      projections: z.array(PCAProjectionSchema).default([]),
+      stats: z.object({
+        total_frames: z.number().optional(),
+        pca_dimensions: z.number().optional(),
+        explained_variance: z.array(z.number()).optional(),
+        total_variance_explained: z.number().optional()
+      }).passthrough().optional(),
+      clustering: z.object({
+        n_clusters: z.number().optional(),
+        representative_frames: z.array(z.object({
+          cluster: z.number(),
+          frame: z.number().optional(),
+          population: z.number().optional(),
+          percentage: z.number()
+        }).passthrough()).optional()
+      }).passthrough().optional()
+    }).passthrough().optional()
+  }).passthrough().optional()
+}).passthrough();
+
+// Resumen de una simulación en el catálogo (`GET /simulations`)
+export const SimulationSummarySchema = z.object({
+  sim_id: Id,
+  name: z.string().nullish(),
+  status: z.string(),
+  target_protein: z.string().nullish(),
+  created_at: z.string().nullish(),
+  frame_count: z.number().int().nullish(),
+  thumbnail: z.string().nullish(),
+  analysis: z.object({
+    status: z.string(),
+    pca: z.object({
+      total_frames: z.number().nullish(),
+      n_clusters: z.number().nullish(),
+      total_variance_explained: z.number().nullish()
+    }).passthrough().nullish()
+  }).passthrough().optional()
+}).passthrough();
+
+export const SimulationsListSchema = z.array(SimulationSummarySchema);
+
+// PCA conjunta: todas las simulaciones sobre los mismos componentes
+export const ComparisonPcaSchema = z.object({
+  sims: z.array(z.object({
+    sim_id: Id,
+    projections: z.array(PCAProjectionSchema).default([])
+  }).passthrough()),
+  stats: z.object({
+    explained_variance: z.array(z.number()).optional(),
+    total_variance_explained: z.number().optional()
+  }).passthrough().optional()
+}).passthrough();
+
+// Estado del visor: el cliente lo valida campo a campo (`parseViewState`)
+export const ViewStateSchema = z.record(z.any());
+
+export const SimulationViewStateSchema = z.object({
+  sim_id: Id,
+  state: ViewStateSchema,
+  updated_at: z.string().optional()
+}).passthrough();
+
+export const SharedViewSchema = z.object({
+  token: z.string().min(1),
+  sim_id: Id,
+  state: ViewStateSchema
+}).passthrough();
+
+// ---------------------------------------------------------------------------
+// Pipelines de diseño
+// ---------------------------------------------------------------------------
+
+export const PipelineJobSchema = z.object({
+  id: Id,
+  name: z.string(),
+  type: z.string(),
+  status: z.string(),
+  progress: z.number().optional(),
+  currentStep: z.number().optional(),
+  startTime: z.string(),
+  results: z.any().optional()
+}).passthrough();
+
+export const JobsListSchema = z.array(PipelineJobSchema);
+
+export const PipelineResultsSchema = z.object({
+  molecules: z.array(z.any()).optional(),
+  pcaData: z.array(PCAProjectionSchema).optional(),
+  trajectoryPath: z.string().optional(),
+  metrics: z.record(z.any()).optional()
+}).passthrough();
+
+export const StartPipelineRequestSchema = z.object({
+  type: z.enum(['full_pipeline', 'scaffold_hopping', 'molecular_scoring', 'docking', 'md_simulation']),
+  name: z.string().min(1),
+  target_molecule: z.string().min(1),
+  target_protein: z.string().optional(),
+  parameters: z.record(z.any()).default({})
+});
+
+export const CancelJobResponseSchema = z.object({}).passthrough();
@@ -0,0 +1,34 @@
+// 🧬 ASTROFLORA 7.1 - SIMULATION COMPARISON
+// =========================================
+// Simulaciones de la vista `/compare?sims=a,b,c` y cómo se distinguen en visores y gráficos
+
+/** Visores Mol* a la vez: cada uno ocupa un contexto WebGL y el navegador limita su número */
+export const MAX_COMPARED_SIMULATIONS = 4;
+
+/** Color de cada simulación (orden de `sims`) en la superposición 3D y el gráfico PCA */
+export const COMPARE_COLORS = ['#3B82F6', '#F97316', '#10B981', '#E11D48'];
+
+/** Símbolo de marcador de cada simulación en el gráfico PCA (nombres de Plotly) */
+export const COMPARE_SYMBOLS = ['circle', 'diamond', 'square', 'triangle-up'];
+
+/**
+ * IDs de simulación de `?sims=` (cadena separada por comas o parámetro
+ * repetido), sin vacíos ni repetidos y en el orden dado.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function parseCompareSims(value) {
+  const parts = (Array.isArray(value) ? value : [value ?? ''])
+    .flatMap(part => String(part).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+  return [...new Set(parts)];
+}
+
+/**
+ * Ruta de la vista de comparación.
+ * @param {string[]} simIds
+ */
+export function buildCompareHref(simIds) {
+  return `/compare?sims=${simIds.map(encodeURIComponent).join(',')}`;
+}
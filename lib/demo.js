@@ -0,0 +1,39 @@
+// 🧬 ASTROFLORA 7.1 - DEMO SIMULATION
+// ===================================
+// Simulación de demostración empaquetada en el frontend (sin backend)
+
+import demoPca from '../public/demo/1nmr-pca.json';
+
+/** ID reservado para la simulación de demostración */
+export const DEMO_SIMULATION_ID = 'demo';
+
+/**
+ * Archivos estáticos de la demo (public/demo, generados con `npm run demo:assets`):
+ * el dominio C-terminal de la PABP de T. cruzi (PDB 1NMR) y sus 20 modelos RMN
+ * como frames de la trayectoria
+ */
+export const DEMO_FILES = {
+  topology: '/demo/1nmr.pdb',
+  trajectory: '/demo/1nmr.dcd'
+};
+
+/** PCA y clustering de los Cα de los 20 modelos */
+export const DEMO_PCA = demoPca;
+
+export function isDemoSimulation(simId) {
+  return simId === DEMO_SIMULATION_ID;
+}
+
+/**
+ * Resultados de la simulación demo con la misma forma que
+ * `GET /simulations/{id}/results`. Los archivos se sirven desde /public, así
+ * que Mol* los descarga (también por rangos) igual que los del backend.
+ */
+export function loadDemoResults() {
+  return {
+    sim_id: DEMO_SIMULATION_ID,
+    demo: true,
+    files: { ...DEMO_FILES },
+    analysis_results: { pca: DEMO_PCA }
+  };
+}
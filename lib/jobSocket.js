@@ -0,0 +1,120 @@
+// 🧬 ASTROFLORA 7.1 - JOB SOCKET
+// ==============================
+// Conexión Socket.IO compartida para actualizaciones de trabajos en tiempo real
+
+import { io } from 'socket.io-client';
+import { API_ORIGIN } from './api/client';
+
+// El servidor Socket.IO vive en el mismo origen que la API, salvo que se indique otro
+const SOCKET_URL = process.env.NEXT_PUBLIC_WS_URL || API_ORIGIN;
+
+/** Eventos emitidos por el backend para cada trabajo */
+export const JOB_EVENTS = {
+  status: 'job:status',
+  progress: 'job:progress',
+  step: 'job:step',
+};
+
+/** Eventos emitidos por el cliente para gestionar suscripciones */
+export const SUBSCRIPTION_EVENTS = {
+  subscribe: 'jobs:subscribe',
+  unsubscribe: 'jobs:unsubscribe',
+};
+
+let socket = null;
+let consumers = 0;
+
+/**
+ * Obtiene la conexión compartida, creándola con el primer consumidor.
+ * Cada llamada debe emparejarse con `releaseJobSocket`.
+ */
+export function acquireJobSocket() {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      transports: ['websocket'],
+      reconnectionDelay: 2000,
+      reconnectionDelayMax: 10000,
+    });
+  }
+  consumers += 1;
+  return socket;
+}
+
+/**
+ * Libera la conexión; se cierra cuando no quedan consumidores.
+ */
+export function releaseJobSocket() {
+  consumers = Math.max(0, consumers - 1);
+  if (consumers === 0 && socket) {
+    socket.disconnect();
+    socket = null;
+  }
+}
+
+/**
+ * Normaliza un evento del backend a la forma usada por las vistas.
+ * Acepta tanto snake_case (API) como camelCase (pipelines de diseño).
+ * @returns {{jobId: string, status?: string, progress?: number, currentStep?: number, result?: Object, error?: string}|null}
+ */
+export function normalizeJobUpdate(payload) {
+  const jobId = payload?.job_id ?? payload?.jobId ?? payload?.id;
+  if (jobId === undefined || jobId === null) return null;
+
+  const update = { jobId: String(jobId) };
+  if (payload.status !== undefined) update.status = payload.status;
+  if (payload.progress !== undefined) update.progress = payload.progress;
+
+  const currentStep = payload.current_step ?? payload.currentStep;
+  if (currentStep !== undefined) update.currentStep = currentStep;
+
+  if (payload.result !== undefined) update.result = payload.result;
+  if (payload.error !== undefined) update.error = payload.error;
+
+  return update;
+}
+
+/**
+ * Sigue `jobIds` en `socket`: se suscribe en cada (re)conexión y entrega las
+ * actualizaciones normalizadas de esos trabajos. Tras cada suscripción se
+ * invoca `onSubscribed` para consultar el estado actual: un trabajo que
+ * terminó antes de suscribirse, o durante una reconexión, no emite más eventos.
+ *
+ * @param {import('socket.io-client').Socket} socket
+ * @param {string[]} jobIds
+ * @param {Object} handlers
+ * @param {function} handlers.onUpdate - Recibe cada actualización normalizada
+ * @param {function} [handlers.onLiveChange] - `true` al suscribirse, `false` al perder la conexión
+ * @param {function} [handlers.onSubscribed] - Tras cada suscripción (p. ej. una consulta HTTP)
+ * @returns {function} Deja de seguir los trabajos
+ */
+export function watchJobs(socket, jobIds, { onUpdate, onLiveChange, onSubscribed }) {
+  const handleUpdate = (payload) => {
+    const update = normalizeJobUpdate(payload);
+    if (update && jobIds.includes(update.jobId)) onUpdate(update);
+  };
+  const handleConnect = () => {
+    // Re-suscribir en cada (re)conexión: el servidor no recuerda suscripciones
+    socket.emit(SUBSCRIPTION_EVENTS.subscribe, { job_ids: jobIds });
+    onLiveChange?.(true);
+    onSubscribed?.();
+  };
+  const handleDisconnect = () => onLiveChange?.(false);
+
+  Object.values(JOB_EVENTS).forEach(event => socket.on(event, handleUpdate));
+  socket.on('connect', handleConnect);
+  socket.on('disconnect', handleDisconnect);
+  socket.on('connect_error', handleDisconnect);
+
+  if (socket.connected) handleConnect();
+
+  return () => {
+    Object.values(JOB_EVENTS).forEach(event => socket.off(event, handleUpdate));
+    socket.off('connect', handleConnect);
+    socket.off('disconnect', handleDisconnect);
+    socket.off('connect_error', handleDisconnect);
+
+    if (socket.connected) {
+      socket.emit(SUBSCRIPTION_EVENTS.unsubscribe, { job_ids: jobIds });
+    }
+  };
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from 'vitest';
+import { JOB_EVENTS, SUBSCRIPTION_EVENTS, normalizeJobUpdate, watchJobs } from './jobSocket';
+
+// Socket mínimo: registra lo emitido y permite disparar eventos del servidor
+function fakeSocket({ connected = false } = {}) {
+  const handlers = new Map();
+  return {
+    connected,
+    emitted: [],
+    on(event, handler) {
+      handlers.set(event, [...(handlers.get(event) ?? []), handler]);
+    },
+    off(event, handler) {
+      handlers.set(event, (handlers.get(event) ?? []).filter(h => h !== handler));
+    },
+    emit(event, payload) {
+      this.emitted.push([event, payload]);
+    },
+    receive(event, payload) {
+      if (event === 'connect') this.connected = true;
+      if (event === 'disconnect') this.connected = false;
+      (handlers.get(event) ?? []).forEach(handler => handler(payload));
+    },
+    listenerCount: () => [...handlers.values()].reduce((sum, list) => sum + list.length, 0)
+  };
+}
+
+describe('normalizeJobUpdate', () => {
+  it('acepta eventos en snake_case y camelCase', () => {
+    expect(normalizeJobUpdate({ job_id: 7, status: 'running', current_step: 2 }))
+      .toEqual({ jobId: '7', status: 'running', currentStep: 2 });
+    expect(normalizeJobUpdate({ jobId: 'a', progress: 50, currentStep: 1 }))
+      .toEqual({ jobId: 'a', progress: 50, currentStep: 1 });
+  });
+
+  it('ignora los eventos sin identificador de trabajo', () => {
+    expect(normalizeJobUpdate({ status: 'running' })).toBeNull();
+    expect(normalizeJobUpdate(undefined)).toBeNull();
+  });
+});
+
+describe('watchJobs', () => {
+  it('se suscribe al conectar y después consulta el estado actual', () => {
+    const socket = fakeSocket();
+    const order = [];
+    const onSubscribed = vi.fn(() => order.push(socket.emitted.length));
+    const onLiveChange = vi.fn();
+    watchJobs(socket, ['a', 'b'], { onUpdate: vi.fn(), onLiveChange, onSubscribed });
+
+    expect(socket.emitted).toEqual([]);
+    expect(onSubscribed).not.toHaveBeenCalled();
+
+    socket.receive('connect');
+    expect(socket.emitted).toEqual([[SUBSCRIPTION_EVENTS.subscribe, { job_ids: ['a', 'b'] }]]);
+    expect(onLiveChange).toHaveBeenLastCalledWith(true);
+    // La consulta va después de la suscripción: no queda hueco sin cubrir
+    expect(order).toEqual([1]);
+  });
+
+  it('entrega un trabajo que terminó antes de la suscripción', () => {
+    const socket = fakeSocket({ connected: true });
+    const onUpdate = vi.fn();
+    // El trabajo terminó antes de conectar: el servidor ya no emitirá `job:status`
+    const fetchStatus = () => onUpdate({ jobId: 'a', status: 'completed', progress: 100 });
+    watchJobs(socket, ['a'], { onUpdate, onSubscribed: fetchStatus });
+
+    expect(socket.emitted).toEqual([[SUBSCRIPTION_EVENTS.subscribe, { job_ids: ['a'] }]]);
+    expect(onUpdate).toHaveBeenCalledWith({ jobId: 'a', status: 'completed', progress: 100 });
+  });
+
+  it('tras una reconexión se vuelve a suscribir y a consultar el estado', () => {
+    const socket = fakeSocket({ connected: true });
+    const onSubscribed = vi.fn();
+    const onLiveChange = vi.fn();
+    watchJobs(socket, ['a'], { onUpdate: vi.fn(), onLiveChange, onSubscribed });
+
+    socket.receive('disconnect');
+    expect(onLiveChange).toHaveBeenLastCalledWith(false);
+    socket.receive('connect');
+
+    expect(onSubscribed).toHaveBeenCalledTimes(2);
+    expect(socket.emitted.filter(([event]) => event === SUBSCRIPTION_EVENTS.subscribe)).toHaveLength(2);
+    expect(onLiveChange).toHaveBeenLastCalledWith(true);
+  });
+
+  it('entrega normalizadas solo las actualizaciones de los trabajos seguidos', () => {
+    const socket = fakeSocket({ connected: true });
+    const onUpdate = vi.fn();
+    watchJobs(socket, ['a'], { onUpdate });
+
+    socket.receive(JOB_EVENTS.progress, { job_id: 'a', progress: 40 });
+    socket.receive(JOB_EVENTS.status, { job_id: 'other', status: 'completed' });
+    socket.receive(JOB_EVENTS.step, { jobId: 'a', currentStep: 3 });
+
+    expect(onUpdate.mock.calls).toEqual([
+      [{ jobId: 'a', progress: 40 }],
+      [{ jobId: 'a', currentStep: 3 }]
+    ]);
+  });
+
+  it('al parar cancela la suscripción y quita sus listeners', () => {
+    const socket = fakeSocket({ connected: true });
+    const onUpdate = vi.fn();
+    const onSubscribed = vi.fn();
+    const stop = watchJobs(socket, ['a'], { onUpdate, onSubscribed });
+    stop();
+
+    expect(socket.emitted.at(-1)).toEqual([SUBSCRIPTION_EVENTS.unsubscribe, { job_ids: ['a'] }]);
+    expect(socket.listenerCount()).toBe(0);
+    socket.receive(JOB_EVENTS.status, { job_id: 'a', status: 'completed' });
+    socket.receive('connect');
+    expect(onUpdate).not.toHaveBeenCalled();
+    expect(onSubscribed).toHaveBeenCalledTimes(1);
+  });
+});
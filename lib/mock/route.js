@@ -0,0 +1,33 @@
+// 🧬 ASTROFLORA 7.1 - MOCK ROUTE
+// ==============================
+// Envoltorio común para las rutas API del backend simulado
+
+/**
+ * La API simulada está activa en desarrollo; en producción solo con
+ * `ENABLE_MOCK_API=true` (p. ej. entornos de CI con `next start`).
+ */
+export function isMockEnabled() {
+  return process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_API === 'true';
+}
+
+/**
+ * Crea un handler de Next.js que despacha por método HTTP.
+ * Los errores siguen el formato del backend real: `{ detail }`.
+ *
+ * @param {Object<string, function>} handlers - p. ej. `{ GET: (req, res) => ... }`
+ */
+export function mockRoute(handlers) {
+  return async (req, res) => {
+    if (!isMockEnabled()) {
+      return res.status(404).json({ detail: 'API simulada deshabilitada' });
+    }
+
+    const handler = handlers[req.method];
+    if (!handler) {
+      res.setHeader('Allow', Object.keys(handlers).join(', '));
+      return res.status(405).json({ detail: `Método ${req.method} no permitido` });
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,80 @@
+// 🧬 ASTROFLORA 7.1 - MOCK SAMPLE SYSTEM
+// ======================================
+// Sistema de muestra del backend simulado: los archivos de la demo (PDB 1NMR) leídos de /public
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { DEMO_FILES, DEMO_PCA } from '../demo';
+
+export const SAMPLE_FRAME_COUNT = DEMO_PCA.stats.total_frames;
+
+/**
+ * Lee un archivo estático por su URL pública (`/demo/...`). El backend simulado
+ * corre con el directorio del proyecto como directorio de trabajo.
+ */
+function readPublicFile(url) {
+  return readFileSync(join(process.cwd(), 'public', ...url.split('/').filter(Boolean)));
+}
+
+/**
+ * Coordenadas de los Cα de un PDB (registros ATOM, columnas fijas).
+ * @returns {number[][]}
+ */
+function caTrace(pdb) {
+  return pdb.split('\n')
+    .filter(line => line.startsWith('ATOM') && line.slice(12, 16).trim() === 'CA')
+    .map(line => [Number(line.slice(30, 38)), Number(line.slice(38, 46)), Number(line.slice(46, 54))]);
+}
+
+/**
+ * Miniatura SVG de la estructura: traza de Cα proyectada en el plano XY y
+ * coloreada de N (azul) a C (rojo), como el esquema "rainbow" del visor.
+ */
+export function toThumbnailSvg(trace, size = 160) {
+  const xs = trace.map(p => p[0]);
+  const ys = trace.map(p => p[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const scaleFactor = (0.8 * size) / (Math.max(width, height) || 1);
+
+  // Centrada en el lienzo; Y crece hacia arriba como en el visor
+  const offsetX = (size - width * scaleFactor) / 2;
+  const offsetY = (size - height * scaleFactor) / 2;
+  const points = trace.map(([x, y]) => [
+    +(offsetX + (x - minX) * scaleFactor).toFixed(1),
+    +(size - offsetY - (y - minY) * scaleFactor).toFixed(1)
+  ]);
+
+  const segments = points.slice(1).map(([x, y], i) => {
+    const [px, py] = points[i];
+    const hue = Math.round(240 * (1 - i / Math.max(1, points.length - 2)));
+    return `<line x1="${px}" y1="${py}" x2="${x}" y2="${y}" stroke="hsl(${hue},70%,50%)" />`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`,
+    `<rect width="${size}" height="${size}" fill="#F9FAFB" />`,
+    '<g stroke-width="3" stroke-linecap="round">',
+    ...segments,
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Conjunto completo de muestra: topología PDB, trayectoria DCD, análisis PCA
+ * y miniatura.
+ * @returns {{pdb: string, dcd: Buffer, pca: Object, thumbnail: string}}
+ */
+export function loadSampleDataset() {
+  const pdb = readPublicFile(DEMO_FILES.topology).toString('utf8');
+  return {
+    pdb,
+    dcd: readPublicFile(DEMO_FILES.trajectory),
+    pca: DEMO_PCA,
+    thumbnail: toThumbnailSvg(caTrace(pdb))
+  };
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { SAMPLE_FRAME_COUNT, loadSampleDataset } from './sampleSystem';
+
+describe('loadSampleDataset', () => {
+  const { pdb, dcd, pca, thumbnail } = loadSampleDataset();
+  const view = new DataView(dcd.buffer, dcd.byteOffset, dcd.byteLength);
+  const atomLines = pdb.split('\n').filter(line => line.startsWith('ATOM'));
+
+  it('la topología PDB y el DCD CHARMM tienen los mismos átomos', () => {
+    expect(view.getInt32(0, true)).toBe(84);
+    expect(String.fromCharCode(...dcd.subarray(4, 8))).toBe('CORD');
+    // Título de 80 caracteres: el número de átomos va después de su registro
+    expect(view.getInt32(92 + 4 + 4 + 80 + 4 + 4, true)).toBe(atomLines.length);
+    expect(view.getInt32(8, true)).toBe(SAMPLE_FRAME_COUNT);
+  });
+
+  it('guarda todos los frames y ningún paso de tiempo', () => {
+    const frameBytes = 3 * (8 + 4 * atomLines.length);
+    expect(dcd.length).toBe(92 + 92 + 12 + SAMPLE_FRAME_COUNT * frameBytes);
+    expect(view.getFloat32(44, true)).toBe(0);
+  });
+
+  it('una proyección PCA por frame con su cluster y sus magnitudes', () => {
+    expect(pca.projections).toHaveLength(SAMPLE_FRAME_COUNT);
+    pca.projections.forEach((point, frame) => {
+      expect(point.frame).toBe(frame);
+      expect(point.cluster).toBeLessThan(pca.clustering.n_clusters);
+      expect(point.rmsd).toBeGreaterThan(0);
+      expect(point.rg).toBeGreaterThan(0);
+    });
+    const population = pca.clustering.representative_frames.reduce((sum, c) => sum + c.population, 0);
+    expect(population).toBe(SAMPLE_FRAME_COUNT);
+  });
+
+  it('la miniatura dibuja la traza de los Cα', () => {
+    const residues = atomLines.filter(line => line.slice(12, 16).trim() === 'CA').length;
+    expect(thumbnail.match(/<line /g)).toHaveLength(residues - 1);
+  });
+});
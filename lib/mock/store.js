@@ -0,0 +1,375 @@
+// 🧬 ASTROFLORA 7.1 - MOCK STORE
+// ==============================
+// Estado en memoria del backend simulado y transiciones de trabajos en el tiempo
+
+import { randomBytes } from 'crypto';
+import { SAMPLE_FRAME_COUNT, loadSampleDataset } from './sampleSystem';
+
+// Duraciones simuladas (ms)
+const QUEUE_DELAY = 1500;
+const ANALYSIS_TASK_DURATION = { pca_analysis: 8000, clustering: 5000 };
+const PIPELINE_STEP_DURATION = 3000;
+
+// Número de pasos por tipo de pipeline (ver PIPELINE_STEPS en SimulationDashboard)
+const PIPELINE_STEP_COUNT = {
+  scaffold_hopping: 4,
+  molecular_scoring: 4,
+  docking: 4,
+  md_simulation: 5,
+  full_pipeline: 6
+};
+
+const ANALYSIS_TASKS = {
+  full: ['pca_analysis', 'clustering'],
+  pca: ['pca_analysis']
+};
+
+// Catálogo inicial: todas sirven el sistema de muestra. `analyzed` siembra un
+// análisis PCA ya terminado
+const SAMPLE_SIMULATIONS = [
+  { sim_id: 'egfr-apo-01', name: 'EGFR apo', target_protein: '1M17', status: 'completed', ageHours: 72, analyzed: true },
+  { sim_id: 'egfr-erlotinib-01', name: 'EGFR + erlotinib', target_protein: '1M17', status: 'completed', ageHours: 50, analyzed: true },
+  { sim_id: 'mpro-wt-01', name: 'Mpro silvestre', target_protein: '6LU7', status: 'completed', ageHours: 26 },
+  { sim_id: 'mpro-h41a-01', name: 'Mpro H41A', target_protein: '6LU7', status: 'running', ageHours: 3 },
+  { sim_id: 'kras-g12c-01', name: 'KRAS G12C + sotorasib', target_protein: '6OIM', status: 'failed', ageHours: 120 },
+  { sim_id: 'kras-wt-01', name: 'KRAS silvestre', target_protein: '6OIM', status: 'queued', ageHours: 0.5 }
+];
+
+const SAMPLE_MOLECULES = [
+  { smiles: 'CC(=O)Nc1ccc(O)cc1', score: 0.82 },
+  { smiles: 'COc1ccc2[nH]cc(CCN)c2c1', score: 0.77 },
+  { smiles: 'CN1CCC[C@H]1c1cccnc1', score: 0.71 },
+  { smiles: 'O=C(O)c1ccccc1OC(=O)C', score: 0.64 }
+];
+
+/**
+ * El estado vive en `globalThis`: en desarrollo Next.js compila cada ruta API
+ * por separado y un módulo normal no se compartiría entre ellas.
+ */
+function getState() {
+  if (!globalThis.__astrofloraMock) {
+    globalThis.__astrofloraMock = {
+      sample: loadSampleDataset(),
+      analysisJobs: new Map(),
+      pipelineJobs: new Map(),
+      simulations: new Map(),
+      viewStates: new Map(),
+      sharedViews: new Map(),
+      nextId: 1
+    };
+    seedSimulations(globalThis.__astrofloraMock);
+    seedPipelineJobs(globalThis.__astrofloraMock);
+  }
+  return globalThis.__astrofloraMock;
+}
+
+function nextId(state, prefix) {
+  const id = `${prefix}-${String(state.nextId).padStart(4, '0')}`;
+  state.nextId += 1;
+  return id;
+}
+
+function seedSimulations(state) {
+  const now = Date.now();
+  SAMPLE_SIMULATIONS.forEach(({ ageHours, analyzed, ...simulation }) => {
+    const createdAt = now - ageHours * 60 * 60 * 1000;
+    state.simulations.set(simulation.sim_id, { ...simulation, createdAt });
+
+    if (analyzed) {
+      const id = nextId(state, 'analysis');
+      state.analysisJobs.set(id, { id, simId: simulation.sim_id, task: 'pca_analysis', createdAt });
+    }
+  });
+}
+
+// Un trabajo terminado y otro en curso para que la lista no arranque vacía
+function seedPipelineJobs(state) {
+  const now = Date.now();
+  [
+    { name: 'Inhibidores EGFR (demo)', type: 'full_pipeline', target_molecule: 'c1ccc2ncncc2c1', target_protein: '1M17', startedAt: now - 60 * 60 * 1000 },
+    { name: 'Docking Mpro (demo)', type: 'docking', target_molecule: 'CC(C)CC(NC(=O)C)C(=O)O', target_protein: '6LU7', startedAt: now - 4000 }
+  ].forEach(config => {
+    const id = nextId(state, 'job');
+    state.pipelineJobs.set(id, { id, ...config, cancelledAt: null });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Trabajos de análisis de simulaciones
+// ---------------------------------------------------------------------------
+
+/**
+ * Estado derivado del tiempo transcurrido: enqueued → running → completed.
+ */
+function analysisJobView(job, now = Date.now()) {
+  const elapsed = now - job.createdAt;
+  const duration = ANALYSIS_TASK_DURATION[job.task];
+
+  if (elapsed < QUEUE_DELAY) {
+    return { status: 'enqueued', progress: 0 };
+  }
+  if (elapsed < QUEUE_DELAY + duration) {
+    const progress = Math.round((100 * (elapsed - QUEUE_DELAY)) / duration);
+    return { status: 'running', progress, current_step: `${job.task.replace('_', ' ')} (${progress}%)` };
+  }
+  return { status: 'completed', progress: 100, result: { task: job.task, sim_id: job.simId } };
+}
+
+export function createAnalysis(simId, analysisType) {
+  const state = getState();
+  const tasks = ANALYSIS_TASKS[analysisType];
+  if (!tasks) return null;
+
+  const createdAt = Date.now();
+  return tasks.map(task => {
+    const id = nextId(state, 'analysis');
+    state.analysisJobs.set(id, { id, simId, task, createdAt });
+    return { job_id: id, task };
+  });
+}
+
+export function getAnalysisJobStatus(jobId) {
+  const job = getState().analysisJobs.get(jobId);
+  return job ? { job_id: job.id, task: job.task, ...analysisJobView(job) } : null;
+}
+
+/**
+ * Resultados de la simulación: los archivos siempre están disponibles, el
+ * análisis PCA solo cuando algún trabajo `pca_analysis` ha terminado.
+ */
+export function getSimulationResults(simId) {
+  const state = getState();
+  const filesBase = `/api/mock/files/${encodeURIComponent(simId)}`;
+
+  const analyzed = [...state.analysisJobs.values()].some(job =>
+    job.simId === simId && job.task === 'pca_analysis' && analysisJobView(job).status === 'completed'
+  );
+
+  return {
+    sim_id: simId,
+    files: {
+      topology: `${filesBase}/topology.pdb`,
+      trajectory: `${filesBase}/trajectory.dcd`
+    },
+    analysis_results: analyzed ? { pca: state.sample.pca } : {}
+  };
+}
+
+export function getSampleFile(name) {
+  const { sample } = getState();
+  if (name === 'topology.pdb') return { body: sample.pdb, contentType: 'chemical/x-pdb' };
+  if (name === 'trajectory.dcd') return { body: sample.dcd, contentType: 'application/octet-stream' };
+  if (name === 'thumbnail.svg') return { body: sample.thumbnail, contentType: 'image/svg+xml' };
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Catálogo de simulaciones
+// ---------------------------------------------------------------------------
+
+/**
+ * Estado del análisis según sus trabajos: uno en curso manda sobre un PCA
+ * anterior ya terminado.
+ */
+function analysisSummary(state, simId) {
+  const jobs = [...state.analysisJobs.values()]
+    .filter(job => job.simId === simId)
+    .map(job => ({ task: job.task, status: analysisJobView(job).status }));
+
+  const pcaDone = jobs.some(job => job.task === 'pca_analysis' && job.status === 'completed');
+  let status = 'none';
+  if (jobs.some(job => job.status !== 'completed')) status = 'running';
+  else if (pcaDone) status = 'completed';
+
+  // Igual que en `getSimulationResults`: el PCA terminado trae ya el clustering
+  const { stats, clustering } = state.sample.pca;
+  return {
+    status,
+    pca: pcaDone
+      ? {
+          total_frames: stats.total_frames,
+          n_clusters: clustering.n_clusters,
+          total_variance_explained: stats.total_variance_explained
+        }
+      : null
+  };
+}
+
+export function listSimulations() {
+  const state = getState();
+  return [...state.simulations.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(simulation => ({
+      sim_id: simulation.sim_id,
+      name: simulation.name,
+      target_protein: simulation.target_protein,
+      status: simulation.status,
+      created_at: new Date(simulation.createdAt).toISOString(),
+      frame_count: simulation.status === 'completed' ? SAMPLE_FRAME_COUNT : null,
+      thumbnail: `/api/mock/files/${encodeURIComponent(simulation.sim_id)}/thumbnail.svg`,
+      analysis: analysisSummary(state, simulation.sim_id)
+    }));
+}
+
+/**
+ * Estado de la simulación en el catálogo; `null` para IDs fuera de él, que
+ * se tratan como simulaciones terminadas.
+ */
+export function getSimulationStatus(simId) {
+  return getState().simulations.get(simId)?.status ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Comparación de simulaciones
+// ---------------------------------------------------------------------------
+
+/**
+ * PCA conjunta. Todas las simulaciones sirven el mismo sistema de muestra, así
+ * que cada una se desplaza en PC1/PC2 para que se distingan en el gráfico.
+ */
+export function getComparisonPca(simIds) {
+  const { projections, stats } = getState().sample.pca;
+  const spread = Math.max(...projections.map(p => p.pc1)) - Math.min(...projections.map(p => p.pc1));
+
+  return {
+    sims: simIds.map((simId, index) => {
+      const angle = (2 * Math.PI * index) / simIds.length;
+      const shift = index === 0 ? 0 : 0.4 * spread;
+      return {
+        sim_id: simId,
+        projections: projections.map(p => ({
+          ...p,
+          pc1: +(p.pc1 + shift * Math.cos(angle)).toFixed(4),
+          pc2: +(p.pc2 + shift * Math.sin(angle)).toFixed(4)
+        }))
+      };
+    }),
+    stats: {
+      explained_variance: stats.explained_variance,
+      total_variance_explained: stats.total_variance_explained
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Vistas del visor
+// ---------------------------------------------------------------------------
+
+export function getViewState(simId) {
+  return getState().viewStates.get(simId) ?? null;
+}
+
+export function saveViewState(simId, viewState) {
+  const saved = { sim_id: simId, state: viewState, updated_at: new Date().toISOString() };
+  getState().viewStates.set(simId, saved);
+  return saved;
+}
+
+/**
+ * Copia congelada de una vista bajo un token corto y difícil de adivinar.
+ */
+export function createSharedView(simId, viewState) {
+  const { sharedViews } = getState();
+  let token;
+  do {
+    token = randomBytes(6).toString('base64url');
+  } while (sharedViews.has(token));
+
+  const view = { token, sim_id: simId, state: viewState };
+  sharedViews.set(token, view);
+  return view;
+}
+
+export function getSharedView(token) {
+  return getState().sharedViews.get(token) ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Pipelines de diseño
+// ---------------------------------------------------------------------------
+
+/**
+ * Estado derivado del tiempo: pending → running (paso a paso) → completed.
+ * Un trabajo cancelado conserva el progreso que tenía al cancelarse.
+ */
+function pipelineJobView(job, now = Date.now()) {
+  const steps = PIPELINE_STEP_COUNT[job.type];
+  const until = job.cancelledAt ?? now;
+  const elapsed = until - job.startedAt - QUEUE_DELAY;
+  const total = steps * PIPELINE_STEP_DURATION;
+
+  let status;
+  if (elapsed >= total) status = 'completed';
+  else if (job.cancelledAt) status = 'cancelled';
+  else if (elapsed < 0) status = 'pending';
+  else status = 'running';
+
+  const progress = status === 'completed' ? 100 : Math.max(0, Math.round((100 * elapsed) / total));
+  const currentStep = Math.min(steps - 1, Math.max(0, Math.floor(elapsed / PIPELINE_STEP_DURATION)));
+
+  return {
+    id: job.id,
+    name: job.name,
+    type: job.type,
+    target_molecule: job.target_molecule,
+    target_protein: job.target_protein,
+    status,
+    progress,
+    currentStep: status === 'completed' ? steps : currentStep,
+    startTime: new Date(job.startedAt).toISOString()
+  };
+}
+
+export function listPipelineJobs() {
+  return [...getState().pipelineJobs.values()]
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .map(job => pipelineJobView(job));
+}
+
+export function createPipelineJob(config) {
+  const state = getState();
+  if (!PIPELINE_STEP_COUNT[config.type]) return null;
+
+  const id = nextId(state, 'job');
+  const job = { id, ...config, startedAt: Date.now(), cancelledAt: null };
+  state.pipelineJobs.set(id, job);
+  return pipelineJobView(job);
+}
+
+export function cancelPipelineJob(jobId) {
+  const job = getState().pipelineJobs.get(jobId);
+  if (!job) return null;
+
+  const { status } = pipelineJobView(job);
+  if (status === 'pending' || status === 'running') {
+    job.cancelledAt = Date.now();
+  }
+  return pipelineJobView(job);
+}
+
+/** Estado actual de un trabajo de pipeline; `null` si no existe */
+export function getPipelineJobStatus(jobId) {
+  const job = getState().pipelineJobs.get(jobId);
+  return job ? pipelineJobView(job).status : null;
+}
+
+export function getPipelineResults(jobId) {
+  const state = getState();
+  const job = state.pipelineJobs.get(jobId);
+  if (!job) return null;
+  if (pipelineJobView(job).status !== 'completed') return undefined;
+
+  const filesBase = `/api/mock/files/${encodeURIComponent(jobId)}`;
+  return {
+    molecules: SAMPLE_MOLECULES,
+    pcaData: state.sample.pca.projections,
+    topologyPath: `${filesBase}/topology.pdb`,
+    trajectoryPath: `${filesBase}/trajectory.dcd`,
+    metrics: {
+      best_score: 0.82,
+      mean_score: 0.735,
+      binding_affinity_kcal: -8.4,
+      rmsd_angstrom: 1.92
+    }
+  };
+}
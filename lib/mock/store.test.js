@@ -0,0 +1,73 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import handler from '../../pages/api/mock/v1/jobs/[jobId]/results';
+import { cancelPipelineJob, createPipelineJob, getPipelineJobStatus, getPipelineResults } from './store';
+
+const config = { name: 'Docking', type: 'docking', target_molecule: 'CCO', target_protein: '6LU7' };
+
+/** Respuesta mínima de Next.js: guarda el estado y el cuerpo JSON */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader() {}
+  };
+}
+
+const getResults = async jobId => {
+  const res = fakeResponse();
+  await handler({ method: 'GET', query: { jobId } }, res);
+  return res;
+};
+
+describe('resultados de los trabajos de pipeline', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: Date.parse('2024-03-10T10:00:00Z') });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('un trabajo en curso aún no tiene resultados', async () => {
+    const { id } = createPipelineJob(config);
+    vi.advanceTimersByTime(5000);
+
+    expect(getPipelineJobStatus(id)).toBe('running');
+    expect(getPipelineResults(id)).toBeUndefined();
+    expect(await getResults(id)).toMatchObject({ statusCode: 409, body: { detail: 'El trabajo aún no ha terminado' } });
+  });
+
+  it('un trabajo cancelado responde con su propio error y no termina nunca', async () => {
+    const { id } = createPipelineJob(config);
+    vi.advanceTimersByTime(5000);
+    cancelPipelineJob(id);
+    vi.advanceTimersByTime(60 * 60 * 1000);
+
+    expect(getPipelineJobStatus(id)).toBe('cancelled');
+    expect(await getResults(id)).toMatchObject({ statusCode: 409, body: { detail: 'El trabajo fue cancelado' } });
+  });
+
+  it('un trabajo terminado devuelve sus resultados', async () => {
+    const { id } = createPipelineJob(config);
+    vi.advanceTimersByTime(60 * 60 * 1000);
+
+    expect(getPipelineJobStatus(id)).toBe('completed');
+    const res = await getResults(id);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(getPipelineResults(id));
+    expect(res.body.trajectoryPath).toBe(`/api/mock/files/${id}/trajectory.dcd`);
+  });
+
+  it('un trabajo desconocido no existe', async () => {
+    expect(getPipelineJobStatus('job-x')).toBeNull();
+    expect(await getResults('job-x')).toMatchObject({ statusCode: 404 });
+  });
+});
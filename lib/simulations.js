@@ -0,0 +1,136 @@
+// 🧬 ASTROFLORA 7.1 - SIMULATION CATALOG
+// ======================================
+// Filtros y orden del índice de simulaciones (`/simulations`), direccionables por URL
+
+/** Estados de la dinámica; el backend puede añadir otros, que se muestran tal cual */
+export const SIMULATION_STATUS_LABELS = {
+  queued: 'En cola',
+  running: 'En curso',
+  completed: 'Terminada',
+  failed: 'Fallida'
+};
+
+/** Estados del análisis PCA/clustering */
+export const ANALYSIS_STATUS_LABELS = {
+  none: 'Sin análisis',
+  running: 'Analizando',
+  completed: 'Analizada',
+  error: 'Error'
+};
+
+const timeOf = sim => {
+  const time = Date.parse(sim.created_at ?? '');
+  return Number.isFinite(time) ? time : null;
+};
+
+// Valor por el que se ordena cada columna; `null` queda siempre al final
+const SORT_VALUES = {
+  created_at: timeOf,
+  name: sim => (sim.name || sim.sim_id).toLowerCase(),
+  target_protein: sim => sim.target_protein?.toLowerCase() ?? null,
+  status: sim => sim.status,
+  frames: sim => sim.analysis?.pca?.total_frames ?? sim.frame_count ?? null,
+  clusters: sim => sim.analysis?.pca?.n_clusters ?? null,
+  variance: sim => sim.analysis?.pca?.total_variance_explained ?? null
+};
+
+export const SIMULATION_SORT_KEYS = Object.keys(SORT_VALUES);
+
+const DEFAULT_SORT = 'created_at';
+const FILTER_KEYS = ['q', 'status', 'target', 'analysis', 'from', 'to'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Dirección con la que empieza una columna: lo más reciente y los valores
+ * numéricos más altos primero, el texto de la A a la Z.
+ * @param {string} sort
+ */
+export function defaultSortDirection(sort) {
+  return ['name', 'target_protein', 'status'].includes(sort) ? 'asc' : 'desc';
+}
+
+/** Estado del análisis de una simulación (`none` si el backend no lo indica) */
+export function analysisStatusOf(sim) {
+  return sim.analysis?.status ?? 'none';
+}
+
+/** Solo se analizan dinámicas terminadas y sin otro análisis en curso */
+export function canRunPca(sim) {
+  return sim.status === 'completed' && analysisStatusOf(sim) !== 'running';
+}
+
+/**
+ * Filtros y orden a partir de `router.query`; los valores no válidos se ignoran.
+ * @returns {{q: string, status: string, target: string, analysis: string, from: string, to: string, sort: string, dir: 'asc'|'desc'}}
+ */
+export function parseSimulationsQuery(query) {
+  const text = key => String((Array.isArray(query[key]) ? query[key][0] : query[key]) ?? '').trim();
+  const filters = Object.fromEntries(FILTER_KEYS.map(key => [key, text(key)]));
+  ['from', 'to'].forEach(key => {
+    if (!DATE_PATTERN.test(filters[key])) filters[key] = '';
+  });
+
+  const sort = SIMULATION_SORT_KEYS.includes(text('sort')) ? text('sort') : DEFAULT_SORT;
+  const dir = ['asc', 'desc'].includes(text('dir')) ? text('dir') : defaultSortDirection(sort);
+  return { ...filters, sort, dir };
+}
+
+/**
+ * Ruta del índice; omite filtros vacíos y el orden por defecto.
+ * @param {ReturnType<typeof parseSimulationsQuery>} filters
+ */
+export function buildSimulationsHref(filters) {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(key => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  if (filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort);
+  if (filters.dir !== defaultSortDirection(filters.sort)) params.set('dir', filters.dir);
+
+  const query = params.toString();
+  return `/simulations${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Simulaciones que cumplen los filtros. Las fechas (`YYYY-MM-DD`, hora local)
+ * incluyen ambos días completos.
+ */
+export function filterSimulations(simulations, { q, status, target, analysis, from, to }) {
+  const needle = q.toLowerCase();
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  return simulations.filter(sim => {
+    if (needle && ![sim.sim_id, sim.name, sim.target_protein].some(value => value?.toLowerCase().includes(needle))) {
+      return false;
+    }
+    if (status && sim.status !== status) return false;
+    if (target && sim.target_protein !== target) return false;
+    if (analysis && analysisStatusOf(sim) !== analysis) return false;
+
+    if (from || to) {
+      const created = timeOf(sim);
+      if (created === null || created < fromTime || created > toTime) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Copia ordenada por la columna `sort`; los empates se deshacen por ID.
+ */
+export function sortSimulations(simulations, { sort, dir }) {
+  const valueOf = SORT_VALUES[sort] ?? SORT_VALUES[DEFAULT_SORT];
+  const sign = dir === 'asc' ? 1 : -1;
+
+  return [...simulations].sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va === null || vb === null) {
+      if (va !== vb) return va === null ? 1 : -1;
+    } else if (va !== vb) {
+      return sign * (va < vb ? -1 : 1);
+    }
+    return a.sim_id.localeCompare(b.sim_id);
+  });
+}
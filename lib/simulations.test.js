@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildSimulationsHref,
+  canRunPca,
+  defaultSortDirection,
+  filterSimulations,
+  parseSimulationsQuery,
+  sortSimulations
+} from './simulations';
+
+// Fechas sin zona: se leen en hora local, como los filtros
+const simulations = [
+  {
+    sim_id: 'sim-a',
+    name: 'Lisozima WT',
+    target_protein: 'LYZ',
+    status: 'completed',
+    created_at: '2024-03-10T09:00:00',
+    analysis: { status: 'completed', pca: { total_frames: 500, n_clusters: 4, total_variance_explained: 71.5 } }
+  },
+  {
+    sim_id: 'sim-b',
+    name: 'kinasa mutante',
+    target_protein: 'ABL1',
+    status: 'running',
+    created_at: '2024-03-12T23:30:00',
+    frame_count: 120
+  },
+  {
+    sim_id: 'sim-c',
+    name: '',
+    target_protein: 'LYZ',
+    status: 'completed',
+    created_at: '2024-03-11T00:00:00',
+    analysis: { status: 'running', pca: { total_frames: 800, n_clusters: 2, total_variance_explained: 64 } }
+  },
+  { sim_id: 'sim-d', name: 'Sin fecha', status: 'failed' }
+];
+
+const filters = changes => ({ ...parseSimulationsQuery({}), ...changes });
+const ids = list => list.map(sim => sim.sim_id);
+
+describe('parseSimulationsQuery / buildSimulationsHref', () => {
+  it('sin query: sin filtros, más recientes primero', () => {
+    expect(parseSimulationsQuery({})).toEqual({
+      q: '', status: '', target: '', analysis: '', from: '', to: '', sort: 'created_at', dir: 'desc'
+    });
+    expect(buildSimulationsHref(parseSimulationsQuery({}))).toBe('/simulations');
+  });
+
+  it('ignora fechas, columnas y direcciones no válidas y toma el primer valor repetido', () => {
+    const parsed = parseSimulationsQuery({ q: ['  lyz ', 'otra'], from: '10/03/2024', to: '2024-03-12', sort: 'color', dir: 'up' });
+    expect(parsed).toMatchObject({ q: 'lyz', from: '', to: '2024-03-12', sort: 'created_at', dir: 'desc' });
+  });
+
+  it('la dirección por defecto depende de la columna', () => {
+    expect(defaultSortDirection('name')).toBe('asc');
+    expect(defaultSortDirection('variance')).toBe('desc');
+    expect(parseSimulationsQuery({ sort: 'name' }).dir).toBe('asc');
+  });
+
+  it('la URL omite los filtros vacíos y el orden por defecto, y se vuelve a leer igual', () => {
+    const parsed = filters({ q: 'lyz', status: 'completed', sort: 'name', dir: 'desc' });
+    const href = buildSimulationsHref(parsed);
+    expect(href).toBe('/simulations?q=lyz&status=completed&sort=name&dir=desc');
+    const query = Object.fromEntries(new URL(href, 'http://localhost').searchParams);
+    expect(parseSimulationsQuery(query)).toEqual(parsed);
+    expect(buildSimulationsHref(filters({ sort: 'name', dir: 'asc' }))).toBe('/simulations?sort=name');
+  });
+});
+
+describe('filterSimulations', () => {
+  it('busca sin distinguir mayúsculas en ID, nombre y proteína', () => {
+    expect(ids(filterSimulations(simulations, filters({ q: 'KINASA' })))).toEqual(['sim-b']);
+    expect(ids(filterSimulations(simulations, filters({ q: 'lyz' })))).toEqual(['sim-a', 'sim-c']);
+    expect(ids(filterSimulations(simulations, filters({ q: 'SIM-D' })))).toEqual(['sim-d']);
+    expect(filterSimulations(simulations, filters({ q: 'nada' }))).toEqual([]);
+  });
+
+  it('filtra por estado, proteína y estado del análisis', () => {
+    expect(ids(filterSimulations(simulations, filters({ status: 'completed' })))).toEqual(['sim-a', 'sim-c']);
+    expect(ids(filterSimulations(simulations, filters({ target: 'ABL1' })))).toEqual(['sim-b']);
+    expect(ids(filterSimulations(simulations, filters({ analysis: 'none' })))).toEqual(['sim-b', 'sim-d']);
+    expect(ids(filterSimulations(simulations, filters({ status: 'completed', analysis: 'running' })))).toEqual(['sim-c']);
+  });
+
+  it('las fechas incluyen ambos días completos y excluyen las simulaciones sin fecha', () => {
+    expect(ids(filterSimulations(simulations, filters({ from: '2024-03-11', to: '2024-03-12' })))).toEqual(['sim-b', 'sim-c']);
+    expect(ids(filterSimulations(simulations, filters({ to: '2024-03-10' })))).toEqual(['sim-a']);
+    expect(ids(filterSimulations(simulations, filters({ from: '2024-03-13' })))).toEqual([]);
+  });
+});
+
+describe('sortSimulations', () => {
+  it('por fecha, más recientes primero y sin fecha al final', () => {
+    expect(ids(sortSimulations(simulations, filters({})))).toEqual(['sim-b', 'sim-c', 'sim-a', 'sim-d']);
+    expect(ids(sortSimulations(simulations, filters({ dir: 'asc' })))).toEqual(['sim-a', 'sim-c', 'sim-b', 'sim-d']);
+  });
+
+  it('por nombre sin distinguir mayúsculas, con el ID si no hay nombre', () => {
+    expect(ids(sortSimulations(simulations, filters({ sort: 'name', dir: 'asc' })))).toEqual(['sim-b', 'sim-a', 'sim-c', 'sim-d']);
+  });
+
+  it('por frames, del análisis o de la dinámica, con los desconocidos al final en ambos sentidos', () => {
+    expect(ids(sortSimulations(simulations, filters({ sort: 'frames' })))).toEqual(['sim-c', 'sim-a', 'sim-b', 'sim-d']);
+    expect(ids(sortSimulations(simulations, filters({ sort: 'frames', dir: 'asc' })))).toEqual(['sim-b', 'sim-a', 'sim-c', 'sim-d']);
+  });
+
+  it('los empates se deshacen por ID y no modifica la lista original', () => {
+    const sorted = sortSimulations(simulations, filters({ sort: 'target_protein', dir: 'asc' }));
+    expect(ids(sorted)).toEqual(['sim-b', 'sim-a', 'sim-c', 'sim-d']);
+    expect(ids(simulations)).toEqual(['sim-a', 'sim-b', 'sim-c', 'sim-d']);
+  });
+});
+
+describe('canRunPca', () => {
+  it('solo dinámicas terminadas sin otro análisis en curso', () => {
+    expect(simulations.map(canRunPca)).toEqual([true, false, false, false]);
+  });
+});
@@ -2,6 +2,7 @@
 // ===============================
 // Configuración global de la aplicación
 
+import 'molstar/build/viewer/molstar.css';
 import '../styles/globals.css';
 
 function MyApp({ Component, pageProps }) {
@@ -0,0 +1,15 @@
+// GET /compare/pca?sims=a,b - API simulada
+
+import { parseCompareSims } from '../../../../lib/compare';
+import { mockRoute } from '../../../../lib/mock/route';
+import { getComparisonPca } from '../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => {
+    const simIds = parseCompareSims(req.query.sims);
+    if (simIds.length < 2) {
+      return res.status(422).json({ detail: 'Indica al menos dos simulaciones en `sims`' });
+    }
+    return res.status(200).json(getComparisonPca(simIds));
+  }
+});
@@ -0,0 +1,55 @@
+// GET /files/{id}/{file} - Archivos de muestra (topology.pdb, trajectory.dcd)
+// Admite `Range: bytes=a-b` para que el visor descargue la trayectoria por bloques
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { getSampleFile } from '../../../../../lib/mock/store';
+
+/**
+ * Interpreta una cabecera Range de un solo intervalo.
+ * Devuelve `null` si no hay cabecera (o no se entiende) y `false` si no se puede satisfacer.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Sufijo: los últimos N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+}
+
+export default mockRoute({
+  GET: (req, res) => {
+    const file = getSampleFile(req.query.file);
+    if (!file) {
+      return res.status(404).json({ detail: `Archivo no encontrado: ${req.query.file}` });
+    }
+
+    const body = Buffer.isBuffer(file.body) ? file.body : Buffer.from(file.body);
+    const range = parseRange(req.headers.range, body.length);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${body.length}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${body.length}`);
+      return res.status(206).send(body.subarray(range.start, range.end + 1));
+    }
+
+    return res.status(200).send(body);
+  }
+});
@@ -0,0 +1,14 @@
+// GET /jobs/{jobId}/status - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { getAnalysisJobStatus } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => {
+    const status = getAnalysisJobStatus(req.query.jobId);
+    if (!status) {
+      return res.status(404).json({ detail: `Trabajo no encontrado: ${req.query.jobId}` });
+    }
+    return res.status(200).json(status);
+  }
+});
@@ -0,0 +1,21 @@
+// POST /simulations/{simId}/analyze - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { createAnalysis, getSimulationStatus } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  POST: (req, res) => {
+    const { simId, analysis_type: analysisType = 'full' } = req.query;
+    const status = getSimulationStatus(simId);
+    if (status && status !== 'completed') {
+      return res.status(409).json({ detail: 'La dinámica de la simulación no ha terminado' });
+    }
+
+    const jobs = createAnalysis(simId, analysisType);
+
+    if (!jobs) {
+      return res.status(422).json({ detail: `Tipo de análisis desconocido: ${analysisType}` });
+    }
+    return res.status(202).json({ sim_id: simId, jobs });
+  }
+});
@@ -0,0 +1,8 @@
+// GET /simulations/{simId}/results - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { getSimulationResults } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => res.status(200).json(getSimulationResults(req.query.simId))
+});
@@ -0,0 +1,22 @@
+// GET|PUT /simulations/{simId}/view-state - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { getViewState, saveViewState } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => {
+    const saved = getViewState(req.query.simId);
+    if (!saved) {
+      return res.status(404).json({ detail: 'La simulación no tiene vista guardada' });
+    }
+    return res.status(200).json(saved);
+  },
+
+  PUT: (req, res) => {
+    const viewState = req.body?.state;
+    if (!viewState || typeof viewState !== 'object' || Array.isArray(viewState)) {
+      return res.status(422).json({ detail: 'Falta el estado de la vista' });
+    }
+    return res.status(200).json(saveViewState(req.query.simId, viewState));
+  }
+});
@@ -0,0 +1,8 @@
+// GET /simulations - API simulada
+
+import { mockRoute } from '../../../../lib/mock/route';
+import { listSimulations } from '../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => res.status(200).json(listSimulations())
+});
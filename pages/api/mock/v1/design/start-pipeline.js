@@ -0,0 +1,24 @@
+// POST /v1/design/start-pipeline - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { createPipelineJob } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  POST: (req, res) => {
+    const { type, name, target_molecule: targetMolecule, target_protein: targetProtein } = req.body || {};
+    if (!name || !targetMolecule) {
+      return res.status(422).json({ detail: 'Se requieren name y target_molecule' });
+    }
+
+    const job = createPipelineJob({
+      type,
+      name,
+      target_molecule: targetMolecule,
+      target_protein: targetProtein || ''
+    });
+    if (!job) {
+      return res.status(422).json({ detail: `Tipo de pipeline desconocido: ${type}` });
+    }
+    return res.status(201).json(job);
+  }
+});
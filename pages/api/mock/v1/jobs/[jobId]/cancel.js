@@ -0,0 +1,14 @@
+// POST /v1/jobs/{jobId}/cancel - API simulada
+
+import { mockRoute } from '../../../../../../lib/mock/route';
+import { cancelPipelineJob } from '../../../../../../lib/mock/store';
+
+export default mockRoute({
+  POST: (req, res) => {
+    const job = cancelPipelineJob(req.query.jobId);
+    if (!job) {
+      return res.status(404).json({ detail: `Trabajo no encontrado: ${req.query.jobId}` });
+    }
+    return res.status(200).json(job);
+  }
+});
@@ -0,0 +1,20 @@
+// GET /v1/jobs/{jobId}/results - API simulada
+
+import { mockRoute } from '../../../../../../lib/mock/route';
+import { getPipelineJobStatus, getPipelineResults } from '../../../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => {
+    const status = getPipelineJobStatus(req.query.jobId);
+    if (status === null) {
+      return res.status(404).json({ detail: `Trabajo no encontrado: ${req.query.jobId}` });
+    }
+    if (status === 'cancelled') {
+      return res.status(409).json({ detail: 'El trabajo fue cancelado' });
+    }
+    if (status !== 'completed') {
+      return res.status(409).json({ detail: 'El trabajo aún no ha terminado' });
+    }
+    return res.status(200).json(getPipelineResults(req.query.jobId));
+  }
+});
@@ -0,0 +1,8 @@
+// GET /v1/jobs - API simulada
+
+import { mockRoute } from '../../../../../lib/mock/route';
+import { listPipelineJobs } from '../../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => res.status(200).json(listPipelineJobs())
+});
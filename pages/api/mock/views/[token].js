@@ -0,0 +1,14 @@
+// GET /views/{token} - API simulada
+
+import { mockRoute } from '../../../../lib/mock/route';
+import { getSharedView } from '../../../../lib/mock/store';
+
+export default mockRoute({
+  GET: (req, res) => {
+    const view = getSharedView(req.query.token);
+    if (!view) {
+      return res.status(404).json({ detail: `Vista compartida no encontrada: ${req.query.token}` });
+    }
+    return res.status(200).json(view);
+  }
+});
@@ -0,0 +1,14 @@
+// POST /views - API simulada
+
+import { mockRoute } from '../../../../lib/mock/route';
+import { createSharedView } from '../../../../lib/mock/store';
+
+export default mockRoute({
+  POST: (req, res) => {
+    const { sim_id: simId, state: viewState } = req.body || {};
+    if (!simId || !viewState || typeof viewState !== 'object' || Array.isArray(viewState)) {
+      return res.status(422).json({ detail: 'Faltan la simulación o el estado de la vista' });
+    }
+    return res.status(201).json(createSharedView(String(simId), viewState));
+  }
+});
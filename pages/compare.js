@@ -0,0 +1,421 @@
+// 🧬 ASTROFLORA 7.1 - SIMULATION COMPARISON
+// =========================================
+// Varias simulaciones lado a lado o superpuestas, con un espacio PCA común
+
+import { useRouter } from 'next/router';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { getSimulationResults, getComparisonPca, resolveFileUrl } from '../lib/api/client';
+import { isDemoSimulation, loadDemoResults } from '../lib/demo';
+import {
+  COMPARE_COLORS,
+  COMPARE_SYMBOLS,
+  MAX_COMPARED_SIMULATIONS,
+  buildCompareHref,
+  parseCompareSims
+} from '../lib/compare';
+import { createCameraSync } from '../src/lib/cameraSync';
+import { timeAxisFromFrames } from '../src/lib/timeAxis';
+
+// Componentes de visualización - importación dinámica para evitar SSR
+const MolstarPlayer = dynamic(
+  () => import('../src/components/MolstarPlayer'),
+  {
+    ssr: false,
+    loading: () => (
+      <div className="flex items-center justify-center h-96 bg-gray-100 rounded-lg">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-2 text-gray-600">Cargando visualización molecular...</p>
+        </div>
+      </div>
+    )
+  }
+);
+
+const PCAPlot = dynamic(
+  () => import('../src/components/PCAPlot'),
+  {
+    ssr: false,
+    loading: () => (
+      <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600 mx-auto"></div>
+          <p className="mt-2 text-gray-600">Cargando gráfico PCA...</p>
+        </div>
+      </div>
+    )
+  }
+);
+
+// Cada trayectoria superpuesta sobre su primer frame y centrada: los frames no
+// giran ni se desplazan entre sí y las cámaras sincronizadas encuadran lo mismo
+const COMPARE_PROCESSING = { superpose: 'ca', center: true };
+
+export default function CompareSimulations() {
+  const router = useRouter();
+  const requestedSims = useMemo(() => parseCompareSims(router.query.sims), [router.query.sims]);
+  const simIds = requestedSims.slice(0, MAX_COMPARED_SIMULATIONS);
+  const simIdsKey = simIds.join(',');
+
+  // Resultados por simulación: { status: 'loading'|'ready'|'error', results?, error? }
+  const [simulations, setSimulations] = useState({});
+  // PCA conjunta del backend; `null` si no está disponible (cada una en su espacio)
+  const [sharedPca, setSharedPca] = useState(null);
+  const [pcaStatus, setPcaStatus] = useState('idle'); // idle, loading, shared, separate
+
+  // Estados de UI
+  const [layout, setLayout] = useState('side-by-side'); // side-by-side, overlay
+  const [syncFrames, setSyncFrames] = useState(true);
+  const [syncCameras, setSyncCameras] = useState(true);
+  const [sharedFrame, setSharedFrame] = useState(0);
+  const [frames, setFrames] = useState({});
+  const [newSimId, setNewSimId] = useState('');
+
+  const cameraSync = useMemo(() => createCameraSync(), []);
+
+  // Cargar resultados de cada simulación
+  useEffect(() => {
+    if (!simIdsKey) return undefined;
+    const ids = simIdsKey.split(',');
+    const controller = new AbortController();
+
+    setSimulations(Object.fromEntries(ids.map(id => [id, { status: 'loading' }])));
+    ids.forEach(simId => {
+      // La demo va empaquetada en el frontend y no consulta el backend
+      const load = isDemoSimulation(simId)
+        ? Promise.resolve(loadDemoResults())
+        : getSimulationResults(simId, { signal: controller.signal });
+
+      load
+        .then(results => {
+          const ready = Boolean(results.files?.topology);
+          setSimulations(prev => ({
+            ...prev,
+            [simId]: ready
+              ? { status: 'ready', results }
+              : { status: 'error', error: 'La simulación no tiene archivos de estructura' }
+          }));
+        })
+        .catch(err => {
+          if (err.isCancelled) return;
+          console.error(`❌ Error cargando la simulación ${simId}:`, err);
+          setSimulations(prev => ({ ...prev, [simId]: { status: 'error', error: err.message } }));
+        });
+    });
+
+    return () => controller.abort();
+  }, [simIdsKey]);
+
+  // PCA conjunta: el backend proyecta todas las trayectorias sobre los mismos
+  // componentes. La demo no está en el backend
+  useEffect(() => {
+    setSharedPca(null);
+    const ids = simIdsKey ? simIdsKey.split(',') : [];
+    if (ids.length < 2 || ids.some(isDemoSimulation)) {
+      setPcaStatus(ids.length > 0 ? 'separate' : 'idle');
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setPcaStatus('loading');
+    getComparisonPca(ids, { signal: controller.signal })
+      .then(pca => {
+        setSharedPca(pca);
+        setPcaStatus('shared');
+      })
+      .catch(err => {
+        if (err.isCancelled) return;
+        console.warn('⚠️ PCA conjunta no disponible:', err.message);
+        setPcaStatus('separate');
+      });
+
+    return () => controller.abort();
+  }, [simIdsKey]);
+
+  const readySims = useMemo(
+    () => (simIdsKey ? simIdsKey.split(',') : []).filter(simId => simulations[simId]?.status === 'ready'),
+    [simIdsKey, simulations]
+  );
+  const mainSimId = readySims[0];
+
+  // Frame de cada simulación: compartido, o el suyo si los frames van por separado.
+  // Superpuestas, todas siguen al visor único
+  const frameOf = useCallback((simId) => {
+    if (syncFrames || layout === 'overlay') return sharedFrame;
+    return frames[simId] ?? 0;
+  }, [syncFrames, layout, sharedFrame, frames]);
+
+  const handleFrameChange = useCallback((simId, frame) => {
+    if (syncFrames || layout === 'overlay') setSharedFrame(frame);
+    else setFrames(prev => ({ ...prev, [simId]: frame }));
+  }, [syncFrames, layout]);
+
+  // Proyecciones de cada simulación: las de la PCA conjunta o, sin ella, las de su propio análisis
+  const projectionsOf = useCallback((simId) => {
+    const shared = sharedPca?.sims.find(sim => sim.sim_id === simId);
+    if (shared) return shared.projections;
+    return simulations[simId]?.results?.analysis_results?.pca?.projections ?? [];
+  }, [sharedPca, simulations]);
+
+  const timeAxes = useMemo(() => Object.fromEntries(readySims.map(simId => [
+    simId,
+    timeAxisFromFrames(simulations[simId].results.analysis_results?.pca?.projections ?? []) ?? undefined
+  ])), [readySims, simulations]);
+
+  const pcaSeries = readySims
+    .map(simId => ({
+      id: simId,
+      label: simId,
+      data: projectionsOf(simId),
+      currentFrame: frameOf(simId),
+      timeAxis: timeAxes[simId],
+      symbol: COMPARE_SYMBOLS[simIds.indexOf(simId)],
+      color: COMPARE_COLORS[simIds.indexOf(simId)]
+    }))
+    .filter(series => series.data.length > 0);
+
+  const explainedVariance = sharedPca?.stats?.explained_variance;
+
+  // Click en el PCA: ese frame en el visor de su simulación
+  const handlePCAPointClick = useCallback((frame, point, simId) => {
+    handleFrameChange(simId, frame);
+  }, [handleFrameChange]);
+
+  // Superpuestas sobre la primera, con el color de su posición en `sims`
+  const overlays = useMemo(() => readySims.slice(1).map(simId => {
+    const { files } = simulations[simId].results;
+    return {
+      id: simId,
+      label: simId,
+      topologyUrl: resolveFileUrl(files.topology),
+      trajectoryUrl: resolveFileUrl(files.trajectory),
+      color: COMPARE_COLORS[simIdsKey.split(',').indexOf(simId)]
+    };
+  }), [readySims, simulations, simIdsKey]);
+
+  const goTo = (ids) => router.push(buildCompareHref(ids));
+
+  const handleAddSimulation = (event) => {
+    event.preventDefault();
+    const simId = newSimId.trim();
+    if (!simId || simIds.includes(simId)) return;
+    setNewSimId('');
+    goTo([...simIds, simId]);
+  };
+
+  const renderPlayer = (simId, { height, withOverlays = false } = {}) => {
+    const { files, analysis_results: analysis } = simulations[simId].results;
+    return (
+      <MolstarPlayer
+        topologyUrl={resolveFileUrl(files.topology)}
+        trajectoryUrl={resolveFileUrl(files.trajectory)}
+        currentFrame={frameOf(simId)}
+        timeAxis={timeAxes[simId]}
+        onFrameChange={frame => handleFrameChange(simId, frame)}
+        pcaProjections={analysis?.pca?.projections}
+        simulationId={simId}
+        processing={COMPARE_PROCESSING}
+        overlays={withOverlays ? overlays : undefined}
+        cameraSync={layout === 'side-by-side' && syncCameras ? cameraSync : undefined}
+        viewerId={`compare-viewer-${simIds.indexOf(simId)}`}
+        height={height}
+        showControls={true}
+      />
+    );
+  };
+
+  const swatch = (simId) => (
+    <span
+      className="inline-block w-3 h-3 rounded-full"
+      style={{ backgroundColor: COMPARE_COLORS[simIds.indexOf(simId)] }}
+    />
+  );
+
+  return (
+    <>
+      <Head>
+        <title>Astroflora 7.1 - Comparación de Simulaciones</title>
+        <meta name="description" content="Comparación de trayectorias de dinámica molecular" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b">
+          <div className="container mx-auto px-4 py-4">
+            <div className="flex items-center justify-between flex-wrap gap-4">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  🧬 Comparación de Simulaciones
+                </h1>
+                <div className="flex items-center flex-wrap gap-2 mt-1 text-gray-600">
+                  {simIds.map(simId => (
+                    <span key={simId} className="inline-flex items-center space-x-1 bg-gray-100 px-2 py-1 rounded text-sm">
+                      {swatch(simId)}
+                      <Link href={`/simulations/${encodeURIComponent(simId)}`} className="font-mono hover:text-blue-700">
+                        {simId}
+                      </Link>
+                      <button
+                        onClick={() => goTo(simIds.filter(id => id !== simId))}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Quitar de la comparación"
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                  {simIds.length < MAX_COMPARED_SIMULATIONS && (
+                    <form onSubmit={handleAddSimulation} className="inline-flex items-center space-x-1">
+                      <input
+                        value={newSimId}
+                        onChange={e => setNewSimId(e.target.value)}
+                        placeholder="ID de simulación"
+                        className="border border-gray-300 rounded px-2 py-1 text-sm w-40"
+                      />
+                      <button type="submit" className="text-sm text-blue-600 hover:text-blue-800 px-2 py-1">
+                        + Añadir
+                      </button>
+                    </form>
+                  )}
+                </div>
+              </div>
+
+              {/* Modo y sincronización */}
+              <div className="flex items-center space-x-4 text-sm text-gray-700">
+                <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                  {[['side-by-side', 'Lado a lado'], ['overlay', 'Superpuestas']].map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => setLayout(value)}
+                      className={`px-3 py-2 ${layout === value ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {layout === 'side-by-side' && (
+                  <>
+                    <label className="flex items-center space-x-1">
+                      <input type="checkbox" checked={syncFrames} onChange={e => setSyncFrames(e.target.checked)} />
+                      <span>Sincronizar frames</span>
+                    </label>
+                    <label className="flex items-center space-x-1">
+                      <input type="checkbox" checked={syncCameras} onChange={e => setSyncCameras(e.target.checked)} />
+                      <span>Sincronizar cámaras</span>
+                    </label>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <div className="container mx-auto px-4 py-6">
+
+          {simIds.length === 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow-sm p-8 text-center text-gray-600">
+              Añade simulaciones para compararlas, o abre <code className="bg-gray-100 px-2 py-1 rounded">/compare?sims=a,b</code>.
+            </div>
+          )}
+
+          {requestedSims.length > MAX_COMPARED_SIMULATIONS && (
+            <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+              Se comparan como máximo {MAX_COMPARED_SIMULATIONS} simulaciones a la vez; se ignoran {requestedSims.slice(MAX_COMPARED_SIMULATIONS).join(', ')}.
+            </div>
+          )}
+
+          {/* Errores de carga */}
+          {simIds.filter(simId => simulations[simId]?.status === 'error').map(simId => (
+            <div key={simId} className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+              <h3 className="font-semibold text-red-800">Error en {simId}</h3>
+              <p className="text-red-700 text-sm mt-1">{simulations[simId].error}</p>
+            </div>
+          ))}
+
+          {/* Visores */}
+          {layout === 'side-by-side' ? (
+            <div className={`grid gap-6 ${simIds.length > 1 ? 'lg:grid-cols-2' : ''}`}>
+              {simIds.map(simId => (
+                <div key={simId} className="bg-white rounded-lg shadow-sm p-4">
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900">
+                      {swatch(simId)}
+                      <span className="font-mono">{simId}</span>
+                    </h2>
+                    <div className="text-sm text-gray-600">
+                      Frame: <span className="font-mono">{frameOf(simId)}</span>
+                    </div>
+                  </div>
+                  {simulations[simId]?.status === 'ready' ? renderPlayer(simId, { height: 400 }) : (
+                    <div className="flex items-center justify-center h-96 bg-gray-100 rounded-lg">
+                      <p className="text-gray-600">
+                        {simulations[simId]?.status === 'error' ? 'No disponible' : 'Cargando simulación...'}
+                      </p>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : mainSimId ? (
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Superposición 3D</h2>
+                <div className="flex items-center flex-wrap gap-3 text-sm text-gray-600">
+                  {readySims.map((simId, index) => (
+                    <span key={simId} className="inline-flex items-center space-x-1">
+                      {index > 0 && swatch(simId)}
+                      <span className="font-mono">{simId}</span>
+                      {index === 0 && <span className="text-gray-400">(referencia, colores del visor)</span>}
+                    </span>
+                  ))}
+                  <span>Frame: <span className="font-mono">{sharedFrame}</span></span>
+                </div>
+              </div>
+              {renderPlayer(mainSimId, { height: 600, withOverlays: true })}
+              <p className="mt-2 text-xs text-gray-500">
+                Cada simulación se ajusta por sus Cα a la de referencia en su frame de referencia; los residuos se emparejan por cadena y número.
+              </p>
+            </div>
+          ) : simIds.length > 0 && (
+            <div className="flex items-center justify-center h-96 bg-gray-100 rounded-lg">
+              <p className="text-gray-600">Cargando simulaciones...</p>
+            </div>
+          )}
+
+          {/* Espacio PCA común */}
+          {pcaSeries.length > 0 && (
+            <div className="mt-6 bg-white rounded-lg shadow-sm p-4">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Espacio Conformacional
+                </h2>
+                {pcaStatus === 'loading' && (
+                  <span className="text-sm text-gray-500">Calculando PCA conjunta...</span>
+                )}
+              </div>
+
+              {pcaStatus === 'separate' && pcaSeries.length > 1 && (
+                <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                  PCA conjunta no disponible: cada simulación se muestra en su propio espacio PCA y
+                  las posiciones no son comparables entre simulaciones.
+                </div>
+              )}
+
+              <PCAPlot
+                series={pcaSeries}
+                explainedVariance={explainedVariance}
+                onPointClick={handlePCAPointClick}
+                height={500}
+                showLegend={true}
+                colorBy="series"
+                title={pcaStatus === 'shared' ? 'PCA conjunta' : 'PCA por simulación'}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+// 🧬 ASTROFLORA 7.1 - PIPELINE DASHBOARD
+// ======================================
+// Panel de pipelines con estado en la URL: /dashboard/jobs/{id}?tab=...&frame=...
+
+import Head from 'next/head';
+import SimulationDashboard from '../../src/components/SimulationDashboard';
+import useDashboardRoute from '../../hooks/useDashboardRoute';
+
+export default function DashboardPage() {
+  const { ready, jobId, tab, frame, navigate } = useDashboardRoute();
+
+  return (
+    <>
+      <Head>
+        <title>{`Astroflora 7.1 - Panel de Control${jobId ? ` - ${jobId}` : ''}`}</title>
+        <meta name="description" content="Gestión de pipelines de diseño de fármacos" />
+      </Head>
+
+      <SimulationDashboard
+        routeReady={ready}
+        selectedJobId={jobId}
+        activeTab={tab}
+        currentFrame={frame}
+        onNavigate={navigate}
+      />
+    </>
+  );
+}
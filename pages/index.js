@@ -41,12 +41,20 @@ export default function Home() {
               <p className="text-gray-600 mb-4">
                 Análisis conformacional avanzado con visualización 3D interactiva usando Mol*.
               </p>
-              <Link 
-                href="/simulations/demo" 
-                className="text-blue-600 hover:text-blue-800 font-medium inline-flex items-center"
-              >
-                Ver Demo →
-              </Link>
+              <div className="flex items-center space-x-4">
+                <Link 
+                  href="/simulations" 
+                  className="text-blue-600 hover:text-blue-800 font-medium inline-flex items-center"
+                >
+                  Ver Simulaciones →
+                </Link>
+                <Link 
+                  href="/simulations/demo" 
+                  className="text-blue-600 hover:text-blue-800 font-medium inline-flex items-center"
+                >
+                  Ver Demo →
+                </Link>
+              </div>
             </div>
 
             <div className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow">
@@ -78,7 +86,7 @@ export default function Home() {
                 Control unificado de simulaciones con análisis en tiempo real.
               </p>
               <Link 
-                href="/simulations/demo" 
+                href="/dashboard" 
                 className="text-purple-600 hover:text-purple-800 font-medium inline-flex items-center"
               >
                 Acceder →
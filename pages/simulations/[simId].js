@@ -3,14 +3,27 @@
 // Panel de control interactivo para análisis molecular
 
 import { useRouter } from 'next/router';
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Head from 'next/head';
-import axios from 'axios';
+import Link from 'next/link';
 import dynamic from 'next/dynamic';
+import {
+  analyzeSimulation,
+  getSimulationResults,
+  getJobStatus,
+  resolveFileUrl
+} from '../../lib/api/client';
+import { isDemoSimulation, loadDemoResults } from '../../lib/demo';
+import { buildCompareHref } from '../../lib/compare';
+import { normalizeJobUpdate } from '../../lib/jobSocket';
+import useJobUpdates from '../../hooks/useJobUpdates';
+import useSimulationView from '../../hooks/useSimulationView';
+import { timeAxisFromFrames } from '../../src/lib/timeAxis';
+import { loadCustomClusters, saveCustomClusters } from '../../src/lib/frameSelection';
 
 // Componentes de visualización - importación dinámica para evitar SSR
 const MolstarPlayer = dynamic(
-  () => import('../../components/visualization/MolstarPlayer'),
+  () => import('../../src/components/MolstarPlayer'),
   { 
     ssr: false,
     loading: () => (
@@ -25,7 +38,7 @@ const MolstarPlayer = dynamic(
 );
 
 const PCAPlot = dynamic(
-  () => import('../../components/visualization/PCAPlot'),
+  () => import('../../src/components/PCAPlot'),
   { 
     ssr: false,
     loading: () => (
@@ -39,12 +52,15 @@ const PCAPlot = dynamic(
   }
 );
 
-// Configuración API
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080/api';
-
 export default function SimulationDashboard() {
   const router = useRouter();
-  const { simId } = router.query;
+  const { simId, view: viewToken } = router.query;
+  const isDemo = isDemoSimulation(simId);
+
+  // Vista del visor guardada (o compartida con `?view=`); la demo no usa el backend
+  const sharedView = typeof viewToken === 'string' ? viewToken : null;
+  const simulationView = useSimulationView(simId, { remote: !isDemo, token: sharedView });
+  const { share: shareView } = simulationView;
 
   // Estados principales
   const [analysisStatus, setAnalysisStatus] = useState('idle'); // idle, running, completed, error
@@ -54,25 +70,28 @@ export default function SimulationDashboard() {
   const [pcaData, setPcaData] = useState([]);
   const [currentFrame, setCurrentFrame] = useState(0);
   const [selectedCluster, setSelectedCluster] = useState(null);
+  const [playback, setPlayback] = useState(undefined);
+  const [customClusters, setCustomClusters] = useState([]);
+  // PCA calculado en el navegador desde el visor; sustituye al del backend mientras exista
+  const [localPca, setLocalPca] = useState(null);
   const [error, setError] = useState(null);
 
   // Estados de UI
   const [showAdvancedControls, setShowAdvancedControls] = useState(false);
-  const [autoRefresh, setAutoRefresh] = useState(true);
+  const [shareStatus, setShareStatus] = useState(null); // null, copied, error
+  const shareTimeoutRef = useRef(null);
 
   // Inicializar análisis
   const startAnalysis = useCallback(async (analysisType = 'full') => {
-    if (!simId) return;
+    if (!simId || isDemoSimulation(simId)) return;
 
     try {
       setAnalysisStatus('running');
       setError(null);
       
-      const response = await axios.post(`${API_BASE_URL}/simulations/${simId}/analyze`, null, {
-        params: { analysis_type: analysisType }
-      });
+      const response = await analyzeSimulation(simId, analysisType);
 
-      const { jobs } = response.data;
+      const { jobs } = response;
       setJobIds(jobs.map(job => job.job_id));
       
       // Inicializar estado de trabajos
@@ -85,73 +104,46 @@ export default function SimulationDashboard() {
         };
       });
       setCurrentJobs(jobsStatus);
-
-      console.log('✅ Análisis iniciado:', response.data);
-      
     } catch (err) {
       console.error('❌ Error iniciando análisis:', err);
-      setError(`Error iniciando análisis: ${err.response?.data?.detail || err.message}`);
+      setError(`Error iniciando análisis: ${err.message}`);
       setAnalysisStatus('error');
     }
   }, [simId]);
 
-  // Consultar estado de trabajos
+  // Aplicar una actualización de trabajo (socket o polling)
+  const applyJobUpdate = useCallback(({ jobId, ...changes }) => {
+    setCurrentJobs(prev => ({
+      ...prev,
+      [jobId]: { ...prev[jobId], ...changes }
+    }));
+  }, []);
+
+  // Consultar estado de trabajos (respaldo cuando no hay socket)
   const checkJobsStatus = useCallback(async () => {
     if (jobIds.length === 0) return;
 
-    try {
-      const jobStatusPromises = jobIds.map(jobId => 
-        axios.get(`${API_BASE_URL}/jobs/${jobId}/status`)
-          .then(response => ({ jobId, ...response.data }))
-          .catch(error => ({ jobId, status: 'error', error: error.message }))
-      );
-
-      const jobsStatusResults = await Promise.all(jobStatusPromises);
-      
-      const updatedJobs = { ...currentJobs };
-      let allCompleted = true;
-      let hasError = false;
-
-      jobsStatusResults.forEach(jobResult => {
-        updatedJobs[jobResult.jobId] = {
-          ...updatedJobs[jobResult.jobId],
-          status: jobResult.status,
-          result: jobResult.result,
-          error: jobResult.error
-        };
-
-        if (jobResult.status !== 'completed') {
-          allCompleted = false;
-        }
-        if (jobResult.status === 'error') {
-          hasError = true;
-        }
-      });
+    const jobStatusPromises = jobIds.map(jobId => 
+      getJobStatus(jobId)
+        .then(response => ({ ...response, job_id: jobId }))
+        .catch(error => ({ job_id: jobId, status: 'error', error: error.message }))
+    );
 
-      setCurrentJobs(updatedJobs);
-
-      // Actualizar estado general
-      if (hasError) {
-        setAnalysisStatus('error');
-        setAutoRefresh(false);
-      } else if (allCompleted) {
-        setAnalysisStatus('completed');
-        setAutoRefresh(false);
-        await loadSimulationResults();
-      }
-
-    } catch (err) {
-      console.error('❌ Error consultando trabajos:', err);
-    }
-  }, [jobIds, currentJobs]);
+    const jobsStatusResults = await Promise.all(jobStatusPromises);
+    
+    // Mismo normalizador que el socket: los campos ausentes no borran los recibidos
+    jobsStatusResults.forEach(payload => applyJobUpdate(normalizeJobUpdate(payload)));
+  }, [jobIds, applyJobUpdate]);
 
   // Cargar resultados de simulación
-  const loadSimulationResults = useCallback(async () => {
+  const loadSimulationResults = useCallback(async ({ signal } = {}) => {
     if (!simId) return;
 
     try {
-      const response = await axios.get(`${API_BASE_URL}/simulations/${simId}/results`);
-      const results = response.data;
+      // La demo va empaquetada en el frontend y no consulta el backend
+      const results = isDemoSimulation(simId)
+        ? loadDemoResults()
+        : await getSimulationResults(simId, { signal });
       
       setSimulationResults(results);
 
@@ -159,13 +151,17 @@ export default function SimulationDashboard() {
       if (results.analysis_results?.pca) {
         const pcaResults = results.analysis_results.pca;
         setPcaData(pcaResults.projections || []);
+
+        // Un análisis previo ya terminado se muestra directamente
+        setAnalysisStatus(prev => (prev === 'idle' ? 'completed' : prev));
         
         console.log('✅ Resultados PCA cargados:', pcaResults.projections?.length, 'frames');
       }
 
     } catch (err) {
+      if (err.isCancelled) return;
       console.error('❌ Error cargando resultados:', err);
-      setError(`Error cargando resultados: ${err.response?.data?.detail || err.message}`);
+      setError(`Error cargando resultados: ${err.message}`);
     }
   }, [simId]);
 
@@ -182,29 +178,105 @@ export default function SimulationDashboard() {
     setCurrentFrame(frameNumber);
   }, []);
 
-  // Auto-refresh de trabajos
+  // Reproducir en el visor solo los frames seleccionados en el PCA
+  const handlePlaySelection = useCallback((frames) => {
+    setPlayback(prev => ({ ...(prev ?? simulationView.viewState?.playback), frames }));
+    setCurrentFrame(frames[0]);
+  }, [simulationView.viewState]);
+
+  // Clusters propios guardados en el navegador; otra simulación reproduce todos sus frames
+  useEffect(() => {
+    setPlayback(undefined);
+    setLocalPca(null);
+    setCustomClusters(simId ? loadCustomClusters(simId) : []);
+  }, [simId]);
+
+  const handleCustomClustersChange = useCallback((clusters) => {
+    setCustomClusters(clusters);
+    if (simId) saveCustomClusters(simId, clusters);
+  }, [simId]);
+
+  // La vista restaurada fija también el frame de la página (PCA, cabecera)
   useEffect(() => {
-    if (autoRefresh && analysisStatus === 'running') {
-      const interval = setInterval(checkJobsStatus, 3000); // Cada 3 segundos
-      return () => clearInterval(interval);
+    const frame = simulationView.viewState?.frame;
+    if (frame !== undefined) setCurrentFrame(frame);
+  }, [simulationView.viewState]);
+
+  // Copia el enlace a la vista actual del visor
+  const handleShareView = useCallback(async () => {
+    let url = null;
+    try {
+      url = await shareView();
+      await navigator.clipboard.writeText(url);
+      setShareStatus('copied');
+    } catch (err) {
+      // Sin acceso al portapapeles (p. ej. HTTP): se muestra para copiarlo a mano
+      if (url) window.prompt('Enlace a esta vista:', url);
+      else {
+        console.error('❌ Error compartiendo la vista:', err);
+        setShareStatus('error');
+      }
     }
-  }, [autoRefresh, analysisStatus, checkJobsStatus]);
+    clearTimeout(shareTimeoutRef.current);
+    shareTimeoutRef.current = setTimeout(() => setShareStatus(null), 2500);
+  }, [shareView]);
+
+  useEffect(() => () => clearTimeout(shareTimeoutRef.current), []);
+
+  // Actualizaciones en vivo de trabajos (Socket.IO, con polling cada 3s de respaldo)
+  const { isLive } = useJobUpdates({
+    jobIds,
+    enabled: analysisStatus === 'running',
+    onUpdate: applyJobUpdate,
+    fallback: checkJobsStatus,
+    fallbackInterval: 3000
+  });
+
+  // Actualizar estado general a partir de los trabajos
+  useEffect(() => {
+    if (analysisStatus !== 'running' || jobIds.length === 0) return;
+
+    const jobs = jobIds.map(jobId => currentJobs[jobId]).filter(Boolean);
+    const hasError = jobs.some(job => job.status === 'error');
+    const allCompleted = jobs.length === jobIds.length && jobs.every(job => job.status === 'completed');
+
+    if (hasError) {
+      setAnalysisStatus('error');
+    } else if (allCompleted) {
+      setAnalysisStatus('completed');
+      loadSimulationResults();
+    }
+  }, [currentJobs, jobIds, analysisStatus, loadSimulationResults]);
 
   // Cargar resultados existentes al montar
   useEffect(() => {
     if (simId && analysisStatus === 'idle') {
-      loadSimulationResults();
+      const controller = new AbortController();
+      loadSimulationResults({ signal: controller.signal });
+      return () => controller.abort();
     }
   }, [simId, analysisStatus, loadSimulationResults]);
 
   // URLs de archivos de visualización
-  const topologyUrl = simulationResults?.files?.topology 
-    ? `${API_BASE_URL.replace('/api', '')}${simulationResults.files.topology}`
-    : null;
-  
-  const trajectoryUrl = simulationResults?.files?.trajectory
-    ? `${API_BASE_URL.replace('/api', '')}${simulationResults.files.trajectory}`
-    : null;
+  const topologyUrl = resolveFileUrl(simulationResults?.files?.topology);
+  const trajectoryUrl = resolveFileUrl(simulationResults?.files?.trajectory);
+
+  // Varianza explicada por componente, para los ejes del gráfico PCA y el scree
+  const explainedVariance = simulationResults?.analysis_results?.pca?.stats?.explained_variance;
+
+  // Proyecciones locales con el resto de campos del backend (tiempo, RMSD...) de cada frame
+  const localPcaData = useMemo(() => {
+    if (!localPca) return null;
+    const backendPoints = new Map(pcaData.map(point => [point.frame, point]));
+    return localPca.projections.map(point => ({
+      ...Object.fromEntries(Object.entries(backendPoints.get(point.frame) ?? {})
+        .filter(([key]) => key !== 'cluster' && !/^pc\d+$/.test(key))),
+      ...point
+    }));
+  }, [localPca, pcaData]);
+
+  // Tiempos del payload de resultados: visor y PCA muestran el mismo tiempo por frame
+  const timeAxis = useMemo(() => timeAxisFromFrames(pcaData) ?? undefined, [pcaData]);
 
   return (
     <>
@@ -222,7 +294,11 @@ export default function SimulationDashboard() {
                 <h1 className="text-2xl font-bold text-gray-900">
                   🧬 Análisis Molecular Interactivo
                 </h1>
-                <p className="text-gray-600">Simulación: <code className="bg-gray-100 px-2 py-1 rounded">{simId}</code></p>
+                <p className="text-gray-600">
+                  <Link href="/simulations" className="text-blue-600 hover:text-blue-800">Simulaciones</Link>
+                  {' / '}
+                  <code className="bg-gray-100 px-2 py-1 rounded">{simId}</code>
+                </p>
               </div>
               
               <div className="flex items-center space-x-4">
@@ -237,10 +313,38 @@ export default function SimulationDashboard() {
                   <span className="text-sm text-gray-600 capitalize">
                     {analysisStatus === 'running' ? 'Procesando...' : analysisStatus}
                   </span>
+                  {analysisStatus === 'running' && (
+                    <span className="text-xs text-gray-400">
+                      {isLive ? '(en vivo)' : '(consultando)'}
+                    </span>
+                  )}
                 </div>
 
+                {/* Compartir la vista del visor */}
+                {analysisStatus === 'completed' && simulationResults && (
+                  <button
+                    onClick={handleShareView}
+                    disabled={!simulationView.ready}
+                    className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    title="Copia un enlace que abre el visor con esta cámara, representaciones, selección, frame y mediciones"
+                  >
+                    {shareStatus === 'copied' ? '✓ Enlace copiado' : shareStatus === 'error' ? 'No se pudo compartir' : '🔗 Compartir vista'}
+                  </button>
+                )}
+
+                {/* Comparar con otras simulaciones */}
+                {simId && (
+                  <Link
+                    href={buildCompareHref([simId])}
+                    className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors"
+                    title="Abre esta simulación en la vista de comparación para añadir otras"
+                  >
+                    ⇄ Comparar
+                  </Link>
+                )}
+
                 {/* Botón de análisis */}
-                {analysisStatus === 'idle' && (
+                {analysisStatus === 'idle' && !isDemo && (
                   <button
                     onClick={() => startAnalysis('full')}
                     className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
@@ -254,7 +358,27 @@ export default function SimulationDashboard() {
         </header>
 
         <div className="container mx-auto px-4 py-6">
+
+          {/* Aviso de modo demo */}
+          {isDemo && (
+            <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+              <span className="font-semibold">Modo demo:</span> dominio C-terminal de la PABP de
+              T. cruzi (PDB 1NMR): sus 20 modelos de RMN se recorren como frames y el PCA/clustering de
+              los Cα está precalculado. Haz click en un punto del mapa PCA para ver esa conformación en 3D.
+            </div>
+          )}
           
+          {/* Vista compartida */}
+          {sharedView && simulationView.ready && (
+            <div className={`mb-6 rounded-lg p-4 text-sm border ${
+              simulationView.error ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-blue-50 border-blue-200 text-blue-800'
+            }`}>
+              {simulationView.error
+                ? `${simulationView.error}; se muestra tu última vista guardada.`
+                : 'Estás viendo una vista compartida. Tus cambios se guardan solo en este navegador.'}
+            </div>
+          )}
+
           {/* Panel de estado de trabajos */}
           {analysisStatus === 'running' && Object.keys(currentJobs).length > 0 && (
             <div className="mb-6 bg-white rounded-lg shadow-sm p-4">
@@ -262,8 +386,16 @@ export default function SimulationDashboard() {
               <div className="space-y-2">
                 {Object.entries(currentJobs).map(([jobId, job]) => (
                   <div key={jobId} className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded">
-                    <span className="text-sm font-medium">{job.task.replace('_', ' ')}</span>
+                    <div>
+                      <span className="text-sm font-medium">{job.task.replace('_', ' ')}</span>
+                      {job.status === 'running' && job.currentStep !== undefined && (
+                        <span className="ml-2 text-xs text-gray-500">{job.currentStep}</span>
+                      )}
+                    </div>
                     <div className="flex items-center space-x-2">
+                      {job.status === 'running' && job.progress !== undefined && (
+                        <span className="text-xs font-mono text-gray-500">{Math.round(job.progress)}%</span>
+                      )}
                       <span className={`text-xs px-2 py-1 rounded-full ${
                         job.status === 'completed' ? 'bg-green-100 text-green-800' :
                         job.status === 'running' ? 'bg-yellow-100 text-yellow-800' :
@@ -310,14 +442,28 @@ export default function SimulationDashboard() {
                   </div>
                 </div>
                 
-                <MolstarPlayer
-                  topologyUrl={topologyUrl}
-                  trajectoryUrl={trajectoryUrl}
-                  frameToShow={currentFrame}
-                  onFrameChange={handleFrameChange}
-                  height={500}
-                  showControls={true}
-                />
+                {simulationView.ready ? (
+                  <MolstarPlayer
+                    topologyUrl={topologyUrl}
+                    trajectoryUrl={trajectoryUrl}
+                    currentFrame={currentFrame}
+                    timeAxis={timeAxis}
+                    onFrameChange={handleFrameChange}
+                    playback={playback}
+                    onPlaybackChange={setPlayback}
+                    pcaProjections={pcaData}
+                    simulationId={simId}
+                    viewState={simulationView.viewState ?? undefined}
+                    onViewStateChange={simulationView.save}
+                    height={500}
+                    onConformationalAnalysis={setLocalPca}
+                    showControls={true}
+                  />
+                ) : (
+                  <div className="flex items-center justify-center h-96 bg-gray-100 rounded-lg">
+                    <p className="text-gray-600">Cargando vista compartida...</p>
+                  </div>
+                )}
               </div>
 
               {/* Análisis conformacional */}
@@ -326,7 +472,19 @@ export default function SimulationDashboard() {
                   <h2 className="text-lg font-semibold text-gray-900">
                     Análisis Conformacional
                   </h2>
-                  {simulationResults.analysis_results?.pca && (
+                  {localPca ? (
+                    <div className="flex items-center space-x-3 text-sm text-gray-600">
+                      <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs">
+                        Calculado en el navegador
+                      </span>
+                      <span>
+                        Varianza explicada: {' '}
+                        <span className="font-mono">
+                          {localPca.explainedVariance.reduce((total, value) => total + value, 0).toFixed(1)}%
+                        </span>
+                      </span>
+                    </div>
+                  ) : simulationResults.analysis_results?.pca && (
                     <div className="text-sm text-gray-600">
                       Varianza explicada: {' '}
                       <span className="font-mono">
@@ -337,13 +495,21 @@ export default function SimulationDashboard() {
                 </div>
 
                 <PCAPlot
-                  data={pcaData}
+                  data={localPcaData ?? pcaData}
+                  clusterInfo={localPca
+                    ? localPca.clustering.representative_frames
+                    : simulationResults.analysis_results?.pca?.clustering?.representative_frames}
+                  explainedVariance={localPca?.explainedVariance ?? explainedVariance}
                   onPointClick={handlePCAPointClick}
-                  selectedFrame={currentFrame}
+                  onPlaySelection={handlePlaySelection}
+                  customClusters={customClusters}
+                  onCustomClustersChange={handleCustomClustersChange}
+                  currentFrame={currentFrame}
+                  timeAxis={timeAxis}
                   height={500}
                   showLegend={true}
                   colorBy="cluster"
-                  title="Espacio Conformacional (PC1 vs PC2)"
+                  title="Espacio Conformacional"
                 />
               </div>
             </div>
@@ -404,14 +570,16 @@ export default function SimulationDashboard() {
                   
                   {showAdvancedControls && (
                     <div className="space-y-2 text-sm">
+                      {!isDemo && (
+                        <button
+                          onClick={() => startAnalysis('pca')}
+                          className="w-full text-left px-2 py-1 text-gray-700 hover:bg-gray-100 rounded"
+                        >
+                          Re-ejecutar PCA
+                        </button>
+                      )}
                       <button
-                        onClick={() => startAnalysis('pca')}
-                        className="w-full text-left px-2 py-1 text-gray-700 hover:bg-gray-100 rounded"
-                      >
-                        Re-ejecutar PCA
-                      </button>
-                      <button
-                        onClick={loadSimulationResults}
+                        onClick={() => loadSimulationResults()}
                         className="w-full text-left px-2 py-1 text-gray-700 hover:bg-gray-100 rounded"
                       >
                         Recargar Datos
@@ -424,7 +592,7 @@ export default function SimulationDashboard() {
           )}
 
           {/* Estado inicial */}
-          {analysisStatus === 'idle' && !simulationResults && (
+          {analysisStatus === 'idle' && !isDemo && !simulationResults?.analysis_results?.pca && (
             <div className="text-center py-12">
               <div className="max-w-md mx-auto">
                 <div className="text-6xl mb-4">🧬</div>
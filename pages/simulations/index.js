@@ -0,0 +1,483 @@
+// 🧬 ASTROFLORA 7.1 - SIMULATIONS INDEX
+// =====================================
+// Catálogo de simulaciones: filtros, orden, resumen del PCA y acciones en lote
+
+import { useRouter } from 'next/router';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { listSimulations, analyzeSimulation, resolveFileUrl } from '../../lib/api/client';
+import { DEMO_SIMULATION_ID } from '../../lib/demo';
+import { MAX_COMPARED_SIMULATIONS, buildCompareHref } from '../../lib/compare';
+import {
+  ANALYSIS_STATUS_LABELS,
+  SIMULATION_STATUS_LABELS,
+  analysisStatusOf,
+  buildSimulationsHref,
+  canRunPca,
+  defaultSortDirection,
+  filterSimulations,
+  parseSimulationsQuery,
+  sortSimulations
+} from '../../lib/simulations';
+
+// Mientras haya análisis en curso la lista se refresca sola
+const REFRESH_INTERVAL_MS = 5000;
+
+// La búsqueda se escribe en la URL al dejar de teclear
+const SEARCH_URL_DELAY_MS = 300;
+
+const COLUMNS = [
+  { key: 'name', label: 'Simulación' },
+  { key: 'target_protein', label: 'Proteína diana' },
+  { key: 'status', label: 'Estado' },
+  { key: 'created_at', label: 'Fecha' },
+  { key: null, label: 'Análisis' },
+  { key: 'frames', label: 'Frames', numeric: true },
+  { key: 'clusters', label: 'Clusters', numeric: true },
+  { key: 'variance', label: 'Varianza', numeric: true }
+];
+
+const BADGE_CLASSES = {
+  completed: 'bg-green-100 text-green-800',
+  running: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })
+    : '—';
+};
+
+function StatusBadge({ status, labels }) {
+  return (
+    <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${BADGE_CLASSES[status] || 'bg-gray-100 text-gray-800'}`}>
+      {labels[status] || status}
+    </span>
+  );
+}
+
+// Miniatura servida por el backend; sin ella (o si falla) un marcador
+function Thumbnail({ src, alt }) {
+  const [failed, setFailed] = useState(false);
+
+  if (!src || failed) {
+    return (
+      <div className="w-16 h-16 flex items-center justify-center bg-gray-100 rounded text-2xl" aria-hidden="true">
+        🧬
+      </div>
+    );
+  }
+  return (
+    <img
+      src={src}
+      alt={alt}
+      loading="lazy"
+      onError={() => setFailed(true)}
+      className="w-16 h-16 rounded border border-gray-200 bg-gray-50 object-contain"
+    />
+  );
+}
+
+export default function SimulationsIndex() {
+  const router = useRouter();
+  const filters = useMemo(() => parseSimulationsQuery(router.query), [router.query]);
+
+  const [simulations, setSimulations] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+  const [batch, setBatch] = useState(null); // null | { running: true } | { message, failures }
+  const [search, setSearch] = useState('');
+  const searchTimeoutRef = useRef(null);
+
+  // Cargar el catálogo
+  const loadSimulations = useCallback(async ({ signal } = {}) => {
+    try {
+      const list = await listSimulations({ signal });
+      setSimulations(list);
+      setError(null);
+      // La selección solo conserva simulaciones que siguen en el catálogo
+      setSelected(prev => new Set(list.map(sim => sim.sim_id).filter(id => prev.has(id))));
+    } catch (err) {
+      if (err.isCancelled) return;
+      console.error('❌ Error cargando simulaciones:', err);
+      setError(`Error cargando simulaciones: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadSimulations({ signal: controller.signal });
+    return () => controller.abort();
+  }, [loadSimulations]);
+
+  const hasRunningAnalysis = useMemo(
+    () => (simulations || []).some(sim => analysisStatusOf(sim) === 'running'),
+    [simulations]
+  );
+
+  useEffect(() => {
+    if (!hasRunningAnalysis) return undefined;
+    const interval = setInterval(() => loadSimulations(), REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasRunningAnalysis, loadSimulations]);
+
+  // Opciones de los filtros a partir del catálogo
+  const targets = useMemo(
+    () => [...new Set((simulations || []).map(sim => sim.target_protein).filter(Boolean))].sort(),
+    [simulations]
+  );
+  const statuses = useMemo(
+    () => [...new Set([...Object.keys(SIMULATION_STATUS_LABELS), ...(simulations || []).map(sim => sim.status)])],
+    [simulations]
+  );
+
+  const visible = useMemo(
+    () => sortSimulations(filterSimulations(simulations || [], filters), filters),
+    [simulations, filters]
+  );
+
+  // Filtros y orden viven en la URL: se pueden compartir y sobreviven a recargar
+  const updateFilters = useCallback((changes) => {
+    router.replace(buildSimulationsHref({ ...filters, ...changes }), undefined, { shallow: true, scroll: false });
+  }, [router, filters]);
+
+  useEffect(() => {
+    setSearch(filters.q);
+  }, [filters.q]);
+
+  useEffect(() => () => clearTimeout(searchTimeoutRef.current), []);
+
+  const handleSearch = (value) => {
+    setSearch(value);
+    clearTimeout(searchTimeoutRef.current);
+    searchTimeoutRef.current = setTimeout(() => updateFilters({ q: value.trim() }), SEARCH_URL_DELAY_MS);
+  };
+
+  const handleSort = (key) => {
+    const dir = filters.sort === key
+      ? (filters.dir === 'asc' ? 'desc' : 'asc')
+      : defaultSortDirection(key);
+    updateFilters({ sort: key, dir });
+  };
+
+  const hasFilters = ['q', 'status', 'target', 'analysis', 'from', 'to'].some(key => filters[key]);
+
+  // Selección
+  const toggleSelected = (simId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(simId)) next.delete(simId);
+      else next.add(simId);
+      return next;
+    });
+  };
+
+  const allVisibleSelected = visible.length > 0 && visible.every(sim => selected.has(sim.sim_id));
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      visible.forEach(sim => (allVisibleSelected ? next.delete(sim.sim_id) : next.add(sim.sim_id)));
+      return next;
+    });
+  };
+
+  const selectedSims = (simulations || []).filter(sim => selected.has(sim.sim_id));
+  const runnable = selectedSims.filter(canRunPca);
+
+  // Acción en lote: un análisis PCA por simulación seleccionada que lo admita
+  const runPcaOnSelected = async () => {
+    setBatch({ running: true });
+    const results = await Promise.allSettled(runnable.map(sim => analyzeSimulation(sim.sim_id, 'pca')));
+
+    const failures = results
+      .map((result, i) => (result.status === 'rejected' ? `${runnable[i].sim_id}: ${result.reason.message}` : null))
+      .filter(Boolean);
+    const started = results.length - failures.length;
+    const skipped = selectedSims.length - runnable.length;
+
+    setBatch({
+      message: [
+        `PCA encolado en ${started} ${started === 1 ? 'simulación' : 'simulaciones'}`,
+        skipped > 0 ? `${skipped} omitidas (dinámica sin terminar o análisis en curso)` : null
+      ].filter(Boolean).join('; '),
+      failures
+    });
+    loadSimulations();
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Astroflora 7.1 - Simulaciones</title>
+        <meta name="description" content="Catálogo de simulaciones de dinámica molecular" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b">
+          <div className="container mx-auto px-4 py-4">
+            <div className="flex items-center justify-between flex-wrap gap-4">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  🧬 Simulaciones
+                </h1>
+                <p className="text-gray-600">
+                  {simulations
+                    ? `${visible.length} de ${simulations.length} simulaciones`
+                    : 'Cargando catálogo...'}
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-4">
+                <button
+                  onClick={() => loadSimulations()}
+                  className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  Recargar
+                </button>
+                <Link
+                  href={`/simulations/${DEMO_SIMULATION_ID}`}
+                  className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  Ver demo
+                </Link>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <div className="container mx-auto px-4 py-6">
+
+          {/* Filtros */}
+          <div className="mb-4 bg-white rounded-lg shadow-sm p-4 flex flex-wrap items-end gap-4 text-sm">
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Buscar</span>
+              <input
+                type="search"
+                value={search}
+                onChange={e => handleSearch(e.target.value)}
+                placeholder="Nombre, ID o proteína"
+                className="border border-gray-300 rounded px-2 py-1 w-48"
+              />
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Estado</span>
+              <select
+                value={filters.status}
+                onChange={e => updateFilters({ status: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Todos</option>
+                {statuses.map(status => (
+                  <option key={status} value={status}>{SIMULATION_STATUS_LABELS[status] || status}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Proteína diana</span>
+              <select
+                value={filters.target}
+                onChange={e => updateFilters({ target: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Todas</option>
+                {targets.map(target => (
+                  <option key={target} value={target}>{target}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Análisis</span>
+              <select
+                value={filters.analysis}
+                onChange={e => updateFilters({ analysis: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Todos</option>
+                {Object.entries(ANALYSIS_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Desde</span>
+              <input
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={e => updateFilters({ from: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Hasta</span>
+              <input
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={e => updateFilters({ to: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </label>
+            {hasFilters && (
+              <button
+                onClick={() => updateFilters({ q: '', status: '', target: '', analysis: '', from: '', to: '' })}
+                className="text-blue-600 hover:text-blue-800 py-1"
+              >
+                Quitar filtros
+              </button>
+            )}
+          </div>
+
+          {/* Acciones en lote */}
+          {selected.size > 0 && (
+            <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg p-3 flex flex-wrap items-center gap-4 text-sm text-blue-800">
+              <span>
+                <span className="font-semibold">{selected.size}</span> seleccionadas
+              </span>
+              <button
+                onClick={runPcaOnSelected}
+                disabled={runnable.length === 0 || batch?.running}
+                className="bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                title="Encola un análisis PCA en las seleccionadas con la dinámica terminada"
+              >
+                {batch?.running ? 'Encolando...' : `Ejecutar PCA (${runnable.length})`}
+              </button>
+              {selected.size <= MAX_COMPARED_SIMULATIONS ? (
+                <Link
+                  href={buildCompareHref([...selected])}
+                  className="border border-blue-300 bg-white px-3 py-1.5 rounded-lg hover:bg-blue-100 transition-colors"
+                >
+                  ⇄ Comparar
+                </Link>
+              ) : (
+                <span className="text-blue-700">Se comparan como máximo {MAX_COMPARED_SIMULATIONS} a la vez</span>
+              )}
+              <button onClick={() => setSelected(new Set())} className="text-blue-600 hover:text-blue-800">
+                Deseleccionar
+              </button>
+            </div>
+          )}
+
+          {batch?.message && (
+            <div className={`mb-4 rounded-lg p-3 text-sm border ${
+              batch.failures.length > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'
+            }`}>
+              <div className="flex items-start justify-between">
+                <div>
+                  <p>{batch.message}.</p>
+                  {batch.failures.map(failure => (
+                    <p key={failure} className="mt-1">No se pudo encolar {failure}</p>
+                  ))}
+                </div>
+                <button onClick={() => setBatch(null)} className="ml-4 text-gray-400 hover:text-gray-600" title="Cerrar">
+                  ✕
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Error display */}
+          {error && (
+            <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4">
+              <h3 className="font-semibold text-red-800">Error</h3>
+              <p className="text-red-700 text-sm mt-1">{error}</p>
+            </div>
+          )}
+
+          {/* Tabla de simulaciones */}
+          {simulations && (
+            <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 text-left">
+                  <tr>
+                    <th className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={allVisibleSelected}
+                        onChange={toggleAllVisible}
+                        disabled={visible.length === 0}
+                        title="Seleccionar las visibles"
+                      />
+                    </th>
+                    <th className="px-3 py-2 font-medium">Vista previa</th>
+                    {COLUMNS.map(column => (
+                      <th key={column.label} className={`px-3 py-2 font-medium ${column.numeric ? 'text-right' : ''}`}>
+                        {column.key ? (
+                          <button onClick={() => handleSort(column.key)} className="hover:text-gray-900 whitespace-nowrap">
+                            {column.label}
+                            {filters.sort === column.key && (filters.dir === 'asc' ? ' ▲' : ' ▼')}
+                          </button>
+                        ) : column.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visible.map(sim => {
+                    const pca = sim.analysis?.pca;
+                    const href = `/simulations/${encodeURIComponent(sim.sim_id)}`;
+                    return (
+                      <tr key={sim.sim_id} className={selected.has(sim.sim_id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={selected.has(sim.sim_id)}
+                            onChange={() => toggleSelected(sim.sim_id)}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <Link href={href}>
+                            <Thumbnail src={resolveFileUrl(sim.thumbnail)} alt={`Estructura de ${sim.name || sim.sim_id}`} />
+                          </Link>
+                        </td>
+                        <td className="px-3 py-2">
+                          <Link href={href} className="font-medium text-gray-900 hover:text-blue-700">
+                            {sim.name || sim.sim_id}
+                          </Link>
+                          <div className="font-mono text-xs text-gray-500">{sim.sim_id}</div>
+                        </td>
+                        <td className="px-3 py-2 font-mono">{sim.target_protein || '—'}</td>
+                        <td className="px-3 py-2">
+                          <StatusBadge status={sim.status} labels={SIMULATION_STATUS_LABELS} />
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(sim.created_at)}</td>
+                        <td className="px-3 py-2">
+                          <StatusBadge status={analysisStatusOf(sim)} labels={ANALYSIS_STATUS_LABELS} />
+                        </td>
+                        <td className="px-3 py-2 text-right font-mono">{pca?.total_frames ?? sim.frame_count ?? '—'}</td>
+                        <td className="px-3 py-2 text-right font-mono">{pca?.n_clusters ?? '—'}</td>
+                        <td className="px-3 py-2 text-right font-mono">
+                          {typeof pca?.total_variance_explained === 'number' ? `${pca.total_variance_explained.toFixed(1)}%` : '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {visible.length === 0 && (
+                <div className="p-8 text-center text-gray-600">
+                  {simulations.length === 0
+                    ? 'Todavía no hay simulaciones en el backend.'
+                    : 'Ninguna simulación cumple los filtros.'}
+                </div>
+              )}
+            </div>
+          )}
+
+          {!simulations && !error && (
+            <div className="flex items-center justify-center h-64">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          )}
+
+        </div>
+      </div>
+    </>
+  );
+}
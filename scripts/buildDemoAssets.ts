@@ -0,0 +1,188 @@
+// 🧬 ASTROFLORA 7.1 - BUILD DEMO ASSETS
+// =====================================
+// Genera los archivos de la simulación demo (public/demo) a partir del conjunto RMN de 1NMR
+//
+// Uso: npm run demo:assets -- ruta/a/1NMR.pdb
+// (el PDB completo, con sus 20 modelos: https://files.rcsb.org/download/1NMR.pdb)
+//
+// - 1nmr.pdb: cabecera de la entrada y el modelo 1 como topología
+// - 1nmr.dcd: los 20 modelos como frames (CHARMM, sin DELTA: no son instantes de una dinámica)
+// - 1nmr-pca.json: PCA y clustering de los Cα con el mismo código que el análisis del navegador
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { alignFrames, analyzeConformations } from '../src/lib/conformationalAnalysis';
+
+const OUTPUT_DIR = join(process.cwd(), 'public', 'demo');
+const NAME = '1nmr';
+
+// Registros de la cabecera que se conservan (sin celda: la de RMN es ficticia)
+const HEADER_RECORDS = ['HEADER', 'TITLE ', 'COMPND', 'SOURCE', 'KEYWDS', 'EXPDTA', 'AUTHOR', 'HELIX ', 'SHEET '];
+
+const PCA_OPTIONS = { atoms: 'ca', components: 5, method: 'kmeans', clusters: 3 } as const;
+
+interface Ensemble {
+  header: string[];
+  /** Líneas ATOM del primer modelo */
+  atoms: string[];
+  /** Coordenadas por modelo, en el orden de `atoms` */
+  models: Float32Array[];
+}
+
+function readEnsemble(text: string): Ensemble {
+  const header: string[] = [];
+  const models: Array<{ atoms: string[]; coordinates: number[] }> = [];
+  let current: { atoms: string[]; coordinates: number[] } | null = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const record = line.slice(0, 6);
+    if (HEADER_RECORDS.includes(record)) header.push(line.trimEnd());
+    else if (record === 'MODEL ') models.push(current = { atoms: [], coordinates: [] });
+    else if (record === 'ENDMDL') current = null;
+    else if (record === 'ATOM  ' && current) {
+      current.atoms.push(line.trimEnd());
+      current.coordinates.push(Number(line.slice(30, 38)), Number(line.slice(38, 46)), Number(line.slice(46, 54)));
+    }
+  }
+
+  if (models.length < 3) throw new Error(`Se esperaban los modelos del conjunto RMN; hay ${models.length}`);
+  const atoms = models[0].atoms;
+  models.forEach(({ atoms: modelAtoms }, i) => {
+    const same = modelAtoms.length === atoms.length
+      && modelAtoms.every((line, k) => line.slice(12, 27) === atoms[k].slice(12, 27));
+    if (!same) throw new Error(`El modelo ${i + 1} no tiene los mismos átomos que el primero`);
+  });
+
+  return { header, atoms, models: models.map(model => Float32Array.from(model.coordinates)) };
+}
+
+function toPdb({ header, atoms }: Ensemble): string {
+  return [...header, ...atoms, 'TER', 'END', ''].join('\n');
+}
+
+/**
+ * DCD CHARMM (little endian, sin celda unidad). DELTA = 0: el visor no inventa tiempos.
+ */
+function toDcd(models: Float32Array[], title: string): Uint8Array {
+  const natom = models[0].length / 3;
+  const frameBytes = 3 * (4 + natom * 4 + 4);
+  const bytes = new Uint8Array(92 + (4 + 4 + 80 + 4) + 12 + models.length * frameBytes);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+
+  const int = (value: number) => { view.setInt32(pos, value, true); pos += 4; };
+  const float = (value: number) => { view.setFloat32(pos, value, true); pos += 4; };
+  const ascii = (text: string) => {
+    for (let i = 0; i < text.length; i++) bytes[pos + i] = text.charCodeAt(i);
+    pos += text.length;
+  };
+
+  // Cabecera: CORD + 20 enteros de control
+  int(84);
+  ascii('CORD');
+  int(models.length);                                  // NSET
+  int(1);                                              // ISTART
+  int(1);                                              // NSAVC
+  int(models.length);                                  // NSTEP
+  for (let i = 0; i < 4; i++) int(0);
+  int(0);                                              // NAMNF
+  float(0);                                            // DELTA
+  for (let i = 0; i < 9; i++) int(0);
+  int(24);                                             // versión CHARMM
+  int(84);
+
+  int(4 + 80);
+  int(1);
+  ascii(title.padEnd(80).slice(0, 80));
+  int(4 + 80);
+
+  int(4);
+  int(natom);
+  int(4);
+
+  models.forEach(coordinates => {
+    for (let axis = 0; axis < 3; axis++) {
+      int(natom * 4);
+      for (let i = 0; i < natom; i++) float(coordinates[i * 3 + axis]);
+      int(natom * 4);
+    }
+  });
+
+  return bytes;
+}
+
+/**
+ * Cα de cada modelo, centrados y superpuestos como en el PCA: RMSD frente a la
+ * estructura media y radio de giro (Å).
+ */
+function caMetrics(set: { coordinates: Float32Array; frameCount: number; atomCount: number }) {
+  const { frameCount, atomCount } = set;
+  const size = atomCount * 3;
+  const aligned = alignFrames(set);
+  const mean = new Float64Array(size);
+  for (let f = 0; f < frameCount; f++) {
+    for (let k = 0; k < size; k++) mean[k] += aligned[f * size + k] / frameCount;
+  }
+
+  return Array.from({ length: frameCount }, (_, f) => {
+    let deviation = 0;
+    let gyration = 0;
+    for (let k = 0; k < size; k++) {
+      const value = aligned[f * size + k];
+      deviation += (value - mean[k]) ** 2;
+      gyration += value ** 2;
+    }
+    return { rmsd: Math.sqrt(deviation / atomCount), rg: Math.sqrt(gyration / atomCount) };
+  });
+}
+
+const round = (value: number, digits: number) => Number(value.toFixed(digits));
+
+function main() {
+  const input = process.argv[2];
+  if (!input) throw new Error('Uso: npm run demo:assets -- ruta/a/1NMR.pdb');
+
+  const ensemble = readEnsemble(readFileSync(input, 'utf8'));
+  const caIndices = ensemble.atoms.flatMap((line, i) => (line.slice(12, 16).trim() === 'CA' ? [i] : []));
+  const set = {
+    coordinates: Float32Array.from(ensemble.models.flatMap(model => caIndices.flatMap(i => [
+      model[i * 3], model[i * 3 + 1], model[i * 3 + 2]
+    ]))),
+    frameCount: ensemble.models.length,
+    atomCount: caIndices.length
+  };
+
+  const result = analyzeConformations(set, PCA_OPTIONS);
+  const metrics = caMetrics(set);
+  const pca = {
+    projections: result.projections.map(({ frame, cluster, ...components }) => ({
+      frame,
+      ...Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value, 4)])),
+      cluster,
+      rmsd: round(metrics[frame].rmsd, 3),
+      rg: round(metrics[frame].rg, 3)
+    })),
+    stats: {
+      total_frames: result.frameCount,
+      pca_dimensions: result.explainedVariance.length,
+      explained_variance: result.explainedVariance.map(value => round(value, 1)),
+      total_variance_explained: round(result.explainedVariance.reduce((sum, value) => sum + value, 0), 1)
+    },
+    clustering: {
+      ...result.clustering,
+      representative_frames: result.clustering.representative_frames.map(cluster => ({
+        ...cluster,
+        percentage: round(cluster.percentage, 1)
+      }))
+    }
+  };
+
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  writeFileSync(join(OUTPUT_DIR, `${NAME}.pdb`), toPdb(ensemble));
+  writeFileSync(join(OUTPUT_DIR, `${NAME}.dcd`), toDcd(ensemble.models, '1NMR SOLUTION NMR ENSEMBLE, ONE MODEL PER FRAME'));
+  writeFileSync(join(OUTPUT_DIR, `${NAME}-pca.json`), `${JSON.stringify(pca, null, 2)}\n`);
+
+  console.log(`${ensemble.models.length} modelos, ${ensemble.atoms.length} átomos, ${caIndices.length} Cα → ${OUTPUT_DIR}`);
+}
+
+main();
@@ -0,0 +1,149 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - CONFORMATIONAL ANALYSIS PANEL COMPONENT
+ * ===========================================================
+ * Panel del visor para calcular el PCA y el clustering de la trayectoria en el navegador
+ */
+
+import React from 'react';
+import {
+  ANALYSIS_ATOMS_LABELS,
+  AnalysisAtoms,
+  CLUSTERING_LABELS,
+  ClusteringMethod,
+  ConformationalAnalysisOptions,
+  LocalPcaResult,
+  MAX_ANALYSIS_CLUSTERS,
+  MAX_ANALYSIS_COMPONENTS
+} from '../lib/conformationalAnalysis';
+
+export interface ConformationalAnalysisPanelProps {
+  options: ConformationalAnalysisOptions;
+  onOptionsChange: (options: ConformationalAnalysisOptions) => void;
+  /** Paso en curso y fracción completada; `null` si no se está calculando */
+  progress: { label: string; fraction?: number } | null;
+  error: string | null;
+  /** Último resultado aplicado al gráfico PCA */
+  result: LocalPcaResult | null;
+  /** Sin trayectoria cargada no se puede calcular */
+  disabled: boolean;
+  onRun: () => void;
+  onCancel: () => void;
+  onDiscard: () => void;
+}
+
+const inputClass = 'bg-gray-700 text-gray-100 text-xs rounded px-1 py-0.5 border border-gray-600';
+const buttonClass = 'text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50';
+
+/**
+ * Átomos, componentes, método y k del análisis; el resultado sustituye al PCA del backend.
+ */
+export const ConformationalAnalysisPanel: React.FC<ConformationalAnalysisPanelProps> = ({
+  options,
+  onOptionsChange,
+  progress,
+  error,
+  result,
+  disabled,
+  onRun,
+  onCancel,
+  onDiscard
+}) => {
+  const update = (changes: Partial<ConformationalAnalysisOptions>) => onOptionsChange({ ...options, ...changes });
+  const updateNumber = (key: 'components' | 'clusters', value: string, max: number) => {
+    const number = Number.parseInt(value, 10);
+    if (Number.isInteger(number) && number >= 1 && number <= max) update({ [key]: number });
+  };
+
+  return (
+    <div className="bg-gray-800 px-4 py-3 border-t border-gray-700 space-y-2 text-gray-200">
+      <div className="flex items-center justify-between flex-wrap gap-2">
+        <h4 className="text-sm font-medium">PCA en el navegador</h4>
+        <div className="flex items-center flex-wrap gap-3 text-xs text-gray-400">
+          <select
+            value={options.atoms}
+            onChange={e => update({ atoms: e.target.value as AnalysisAtoms })}
+            className={inputClass}
+            title="Átomos del análisis"
+          >
+            {(Object.entries(ANALYSIS_ATOMS_LABELS) as [AnalysisAtoms, string][]).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          <label className="flex items-center space-x-1">
+            <span>PCs</span>
+            <input
+              type="number"
+              min={2}
+              max={MAX_ANALYSIS_COMPONENTS}
+              value={options.components}
+              onChange={e => updateNumber('components', e.target.value, MAX_ANALYSIS_COMPONENTS)}
+              className={`${inputClass} w-12`}
+            />
+          </label>
+
+          <select
+            value={options.method}
+            onChange={e => update({ method: e.target.value as ClusteringMethod })}
+            className={inputClass}
+            title="Clustering"
+          >
+            {(Object.entries(CLUSTERING_LABELS) as [ClusteringMethod, string][]).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          <label className="flex items-center space-x-1">
+            <span>k</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_ANALYSIS_CLUSTERS}
+              value={options.clusters}
+              onChange={e => updateNumber('clusters', e.target.value, MAX_ANALYSIS_CLUSTERS)}
+              className={`${inputClass} w-12`}
+            />
+          </label>
+
+          {progress ? (
+            <button onClick={onCancel} className={buttonClass}>Cancelar</button>
+          ) : (
+            <button onClick={onRun} disabled={disabled} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}>
+              Calcular
+            </button>
+          )}
+        </div>
+      </div>
+
+      {progress && (
+        <p className="text-xs text-gray-400">
+          {progress.label}…{progress.fraction !== undefined && ` ${Math.round(progress.fraction * 100)}%`}
+        </p>
+      )}
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {result && !progress && (
+        <div className="flex items-center justify-between text-xs text-gray-400">
+          <span>
+            {ANALYSIS_ATOMS_LABELS[result.options.atoms]} ({result.atomCount} átomos, {result.frameCount} frames) •{' '}
+            {result.explainedVariance.slice(0, 3).map((value, i) => `PC${i + 1} ${value.toFixed(1)}%`).join(', ')} •{' '}
+            {CLUSTERING_LABELS[result.clustering.method]}, {result.clustering.n_clusters} clusters
+          </span>
+          <button onClick={onDiscard} className={buttonClass} title="Volver al PCA del backend">
+            Descartar
+          </button>
+        </div>
+      )}
+
+      {!result && !progress && !error && (
+        <p className="text-xs text-gray-400">
+          Superpone los frames, calcula los componentes principales de los átomos elegidos y agrupa las
+          conformaciones, sin pasar por el backend.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ConformationalAnalysisPanel;
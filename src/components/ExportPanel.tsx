@@ -0,0 +1,330 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - EXPORT PANEL COMPONENT
+ * ==========================================
+ * Panel del visor para guardar imágenes PNG y grabar películas WebM o GIF de la trayectoria
+ */
+
+import React, { useState } from 'react';
+import { CameraIcon, VideoCameraIcon, XMarkIcon } from '@heroicons/react/24/solid';
+import {
+  ImageSize,
+  MAX_IMAGE_SIZE,
+  MOVIE_FORMAT_LABELS,
+  MovieFormat,
+  canRecordWebm
+} from '../lib/molstar/imageExport';
+import { FrameRange, PLAYBACK_FPS_OPTIONS, PlaybackSettings, playbackRange } from '../lib/playback';
+
+/** Texto superpuesto en cada frame de la película */
+export interface MovieOverlays {
+  frame: boolean;
+  time: boolean;
+  pca: boolean;
+}
+
+export interface SnapshotOptions extends ImageSize {
+  transparent: boolean;
+}
+
+export interface RecordOptions extends ImageSize {
+  format: MovieFormat;
+  range: FrameRange;
+  step: number;
+  fps: number;
+  overlays: MovieOverlays;
+}
+
+export interface ExportPanelProps {
+  /** Tamaño del visor en píxeles del dispositivo, para las resoluciones relativas */
+  viewportSize: ImageSize;
+  frameCount: number;
+  /** Ajustes de reproducción: rango, paso y FPS iniciales de la película */
+  playback: PlaybackSettings;
+  /** Hay tiempos por frame (superposición de tiempo) */
+  hasTimes: boolean;
+  /** Hay proyecciones PCA (superposición de PC1/PC2) */
+  hasPca: boolean;
+  /** Grabación en curso; `null` si no se está grabando */
+  recording: { done: number; total: number } | null;
+  /** Imagen en curso */
+  saving: boolean;
+  error?: string | null;
+  onSnapshot: (options: SnapshotOptions) => void;
+  onRecord: (options: RecordOptions) => void;
+  onCancelRecording: () => void;
+  onClose?: () => void;
+}
+
+type Resolution = 'viewport' | 'viewport-2x' | 'hd' | 'full-hd' | 'ultra-hd' | 'custom';
+
+const RESOLUTIONS: Record<Resolution, { label: string; size: (viewport: ImageSize) => ImageSize }> = {
+  viewport: { label: 'Visor', size: viewport => viewport },
+  'viewport-2x': { label: 'Visor ×2', size: ({ width, height }) => ({ width: width * 2, height: height * 2 }) },
+  hd: { label: 'HD (1280×720)', size: () => ({ width: 1280, height: 720 }) },
+  'full-hd': { label: 'Full HD (1920×1080)', size: () => ({ width: 1920, height: 1080 }) },
+  'ultra-hd': { label: '4K (3840×2160)', size: () => ({ width: 3840, height: 2160 }) },
+  custom: { label: 'Personalizada', size: viewport => viewport }
+};
+
+// Lado a partir del cual un GIF se vuelve lento de codificar y pesado
+const GIF_SIZE_HINT = 800;
+
+const inputClass = 'bg-gray-700 text-gray-100 text-xs rounded px-1 py-1 border border-gray-600';
+const buttonClass = 'flex items-center justify-center space-x-1 w-full text-xs px-2 py-1.5 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50';
+
+const clampSize = (value: number) => Math.max(1, Math.min(MAX_IMAGE_SIZE, Math.round(value)));
+
+/**
+ * Exportación del visor (ver `imageExport`). Los frames se muestran 1-indexed.
+ */
+export const ExportPanel: React.FC<ExportPanelProps> = ({
+  viewportSize,
+  frameCount,
+  playback,
+  hasTimes,
+  hasPca,
+  recording,
+  saving,
+  error,
+  onSnapshot,
+  onRecord,
+  onCancelRecording,
+  onClose
+}) => {
+  const webmSupported = canRecordWebm();
+  const [resolution, setResolution] = useState<Resolution>('viewport-2x');
+  const [customSize, setCustomSize] = useState<ImageSize>(RESOLUTIONS['viewport-2x'].size(viewportSize));
+  const [transparent, setTransparent] = useState(true);
+  const [format, setFormat] = useState<MovieFormat>(webmSupported ? 'webm' : 'gif');
+  const [range, setRange] = useState<FrameRange>(() => playbackRange(playback.range, frameCount));
+  const [step, setStep] = useState(playback.step);
+  const [fps, setFps] = useState(playback.fps);
+  const [overlays, setOverlays] = useState<MovieOverlays>({ frame: true, time: hasTimes, pca: false });
+
+  const size = resolution === 'custom' ? customSize : RESOLUTIONS[resolution].size(viewportSize);
+  const outputSize = { width: clampSize(size.width), height: clampSize(size.height) };
+  const busy = recording !== null || saving;
+  const movieFrames = range.end >= range.start ? Math.floor((range.end - range.start) / step) + 1 : 0;
+
+  const handleResolutionChange = (value: Resolution) => {
+    // La personalizada parte del tamaño que se estaba usando
+    if (value === 'custom') setCustomSize(outputSize);
+    setResolution(value);
+  };
+
+  const handleSizeChange = (side: keyof ImageSize, value: string) => {
+    const pixels = Number.parseInt(value, 10);
+    if (Number.isInteger(pixels)) setCustomSize(current => ({ ...current, [side]: pixels }));
+  };
+
+  const handleRangeChange = (edge: keyof FrameRange, value: string) => {
+    const frame = Number.parseInt(value, 10) - 1;
+    if (Number.isInteger(frame)) setRange(current => ({ ...current, [edge]: Math.max(0, Math.min(frame, frameCount - 1)) }));
+  };
+
+  const handleStepChange = (value: string) => {
+    const frames = Number.parseInt(value, 10);
+    if (Number.isInteger(frames) && frames >= 1) setStep(frames);
+  };
+
+  const checkbox = (key: keyof MovieOverlays, label: string, available: boolean) => (
+    <label className={`flex items-center space-x-1 text-xs ${available ? 'cursor-pointer' : 'opacity-50'}`}>
+      <input
+        type="checkbox"
+        checked={overlays[key] && available}
+        disabled={!available}
+        onChange={e => setOverlays(current => ({ ...current, [key]: e.target.checked }))}
+      />
+      <span>{label}</span>
+    </label>
+  );
+
+  return (
+    <div className="w-72 max-h-full overflow-y-auto bg-gray-800 bg-opacity-95 border border-gray-700 rounded-lg shadow-lg p-3 text-gray-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium">Exportar</h4>
+        {onClose && (
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Cerrar">
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {/* Resolución (imagen y película) */}
+      <div className="space-y-1">
+        <label className="text-xs text-gray-400" htmlFor="export-resolution">Resolución</label>
+        <select
+          id="export-resolution"
+          value={resolution}
+          onChange={e => handleResolutionChange(e.target.value as Resolution)}
+          className={`${inputClass} w-full`}
+          disabled={busy}
+        >
+          {(Object.entries(RESOLUTIONS) as [Resolution, { label: string }][]).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {resolution === 'custom' ? (
+          <div className="flex items-center space-x-1 text-xs text-gray-400">
+            <input
+              type="number"
+              min={1}
+              max={MAX_IMAGE_SIZE}
+              value={customSize.width}
+              onChange={e => handleSizeChange('width', e.target.value)}
+              className={`${inputClass} w-20`}
+              disabled={busy}
+            />
+            <span>×</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_IMAGE_SIZE}
+              value={customSize.height}
+              onChange={e => handleSizeChange('height', e.target.value)}
+              className={`${inputClass} w-20`}
+              disabled={busy}
+            />
+            <span>px</span>
+          </div>
+        ) : (
+          <p className="text-xs text-gray-400">{outputSize.width} × {outputSize.height} px</p>
+        )}
+      </div>
+
+      {/* Imagen */}
+      <div className="space-y-2 border-t border-gray-700 pt-3">
+        <label className="flex items-center space-x-2 text-xs cursor-pointer">
+          <input type="checkbox" checked={transparent} onChange={e => setTransparent(e.target.checked)} />
+          <span>Fondo transparente</span>
+        </label>
+        <button
+          onClick={() => onSnapshot({ ...outputSize, transparent })}
+          disabled={busy}
+          className={buttonClass}
+        >
+          <CameraIcon className="h-4 w-4" />
+          <span>{saving ? 'Renderizando…' : 'Guardar PNG'}</span>
+        </button>
+      </div>
+
+      {/* Película */}
+      {frameCount > 1 && (
+        <div className="space-y-2 border-t border-gray-700 pt-3">
+          <select
+            value={format}
+            onChange={e => setFormat(e.target.value as MovieFormat)}
+            className={`${inputClass} w-full`}
+            disabled={busy}
+          >
+            {(Object.entries(MOVIE_FORMAT_LABELS) as [MovieFormat, string][]).map(([value, label]) => (
+              <option key={value} value={value} disabled={value === 'webm' && !webmSupported}>{label}</option>
+            ))}
+          </select>
+
+          <div className="flex items-center space-x-1 text-xs text-gray-400">
+            <span>Frames</span>
+            <input
+              type="number"
+              min={1}
+              max={frameCount}
+              value={range.start + 1}
+              onChange={e => handleRangeChange('start', e.target.value)}
+              className={`${inputClass} w-16`}
+              disabled={busy}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min={1}
+              max={frameCount}
+              value={range.end + 1}
+              onChange={e => handleRangeChange('end', e.target.value)}
+              className={`${inputClass} w-16`}
+              disabled={busy}
+            />
+          </div>
+
+          <div className="flex items-center space-x-3 text-xs text-gray-400">
+            <label className="flex items-center space-x-1">
+              <span>Paso</span>
+              <input
+                type="number"
+                min={1}
+                value={step}
+                onChange={e => handleStepChange(e.target.value)}
+                className={`${inputClass} w-14`}
+                disabled={busy}
+              />
+            </label>
+            <label className="flex items-center space-x-1">
+              <span>FPS</span>
+              <select
+                value={fps}
+                onChange={e => setFps(Number(e.target.value))}
+                className={inputClass}
+                disabled={busy}
+              >
+                {PLAYBACK_FPS_OPTIONS.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex items-center space-x-3">
+            {checkbox('frame', 'Frame', true)}
+            {checkbox('time', 'Tiempo', hasTimes)}
+            {checkbox('pca', 'PCA', hasPca)}
+          </div>
+
+          <p className="text-xs text-gray-400">
+            {movieFrames} frames · {(movieFrames / fps).toFixed(1)} s
+            {format === 'gif' && Math.max(outputSize.width, outputSize.height) > GIF_SIZE_HINT && (
+              <span className="block text-yellow-300">Un GIF de este tamaño tardará y pesará mucho</span>
+            )}
+          </p>
+
+          {recording ? (
+            <div className="space-y-1">
+              <div className="h-1 bg-gray-700 rounded">
+                <div
+                  className="h-1 bg-blue-500 rounded transition-all"
+                  style={{ width: `${Math.round((recording.done / Math.max(recording.total, 1)) * 100)}%` }}
+                />
+              </div>
+              <div className="flex items-center justify-between text-xs text-gray-400">
+                <span>Grabando {recording.done} / {recording.total}</span>
+                <button onClick={onCancelRecording} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">
+                  Cancelar
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => onRecord({
+                ...outputSize,
+                format,
+                range,
+                step,
+                fps,
+                overlays: { frame: overlays.frame, time: overlays.time && hasTimes, pca: overlays.pca && hasPca }
+              })}
+              disabled={busy || movieFrames === 0}
+              className={buttonClass}
+            >
+              <VideoCameraIcon className="h-4 w-4" />
+              <span>Grabar</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-red-300">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,152 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - MEASUREMENT PANEL COMPONENT
+ * ===============================================
+ * Panel del visor para definir mediciones, ver su serie temporal y exportarlas
+ */
+
+import React from 'react';
+import { ArrowDownTrayIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/solid';
+import { MeasurementPlot } from './MeasurementPlot';
+import {
+  MEASUREMENT_ATOM_COUNT,
+  MEASUREMENT_LABELS,
+  MeasuredAtom,
+  Measurement,
+  MeasurementKind,
+  MeasurementSeries,
+  formatMeasurement,
+  measurementLabel
+} from '../lib/measurements';
+import { TimeUnit } from '../lib/timeAxis';
+
+export interface MeasurementPanelProps {
+  measurements: Measurement[];
+  series: MeasurementSeries;
+  /** Frames calculados; `null` si la serie está completa */
+  progress: { done: number; total: number } | null;
+  frameCount: number;
+  currentFrame: number;
+  /** Tiempo de cada frame en `timeUnit`; sin él, el eje X es el frame */
+  times?: ArrayLike<number> | null;
+  timeUnit: TimeUnit;
+  /** Medición en curso: tipo y átomos ya elegidos */
+  picking: { kind: MeasurementKind; atoms: MeasuredAtom[] } | null;
+  onStartPicking: (kind: MeasurementKind) => void;
+  onCancelPicking: () => void;
+  onRemove: (id: string) => void;
+  onFrameSelect: (frame: number) => void;
+  onExport: () => void;
+}
+
+const buttonClass = 'text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50';
+
+/**
+ * Lista de mediciones con su valor en el frame actual y gráfico a lo largo de la trayectoria.
+ */
+export const MeasurementPanel: React.FC<MeasurementPanelProps> = ({
+  measurements,
+  series,
+  progress,
+  frameCount,
+  currentFrame,
+  times,
+  timeUnit,
+  picking,
+  onStartPicking,
+  onCancelPicking,
+  onRemove,
+  onFrameSelect,
+  onExport
+}) => (
+  <div className="bg-gray-800 px-4 py-3 border-t border-gray-700 space-y-3 text-gray-200">
+    <div className="flex items-center justify-between flex-wrap gap-2">
+      <div className="flex items-center space-x-2">
+        <h4 className="text-sm font-medium">Mediciones</h4>
+        {(Object.entries(MEASUREMENT_LABELS) as [MeasurementKind, string][]).map(([kind, label]) => (
+          <button
+            key={kind}
+            onClick={() => onStartPicking(kind)}
+            disabled={picking !== null}
+            className={buttonClass}
+            title={`${label}: elige ${MEASUREMENT_ATOM_COUNT[kind]} átomos en el visor`}
+          >
+            + {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex items-center space-x-3 text-xs text-gray-400">
+        {progress && (
+          <span>Calculando… {Math.round((progress.done / Math.max(progress.total, 1)) * 100)}%</span>
+        )}
+        <button
+          onClick={onExport}
+          disabled={measurements.length === 0}
+          className={`${buttonClass} flex items-center space-x-1`}
+        >
+          <ArrowDownTrayIcon className="h-3 w-3" />
+          <span>CSV</span>
+        </button>
+      </div>
+    </div>
+
+    {/* Medición en curso */}
+    {picking && (
+      <div className="flex items-center justify-between bg-blue-900 bg-opacity-50 rounded px-2 py-1 text-xs">
+        <span>
+          {MEASUREMENT_LABELS[picking.kind]}: haz click en el átomo {picking.atoms.length + 1} de {MEASUREMENT_ATOM_COUNT[picking.kind]}
+          {picking.atoms.length > 0 && ` (${picking.atoms.map(atom => atom.label).join(' – ')})`}
+        </span>
+        <button onClick={onCancelPicking} className="p-1 rounded hover:bg-blue-800" title="Cancelar">
+          <XMarkIcon className="h-3 w-3" />
+        </button>
+      </div>
+    )}
+
+    {measurements.length === 0 && !picking && (
+      <p className="text-xs text-gray-400">
+        Añade una distancia, un ángulo o un diedro eligiendo los átomos en el visor.
+      </p>
+    )}
+
+    {measurements.length > 0 && (
+      <>
+        <ul className="space-y-1">
+          {measurements.map(measurement => (
+            <li key={measurement.id} className="flex items-center justify-between text-xs bg-gray-900 rounded px-2 py-1">
+              <span className="truncate">
+                <span className="text-gray-400">{MEASUREMENT_LABELS[measurement.kind]}</span>{' '}
+                {measurementLabel(measurement)}
+              </span>
+              <span className="flex items-center space-x-2 ml-2">
+                <span className="font-mono">
+                  {formatMeasurement(measurement.kind, series[measurement.id]?.[currentFrame] ?? NaN)}
+                </span>
+                <button
+                  onClick={() => onRemove(measurement.id)}
+                  className="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-700"
+                  title="Quitar medición"
+                >
+                  <TrashIcon className="h-3 w-3" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        {frameCount > 1 && (
+          <MeasurementPlot
+            measurements={measurements}
+            series={series}
+            frameCount={frameCount}
+            currentFrame={currentFrame}
+            times={times}
+            timeUnit={timeUnit}
+            onFrameSelect={onFrameSelect}
+          />
+        )}
+      </>
+    )}
+  </div>
+);
+
+export default MeasurementPanel;
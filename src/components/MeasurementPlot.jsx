@@ -0,0 +1,130 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - MEASUREMENT PLOT COMPONENT
+ * ==============================================
+ * Serie temporal de las mediciones del visor, sincronizada con el frame actual
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { MEASUREMENT_LABELS, MEASUREMENT_UNITS, measurementLabel } from '../lib/measurements';
+import { toCssSize } from './legacyProps';
+
+// Plotly solo funciona en el navegador
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => (
+    <div className="flex items-center justify-center h-32">
+      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+    </div>
+  )
+});
+
+const SERIES_COLORS = ['#60A5FA', '#F87171', '#34D399', '#FBBF24', '#A78BFA', '#F472B6', '#22D3EE', '#FB923C'];
+
+/**
+ * @typedef {Object} MeasurementPlotProps
+ * @property {import('../lib/measurements').Measurement[]} measurements - Mediciones a dibujar
+ * @property {import('../lib/measurements').MeasurementSeries} series - Valor de cada medición por frame
+ * @property {number} frameCount - Número de frames
+ * @property {number} currentFrame - Frame actual (0-indexed), marcado con una línea vertical
+ * @property {ArrayLike<number>|null} [times] - Tiempo de cada frame en `timeUnit`; sin él, el eje X es el frame
+ * @property {string} [timeUnit] - Unidad de `times`
+ * @property {function(number): void} [onFrameSelect] - Click en un punto: frame (0-indexed)
+ * @property {number|string} [height=220] - Altura del gráfico (px o longitud CSS)
+ */
+
+/**
+ * Distancias en el eje Y izquierdo (Å) y ángulos/diedros en el derecho (°).
+ *
+ * @param {MeasurementPlotProps} props
+ */
+export const MeasurementPlot = ({
+  measurements,
+  series,
+  frameCount,
+  currentFrame,
+  times = null,
+  timeUnit,
+  onFrameSelect,
+  height = 220
+}) => {
+  const frames = useMemo(() => Array.from({ length: frameCount }, (_, i) => i), [frameCount]);
+  const xValues = useMemo(() => (
+    times ? frames.map(f => (Number.isFinite(times[f]) ? times[f] : null)) : frames.map(f => f + 1)
+  ), [frames, times]);
+
+  const hasDistances = measurements.some(m => m.kind === 'distance');
+  const hasAngles = measurements.some(m => m.kind !== 'distance');
+  // Con un solo tipo de medición basta el eje izquierdo
+  const angleAxis = hasDistances ? 'y2' : 'y';
+
+  const plotData = useMemo(() => measurements.map((measurement, index) => {
+    const values = series[measurement.id];
+    const unit = MEASUREMENT_UNITS[measurement.kind];
+    return {
+      type: 'scattergl',
+      mode: 'lines',
+      name: `${MEASUREMENT_LABELS[measurement.kind]} ${measurementLabel(measurement)}`,
+      x: xValues,
+      y: frames.map(f => (values && Number.isFinite(values[f]) ? values[f] : null)),
+      customdata: frames,
+      yaxis: measurement.kind === 'distance' ? 'y' : angleAxis,
+      line: { color: SERIES_COLORS[index % SERIES_COLORS.length], width: 1.5 },
+      hovertemplate: `Frame %{customdata}<br>%{y:.2f} ${unit}<extra></extra>`
+    };
+  }), [measurements, series, frames, xValues, angleAxis]);
+
+  const layout = useMemo(() => {
+    const axisStyle = { gridcolor: '#4B5563', color: '#FFFFFF', zeroline: false };
+    const currentX = xValues[currentFrame];
+
+    return {
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(31, 41, 55, 1)',
+      font: { color: '#FFFFFF', size: 11 },
+      hovermode: 'closest',
+      showlegend: true,
+      legend: { orientation: 'h', y: -0.3, bgcolor: 'rgba(0,0,0,0)' },
+      margin: { t: 10, b: 40, l: 50, r: hasDistances && hasAngles ? 50 : 10 },
+      xaxis: { ...axisStyle, title: times ? `Tiempo (${timeUnit})` : 'Frame' },
+      yaxis: { ...axisStyle, title: hasDistances ? 'Distancia (Å)' : 'Ángulo (°)' },
+      ...(hasDistances && hasAngles
+        ? { yaxis2: { ...axisStyle, title: 'Ángulo (°)', overlaying: 'y', side: 'right', showgrid: false } }
+        : {}),
+      shapes: currentX === null || currentX === undefined ? [] : [{
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: currentX,
+        x1: currentX,
+        y0: 0,
+        y1: 1,
+        line: { color: '#FBBF24', width: 1, dash: 'dot' }
+      }],
+      autosize: true
+    };
+  }, [xValues, currentFrame, times, timeUnit, hasDistances, hasAngles]);
+
+  const config = useMemo(() => ({
+    displayModeBar: false,
+    responsive: true
+  }), []);
+
+  const handleClick = useCallback((event) => {
+    const frame = event.points?.[0]?.customdata;
+    if (typeof frame === 'number') onFrameSelect?.(frame);
+  }, [onFrameSelect]);
+
+  return (
+    <Plot
+      data={plotData}
+      layout={layout}
+      config={config}
+      onClick={handleClick}
+      style={{ width: '100%', height: toCssSize(height) }}
+      useResizeHandler={true}
+    />
+  );
+};
+
+export default MeasurementPlot;
@@ -0,0 +1,1254 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - MOLSTAR PLAYER COMPONENT
+ * ============================================
+ * Componente de visualización molecular usando Mol* para Astroflora 7.1
+ */
+
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import { createPluginUI } from 'molstar/lib/mol-plugin-ui';
+import { DefaultPluginUISpec } from 'molstar/lib/mol-plugin-ui/spec';
+import { renderReact18 } from 'molstar/lib/mol-plugin-ui/react18';
+import { StateTransforms } from 'molstar/lib/mol-plugin-state/transforms';
+import { PlayIcon, PauseIcon, StopIcon, ChevronLeftIcon, ChevronRightIcon, Square3Stack3DIcon, ViewfinderCircleIcon, AdjustmentsHorizontalIcon, ChartBarIcon, CameraIcon, CpuChipIcon } from '@heroicons/react/24/solid';
+import { resolveLegacyProps, toCssSize } from './legacyProps';
+import { RepresentationEditor } from './RepresentationEditor';
+import { TrajectoryOptions } from './TrajectoryOptions';
+import { MeasurementPanel } from './MeasurementPanel';
+import { ConformationalAnalysisPanel } from './ConformationalAnalysisPanel';
+import { PlaybackOptions } from './PlaybackOptions';
+import { ExportPanel } from './ExportPanel';
+import { MolecularFormat, MolecularFormatError } from '../lib/molstar/formats';
+import { loadTrajectory } from '../lib/molstar/loadTrajectory';
+import { DcdRangeSource } from '../lib/molstar/dcdRangeSource';
+import { DownloadProgress } from '../lib/molstar/download';
+import { TimeAxis, displayUnit, formatTime, frameTime, hasFrameTimes } from '../lib/timeAxis';
+import { DEFAULT_REPRESENTATIONS, RepresentationSpec } from '../lib/representations';
+import { applyRepresentations } from '../lib/molstar/representations';
+import { Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+import {
+  BindingSite,
+  DEFAULT_BINDING_SITE_RADIUS,
+  LigandSelector,
+  applyBindingSite,
+  bindingSiteCenter,
+  focusBindingSite,
+  followBindingSite
+} from '../lib/molstar/bindingSite';
+import { DEFAULT_TRAJECTORY_PROCESSING, TrajectoryProcessing } from '../lib/trajectoryProcessing';
+import {
+  addTrajectoryProcessing,
+  alignmentReference,
+  trajectoryProcessingNotice,
+  updateTrajectoryProcessing
+} from '../lib/molstar/trajectoryProcessing';
+import {
+  LoadedOverlay,
+  OverlayTrajectory,
+  realignOverlays,
+  updateOverlayFrames
+} from '../lib/molstar/overlays';
+import { CameraSync } from '../lib/cameraSync';
+import { Measurement, measurementsCsv } from '../lib/measurements';
+import { useMeasurements } from '../hooks/useMeasurements';
+import { LocalPcaResult } from '../lib/conformationalAnalysis';
+import { useConformationalAnalysis } from '../hooks/useConformationalAnalysis';
+import { FocusMode, ViewState, VIEW_STATE_VERSION } from '../lib/viewState';
+import {
+  cameraState,
+  restoreCamera,
+  restoreSelection,
+  selectionRanges,
+  subscribeCameraChanges
+} from '../lib/molstar/viewSnapshot';
+import { saveTextFile } from '../lib/saveFile';
+import { PlaybackSettings, normalizePlayback } from '../lib/playback';
+import { usePlayback } from '../hooks/usePlayback';
+import { useRecording } from '../hooks/useRecording';
+import { useOverlays } from '../hooks/useOverlays';
+import { useCameraSync } from '../hooks/useCameraSync';
+
+export type { FocusMode, OverlayTrajectory };
+
+export interface MolstarPlayerProps {
+  /** URL de la topología (PDB, mmCIF, BinaryCIF, GRO, PSF, prmtop, top) */
+  topologyUrl?: string | null;
+  /** URL de la trayectoria de coordenadas (DCD, XTC, TRR, NetCDF) */
+  trajectoryUrl?: string | null;
+  /** Formatos explícitos; por defecto se detectan por extensión o contenido */
+  format?: { topology?: MolecularFormat; trajectory?: MolecularFormat };
+  /** Frame a mostrar (0-indexed) */
+  currentFrame?: number;
+  /** @deprecated Usar `currentFrame` */
+  frameToShow?: number;
+  /**
+   * Eje temporal: unidad mostrada (ps, ns, µs) y, opcionalmente, tiempos por frame
+   * o inicio + paso. Sin tiempos se usan los de la trayectoria (DCD, XTC, TRR, NetCDF)
+   */
+  timeAxis?: TimeAxis;
+  /** Callback cuando cambia el frame */
+  onFrameChange?: (frame: number) => void;
+  /** Representaciones (selección + tipo + color); por defecto sin disolvente */
+  representations?: RepresentationSpec[];
+  /** Callback cuando se editan las representaciones desde el panel */
+  onRepresentationsChange?: (representations: RepresentationSpec[]) => void;
+  /** Simulación a la que pertenecen los presets de representación guardados */
+  simulationId?: string;
+  /** Modo de vista; en `binding-site` la cámara sigue al ligando durante la reproducción */
+  focusMode?: FocusMode;
+  /** Callback cuando se cambia el modo desde el visor */
+  onFocusModeChange?: (mode: FocusMode) => void;
+  /** Ligando del modo sitio de unión; por defecto, residuos no poliméricos que no son disolvente */
+  ligandSelector?: LigandSelector;
+  /** Radio del bolsillo alrededor del ligando (Å) */
+  bindingSiteRadius?: number;
+  /** Superposición sobre un frame de referencia, moléculas enteras y centrado; por defecto, nada */
+  processing?: Partial<TrajectoryProcessing>;
+  /** Callback cuando se cambian las opciones de trayectoria desde el panel */
+  onProcessingChange?: (processing: TrajectoryProcessing) => void;
+  /** Oculta agua e iones en todas las representaciones */
+  hideSolvent?: boolean;
+  /** Callback cuando se cambia `hideSolvent` desde el panel */
+  onHideSolventChange?: (hideSolvent: boolean) => void;
+  /** Distancias, ángulos y diedros */
+  measurements?: Measurement[];
+  /** Callback cuando se añaden o quitan mediciones desde el panel */
+  onMeasurementsChange?: (measurements: Measurement[]) => void;
+  /** Reproducción: FPS, paso, modo (`loop`, `bounce`, `once`), rango y subconjunto de frames (`frames`) */
+  playback?: Partial<PlaybackSettings>;
+  /** Callback cuando se cambian los ajustes de reproducción desde los controles */
+  onPlaybackChange?: (playback: PlaybackSettings) => void;
+  /**
+   * Vista a restaurar (cámara, representaciones, selección, frame, mediciones...)
+   * al cargar la estructura o cuando cambia su contenido. Las props explícitas mandan
+   */
+  viewState?: ViewState;
+  /** Callback con la vista completa cuando cambia (con retardo: la cámara cambia sin parar) */
+  onViewStateChange?: (viewState: ViewState) => void;
+  /**
+   * Trayectorias de otras simulaciones en este visor, con un color cada una.
+   * Se ajustan a los Cα de esta en su frame de referencia y siguen su frame
+   */
+  overlays?: OverlayTrajectory[];
+  /** Canal de cámara compartido con otros visores (ver `createCameraSync`) */
+  cameraSync?: CameraSync;
+  /** Proyecciones PCA por frame, para superponer PC1/PC2 en las películas exportadas */
+  pcaProjections?: ReadonlyArray<{ frame: number; pc1: number; pc2: number }>;
+  /**
+   * PCA y clustering calculados en el navegador desde el panel «PCA» (`null` al
+   * descartarlos). Sin este callback el panel no se muestra
+   */
+  onConformationalAnalysis?: (result: LocalPcaResult | null) => void;
+  /** Altura del visor (px o longitud CSS) */
+  height?: number | string;
+  /** Si debe mostrar controles de animación */
+  showControls?: boolean;
+  /** ID único del componente */
+  viewerId?: string;
+}
+
+export interface FrameInfo {
+  /** Frame actual (0-indexed) */
+  current: number;
+  /** Número total de frames */
+  total: number;
+}
+
+// Nombres de props de la antigua copia en components/visualization
+const LEGACY_PROPS: Record<string, keyof MolstarPlayerProps> = { frameToShow: 'currentFrame' };
+
+// Espera desde el último cambio de la vista antes de notificarla
+const VIEW_STATE_DELAY_MS = 500;
+
+// Teclas con otro uso en los campos de los paneles
+const EDITABLE_TAGS = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'];
+
+const percent = ({ loaded, total }: DownloadProgress) => (
+  total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null
+);
+
+// Porcentaje si se conoce el tamaño; si no, megabytes recibidos
+const downloadLabel = (progress: DownloadProgress) => {
+  const value = percent(progress);
+  return value !== null ? `${value}%` : `${(progress.loaded / 1e6).toFixed(1)} MB`;
+};
+
+// Trayectoria que no cabe en la caché: megabytes en caché frente al total
+const cachedLabel = ({ loaded, total }: DownloadProgress) => (
+  `${Math.round(loaded / 1e6)} / ${Math.round(total / 1e6)} MB en caché`
+);
+
+/**
+ * Visor Mol* con navegación por frames de la trayectoria.
+ */
+export const MolstarPlayer: React.FC<MolstarPlayerProps> = (props) => {
+  const {
+    topologyUrl,
+    trajectoryUrl,
+    format,
+    currentFrame = 0,
+    timeAxis,
+    onFrameChange,
+    representations,
+    onRepresentationsChange,
+    simulationId,
+    focusMode,
+    onFocusModeChange,
+    ligandSelector,
+    bindingSiteRadius = DEFAULT_BINDING_SITE_RADIUS,
+    processing,
+    onProcessingChange,
+    hideSolvent,
+    onHideSolventChange,
+    measurements,
+    onMeasurementsChange,
+    playback,
+    onPlaybackChange,
+    viewState,
+    onViewStateChange,
+    overlays,
+    cameraSync,
+    pcaProjections,
+    onConformationalAnalysis,
+    height = 500,
+    showControls = true,
+    viewerId = 'molstar-viewer'
+  } = resolveLegacyProps('MolstarPlayer', props, LEGACY_PROPS);
+  const topologyFileFormat = format?.topology;
+  const trajectoryFileFormat = format?.trajectory;
+
+  // Refs
+  const containerRef = useRef<HTMLDivElement>(null);
+  const pluginRef = useRef<PluginUIContext | null>(null);
+  const modelRef = useRef<string | null>(null);
+  const streamRef = useRef<DcdRangeSource | null>(null);
+  const structureRef = useRef<string | null>(null);
+  // Trayectoria procesada (superposición, PBC) sobre la que se crea el modelo
+  const processedRef = useRef<string | null>(null);
+  const appliedProcessingKeyRef = useRef<string | null>(null);
+  // Escena aplicada y cola para no solapar reconstrucciones
+  const appliedSceneRef = useRef<{ representations: RepresentationSpec[]; sceneKey: string } | null>(null);
+  const representationQueueRef = useRef<Promise<void>>(Promise.resolve());
+  // Sitio de unión mostrado y centro del ligando en el último frame (para seguirlo)
+  const bindingSiteRef = useRef<BindingSite | null>(null);
+  const ligandCenterRef = useRef<Vec3 | null>(null);
+  const onFrameChangeRef = useRef(onFrameChange);
+  // Frame mostrado, leído en cada paso de la reproducción sin reiniciarla
+  const displayedFrameRef = useRef(0);
+  // Trayectorias superpuestas cargadas en el visor
+  const overlaysRef = useRef<LoadedOverlay[]>([]);
+
+  // Estado
+  const [pluginReady, setPluginReady] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [frameInfo, setFrameInfo] = useState<FrameInfo>({
+    current: 0,
+    total: 0
+  });
+  const [error, setError] = useState<string | null>(null);
+  // Progreso de la trayectoria: descarga completa o bloques pendientes del streaming
+  const [download, setDownload] = useState<DownloadProgress | null>(null);
+  // Streaming de una trayectoria mayor que la caché: no se descarga entera
+  const [cacheOnly, setCacheOnly] = useState(false);
+  // Tiempos de frame leídos de la trayectoria
+  const [trajectoryTimes, setTrajectoryTimes] = useState<TimeAxis | null>(null);
+  const [activeRepresentations, setActiveRepresentations] = useState<RepresentationSpec[]>(
+    representations ?? viewState?.representations ?? DEFAULT_REPRESENTATIONS
+  );
+  const [showEditor, setShowEditor] = useState(false);
+  const [showOptions, setShowOptions] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [activeProcessing, setActiveProcessing] = useState<TrajectoryProcessing>({
+    ...DEFAULT_TRAJECTORY_PROCESSING,
+    ...(processing ?? viewState?.processing)
+  });
+  const [activeHideSolvent, setActiveHideSolvent] = useState(hideSolvent ?? viewState?.hideSolvent ?? false);
+  // Opción de trayectoria sin efecto (p. ej. sin caja periódica)
+  const [processingNotice, setProcessingNotice] = useState<string | null>(null);
+  const [showMeasurementPanel, setShowMeasurementPanel] = useState(false);
+  const [showAnalysisPanel, setShowAnalysisPanel] = useState(false);
+  const analysis = useConformationalAnalysis({
+    pluginRef,
+    processedRef,
+    ligandSelector,
+    bindingSiteRadius,
+    onResult: onConformationalAnalysis,
+    viewerId
+  });
+  const { reset: resetAnalysis } = analysis;
+  // Cambia cada vez que se (re)crea la trayectoria mostrada: carga o procesado
+  const [trajectoryVersion, setTrajectoryVersion] = useState(0);
+  // Cambia solo al cargar la estructura (el visor se vacía y hay que volver a superponer)
+  const [structureVersion, setStructureVersion] = useState(0);
+  const [activeFocusMode, setActiveFocusMode] = useState<FocusMode>(focusMode ?? viewState?.focusMode ?? 'structure');
+  // Modo sitio de unión sin ligando: se muestran las representaciones normales
+  const [ligandMissing, setLigandMissing] = useState(false);
+  const activeRepresentationsRef = useRef(activeRepresentations);
+  activeRepresentationsRef.current = activeRepresentations;
+  const {
+    measurements: activeMeasurements,
+    setMeasurements: setActiveMeasurements,
+    handleChange: handleMeasurementsChange,
+    picking,
+    setPicking,
+    series: measurementSeries,
+    progress: seriesProgress
+  } = useMeasurements({
+    measurements,
+    initialMeasurements: viewState?.measurements,
+    onMeasurementsChange,
+    pluginRef,
+    structureRef,
+    processedRef,
+    queueRef: representationQueueRef,
+    pluginReady,
+    trajectoryVersion,
+    viewerId
+  });
+
+  // La prop manda cuando cambia su contenido (no su identidad: suele ser un literal)
+  const representationsKey = representations ? JSON.stringify(representations) : null;
+  useEffect(() => {
+    if (representations) setActiveRepresentations(representations);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [representationsKey]);
+
+  useEffect(() => {
+    if (focusMode) setActiveFocusMode(focusMode);
+  }, [focusMode]);
+
+  const processingPropKey = processing ? JSON.stringify(processing) : null;
+  useEffect(() => {
+    if (processing) setActiveProcessing({ ...DEFAULT_TRAJECTORY_PROCESSING, ...processing });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [processingPropKey]);
+
+  useEffect(() => {
+    if (hideSolvent !== undefined) setActiveHideSolvent(hideSolvent);
+  }, [hideSolvent]);
+
+  // Todo lo que define la escena y el procesado, comparable por valor
+  const sceneKey = JSON.stringify([activeFocusMode, ligandSelector ?? null, bindingSiteRadius, activeHideSolvent]);
+  const processingKey = JSON.stringify([activeProcessing, ligandSelector ?? null, bindingSiteRadius]);
+  const scene = {
+    mode: activeFocusMode,
+    ligandSelector,
+    bindingSiteRadius,
+    hideSolvent: activeHideSolvent,
+    processing: activeProcessing,
+    sceneKey,
+    processingKey
+  };
+  const sceneRef = useRef(scene);
+  sceneRef.current = scene;
+
+  // Los tiempos de la prop `timeAxis` mandan; los frames que no cubre usan los de la trayectoria
+  const timeUnit = displayUnit(timeAxis);
+  const currentTime = frameTime(timeAxis, frameInfo.current, timeUnit)
+    ?? frameTime(trajectoryTimes, frameInfo.current, timeUnit);
+
+  // Tiempo de todos los frames (gráfico y CSV de mediciones); `null` si no se conoce ninguno
+  const frameTimes = useMemo(() => {
+    if (!hasFrameTimes(timeAxis) && !hasFrameTimes(trajectoryTimes)) return null;
+    return Float64Array.from({ length: frameInfo.total }, (_, frame) => (
+      frameTime(timeAxis, frame, timeUnit) ?? frameTime(trajectoryTimes, frame, timeUnit) ?? NaN
+    ));
+  }, [timeAxis, trajectoryTimes, timeUnit, frameInfo.total]);
+
+  const pcaByFrame = useMemo(
+    () => new Map((pcaProjections ?? []).map(point => [point.frame, point])),
+    [pcaProjections]
+  );
+
+  useEffect(() => {
+    onFrameChangeRef.current = onFrameChange;
+  }, [onFrameChange]);
+
+  /**
+   * Inicializa el plugin Mol*
+   */
+  const initializeMolstar = useCallback(async () => {
+    if (!containerRef.current || pluginRef.current) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      // Visor compacto: los controles de trayectoria son los del componente
+      const spec = DefaultPluginUISpec();
+      spec.layout = {
+        initial: { isExpanded: false, showControls: false }
+      };
+
+      const plugin = await createPluginUI({
+        target: containerRef.current,
+        render: renderReact18,
+        spec
+      });
+      pluginRef.current = plugin;
+
+      plugin.managers.interactivity.setProps({
+        granularity: 'element'
+      });
+
+      setPluginReady(true);
+      console.log(`[${viewerId}] Mol* inicializado exitosamente`);
+
+    } catch (err) {
+      console.error(`[${viewerId}] Error inicializando Mol*:`, err);
+      setError('Error inicializando visualizador molecular');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [viewerId]);
+
+  /**
+   * Reconstruye la escena de la estructura cargada, en orden: el sitio de unión
+   * o, si no hay ligando o el modo es el general, las representaciones
+   */
+  const applyScene = useCallback((specs: RepresentationSpec[]) => {
+    const plugin = pluginRef.current;
+    const structure = structureRef.current;
+    if (!plugin || !structure) return Promise.resolve();
+
+    const { mode, ligandSelector: ligand, bindingSiteRadius: radius, hideSolvent: noSolvent, sceneKey: key } = sceneRef.current;
+    appliedSceneRef.current = { representations: specs, sceneKey: key };
+
+    const apply = async () => {
+      const wasFocused = bindingSiteRef.current !== null;
+      bindingSiteRef.current = null;
+      ligandCenterRef.current = null;
+
+      if (mode === 'binding-site') {
+        const site = await applyBindingSite(plugin, structure, { ligand, radius });
+        setLigandMissing(!site);
+        if (site) {
+          bindingSiteRef.current = site;
+          ligandCenterRef.current = bindingSiteCenter(plugin, site);
+          focusBindingSite(plugin, site);
+          return;
+        }
+      } else {
+        setLigandMissing(false);
+      }
+
+      await applyRepresentations(plugin, structure, specs, { hideSolvent: noSolvent });
+      if (wasFocused) plugin.managers.camera.reset();
+    };
+
+    representationQueueRef.current = representationQueueRef.current
+      .then(apply)
+      .catch(err => console.error(`[${viewerId}] Error aplicando representaciones:`, err));
+    return representationQueueRef.current;
+  }, [viewerId]);
+
+  /**
+   * Aplica las opciones de trayectoria actuales al procesado ya creado, en la
+   * misma cola que la escena. El sitio de unión se vuelve a encuadrar.
+   */
+  const applyProcessing = useCallback(() => {
+    const plugin = pluginRef.current;
+    const processed = processedRef.current;
+    if (!plugin || !processed) return Promise.resolve();
+
+    const { processing: options, ligandSelector: ligand, bindingSiteRadius: radius, processingKey: key } = sceneRef.current;
+    appliedProcessingKeyRef.current = key;
+
+    representationQueueRef.current = representationQueueRef.current
+      .then(async () => {
+        await updateTrajectoryProcessing(plugin, processed, { ...options, ligand, pocketRadius: radius });
+        setProcessingNotice(trajectoryProcessingNotice(plugin, processed));
+        // Las superposiciones siguen el procesado y el frame de referencia de la principal
+        if (overlaysRef.current.length > 0) {
+          const alignTo = await alignmentReference(plugin, processed, options.referenceFrame);
+          await realignOverlays(plugin, overlaysRef.current, options, alignTo);
+        }
+        setTrajectoryVersion(version => version + 1);
+
+        const site = bindingSiteRef.current;
+        if (site) {
+          ligandCenterRef.current = bindingSiteCenter(plugin, site);
+          focusBindingSite(plugin, site);
+        }
+      })
+      .catch(err => console.error(`[${viewerId}] Error procesando la trayectoria:`, err));
+    return representationQueueRef.current;
+  }, [viewerId]);
+
+  /**
+   * Navega a un frame específico
+   */
+  const goToFrame = useCallback(async (frameNumber: number) => {
+    const plugin = pluginRef.current;
+    if (!plugin || frameNumber < 0 || frameNumber >= frameInfo.total) return;
+
+    try {
+      // El frame mostrado es el `modelIndex` del modelo de la estructura
+      const model = modelRef.current;
+      if (!model) return;
+
+      const state = plugin.state.data;
+      const update = state.build();
+      update.to(model).update(StateTransforms.Model.ModelFromTrajectory, params => ({ ...params, modelIndex: frameNumber }));
+      updateOverlayFrames(update, overlaysRef.current, frameNumber);
+      await plugin.runTask(state.updateTree(update, { doNotLogTiming: true }));
+
+      // Sitio de unión: la cámara acompaña al ligando
+      const site = bindingSiteRef.current;
+      const previousCenter = ligandCenterRef.current;
+      const center = site ? bindingSiteCenter(plugin, site) : null;
+      if (center && previousCenter) followBindingSite(plugin, previousCenter, center);
+      if (center) ligandCenterRef.current = center;
+
+      // Actualizar estado
+      displayedFrameRef.current = frameNumber;
+      setFrameInfo(prev => ({
+        ...prev,
+        current: frameNumber
+      }));
+
+      // Notificar cambio
+      onFrameChangeRef.current?.(frameNumber);
+    } catch (err) {
+      console.error(`[${viewerId}] Error navegando al frame ${frameNumber}:`, err);
+    }
+  }, [frameInfo.total, viewerId]);
+
+  const {
+    isPlaying,
+    playback: activePlayback,
+    setPlayback: setActivePlayback,
+    handleChange: handlePlaybackChange,
+    range,
+    play: playAnimation,
+    pause: pauseAnimation,
+    stop: stopAnimation,
+    previous: previousFrame,
+    next: nextFrame,
+    hasPrevious: hasPreviousFrame,
+    hasNext: hasNextFrame,
+    reset: resetPlayback
+  } = usePlayback({
+    playback,
+    initialPlayback: viewState?.playback,
+    onPlaybackChange,
+    frameCount: frameInfo.total,
+    currentFrame: frameInfo.current,
+    goToFrame,
+    streamRef,
+    displayedFrameRef,
+    viewerId
+  });
+
+  // Vista a restaurar: lo que no fijan las props se aplica ya; la cámara, la
+  // selección y el frame, cuando la estructura está cargada
+  const pendingViewRef = useRef<ViewState | null>(viewState ?? null);
+  const [restoreVersion, setRestoreVersion] = useState(0);
+  const viewStateKey = viewState ? JSON.stringify(viewState) : null;
+  const isFirstViewStateRef = useRef(true);
+  useEffect(() => {
+    // El primer valor ya está en el estado inicial
+    const first = isFirstViewStateRef.current;
+    isFirstViewStateRef.current = false;
+    if (!viewState || first) return;
+
+    if (!representations && viewState.representations) setActiveRepresentations(viewState.representations);
+    if (!focusMode && viewState.focusMode) setActiveFocusMode(viewState.focusMode);
+    if (!processing && viewState.processing) setActiveProcessing(viewState.processing);
+    if (hideSolvent === undefined && viewState.hideSolvent !== undefined) setActiveHideSolvent(viewState.hideSolvent);
+    if (!playback && viewState.playback) setActivePlayback(normalizePlayback(viewState.playback));
+    if (!measurements && viewState.measurements) setActiveMeasurements(viewState.measurements);
+    pendingViewRef.current = viewState;
+    setRestoreVersion(version => version + 1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [viewStateKey]);
+
+  /**
+   * Carga estructura molecular
+   */
+  const loadStructure = useCallback(async (signal: AbortSignal) => {
+    const plugin = pluginRef.current;
+    if (!plugin || !topologyUrl) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      resetPlayback();
+
+      // Limpiar estructuras previas
+      await plugin.clear();
+      overlaysRef.current.forEach(overlay => overlay.stream?.dispose());
+      overlaysRef.current = [];
+      modelRef.current = null;
+      structureRef.current = null;
+      processedRef.current = null;
+      bindingSiteRef.current = null;
+      ligandCenterRef.current = null;
+      setDownload(null);
+      setCacheOnly(false);
+      setTrajectoryTimes(null);
+      setProcessingNotice(null);
+      resetAnalysis();
+
+      // Topología (+ coordenadas) como una única trayectoria
+      const { trajectory, topologyFormat, trajectoryFormat, stream, times } = await loadTrajectory(plugin, {
+        topologyUrl,
+        trajectoryUrl,
+        format: { topology: topologyFileFormat, trajectory: trajectoryFileFormat },
+        signal,
+        onProgress: progress => {
+          if (!signal.aborted) setDownload(progress);
+        }
+      });
+      if (signal.aborted) {
+        stream?.dispose();
+        return;
+      }
+      streamRef.current = stream;
+      setTrajectoryTimes(times);
+
+      // Superposición y caja periódica entre la trayectoria y el modelo
+      const { processing: options, ligandSelector: ligand, bindingSiteRadius: radius, processingKey: key } = sceneRef.current;
+      const processed = await addTrajectoryProcessing(plugin, trajectory, { ...options, ligand, pocketRadius: radius });
+      processedRef.current = processed.ref;
+      appliedProcessingKeyRef.current = key;
+      setProcessingNotice(trajectoryProcessingNotice(plugin, processed.ref));
+
+      // Crear modelo inicial
+      const model = await plugin.builders.structure.createModel(processed);
+      const structure = await plugin.builders.structure.createStructure(model);
+      modelRef.current = model.ref;
+      structureRef.current = structure.ref;
+
+      // Representaciones visuales (o sitio de unión)
+      await applyScene(activeRepresentationsRef.current);
+
+      // Actualizar información de frames
+      const total = trajectory.data?.frameCount ?? 1;
+      displayedFrameRef.current = 0;
+      setFrameInfo({
+        current: 0,
+        total
+      });
+      setTrajectoryVersion(version => version + 1);
+      setStructureVersion(version => version + 1);
+
+      // Centrar vista; el sitio de unión ya encuadra el bolsillo
+      if (!bindingSiteRef.current) plugin.managers.camera.reset();
+
+      // Trayectoria por bloques: se sigue descargando en segundo plano si cabe en la caché
+      if (stream && !stream.fitsInCache) {
+        setCacheOnly(true);
+        setDownload(stream.progress);
+      } else if (stream) {
+        setDownload(stream.progress);
+        stream.downloadAll()
+          .then(() => {
+            if (!signal.aborted) setDownload(null);
+          })
+          .catch(err => {
+            if (!signal.aborted) console.error(`[${viewerId}] Error descargando la trayectoria:`, err);
+          });
+      } else {
+        setDownload(null);
+      }
+
+      console.log(`[${viewerId}] Estructura cargada (${[topologyFormat, trajectoryFormat].filter(Boolean).join(' + ')}, ${total} frames)`);
+
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error(`[${viewerId}] Error cargando estructura:`, err);
+      setError(err instanceof MolecularFormatError ? err.message : 'Error cargando estructura molecular');
+    } finally {
+      if (!signal.aborted) setIsLoading(false);
+    }
+  }, [topologyUrl, trajectoryUrl, topologyFileFormat, trajectoryFileFormat, applyScene, resetPlayback, resetAnalysis, viewerId]);
+
+  const goToFrameRef = useRef(goToFrame);
+  goToFrameRef.current = goToFrame;
+
+  const exportName = simulationId ?? viewerId;
+
+  const {
+    recording,
+    saving: savingImage,
+    error: exportError,
+    snapshot: handleSnapshot,
+    record: handleRecord,
+    cancel: cancelRecording
+  } = useRecording({
+    pluginRef,
+    goToFrame,
+    displayedFrameRef,
+    onRecordStart: pauseAnimation,
+    frameCount: frameInfo.total,
+    frameTimes,
+    timeUnit,
+    pcaByFrame,
+    exportName,
+    viewerId
+  });
+
+  /**
+   * Atajos de teclado con el foco en el visor: espacio (reproducir/pausar),
+   * flechas (frame anterior/siguiente), Inicio/Fin (extremos del rango)
+   */
+  const handleKeyDown = useCallback((event: React.KeyboardEvent<HTMLDivElement>) => {
+    const target = event.target as HTMLElement;
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || recording) return;
+    if (EDITABLE_TAGS.includes(target.tagName) || target.isContentEditable || frameInfo.total < 2) return;
+
+    switch (event.key) {
+      case ' ':
+        if (isPlaying) pauseAnimation();
+        else playAnimation();
+        break;
+      case 'ArrowLeft':
+        previousFrame();
+        break;
+      case 'ArrowRight':
+        nextFrame();
+        break;
+      case 'Home':
+        pauseAnimation();
+        goToFrame(range.start);
+        break;
+      case 'End':
+        pauseAnimation();
+        goToFrame(range.end);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }, [frameInfo.total, recording, isPlaying, pauseAnimation, playAnimation, previousFrame, nextFrame, goToFrame, range.start, range.end]);
+
+  const handleRepresentationsChange = useCallback((specs: RepresentationSpec[]) => {
+    setActiveRepresentations(specs);
+    onRepresentationsChange?.(specs);
+  }, [onRepresentationsChange]);
+
+  const toggleFocusMode = useCallback(() => {
+    const mode: FocusMode = activeFocusMode === 'binding-site' ? 'structure' : 'binding-site';
+    setActiveFocusMode(mode);
+    if (mode === 'binding-site') setShowEditor(false);
+    onFocusModeChange?.(mode);
+  }, [activeFocusMode, onFocusModeChange]);
+
+  const handleProcessingChange = useCallback((options: TrajectoryProcessing) => {
+    setActiveProcessing(options);
+    onProcessingChange?.(options);
+  }, [onProcessingChange]);
+
+  const handleExportMeasurements = useCallback(() => {
+    const csv = measurementsCsv(activeMeasurements, measurementSeries, frameInfo.total, frameTimes, timeUnit);
+    saveTextFile(`mediciones-${simulationId ?? viewerId}.csv`, csv, 'text/csv');
+  }, [activeMeasurements, measurementSeries, frameInfo.total, frameTimes, timeUnit, simulationId, viewerId]);
+
+  // Tamaño del visor en píxeles del dispositivo (resolución «Visor» de la exportación)
+  const viewportSize = () => {
+    const container = containerRef.current;
+    const ratio = typeof window === 'undefined' ? 1 : window.devicePixelRatio || 1;
+    return {
+      width: Math.round((container?.clientWidth ?? 800) * ratio),
+      height: Math.round((container?.clientHeight ?? 600) * ratio)
+    };
+  };
+
+  const handleHideSolventChange = useCallback((value: boolean) => {
+    setActiveHideSolvent(value);
+    onHideSolventChange?.(value);
+  }, [onHideSolventChange]);
+
+  /**
+   * Vista actual completa; `null` sin estructura cargada
+   */
+  const captureViewState = useCallback((): ViewState | null => {
+    const plugin = pluginRef.current;
+    const structure = structureRef.current;
+    if (!plugin || !structure) return null;
+
+    const camera = cameraState(plugin);
+    return {
+      version: VIEW_STATE_VERSION,
+      ...(camera ? { camera } : {}),
+      representations: activeRepresentations,
+      focusMode: activeFocusMode,
+      processing: activeProcessing,
+      hideSolvent: activeHideSolvent,
+      playback: activePlayback,
+      frame: displayedFrameRef.current,
+      selection: selectionRanges(plugin, structure),
+      measurements: activeMeasurements
+    };
+  }, [activeRepresentations, activeFocusMode, activeProcessing, activeHideSolvent, activePlayback, activeMeasurements]);
+
+  const captureViewStateRef = useRef(captureViewState);
+  captureViewStateRef.current = captureViewState;
+  const onViewStateChangeRef = useRef(onViewStateChange);
+  onViewStateChangeRef.current = onViewStateChange;
+  const viewStateTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  // Notifica la vista cuando deja de cambiar. Mientras haya una vista por
+  // restaurar no se notifica: sería la de por defecto y la sustituiría
+  const scheduleViewState = useCallback(() => {
+    if (!onViewStateChangeRef.current) return;
+    if (viewStateTimeoutRef.current) clearTimeout(viewStateTimeoutRef.current);
+    viewStateTimeoutRef.current = setTimeout(() => {
+      viewStateTimeoutRef.current = null;
+      if (pendingViewRef.current) return;
+      const state = captureViewStateRef.current();
+      if (state) onViewStateChangeRef.current?.(state);
+    }, VIEW_STATE_DELAY_MS);
+  }, []);
+
+  const bindingSiteActive = activeFocusMode === 'binding-site' && !ligandMissing;
+
+  // Efectos
+  useEffect(() => {
+    initializeMolstar();
+
+    return () => {
+      if (viewStateTimeoutRef.current) clearTimeout(viewStateTimeoutRef.current);
+      overlaysRef.current.forEach(overlay => overlay.stream?.dispose());
+      overlaysRef.current = [];
+      if (pluginRef.current) {
+        pluginRef.current.dispose();
+        pluginRef.current = null;
+      }
+      setPluginReady(false);
+    };
+  }, [initializeMolstar]);
+
+  useEffect(() => {
+    if (!pluginReady || !topologyUrl) return undefined;
+
+    const controller = new AbortController();
+    loadStructure(controller.signal);
+    return () => {
+      controller.abort();
+      streamRef.current?.dispose();
+      streamRef.current = null;
+    };
+  }, [pluginReady, loadStructure, topologyUrl]);
+
+  // Representaciones o modo de vista editados (panel o props) sobre la estructura ya cargada
+  useEffect(() => {
+    const applied = appliedSceneRef.current;
+    if (!structureRef.current) return;
+    if (applied?.representations !== activeRepresentations || applied.sceneKey !== sceneKey) {
+      applyScene(activeRepresentations);
+    }
+  }, [activeRepresentations, sceneKey, applyScene]);
+
+  // Opciones de trayectoria editadas (panel o prop) sobre la trayectoria ya cargada
+  useEffect(() => {
+    if (processedRef.current && appliedProcessingKeyRef.current !== processingKey) {
+      applyProcessing();
+    }
+  }, [processingKey, applyProcessing]);
+
+  // Vista recibida, en la cola detrás de la escena y el procesado que cambió con
+  // ella: frame (el sitio de unión mueve la cámara al cambiarlo), cámara y selección
+  useEffect(() => {
+    const view = pendingViewRef.current;
+    const plugin = pluginRef.current;
+    const structure = structureRef.current;
+    if (!view || !plugin || !structure || frameInfo.total === 0) return;
+
+    representationQueueRef.current = representationQueueRef.current
+      .then(async () => {
+        if (view.frame !== undefined) await goToFrameRef.current(Math.min(view.frame, frameInfo.total - 1));
+        if (view.camera) restoreCamera(plugin, view.camera);
+        if (view.selection) restoreSelection(plugin, structure, view.selection);
+      })
+      .catch(err => console.error(`[${viewerId}] Error restaurando la vista:`, err))
+      .finally(() => {
+        if (pendingViewRef.current === view) pendingViewRef.current = null;
+        scheduleViewState();
+      });
+  }, [trajectoryVersion, restoreVersion, frameInfo.total, viewerId, scheduleViewState]);
+
+  // Cambios de la vista desde los paneles, los controles o el visor (cámara y selección)
+  useEffect(() => {
+    if (trajectoryVersion > 0) scheduleViewState();
+  }, [captureViewState, frameInfo.current, trajectoryVersion, scheduleViewState]);
+
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    if (!pluginReady || !plugin?.canvas3d) return undefined;
+
+    const unsubscribeCamera = subscribeCameraChanges(plugin, scheduleViewState);
+    const subscription = plugin.managers.structure.selection.events.changed.subscribe(() => scheduleViewState());
+    return () => {
+      unsubscribeCamera();
+      subscription.unsubscribe();
+    };
+  }, [pluginReady, scheduleViewState]);
+
+  const overlayNotices = useOverlays({
+    overlays,
+    pluginRef,
+    processedRef,
+    overlaysRef,
+    sceneRef,
+    queueRef: representationQueueRef,
+    structureVersion,
+    goToFrame,
+    displayedFrameRef,
+    viewerId
+  });
+
+  useCameraSync(pluginRef, pluginReady, cameraSync, viewerId);
+
+  // Frame controlado desde fuera (PCA, URL...)
+  useEffect(() => {
+    if (!isPlaying && currentFrame !== frameInfo.current) {
+      goToFrame(currentFrame);
+    }
+    // Solo reaccionar a cambios de la prop, no del frame interno
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentFrame, frameInfo.total]);
+
+  return (
+    <div
+      className="w-full bg-gray-900 rounded-lg overflow-hidden shadow-lg focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-500"
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+    >
+      {/* Header */}
+      <div className="bg-gray-800 px-4 py-2 border-b border-gray-700">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-medium text-gray-200">
+            🧬 Visualizador Molecular
+          </h3>
+          <div className="flex items-center space-x-3 text-xs text-gray-400">
+            {download && !isLoading && (
+              <span title={cacheOnly
+                ? 'La trayectoria no cabe en memoria: los frames se descargan al mostrarlos'
+                : 'Frames descargados de la trayectoria'}
+              >
+                ⬇ Trayectoria {cacheOnly ? cachedLabel(download) : downloadLabel(download)}
+              </span>
+            )}
+            {frameInfo.total > 1 && (
+              <span>
+                Frame {frameInfo.current + 1} / {frameInfo.total}
+                {currentTime !== null && ` (${formatTime(currentTime, timeUnit)})`}
+              </span>
+            )}
+            {showControls && (
+              <>
+                <button
+                  onClick={toggleFocusMode}
+                  className={`p-1 rounded transition-colors ${activeFocusMode === 'binding-site' ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                  title={activeFocusMode === 'binding-site' ? 'Volver a la vista general' : 'Sitio de unión del ligando'}
+                >
+                  <ViewfinderCircleIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => setShowMeasurementPanel(open => !open)}
+                  className={`p-1 rounded transition-colors ${showMeasurementPanel ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                  title="Mediciones"
+                >
+                  <ChartBarIcon className="h-4 w-4" />
+                </button>
+                {onConformationalAnalysis && (
+                  <button
+                    onClick={() => setShowAnalysisPanel(open => !open)}
+                    className={`p-1 rounded transition-colors ${showAnalysisPanel ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                    title="PCA en el navegador"
+                  >
+                    <CpuChipIcon className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    setShowExport(open => !open);
+                    setShowOptions(false);
+                    setShowEditor(false);
+                  }}
+                  className={`p-1 rounded transition-colors ${showExport ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                  title="Exportar imagen o película"
+                >
+                  <CameraIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => {
+                    setShowOptions(open => !open);
+                    setShowEditor(false);
+                    setShowExport(false);
+                  }}
+                  className={`p-1 rounded transition-colors ${showOptions ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                  title="Opciones de trayectoria"
+                >
+                  <AdjustmentsHorizontalIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => {
+                    setShowEditor(open => !open);
+                    setShowOptions(false);
+                    setShowExport(false);
+                  }}
+                  disabled={bindingSiteActive}
+                  className={`p-1 rounded transition-colors disabled:opacity-50 ${showEditor ? 'bg-blue-600 text-white' : 'hover:bg-gray-700 text-gray-300'}`}
+                  title={bindingSiteActive ? 'Representaciones (no disponible en el modo sitio de unión)' : 'Representaciones'}
+                >
+                  <Square3Stack3DIcon className="h-4 w-4" />
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Progreso de descarga */}
+      {download && !cacheOnly && (
+        <div className="h-1 bg-gray-700">
+          <div
+            className="h-1 bg-blue-500 transition-all"
+            style={{ width: `${percent(download) ?? 0}%` }}
+          />
+        </div>
+      )}
+
+      {/* Viewer Container */}
+      <div className="relative" style={{ height: toCssSize(height) }}>
+        <div
+          ref={containerRef}
+          className="w-full h-full"
+          id={viewerId}
+        />
+
+        {/* Avisos: modo sitio de unión sin ligando, opciones de trayectoria sin efecto */}
+        {!isLoading && ((activeFocusMode === 'binding-site' && ligandMissing) || (processingNotice && !showOptions) || overlayNotices.length > 0) && (
+          <div className="absolute top-2 left-2 z-10 space-y-1 max-w-xs">
+            {activeFocusMode === 'binding-site' && ligandMissing && (
+              <div className="bg-yellow-900 bg-opacity-90 text-yellow-100 text-xs rounded px-2 py-1">
+                No se encontró ningún ligando: se muestra la vista general
+              </div>
+            )}
+            {processingNotice && !showOptions && (
+              <div className="bg-yellow-900 bg-opacity-90 text-yellow-100 text-xs rounded px-2 py-1">
+                {processingNotice}
+              </div>
+            )}
+            {overlayNotices.map(notice => (
+              <div key={notice} className="bg-yellow-900 bg-opacity-90 text-yellow-100 text-xs rounded px-2 py-1">
+                {notice}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Opciones de trayectoria */}
+        {showOptions && (
+          <div className="absolute top-2 right-2 bottom-2 z-10 flex items-start">
+            <TrajectoryOptions
+              processing={activeProcessing}
+              onChange={handleProcessingChange}
+              hideSolvent={activeHideSolvent}
+              onHideSolventChange={handleHideSolventChange}
+              currentFrame={frameInfo.current}
+              frameCount={frameInfo.total}
+              notice={processingNotice}
+              onClose={() => setShowOptions(false)}
+            />
+          </div>
+        )}
+
+        {/* Exportación (sigue visible mientras se graba) */}
+        {(showExport || recording !== null) && (
+          <div className="absolute top-2 right-2 bottom-2 z-10 flex items-start">
+            <ExportPanel
+              viewportSize={viewportSize()}
+              frameCount={frameInfo.total}
+              playback={activePlayback}
+              hasTimes={frameTimes !== null}
+              hasPca={pcaByFrame.size > 0}
+              recording={recording}
+              saving={savingImage}
+              error={exportError}
+              onSnapshot={handleSnapshot}
+              onRecord={handleRecord}
+              onCancelRecording={cancelRecording}
+              onClose={() => setShowExport(false)}
+            />
+          </div>
+        )}
+
+        {/* Editor de representaciones */}
+        {showEditor && !bindingSiteActive && (
+          <div className="absolute top-2 right-2 bottom-2 z-10 flex items-start">
+            <RepresentationEditor
+              representations={activeRepresentations}
+              onChange={handleRepresentationsChange}
+              simulationId={simulationId}
+              onClose={() => setShowEditor(false)}
+            />
+          </div>
+        )}
+
+        {/* Loading Overlay */}
+        {isLoading && (
+          <div className="absolute inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center">
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-2"></div>
+              <p className="text-sm text-gray-300">
+                Cargando estructura...
+                {download && ` ${downloadLabel(download)}`}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* Error Overlay */}
+        {error && (
+          <div className="absolute inset-0 bg-red-900 bg-opacity-75 flex items-center justify-center">
+            <div className="text-center text-white p-4">
+              <p className="font-medium">Error</p>
+              <p className="text-sm">{error}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      {showControls && frameInfo.total > 1 && (
+        <div className="bg-gray-800 px-4 py-3 border-t border-gray-700">
+          <div className="flex items-center justify-center space-x-2">
+            {/* Play/Pause */}
+            <button
+              onClick={isPlaying ? pauseAnimation : playAnimation}
+              disabled={recording !== null}
+              className="p-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white transition-colors disabled:opacity-50"
+              title={isPlaying ? 'Pausar (espacio)' : 'Reproducir (espacio)'}
+            >
+              {isPlaying ? (
+                <PauseIcon className="h-4 w-4" />
+              ) : (
+                <PlayIcon className="h-4 w-4" />
+              )}
+            </button>
+
+            {/* Stop */}
+            <button
+              onClick={stopAnimation}
+              className="p-2 rounded-md bg-gray-600 hover:bg-gray-700 text-white transition-colors"
+              title="Detener"
+            >
+              <StopIcon className="h-4 w-4" />
+            </button>
+
+            {/* Previous Frame */}
+            <button
+              onClick={previousFrame}
+              className="p-2 rounded-md bg-gray-600 hover:bg-gray-700 text-white transition-colors disabled:opacity-50"
+              disabled={!hasPreviousFrame}
+              title="Frame anterior (←)"
+            >
+              <ChevronLeftIcon className="h-4 w-4" />
+            </button>
+
+            {/* Frame Slider */}
+            <div className="flex-1 max-w-md mx-4">
+              <input
+                type="range"
+                min={0}
+                max={frameInfo.total - 1}
+                value={frameInfo.current}
+                onChange={(e) => goToFrame(parseInt(e.target.value, 10))}
+                className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+              />
+            </div>
+
+            {/* Next Frame */}
+            <button
+              onClick={nextFrame}
+              className="p-2 rounded-md bg-gray-600 hover:bg-gray-700 text-white transition-colors disabled:opacity-50"
+              disabled={!hasNextFrame}
+              title="Frame siguiente (→)"
+            >
+              <ChevronRightIcon className="h-4 w-4" />
+            </button>
+
+            {/* Frame Indicator */}
+            <div className="text-gray-300 text-xs font-mono min-w-max">
+              {frameInfo.current + 1} / {frameInfo.total}
+            </div>
+          </div>
+
+          {/* Velocidad, paso, modo y rango */}
+          <div className="mt-2">
+            <PlaybackOptions
+              playback={activePlayback}
+              onChange={handlePlaybackChange}
+              currentFrame={frameInfo.current}
+              frameCount={frameInfo.total}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Mediciones */}
+      {showMeasurementPanel && (
+        <MeasurementPanel
+          measurements={activeMeasurements}
+          series={measurementSeries}
+          progress={seriesProgress}
+          frameCount={frameInfo.total}
+          currentFrame={frameInfo.current}
+          times={frameTimes}
+          timeUnit={timeUnit}
+          picking={picking}
+          onStartPicking={kind => setPicking({ kind, atoms: [] })}
+          onCancelPicking={() => setPicking(null)}
+          onRemove={id => handleMeasurementsChange(activeMeasurements.filter(m => m.id !== id))}
+          onFrameSelect={frame => {
+            pauseAnimation();
+            goToFrame(frame);
+          }}
+          onExport={handleExportMeasurements}
+        />
+      )}
+
+      {/* PCA en el navegador */}
+      {showAnalysisPanel && onConformationalAnalysis && (
+        <ConformationalAnalysisPanel
+          options={analysis.options}
+          onOptionsChange={analysis.setOptions}
+          progress={analysis.progress}
+          error={analysis.error}
+          result={analysis.result}
+          disabled={frameInfo.total < 3}
+          onRun={analysis.run}
+          onCancel={analysis.cancel}
+          onDiscard={analysis.discard}
+        />
+      )}
+
+      {/* Estilos del slider */}
+      <style jsx>{`
+        .slider::-webkit-slider-thumb {
+          appearance: none;
+          height: 16px;
+          width: 16px;
+          border-radius: 50%;
+          background: #3B82F6;
+          cursor: pointer;
+        }
+
+        .slider::-moz-range-thumb {
+          height: 16px;
+          width: 16px;
+          border-radius: 50%;
+          background: #3B82F6;
+          cursor: pointer;
+          border: none;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default MolstarPlayer;
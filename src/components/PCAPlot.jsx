@@ -4,19 +4,58 @@
  * Componente de visualización PCA interactivo para análisis conformacional
  */
 
-import React, { useState, useCallback, useMemo } from 'react';
-import Plot from 'react-plotly.js';
-import { ChartBarIcon, ViewfinderCircleIcon, ArrowsPointingOutIcon } from '@heroicons/react/24/outline';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import dynamic from 'next/dynamic';
+import { ChartBarIcon } from '@heroicons/react/24/outline';
+import { resolveLegacyProps, toCssSize } from './legacyProps';
+import { convertTime, displayUnit, formatTime, frameTime, hasFrameTimes } from '../lib/timeAxis';
+import { colorRange, detectFrameMetrics, metricTitle, metricValue, SEQUENTIAL_COLORSCALE } from '../lib/frameMetrics';
+import {
+  axisTitle,
+  componentCount,
+  componentKey,
+  componentLabel,
+  normalizeAxes,
+  setAxisComponent,
+  varianceByComponent
+} from '../lib/pcaAxes';
+import {
+  DEFAULT_LANDSCAPE_BINS,
+  DEFAULT_TEMPERATURE,
+  GAS_CONSTANT,
+  MAX_LANDSCAPE_BINS,
+  MIN_LANDSCAPE_BINS,
+  freeEnergyLandscape,
+  landscapeCsv,
+  nearestIndex
+} from '../lib/freeEnergy';
+import { saveTextFile } from '../lib/saveFile';
+import { normalizeFrameList } from '../lib/playback';
+import { createCustomCluster, frameListCsv, summarizeFrames } from '../lib/frameSelection';
+import { ScreePlot } from './ScreePlot';
+
+// Plotly solo funciona en el navegador
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => (
+    <div className="flex items-center justify-center h-64">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      <span className="ml-2 text-gray-400">Cargando gráfico PCA...</span>
+    </div>
+  )
+});
 
 // Tipos de datos esperados (comentarios JSDoc para documentación)
 /**
  * @typedef {Object} PCAData
  * @property {number} frame - Número de frame
  * @property {number} pc1 - Componente principal 1
- * @property {number} pc2 - Componente principal 2  
- * @property {number} pc3 - Componente principal 3
- * @property {number} time_ns - Tiempo en nanosegundos
+ * @property {number} pc2 - Componente principal 2
+ * @property {number} [pc3] - Componente principal 3 (y siguientes: `pc4`, `pc5`...)
+ * @property {number} [time_ns] - Tiempo en nanosegundos
  * @property {number} [cluster] - ID del cluster (opcional)
+ * @property {number} [rmsd] - Cualquier otro campo numérico es una magnitud por frame
+ *   (RMSD, radio de giro, energía...) por la que se puede colorear
  */
 
 /**
@@ -27,175 +66,488 @@ import { ChartBarIcon, ViewfinderCircleIcon, ArrowsPointingOutIcon } from '@hero
  * @property {number} percentage - Porcentaje del total
  */
 
+/**
+ * @typedef {Object} PCASeries
+ * @property {string} id - Identificador (p. ej. ID de la simulación)
+ * @property {string} label - Nombre en la leyenda y el tooltip
+ * @property {PCAData[]} data - Proyecciones de la serie
+ * @property {number|null} [currentFrame] - Frame resaltado de la serie
+ * @property {number[]} [selectedFrames] - Frames seleccionados de la serie
+ * @property {import('../lib/timeAxis').TimeAxis} [timeAxis] - Tiempos por frame de la serie
+ * @property {string} [symbol] - Símbolo de marcador de Plotly (por defecto, uno distinto por serie)
+ * @property {string} [color] - Color con `colorBy="series"`
+ */
+
 /**
  * @typedef {Object} PCAPlotProps
- * @property {PCAData[]} [pcaData=[]] - Datos de PCA
- * @property {ClusterInfo[]} [clusterInfo=[]] - Información de clusters
- * @property {Object} [explainedVariance] - Varianza explicada por componente
- * @property {number} [currentFrame=0] - Frame actual seleccionado
- * @property {function} [onPointClick] - Callback para click en punto
- * @property {number} [height=500] - Altura del plot
- * @property {'2d'|'3d'} [viewMode='2d'] - Modo de visualización
+ * @property {PCAData[]} [data=[]] - Proyecciones PCA; antes `pcaData`
+ * @property {PCASeries[]} [series] - Varias trayectorias en el mismo espacio PCA, una por símbolo; sustituye a `data`, `currentFrame` y `timeAxis`
+ * @property {ClusterInfo[]} [clusterInfo=[]] - Información de clusters (activa el filtro)
+ * @property {import('../lib/pcaAxes').ExplainedVariance} [explainedVariance] - Varianza explicada (%) por componente:
+ *   lista (índice 0 = PC1) u objeto `{pc1, pc2, ...}`
+ * @property {number[]} [axes=[1, 2, 3]] - Componentes de los ejes X, Y y Z (1 = PC1); con `onAxesChange` es
+ *   controlado y si no, los ejes iniciales
+ * @property {function(number[]): void} [onAxesChange] - Cambio de ejes desde los selectores
+ * @property {boolean} [showScree=false] - Si mostrar inicialmente la varianza por componente (scree y acumulada)
+ * @property {number|null} [currentFrame=null] - Frame resaltado; antes `selectedFrame`
+ * @property {number[]} [selectedFrames] - Frames seleccionados (con `series`, `selectedFrames` de cada serie); con
+ *   `onSelectionChange` es controlado y si no, la selección inicial
+ * @property {function(number[], string=): void} [onSelectionChange] - Selección con el lazo o la caja:
+ *   `(frames, id de la serie)`, una llamada por serie
+ * @property {function(number[], string=): void} [onPlaySelection] - Reproducir la selección de una serie
+ *   (activa el botón «Reproducir»)
+ * @property {import('../lib/frameSelection').CustomCluster[]} [customClusters] - Clusters propios; con
+ *   `onCustomClustersChange` es controlado y si no, los iniciales
+ * @property {function(Object[]): void} [onCustomClustersChange] - Clusters propios creados o borrados
+ * @property {import('../lib/timeAxis').TimeAxis} [timeAxis] - Unidad y tiempos por frame (si no, `time_ns` de cada punto)
+ * @property {function(number, Object, string=): void} [onPointClick] - Click en un punto: `(frame, punto, id de la serie)`
+ * @property {number|string} [height=500] - Altura del gráfico (px o longitud CSS)
+ * @property {'2d'|'3d'|'landscape'} [viewMode='2d'] - Modo de visualización inicial; `landscape` es la superficie
+ *   de energía libre de los ejes X e Y (con varias series, de todos sus frames juntos)
+ * @property {import('../lib/freeEnergy').EnergyUnit} [energyUnit='kcal/mol'] - Unidad inicial de ΔG
+ * @property {number} [temperature=300] - Temperatura inicial (K) para ΔG = −kT·ln(P/Pmax)
+ * @property {string} [colorBy='cluster'] - `cluster`, `time`, `frame`, `series` (solo con `series`), `custom`
+ *   (clusters propios) o el campo de una
+ *   magnitud por frame (p. ej. `rmsd`); con `onColorByChange` es controlado y si no, el coloreado inicial
+ * @property {function(string): void} [onColorByChange] - Cambio de coloreado desde el selector
+ * @property {import('../lib/frameMetrics').FrameMetric[]} [metrics] - Nombre, unidad y escala de las magnitudes por frame
+ * @property {boolean} [showTrajectory=true] - Si dibujar la trayectoria como línea inicialmente
+ * @property {boolean} [showLegend=true] - Si mostrar la leyenda
  * @property {boolean} [showControls=true] - Si mostrar controles
+ * @property {string} [title] - Título del gráfico
  */
 
+// Nombres de props de la antigua copia en components/visualization
+const LEGACY_PROPS = { pcaData: 'data', selectedFrame: 'currentFrame' };
+
 const CLUSTER_COLORS = [
   '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
   '#DDA0DD', '#F0932B', '#6C5CE7', '#A29BFE', '#FD79A8'
 ];
 
-export const PCAPlot = ({
-  pcaData = [],
-  clusterInfo = [],
-  explainedVariance,
-  currentFrame = 0,
-  onPointClick,
-  height = 500,
-  viewMode = '2d',
-  showControls = true
-}) => {
+// Un símbolo por serie; el primero es el de siempre con una sola serie
+const SERIES_SYMBOLS = ['circle', 'diamond', 'square', 'triangle-up', 'cross', 'x', 'star', 'pentagon'];
+const SERIES_COLORS = ['#3B82F6', '#F97316', '#10B981', '#E11D48', '#A855F7', '#EAB308'];
+
+const formatNumber = (value, digits) => (
+  typeof value === 'number' ? value.toFixed(digits) : 'N/A'
+);
+
+/**
+ * Texto del tooltip de un punto
+ */
+const pointLabel = (p, time, unit, seriesLabel, components, metrics) => (
+  (seriesLabel ? `Simulación: ${seriesLabel}<br>` : '') +
+  `Frame: ${p.frame}<br>` +
+  `Tiempo: ${formatTime(time, unit)}<br>` +
+  components.map(c => `${componentLabel(c)}: ${formatNumber(p[componentKey(c)], 3)}<br>`).join('') +
+  metrics
+    .filter(metric => metricValue(p, metric.key) !== null)
+    .map(metric => `${metric.label}: ${formatNumber(p[metric.key], 2)}${metric.unit ? ` ${metric.unit}` : ''}<br>`)
+    .join('') +
+  (p.cluster !== undefined ? `Cluster: ${p.cluster}` : '')
+);
+
+/**
+ * Gráfico PCA 2D/3D con clusters, trayectoria y selección de frames.
+ * @param {PCAPlotProps} props
+ */
+export const PCAPlot = (props) => {
+  const {
+    data = [],
+    series,
+    clusterInfo = [],
+    explainedVariance,
+    currentFrame = null,
+    selectedFrames,
+    onSelectionChange,
+    onPlaySelection,
+    customClusters: customClustersProp,
+    onCustomClustersChange,
+    timeAxis,
+    onPointClick,
+    height = 500,
+    axes: axesProp,
+    onAxesChange,
+    showScree: initialShowScree = false,
+    viewMode: initialViewMode = '2d',
+    energyUnit: initialEnergyUnit = 'kcal/mol',
+    temperature: initialTemperature = DEFAULT_TEMPERATURE,
+    colorBy: colorByProp = 'cluster',
+    onColorByChange,
+    metrics,
+    showTrajectory: initialShowTrajectory = true,
+    showLegend = true,
+    showControls = true,
+    title = '🧬 Análisis de Componentes Principales (PCA)'
+  } = resolveLegacyProps('PCAPlot', props, LEGACY_PROPS);
+
   // Estado local
+  const [viewMode, setViewMode] = useState(initialViewMode);
+  const [localColorBy, setLocalColorBy] = useState(colorByProp);
+  const [showTrajectory, setShowTrajectory] = useState(initialShowTrajectory);
+  const [showScree, setShowScree] = useState(initialShowScree);
+  const [localAxes, setLocalAxes] = useState(axesProp);
   const [selectedCluster, setSelectedCluster] = useState(null);
-  const [showTrajectory, setShowTrajectory] = useState(true);
-  const [colorBy, setColorBy] = useState('cluster');
+  const [landscapeStyle, setLandscapeStyle] = useState('heatmap');
+  const [landscapeBins, setLandscapeBins] = useState(DEFAULT_LANDSCAPE_BINS);
+  const [temperature, setTemperature] = useState(initialTemperature);
+  const [energyUnit, setEnergyUnit] = useState(initialEnergyUnit);
+  const [showLandscapePoints, setShowLandscapePoints] = useState(false);
+
+  useEffect(() => setViewMode(initialViewMode), [initialViewMode]);
+  useEffect(() => setTemperature(initialTemperature), [initialTemperature]);
+  useEffect(() => setEnergyUnit(initialEnergyUnit), [initialEnergyUnit]);
+  useEffect(() => setLocalColorBy(colorByProp), [colorByProp]);
+  useEffect(() => setShowTrajectory(initialShowTrajectory), [initialShowTrajectory]);
+  useEffect(() => setShowScree(initialShowScree), [initialShowScree]);
+
+  // Por contenido: un array nuevo con los mismos ejes no deshace la elección local
+  const axesPropKey = axesProp ? Array.from(axesProp).join(',') : '';
+  useEffect(() => {
+    setLocalAxes(axesPropKey ? axesPropKey.split(',').map(Number) : undefined);
+  }, [axesPropKey]);
+
+  // Una sola trayectoria es una serie sin nombre
+  const isMulti = Array.isArray(series);
+  const allSeries = useMemo(
+    () => (isMulti ? series : [{ id: undefined, label: null, data, currentFrame, timeAxis, selectedFrames }]),
+    [isMulti, series, data, currentFrame, timeAxis, selectedFrames]
+  );
+  const points = useMemo(() => allSeries.flatMap(s => s.data), [allSeries]);
+
+  // Selección por serie: controlada con `onSelectionChange`, local si no
+  const isSelectionControlled = typeof onSelectionChange === 'function';
+  const propSelection = useMemo(
+    () => allSeries.map(s => normalizeFrameList(s.selectedFrames ?? [])),
+    [allSeries]
+  );
+  const propSelectionKey = propSelection.map(frames => frames.join(',')).join(';');
+  const [localSelection, setLocalSelection] = useState(propSelection);
+  useEffect(() => {
+    setLocalSelection(propSelectionKey.split(';').map(part => (part ? part.split(',').map(Number) : [])));
+  }, [propSelectionKey]);
+  const selection = isSelectionControlled ? propSelection : localSelection;
+  const selectedSets = useMemo(() => selection.map(frames => new Set(frames)), [selection]);
+  const selectedCount = selection.reduce((total, frames) => total + frames.length, 0);
+
+  const applySelection = useCallback((next) => {
+    if (isSelectionControlled) allSeries.forEach((s, i) => onSelectionChange(next[i] ?? [], s.id));
+    else setLocalSelection(next);
+  }, [isSelectionControlled, allSeries, onSelectionChange]);
+
+  // Clusters propios: controlados con `onCustomClustersChange`, locales si no
+  const isCustomControlled = typeof onCustomClustersChange === 'function';
+  const [localCustomClusters, setLocalCustomClusters] = useState(customClustersProp ?? []);
+  useEffect(() => setLocalCustomClusters(customClustersProp ?? []), [customClustersProp]);
+  const customClusters = (isCustomControlled ? customClustersProp : localCustomClusters) ?? [];
+  const applyCustomClusters = useCallback((next) => {
+    if (isCustomControlled) onCustomClustersChange(next);
+    else setLocalCustomClusters(next);
+  }, [isCustomControlled, onCustomClustersChange]);
+
+  // Con una sola trayectoria todos los clusters propios son suyos
+  const clustersOfSeries = useCallback(
+    (s) => customClusters.filter(cluster => !isMulti || cluster.seriesId === s.id),
+    [customClusters, isMulti]
+  );
+
+  const hasClusters = useMemo(() => points.some(d => d.cluster !== undefined), [points]);
+  const frameMetrics = useMemo(() => detectFrameMetrics(points, metrics), [points, metrics]);
+
+  // Ejes: controlados con `onAxesChange`, locales si no. La vista 3D necesita tres componentes
+  const pcCount = useMemo(() => componentCount(points), [points]);
+  const isAxesControlled = typeof onAxesChange === 'function';
+  const requestedAxes = isAxesControlled ? axesProp : localAxes;
+  const requestedAxesKey = requestedAxes ? Array.from(requestedAxes).join(',') : '';
+  const axes = useMemo(
+    () => normalizeAxes(requestedAxesKey ? requestedAxesKey.split(',').map(Number) : null, pcCount),
+    [requestedAxesKey, pcCount]
+  );
+  const [xComponent, yComponent, zComponent] = axes;
+  const is3D = viewMode === '3d' && pcCount >= 3;
+  const isLandscape = viewMode === 'landscape';
+  const shownComponents = useMemo(() => (is3D ? axes : axes.slice(0, 2)), [axes, is3D]);
+  const variances = useMemo(
+    () => varianceByComponent(explainedVariance, pcCount),
+    [explainedVariance, pcCount]
+  );
+
+  const handleAxisChange = useCallback((index, component) => {
+    const next = setAxisComponent(axes, index, component);
+    if (isAxesControlled) onAxesChange(next);
+    else setLocalAxes(next);
+  }, [axes, isAxesControlled, onAxesChange]);
+  const timeUnit = displayUnit(isMulti ? allSeries[0]?.timeAxis : timeAxis);
+
+  // Coloreado: controlado con `onColorByChange`, local si no
+  const isColorControlled = typeof onColorByChange === 'function';
+  const colorBy = isColorControlled ? colorByProp : localColorBy;
+  const handleColorByChange = useCallback((value) => {
+    if (isColorControlled) onColorByChange(value);
+    else setLocalColorBy(value);
+  }, [isColorControlled, onColorByChange]);
+
+  // Un coloreado que los datos no admiten cae en cluster o, sin clusters, en tiempo
+  const availableColorBy = [
+    ...(isMulti ? ['series'] : []),
+    'time',
+    'frame',
+    ...(hasClusters ? ['cluster'] : []),
+    ...(customClusters.length ? ['custom'] : []),
+    ...frameMetrics.map(metric => metric.key)
+  ];
+  const activeColorBy = availableColorBy.includes(colorBy) ? colorBy : (hasClusters ? 'cluster' : 'time');
+
+  // Tiempo de cada frame en la unidad mostrada, por serie: `timeAxis` manda sobre `time_ns`
+  const timesBySeries = useMemo(() => allSeries.map(s => new Map(s.data.map(p => {
+    if (hasFrameTimes(s.timeAxis)) return [p.frame, frameTime(s.timeAxis, p.frame, timeUnit)];
+    return [p.frame, typeof p.time_ns === 'number' ? convertTime(p.time_ns, 'ns', timeUnit) : null];
+  }))), [allSeries, timeUnit]);
+
+  // Superficie de energía libre de los ejes X e Y, con los frames de todas las series
+  const landscape = useMemo(() => {
+    if (!isLandscape) return null;
+    const [xKey, yKey] = shownComponents.map(componentKey);
+    return freeEnergyLandscape(points.map(p => p[xKey]), points.map(p => p[yKey]), {
+      bins: landscapeBins,
+      temperature,
+      unit: energyUnit
+    });
+  }, [isLandscape, points, shownComponents, landscapeBins, temperature, energyUnit]);
+
+  const handleExportLandscape = useCallback(() => {
+    if (!landscape) return;
+    const [xName, yName] = shownComponents.map(componentLabel);
+    saveTextFile(`energia_libre_${xName}_${yName}.csv`, landscapeCsv(landscape, xName, yName), 'text/csv');
+  }, [landscape, shownComponents]);
 
   /**
    * Preparar datos para Plotly
    */
   const plotData = useMemo(() => {
-    if (!pcaData.length) return [];
+    if (!points.length) return [];
 
+    const traceType = is3D ? 'scatter3d' : 'scattergl';
+    const [xKey, yKey, zKey] = shownComponents.map(componentKey);
     const traces = [];
+    const lines = [];
 
-    if (colorBy === 'cluster' && pcaData.some(d => d.cluster !== undefined)) {
-      // Agrupar por clusters
-      const clusterGroups = pcaData.reduce((groups, point) => {
-        const cluster = point.cluster ?? -1;
-        if (!groups[cluster]) groups[cluster] = [];
-        groups[cluster].push(point);
-        return groups;
-      }, {});
-
-      Object.entries(clusterGroups).forEach(([clusterStr, points]) => {
-        const cluster = parseInt(clusterStr);
-        const color = cluster >= 0 ? CLUSTER_COLORS[cluster % CLUSTER_COLORS.length] : '#CCCCCC';
-        
-        // Filtrar por cluster seleccionado si hay uno
-        if (selectedCluster !== null && cluster !== selectedCluster) return;
-
-        const trace = {
-          x: points.map(p => p.pc1),
-          y: points.map(p => p.pc2),
-          mode: 'markers',
-          type: viewMode === '3d' ? 'scatter3d' : 'scatter',
-          name: cluster >= 0 ? `Cluster ${cluster}` : 'Sin cluster',
-          marker: {
-            color: color,
-            size: points.map(p => p.frame === currentFrame ? 12 : 6),
-            opacity: 0.7,
-            line: {
-              color: points.map(p => p.frame === currentFrame ? '#FFFFFF' : color),
-              width: points.map(p => p.frame === currentFrame ? 2 : 0)
-            }
-          },
-          text: points.map(p => 
-            `Frame: ${p.frame}<br>` +
-            `Tiempo: ${p.time_ns.toFixed(1)} ns<br>` +
-            `PC1: ${p.pc1.toFixed(3)}<br>` +
-            `PC2: ${p.pc2.toFixed(3)}<br>` +
-            `PC3: ${p.pc3.toFixed(3)}<br>` +
-            (p.cluster !== undefined ? `Cluster: ${p.cluster}` : '')
-          ),
-          hovertemplate: '%{text}<extra></extra>',
-          customdata: points.map(p => p.frame)
-        };
-
-        if (viewMode === '3d') {
-          trace.z = points.map(p => p.pc3);
-        }
-
-        traces.push(trace);
-      });
-
-    } else {
-      // Colorear por tiempo
+    const markerTrace = (seriesIndex, seriesPoints, name, marker) => {
+      const { currentFrame: highlighted = null, label, symbol } = allSeries[seriesIndex];
+      const times = timesBySeries[seriesIndex];
       const trace = {
-        x: pcaData.map(p => p.pc1),
-        y: pcaData.map(p => p.pc2),
+        x: seriesPoints.map(p => p[xKey]),
+        y: seriesPoints.map(p => p[yKey]),
         mode: 'markers',
-        type: viewMode === '3d' ? 'scatter3d' : 'scatter',
-        name: 'Trayectoria',
+        type: traceType,
+        name,
+        // Serie del punto, para el click
+        meta: seriesIndex,
         marker: {
-          color: pcaData.map(p => p.time_ns),
-          colorscale: 'Viridis',
-          size: pcaData.map(p => p.frame === currentFrame ? 12 : 6),
+          size: seriesPoints.map(p => p.frame === highlighted ? 12 : 6),
           opacity: 0.7,
-          colorbar: {
-            title: 'Tiempo (ns)',
-            titleside: 'right'
-          },
+          symbol: symbol ?? SERIES_SYMBOLS[seriesIndex % SERIES_SYMBOLS.length],
+          ...marker,
           line: {
-            color: pcaData.map(p => p.frame === currentFrame ? '#FFFFFF' : undefined),
-            width: pcaData.map(p => p.frame === currentFrame ? 2 : 0)
+            color: '#FFFFFF',
+            width: seriesPoints.map(p => p.frame === highlighted ? 2 : 0)
           }
         },
-        text: pcaData.map(p => 
-          `Frame: ${p.frame}<br>` +
-          `Tiempo: ${p.time_ns.toFixed(1)} ns<br>` +
-          `PC1: ${p.pc1.toFixed(3)}<br>` +
-          `PC2: ${p.pc2.toFixed(3)}<br>` +
-          `PC3: ${p.pc3.toFixed(3)}`
-        ),
+        text: seriesPoints.map(p => pointLabel(p, times.get(p.frame) ?? null, timeUnit, label, shownComponents, frameMetrics)),
         hovertemplate: '%{text}<extra></extra>',
-        customdata: pcaData.map(p => p.frame)
+        customdata: seriesPoints.map(p => p.frame)
       };
+      if (is3D) trace.z = seriesPoints.map(p => p[zKey]);
+      // Con selección, el resto de puntos se atenúa
+      if (selectedCount > 0) {
+        const selected = selectedSets[seriesIndex];
+        trace.selectedpoints = seriesPoints.flatMap((p, i) => (selected?.has(p.frame) ? [i] : []));
+        trace.selected = { marker: { opacity: 1 } };
+        trace.unselected = { marker: { opacity: 0.15 } };
+      }
+      return trace;
+    };
 
-      if (viewMode === '3d') {
-        trace.z = pcaData.map(p => p.pc3);
+    // Energía libre: mapa de calor o contornos y, encima, los frames (o solo el actual)
+    if (isLandscape) {
+      if (!landscape) return [];
+      const [xName, yName] = shownComponents.map(componentLabel);
+      const surface = {
+        type: landscapeStyle === 'contour' ? 'contour' : 'heatmap',
+        name: 'Energía libre',
+        x: landscape.x,
+        y: landscape.y,
+        z: landscape.energy,
+        colorscale: SEQUENTIAL_COLORSCALE,
+        zmin: 0,
+        zmax: landscape.maxEnergy || 1,
+        colorbar: {
+          title: `ΔG (${landscape.unit})`,
+          titleside: 'right'
+        },
+        hoverongaps: false,
+        hovertemplate: `${xName}: %{x:.2f}<br>${yName}: %{y:.2f}<br>ΔG: %{z:.2f} ${landscape.unit}<extra></extra>`,
+        showlegend: false
+      };
+      if (landscapeStyle === 'contour') {
+        surface.contours = { coloring: 'heatmap', showlabels: true, labelfont: { color: '#FFFFFF', size: 10 } };
+        surface.line = { color: 'rgba(255, 255, 255, 0.4)', width: 0.5 };
       }
 
-      traces.push(trace);
+      allSeries.forEach((s, seriesIndex) => {
+        const shown = showLandscapePoints ? s.data : s.data.filter(p => p.frame === s.currentFrame);
+        if (!shown.length) return;
+        traces.push({
+          ...markerTrace(seriesIndex, shown, isMulti ? s.label : 'Conformaciones', { color: 'rgba(255, 255, 255, 0.6)' }),
+          showlegend: isMulti && showLandscapePoints
+        });
+      });
+      return [surface, ...traces];
     }
 
-    // Agregar trayectoria como línea si está habilitada
-    if (showTrajectory && pcaData.length > 1) {
-      const trajectoryTrace = {
-        x: pcaData.map(p => p.pc1),
-        y: pcaData.map(p => p.pc2),
-        mode: 'lines',
-        type: viewMode === '3d' ? 'scatter3d' : 'scatter',
-        name: 'Trayectoria',
-        line: {
-          color: 'rgba(255, 255, 255, 0.3)',
-          width: 1
-        },
-        showlegend: false,
-        hoverinfo: 'skip'
+    // Coloreado continuo (tiempo, frame o magnitud): todas las series comparten
+    // escala y una única barra de color. Sin tiempos se colorea por frame
+    let continuous = null;
+    if (!['cluster', 'series', 'custom'].includes(activeColorBy)) {
+      const metric = frameMetrics.find(m => m.key === activeColorBy);
+      const hasTime = allSeries.every((s, i) => s.data.every(p => timesBySeries[i].get(p.frame) !== null));
+      const byTime = activeColorBy === 'time' && hasTime;
+
+      const values = allSeries.map((s, i) => s.data.map(p => {
+        if (metric) return metricValue(p, metric.key);
+        return byTime ? timesBySeries[i].get(p.frame) : p.frame;
+      }));
+      continuous = {
+        metric,
+        values,
+        title: metric ? metricTitle(metric) : byTime ? `Tiempo (${timeUnit})` : 'Frame',
+        ...colorRange(values.flat(), metric ?? { scale: 'sequential' })
       };
+    }
+    let colorbarShown = false;
+
+    allSeries.forEach((s, seriesIndex) => {
+      if (!s.data.length) return;
+      const prefix = isMulti ? `${s.label} · ` : '';
+
+      if (activeColorBy === 'cluster' && hasClusters) {
+        // Agrupar por clusters
+        const clusterGroups = s.data.reduce((groups, point) => {
+          const cluster = point.cluster ?? -1;
+          if (!groups[cluster]) groups[cluster] = [];
+          groups[cluster].push(point);
+          return groups;
+        }, {});
+
+        Object.entries(clusterGroups).forEach(([clusterStr, clusterPoints]) => {
+          const cluster = parseInt(clusterStr, 10);
+
+          // Filtrar por cluster seleccionado si hay uno
+          if (selectedCluster !== null && cluster !== selectedCluster) return;
+
+          const color = cluster >= 0 ? CLUSTER_COLORS[cluster % CLUSTER_COLORS.length] : '#CCCCCC';
+          traces.push(markerTrace(seriesIndex, clusterPoints, `${prefix}${cluster >= 0 ? `Cluster ${cluster}` : 'Sin cluster'}`, { color }));
+        });
+
+      } else if (activeColorBy === 'custom') {
+        // Un trazo por cluster propio; un frame puede estar en varios
+        const assigned = new Set();
+        clustersOfSeries(s).forEach(cluster => {
+          const members = new Set(cluster.frames);
+          const clusterPoints = s.data.filter(p => members.has(p.frame));
+          clusterPoints.forEach(p => assigned.add(p.frame));
+          if (clusterPoints.length) {
+            traces.push(markerTrace(seriesIndex, clusterPoints, `${prefix}${cluster.name}`, { color: cluster.color }));
+          }
+        });
+        const rest = s.data.filter(p => !assigned.has(p.frame));
+        if (rest.length) traces.push(markerTrace(seriesIndex, rest, `${prefix}Sin asignar`, { color: '#6B7280' }));
+
+      } else if (activeColorBy === 'series') {
+        const color = s.color ?? SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        traces.push(markerTrace(seriesIndex, s.data, s.label, { color }));
+
+      } else {
+        const values = continuous.values[seriesIndex];
+        const colored = s.data.filter((_, k) => values[k] !== null);
+        const missing = s.data.filter((_, k) => values[k] === null);
+
+        if (colored.length) {
+          traces.push({
+            ...markerTrace(seriesIndex, colored, isMulti ? s.label : 'Conformaciones', {
+              color: values.filter(value => value !== null),
+              colorscale: continuous.colorscale,
+              cmin: continuous.cmin,
+              cmax: continuous.cmax,
+              showscale: !colorbarShown,
+              colorbar: {
+                title: continuous.title,
+                titleside: 'right'
+              }
+            }),
+            showlegend: isMulti
+          });
+          colorbarShown = true;
+        }
 
-      if (viewMode === '3d') {
-        trajectoryTrace.z = pcaData.map(p => p.pc3);
+        // Frames sin valor de la magnitud, en gris
+        if (missing.length) {
+          traces.push(markerTrace(seriesIndex, missing, `${prefix}Sin ${continuous.metric.label}`, { color: '#9CA3AF' }));
+        }
       }
 
-      traces.unshift(trajectoryTrace);
-    }
+      // Agregar trayectoria como línea si está habilitada
+      if (showTrajectory && s.data.length > 1) {
+        const trajectoryTrace = {
+          x: s.data.map(p => p[xKey]),
+          y: s.data.map(p => p[yKey]),
+          mode: 'lines',
+          type: traceType,
+          name: `${prefix}Trayectoria`,
+          line: {
+            color: isMulti && activeColorBy === 'series'
+              ? `${s.color ?? SERIES_COLORS[seriesIndex % SERIES_COLORS.length]}55`
+              : 'rgba(255, 255, 255, 0.3)',
+            width: 1
+          },
+          showlegend: false,
+          hoverinfo: 'skip'
+        };
 
-    return traces;
-  }, [pcaData, colorBy, selectedCluster, currentFrame, viewMode, showTrajectory]);
+        if (is3D) {
+          trajectoryTrace.z = s.data.map(p => p[zKey]);
+        }
+
+        lines.push(trajectoryTrace);
+      }
+    });
+
+    // Las líneas debajo de los puntos
+    return [...lines, ...traces];
+  }, [points, allSeries, isMulti, hasClusters, frameMetrics, activeColorBy, selectedCluster, is3D, shownComponents, showTrajectory, timesBySeries, timeUnit, isLandscape, landscape, landscapeStyle, showLandscapePoints, selectedCount, selectedSets, clustersOfSeries]);
 
   /**
    * Configuración del layout de Plotly
    */
   const layout = useMemo(() => {
+    const axis = (component) => ({
+      title: axisTitle(component, variances),
+      gridcolor: '#4B5563',
+      color: '#FFFFFF',
+      zeroline: false
+    });
+
     const baseLayout = {
       title: {
-        text: '🧬 Análisis de Componentes Principales (PCA)',
+        text: title,
         font: { color: '#FFFFFF', size: 16 }
       },
       paper_bgcolor: 'rgba(0,0,0,0)',
       plot_bgcolor: 'rgba(31, 41, 55, 1)',
       font: { color: '#FFFFFF' },
-      showlegend: true,
+      hovermode: 'closest',
+      showlegend: showLegend,
       legend: {
         x: 1.05,
         y: 1,
@@ -204,77 +556,123 @@ export const PCAPlot = ({
         borderwidth: 1
       },
       margin: { t: 50, b: 50, l: 50, r: 50 },
-      height
+      // Conserva zoom y herramienta (lazo, caja) al cambiar frame o selección, no al cambiar de ejes
+      uirevision: `${viewMode}:${shownComponents.join(',')}`,
+      autosize: true
     };
 
-    if (viewMode === '3d') {
+    if (is3D) {
       baseLayout.scene = {
-        xaxis: {
-          title: `PC1 (${explainedVariance?.pc1?.toFixed(1) || 'N/A'}%)`,
-          gridcolor: '#4B5563',
-          color: '#FFFFFF'
-        },
-        yaxis: {
-          title: `PC2 (${explainedVariance?.pc2?.toFixed(1) || 'N/A'}%)`,
-          gridcolor: '#4B5563',
-          color: '#FFFFFF'
-        },
-        zaxis: {
-          title: `PC3 (${explainedVariance?.pc3?.toFixed(1) || 'N/A'}%)`,
-          gridcolor: '#4B5563',
-          color: '#FFFFFF'
-        },
+        xaxis: axis(xComponent),
+        yaxis: axis(yComponent),
+        zaxis: axis(zComponent),
         bgcolor: 'rgba(31, 41, 55, 1)'
       };
     } else {
-      baseLayout.xaxis = {
-        title: `PC1 (${explainedVariance?.pc1?.toFixed(1) || 'N/A'}%)`,
-        gridcolor: '#4B5563',
-        color: '#FFFFFF',
-        zeroline: false
-      };
-      baseLayout.yaxis = {
-        title: `PC2 (${explainedVariance?.pc2?.toFixed(1) || 'N/A'}%)`,
-        gridcolor: '#4B5563',
-        color: '#FFFFFF',
-        zeroline: false
-      };
+      baseLayout.xaxis = axis(xComponent);
+      baseLayout.yaxis = axis(yComponent);
     }
 
     return baseLayout;
-  }, [viewMode, explainedVariance, height]);
+  }, [is3D, xComponent, yComponent, zComponent, variances, title, showLegend, viewMode, shownComponents]);
 
   /**
    * Configuración de Plotly
    */
-  const config = {
+  const config = useMemo(() => ({
     displayModeBar: true,
     displaylogo: false,
-    modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
+    modeBarButtonsToRemove: ['pan2d'],
+    toImageButtonOptions: {
+      format: 'png',
+      filename: 'astroflora_pca_plot',
+      scale: 2
+    },
     responsive: true
-  };
+  }), []);
 
   /**
    * Handler para click en puntos
    */
   const handlePointClick = useCallback((event) => {
-    if (event.points && event.points.length > 0) {
-      const point = event.points[0];
-      const frame = point.customdata;
-      if (typeof frame === 'number' && onPointClick) {
-        onPointClick(frame);
-      }
+    const clicked = event.points?.[0];
+    if (!clicked || !onPointClick) return;
+
+    // Click en la superficie: el frame más cercano a esa celda
+    if (clicked.data?.type === 'heatmap' || clicked.data?.type === 'contour') {
+      const [xKey, yKey] = shownComponents.map(componentKey);
+      const point = points[nearestIndex(points.map(p => p[xKey]), points.map(p => p[yKey]), clicked.x, clicked.y)];
+      if (!point) return;
+      onPointClick(point.frame, point, allSeries.find(s => s.data.includes(point))?.id);
+      return;
     }
-  }, [onPointClick]);
+
+    const frame = clicked.customdata;
+    if (typeof frame !== 'number') return;
+
+    const clickedSeries = allSeries[clicked.data?.meta ?? 0];
+    const point = clickedSeries?.data.find(p => p.frame === frame);
+    onPointClick(frame, point, clickedSeries?.id);
+  }, [allSeries, points, shownComponents, onPointClick]);
 
   /**
-   * Handler para selección de cluster
+   * Selección con el lazo o la caja: los frames de los puntos dentro, por serie
    */
-  const handleClusterSelect = useCallback((cluster) => {
-    setSelectedCluster(cluster);
-  }, []);
+  const handleSelected = useCallback((event) => {
+    if (!event?.points) return;
+    const next = allSeries.map(() => []);
+    event.points.forEach(p => {
+      const seriesIndex = p.data?.meta;
+      if (typeof p.customdata === 'number' && next[seriesIndex]) next[seriesIndex].push(p.customdata);
+    });
+    applySelection(next.map(normalizeFrameList));
+  }, [allSeries, applySelection]);
+
+  const clearSelection = useCallback(() => {
+    applySelection(allSeries.map(() => []));
+  }, [allSeries, applySelection]);
+
+  const handlePlaySelection = useCallback(() => {
+    selection.forEach((frames, i) => {
+      if (frames.length) onPlaySelection?.(frames, allSeries[i]?.id);
+    });
+  }, [selection, allSeries, onPlaySelection]);
+
+  const handleExportSelection = useCallback(() => {
+    const entries = selection.map((frames, i) => ({ series: isMulti ? allSeries[i]?.id : undefined, frames }));
+    saveTextFile('frames_seleccion.csv', frameListCsv(entries.filter(entry => entry.frames.length)), 'text/csv');
+  }, [selection, isMulti, allSeries]);
+
+  // Un cluster propio por serie con frames seleccionados
+  const handleCreateCluster = useCallback(() => {
+    const next = [...customClusters];
+    selection.forEach((frames, i) => {
+      if (frames.length) next.push(createCustomCluster(next, frames, isMulti ? allSeries[i]?.id : undefined));
+    });
+    applyCustomClusters(next);
+    clearSelection();
+  }, [customClusters, selection, isMulti, allSeries, applyCustomClusters, clearSelection]);
+
+  const selectCustomCluster = useCallback((cluster) => {
+    applySelection(allSeries.map(s => (!isMulti || s.id === cluster.seriesId ? cluster.frames : [])));
+  }, [allSeries, isMulti, applySelection]);
 
-  if (!pcaData.length) {
+  const exportCustomCluster = useCallback((cluster) => {
+    const csv = frameListCsv([{ series: isMulti ? cluster.seriesId : undefined, frames: cluster.frames }]);
+    saveTextFile(`frames_${cluster.name.replace(/\s+/g, '_')}.csv`, csv, 'text/csv');
+  }, [isMulti]);
+
+  // Población y medias de cada cluster propio dentro de su serie
+  const customSummaries = useMemo(() => customClusters.map(cluster => {
+    const owner = allSeries.find(s => !isMulti || s.id === cluster.seriesId);
+    return {
+      cluster,
+      seriesLabel: isMulti ? owner?.label ?? cluster.seriesId : null,
+      ...summarizeFrames(cluster.frames, owner?.data ?? [], frameMetrics)
+    };
+  }), [customClusters, allSeries, isMulti, frameMetrics]);
+
+  if (!points.length) {
     return (
       <div className="w-full bg-gray-800 rounded-lg p-8 text-center">
         <ChartBarIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
@@ -299,40 +697,160 @@ export const PCAPlot = ({
                   className="bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
                 >
                   <option value="2d">2D</option>
-                  <option value="3d">3D</option>
+                  <option value="3d" disabled={pcCount < 3}>3D</option>
+                  <option value="landscape">Energía libre</option>
                 </select>
               </div>
 
+              {/* Componentes de los ejes */}
+              {pcCount > 2 && (
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-300">Ejes:</span>
+                  {['X', 'Y', 'Z'].slice(0, shownComponents.length).map((axisName, index) => (
+                    <select
+                      key={axisName}
+                      value={axes[index]}
+                      onChange={(e) => handleAxisChange(index, Number(e.target.value))}
+                      className="bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
+                      title={`Componente del eje ${axisName}`}
+                    >
+                      {Array.from({ length: pcCount }, (_, i) => i + 1).map(component => (
+                        <option key={component} value={component}>{axisTitle(component, variances)}</option>
+                      ))}
+                    </select>
+                  ))}
+                </div>
+              )}
+
               {/* Colorear por */}
+              {!isLandscape && (
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-300">Color:</span>
+                  <select
+                    value={activeColorBy}
+                    onChange={(e) => handleColorByChange(e.target.value)}
+                    className="bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
+                  >
+                    {isMulti && <option value="series">Simulación</option>}
+                    <option value="time">Tiempo</option>
+                    <option value="frame">Frame</option>
+                    <option value="cluster" disabled={!hasClusters}>Cluster</option>
+                    {customClusters.length > 0 && <option value="custom">Clusters propios</option>}
+                    {frameMetrics.map(metric => (
+                      <option key={metric.key} value={metric.key}>{metricTitle(metric)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Mostrar trayectoria */}
+              {!isLandscape && (
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={showTrajectory}
+                    onChange={(e) => setShowTrajectory(e.target.checked)}
+                    className="rounded bg-gray-600 border-gray-500"
+                  />
+                  <span className="text-sm text-gray-300">Trayectoria</span>
+                </label>
+              )}
+
+              {/* Varianza por componente */}
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={showScree}
+                  onChange={(e) => setShowScree(e.target.checked)}
+                  className="rounded bg-gray-600 border-gray-500"
+                />
+                <span className="text-sm text-gray-300">Varianza</span>
+              </label>
+            </div>
+
+            {/* Información */}
+            <div className="text-sm text-gray-400">
+              {isMulti && `${allSeries.length} simulaciones • `}
+              {points.length} frames
+              {!isMulti && currentFrame !== null && ` • Frame actual: ${currentFrame}`}
+            </div>
+          </div>
+
+          {/* Energía libre */}
+          {isLandscape && (
+            <div className="flex items-center flex-wrap gap-4 mt-3">
               <div className="flex items-center space-x-2">
-                <span className="text-sm text-gray-300">Color:</span>
+                <span className="text-sm text-gray-300">Estilo:</span>
                 <select
-                  value={colorBy}
-                  onChange={(e) => setColorBy(e.target.value)}
+                  value={landscapeStyle}
+                  onChange={(e) => setLandscapeStyle(e.target.value)}
                   className="bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
                 >
-                  <option value="time">Tiempo</option>
-                  <option value="cluster">Cluster</option>
+                  <option value="heatmap">Mapa de calor</option>
+                  <option value="contour">Contornos</option>
                 </select>
               </div>
 
-              {/* Mostrar trayectoria */}
+              <label className="flex items-center space-x-2">
+                <span className="text-sm text-gray-300">Celdas:</span>
+                <input
+                  type="number"
+                  min={MIN_LANDSCAPE_BINS}
+                  max={MAX_LANDSCAPE_BINS}
+                  value={landscapeBins}
+                  onChange={(e) => {
+                    const bins = Number(e.target.value);
+                    if (bins >= MIN_LANDSCAPE_BINS && bins <= MAX_LANDSCAPE_BINS) setLandscapeBins(bins);
+                  }}
+                  className="w-16 bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
+                />
+              </label>
+
+              <label className="flex items-center space-x-2">
+                <span className="text-sm text-gray-300">T (K):</span>
+                <input
+                  type="number"
+                  min={1}
+                  step={5}
+                  value={temperature}
+                  onChange={(e) => {
+                    const value = Number(e.target.value);
+                    if (value > 0) setTemperature(value);
+                  }}
+                  className="w-20 bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
+                />
+              </label>
+
+              <select
+                value={energyUnit}
+                onChange={(e) => setEnergyUnit(e.target.value)}
+                className="bg-gray-600 text-white text-sm rounded px-2 py-1 border border-gray-500"
+                title="Unidad de ΔG"
+              >
+                {Object.keys(GAS_CONSTANT).map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+
               <label className="flex items-center space-x-2">
                 <input
                   type="checkbox"
-                  checked={showTrajectory}
-                  onChange={(e) => setShowTrajectory(e.target.checked)}
+                  checked={showLandscapePoints}
+                  onChange={(e) => setShowLandscapePoints(e.target.checked)}
                   className="rounded bg-gray-600 border-gray-500"
                 />
-                <span className="text-sm text-gray-300">Trayectoria</span>
+                <span className="text-sm text-gray-300">Puntos</span>
               </label>
-            </div>
 
-            {/* Información */}
-            <div className="text-sm text-gray-400">
-              {pcaData.length} frames • Frame actual: {currentFrame + 1}
+              <button
+                onClick={handleExportLandscape}
+                disabled={!landscape}
+                className="px-3 py-1 text-sm rounded bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+              >
+                Exportar CSV
+              </button>
             </div>
-          </div>
+          )}
         </div>
       )}
 
@@ -343,20 +861,138 @@ export const PCAPlot = ({
           layout={layout}
           config={config}
           onClick={handlePointClick}
-          className="w-full"
+          onSelected={handleSelected}
+          onDeselect={clearSelection}
+          style={{ width: '100%', height: toCssSize(height) }}
+          useResizeHandler={true}
         />
+        <p className="mt-2 text-xs text-gray-400 text-right">
+          {isLandscape
+            ? 'Click en una cuenca para ver la conformación del frame más cercano'
+            : 'Click en cualquier punto para ver la conformación 3D'}
+          {!is3D && ' • Lazo o caja (barra del gráfico) para seleccionar frames'}
+        </p>
       </div>
 
+      {/* Frames seleccionados */}
+      {selectedCount > 0 && (
+        <div className="bg-gray-700 px-4 py-3 border-t border-gray-600 flex items-center justify-between flex-wrap gap-2">
+          <span className="text-sm text-yellow-300">
+            {selectedCount} frames seleccionados
+            {isMulti && ` en ${selection.filter(frames => frames.length).length} simulaciones`}
+          </span>
+          <div className="flex items-center gap-2">
+            {onPlaySelection && (
+              <button
+                onClick={handlePlaySelection}
+                className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700"
+                title="Reproducir solo estos frames en el visor"
+              >
+                ▶ Reproducir
+              </button>
+            )}
+            <button
+              onClick={handleCreateCluster}
+              className="px-3 py-1 text-sm rounded bg-gray-600 text-gray-200 hover:bg-gray-500"
+            >
+              Crear cluster
+            </button>
+            <button
+              onClick={handleExportSelection}
+              className="px-3 py-1 text-sm rounded bg-gray-600 text-gray-200 hover:bg-gray-500"
+              title="Lista de frames (0-indexed) en CSV"
+            >
+              Exportar índices
+            </button>
+            <button
+              onClick={clearSelection}
+              className="px-3 py-1 text-sm rounded bg-gray-600 text-gray-200 hover:bg-gray-500"
+            >
+              Limpiar
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Clusters propios */}
+      {customSummaries.length > 0 && (
+        <div className="bg-gray-700 px-4 py-3 border-t border-gray-600">
+          <h4 className="text-sm font-medium text-gray-200 mb-2">Clusters propios</h4>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-gray-300">
+              <thead>
+                <tr className="text-left text-gray-400">
+                  <th className="py-1 pr-3 font-medium">Nombre</th>
+                  {isMulti && <th className="py-1 pr-3 font-medium">Simulación</th>}
+                  <th className="py-1 pr-3 font-medium text-right">Frames</th>
+                  {frameMetrics.map(metric => (
+                    <th key={metric.key} className="py-1 pr-3 font-medium text-right">{metricTitle(metric)}</th>
+                  ))}
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {customSummaries.map(({ cluster, seriesLabel, population, percentage, means }) => (
+                  <tr key={cluster.id} className="border-t border-gray-600">
+                    <td className="py-1 pr-3">
+                      <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: cluster.color }} />
+                      {cluster.name}
+                    </td>
+                    {isMulti && <td className="py-1 pr-3">{seriesLabel}</td>}
+                    <td className="py-1 pr-3 text-right font-mono">
+                      {population} ({formatNumber(percentage, 1)}%)
+                    </td>
+                    {frameMetrics.map(metric => (
+                      <td key={metric.key} className="py-1 pr-3 text-right font-mono">
+                        {formatNumber(means[metric.key], 2)}
+                      </td>
+                    ))}
+                    <td className="py-1 text-right whitespace-nowrap space-x-2">
+                      <button onClick={() => selectCustomCluster(cluster)} className="text-blue-300 hover:text-white">
+                        Seleccionar
+                      </button>
+                      <button onClick={() => exportCustomCluster(cluster)} className="text-blue-300 hover:text-white">
+                        Exportar
+                      </button>
+                      <button
+                        onClick={() => applyCustomClusters(customClusters.filter(c => c.id !== cluster.id))}
+                        className="text-gray-400 hover:text-red-400"
+                        title="Borrar cluster"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Varianza explicada por componente y acumulada */}
+      {showScree && (
+        <div className="bg-gray-700 px-4 py-3 border-t border-gray-600">
+          <h4 className="text-sm font-medium text-gray-200 mb-2">Varianza explicada por componente</h4>
+          <ScreePlot
+            explainedVariance={variances}
+            componentCount={pcCount}
+            highlighted={shownComponents}
+            height={200}
+          />
+        </div>
+      )}
+
       {/* Cluster Info */}
-      {colorBy === 'cluster' && clusterInfo.length > 0 && (
+      {!isLandscape && activeColorBy === 'cluster' && clusterInfo.length > 0 && (
         <div className="bg-gray-700 px-4 py-3 border-t border-gray-600">
           <h4 className="text-sm font-medium text-gray-200 mb-2">Clusters</h4>
           <div className="flex flex-wrap gap-2">
             <button
-              onClick={() => handleClusterSelect(null)}
+              onClick={() => setSelectedCluster(null)}
               className={`px-3 py-1 text-xs rounded-full transition-colors ${
-                selectedCluster === null 
-                  ? 'bg-blue-600 text-white' 
+                selectedCluster === null
+                  ? 'bg-blue-600 text-white'
                   : 'bg-gray-600 text-gray-300 hover:bg-gray-500'
               }`}
             >
@@ -365,19 +1001,19 @@ export const PCAPlot = ({
             {clusterInfo.map((cluster) => (
               <button
                 key={cluster.cluster}
-                onClick={() => handleClusterSelect(cluster.cluster)}
+                onClick={() => setSelectedCluster(cluster.cluster)}
                 className={`px-3 py-1 text-xs rounded-full transition-colors ${
                   selectedCluster === cluster.cluster
                     ? 'text-white'
                     : 'text-gray-300 hover:opacity-80'
                 }`}
                 style={{
-                  backgroundColor: selectedCluster === cluster.cluster 
+                  backgroundColor: selectedCluster === cluster.cluster
                     ? CLUSTER_COLORS[cluster.cluster % CLUSTER_COLORS.length]
                     : `${CLUSTER_COLORS[cluster.cluster % CLUSTER_COLORS.length]}80`
                 }}
               >
-                Cluster {cluster.cluster} ({cluster.percentage.toFixed(1)}%)
+                Cluster {cluster.cluster} ({formatNumber(cluster.percentage, 1)}%)
               </button>
             ))}
           </div>
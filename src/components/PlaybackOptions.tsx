@@ -0,0 +1,151 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - PLAYBACK OPTIONS COMPONENT
+ * ==============================================
+ * Barra del visor para la velocidad, el paso, el modo, el rango y el subconjunto de la reproducción
+ */
+
+import React from 'react';
+import {
+  PLAYBACK_FPS_OPTIONS,
+  PLAYBACK_MODE_LABELS,
+  PlaybackMode,
+  PlaybackSettings,
+  playbackRange
+} from '../lib/playback';
+
+export interface PlaybackOptionsProps {
+  playback: PlaybackSettings;
+  onChange: (playback: PlaybackSettings) => void;
+  /** Frame mostrado (0-indexed), para fijarlo como extremo del rango */
+  currentFrame: number;
+  frameCount: number;
+}
+
+const inputClass = 'bg-gray-700 text-gray-100 text-xs rounded px-1 py-0.5 border border-gray-600';
+const buttonClass = 'px-1.5 py-0.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50';
+
+/**
+ * Ajustes de reproducción (ver `playback`). Los frames se muestran 1-indexed.
+ */
+export const PlaybackOptions: React.FC<PlaybackOptionsProps> = ({
+  playback,
+  onChange,
+  currentFrame,
+  frameCount
+}) => {
+  const update = (changes: Partial<PlaybackSettings>) => onChange({ ...playback, ...changes });
+  const range = playbackRange(playback.range, frameCount);
+  const fpsOptions = PLAYBACK_FPS_OPTIONS.includes(playback.fps)
+    ? PLAYBACK_FPS_OPTIONS
+    : [...PLAYBACK_FPS_OPTIONS, playback.fps].sort((a, b) => a - b);
+
+  const updateRange = (edge: 'start' | 'end', value: string) => {
+    const frame = Number.parseInt(value, 10) - 1;
+    if (Number.isInteger(frame)) update({ range: { ...range, [edge]: Math.max(0, Math.min(frame, frameCount - 1)) } });
+  };
+
+  const handleStepChange = (value: string) => {
+    const step = Number.parseInt(value, 10);
+    if (Number.isInteger(step) && step >= 1) update({ step });
+  };
+
+  return (
+    <div className="flex items-center justify-center flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+      <label className="flex items-center space-x-1">
+        <span>FPS</span>
+        <select
+          value={playback.fps}
+          onChange={e => update({ fps: Number(e.target.value) })}
+          className={inputClass}
+        >
+          {fpsOptions.map(fps => (
+            <option key={fps} value={fps}>{fps}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center space-x-1">
+        <span>Paso</span>
+        <input
+          type="number"
+          min={1}
+          max={Math.max(frameCount - 1, 1)}
+          value={playback.step}
+          onChange={e => handleStepChange(e.target.value)}
+          className={`${inputClass} w-14`}
+        />
+      </label>
+
+      <select
+        value={playback.mode}
+        onChange={e => update({ mode: e.target.value as PlaybackMode })}
+        className={inputClass}
+        title="Al llegar al final del rango"
+      >
+        {(Object.entries(PLAYBACK_MODE_LABELS) as [PlaybackMode, string][]).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <div className="flex items-center space-x-1">
+        <span>Frames</span>
+        <input
+          type="number"
+          min={1}
+          max={frameCount}
+          value={range.start + 1}
+          onChange={e => updateRange('start', e.target.value)}
+          className={`${inputClass} w-16`}
+          title="Primer frame"
+        />
+        <button
+          onClick={() => update({ range: { ...range, start: currentFrame } })}
+          className={buttonClass}
+          title="Empezar en el frame actual"
+        >
+          [
+        </button>
+        <span>–</span>
+        <button
+          onClick={() => update({ range: { ...range, end: currentFrame } })}
+          className={buttonClass}
+          title="Terminar en el frame actual"
+        >
+          ]
+        </button>
+        <input
+          type="number"
+          min={1}
+          max={frameCount}
+          value={range.end + 1}
+          onChange={e => updateRange('end', e.target.value)}
+          className={`${inputClass} w-16`}
+          title="Último frame"
+        />
+        <button
+          onClick={() => update({ range: null })}
+          disabled={playback.range === null}
+          className={buttonClass}
+          title="Toda la trayectoria"
+        >
+          Todo
+        </button>
+      </div>
+
+      {playback.frames && (
+        <div className="flex items-center space-x-1 text-yellow-400" title="Solo se reproducen los frames de la selección">
+          <span>Selección: {playback.frames.length} frames</span>
+          <button
+            onClick={() => update({ frames: null })}
+            className={buttonClass}
+            title="Reproducir todos los frames"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackOptions;
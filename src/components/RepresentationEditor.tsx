@@ -0,0 +1,238 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - REPRESENTATION EDITOR COMPONENT
+ * ===================================================
+ * Panel para editar las representaciones del visor y gestionar presets
+ */
+
+import React, { useEffect, useState } from 'react';
+import { PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/solid';
+import {
+  BUILTIN_PRESETS,
+  COLOR_LABELS,
+  RepresentationColor,
+  RepresentationSelection,
+  RepresentationSpec,
+  RepresentationType,
+  SELECTION_LABELS,
+  TYPE_LABELS
+} from '../lib/representations';
+import { RepresentationPresets, deletePreset, loadPresets, savePreset } from '../lib/representationPresets';
+
+export interface RepresentationEditorProps {
+  representations: RepresentationSpec[];
+  onChange: (representations: RepresentationSpec[]) => void;
+  /** Activa los presets guardados (localStorage, uno por simulación) */
+  simulationId?: string;
+  onClose?: () => void;
+}
+
+const NEW_REPRESENTATION: RepresentationSpec = { selection: 'protein', type: 'cartoon', color: 'chain' };
+const DEFAULT_RANGE = { start: 1, end: 10 };
+
+const selectClass = 'bg-gray-700 text-gray-100 text-xs rounded px-1 py-1 border border-gray-600';
+const inputClass = `${selectClass} w-14`;
+
+const options = <T extends string>(labels: Record<T, string>) => (
+  (Object.entries(labels) as [T, string][]).map(([value, label]) => (
+    <option key={value} value={value}>{label}</option>
+  ))
+);
+
+const toInt = (value: string) => Number.parseInt(value, 10);
+
+/**
+ * Editor de representaciones: una fila por selección + tipo + color.
+ */
+export const RepresentationEditor: React.FC<RepresentationEditorProps> = ({
+  representations,
+  onChange,
+  simulationId,
+  onClose
+}) => {
+  const [savedPresets, setSavedPresets] = useState<RepresentationPresets>({});
+  const [presetName, setPresetName] = useState('');
+
+  useEffect(() => {
+    setSavedPresets(simulationId ? loadPresets(simulationId) : {});
+  }, [simulationId]);
+
+  const update = (index: number, changes: Partial<RepresentationSpec>) => {
+    onChange(representations.map((spec, i) => {
+      if (i !== index) return spec;
+      const next = { ...spec, ...changes };
+      // El rango solo tiene sentido con la selección de residuos
+      if (next.selection === 'residues') next.residues = next.residues ?? DEFAULT_RANGE;
+      else delete next.residues;
+      return next;
+    }));
+  };
+
+  const updateRange = (index: number, changes: Partial<NonNullable<RepresentationSpec['residues']>>) => {
+    const current = representations[index].residues ?? DEFAULT_RANGE;
+    update(index, { residues: { ...current, ...changes } });
+  };
+
+  const remove = (index: number) => onChange(representations.filter((_, i) => i !== index));
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!simulationId || !name) return;
+    setSavedPresets(savePreset(simulationId, name, representations));
+    setPresetName('');
+  };
+
+  const handleDeletePreset = (name: string) => {
+    if (simulationId) setSavedPresets(deletePreset(simulationId, name));
+  };
+
+  return (
+    <div className="w-96 max-h-full overflow-y-auto bg-gray-800 bg-opacity-95 border border-gray-700 rounded-lg shadow-lg p-3 text-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium">Representaciones</h4>
+        {onClose && (
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Cerrar">
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {/* Filas */}
+      <div className="space-y-2">
+        {representations.length === 0 && (
+          <p className="text-xs text-gray-400">Sin representaciones: añade una para ver la estructura.</p>
+        )}
+        {representations.map((spec, index) => (
+          <div key={index} className="bg-gray-900 rounded p-2 space-y-1">
+            <div className="flex items-center space-x-1">
+              <select
+                value={spec.selection}
+                onChange={e => update(index, { selection: e.target.value as RepresentationSelection })}
+                className={`${selectClass} flex-1`}
+                aria-label="Selección"
+              >
+                {options(SELECTION_LABELS)}
+              </select>
+              <button
+                onClick={() => remove(index)}
+                className="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-700"
+                title="Quitar representación"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+
+            {spec.selection === 'residues' && (
+              <div className="flex items-center space-x-1 text-xs text-gray-400">
+                <span>Cadena</span>
+                <input
+                  type="text"
+                  value={spec.residues?.chain ?? ''}
+                  onChange={e => updateRange(index, { chain: e.target.value.trim() || undefined })}
+                  placeholder="todas"
+                  className={inputClass}
+                />
+                <span>de</span>
+                <input
+                  type="number"
+                  value={spec.residues?.start ?? ''}
+                  onChange={e => updateRange(index, { start: toInt(e.target.value) })}
+                  className={inputClass}
+                />
+                <span>a</span>
+                <input
+                  type="number"
+                  value={spec.residues?.end ?? ''}
+                  onChange={e => updateRange(index, { end: toInt(e.target.value) })}
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <div className="flex items-center space-x-1">
+              <select
+                value={spec.type}
+                onChange={e => update(index, { type: e.target.value as RepresentationType })}
+                className={`${selectClass} flex-1`}
+                aria-label="Tipo"
+              >
+                {options(TYPE_LABELS)}
+              </select>
+              <select
+                value={spec.color}
+                onChange={e => update(index, { color: e.target.value as RepresentationColor })}
+                className={`${selectClass} flex-1`}
+                aria-label="Color"
+              >
+                {options(COLOR_LABELS)}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onChange([...representations, NEW_REPRESENTATION])}
+        className="mt-2 w-full flex items-center justify-center space-x-1 text-xs py-1 rounded bg-gray-700 hover:bg-gray-600"
+      >
+        <PlusIcon className="h-3 w-3" />
+        <span>Añadir representación</span>
+      </button>
+
+      {/* Presets */}
+      <div className="mt-4 border-t border-gray-700 pt-3 space-y-2">
+        <h5 className="text-xs font-medium text-gray-400 uppercase tracking-wide">Presets</h5>
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(BUILTIN_PRESETS).map(([name, specs]) => (
+            <button
+              key={name}
+              onClick={() => onChange(specs)}
+              className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600"
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+
+        {simulationId && (
+          <>
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(savedPresets).map(([name, specs]) => (
+                <span key={name} className="inline-flex items-center text-xs rounded bg-blue-900">
+                  <button onClick={() => onChange(specs)} className="px-2 py-1 hover:bg-blue-800 rounded-l">
+                    {name}
+                  </button>
+                  <button
+                    onClick={() => handleDeletePreset(name)}
+                    className="px-1 py-1 hover:bg-red-800 rounded-r"
+                    title={`Borrar preset "${name}"`}
+                  >
+                    <XMarkIcon className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="flex items-center space-x-1">
+              <input
+                type="text"
+                value={presetName}
+                onChange={e => setPresetName(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleSavePreset()}
+                placeholder="Nombre del preset"
+                className={`${selectClass} flex-1`}
+              />
+              <button
+                onClick={handleSavePreset}
+                disabled={!presetName.trim()}
+                className="text-xs px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                Guardar
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RepresentationEditor;
@@ -0,0 +1,129 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - SCREE PLOT COMPONENT
+ * ========================================
+ * Varianza explicada por componente principal y acumulada, para decidir cuántos importan
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { componentLabel, cumulativeVariance, varianceByComponent } from '../lib/pcaAxes';
+import { toCssSize } from './legacyProps';
+
+// Plotly solo funciona en el navegador
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => (
+    <div className="flex items-center justify-center h-32">
+      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+    </div>
+  )
+});
+
+const BAR_COLOR = '#60A5FA';
+const SELECTED_BAR_COLOR = '#FBBF24';
+const CUMULATIVE_COLOR = '#34D399';
+
+/**
+ * @typedef {Object} ScreePlotProps
+ * @property {import('../lib/pcaAxes').ExplainedVariance} explainedVariance - Varianza explicada (%) por componente
+ * @property {number} [componentCount=0] - Componentes de las proyecciones (se muestran aunque falte su varianza)
+ * @property {number[]} [highlighted=[]] - Componentes resaltados (1 = PC1), p. ej. los ejes del mapa PCA
+ * @property {function(number): void} [onComponentClick] - Click en una barra: componente (1 = PC1)
+ * @property {number|string} [height=220] - Altura del gráfico (px o longitud CSS)
+ */
+
+/**
+ * Barras con la varianza de cada componente y línea con la acumulada (eje derecho, 0-100%).
+ *
+ * @param {ScreePlotProps} props
+ */
+export const ScreePlot = ({
+  explainedVariance,
+  componentCount = 0,
+  highlighted = [],
+  onComponentClick,
+  height = 220
+}) => {
+  const variances = useMemo(
+    () => varianceByComponent(explainedVariance, componentCount),
+    [explainedVariance, componentCount]
+  );
+  const hasVariance = variances.some(value => value !== null);
+
+  const plotData = useMemo(() => {
+    const components = variances.map((_, i) => i + 1);
+    const labels = components.map(componentLabel);
+    return [
+      {
+        type: 'bar',
+        name: 'Varianza',
+        x: labels,
+        y: variances,
+        customdata: components,
+        marker: { color: components.map(c => (highlighted.includes(c) ? SELECTED_BAR_COLOR : BAR_COLOR)) },
+        hovertemplate: '%{x}: %{y:.1f}%<extra></extra>'
+      },
+      {
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: 'Acumulada',
+        x: labels,
+        y: cumulativeVariance(variances),
+        customdata: components,
+        yaxis: 'y2',
+        line: { color: CUMULATIVE_COLOR, width: 2 },
+        marker: { size: 6 },
+        hovertemplate: 'Hasta %{x}: %{y:.1f}%<extra></extra>'
+      }
+    ];
+  }, [variances, highlighted]);
+
+  const layout = useMemo(() => {
+    const axisStyle = { gridcolor: '#4B5563', color: '#FFFFFF', zeroline: false };
+    return {
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(31, 41, 55, 1)',
+      font: { color: '#FFFFFF', size: 11 },
+      hovermode: 'closest',
+      showlegend: true,
+      legend: { orientation: 'h', y: -0.25, bgcolor: 'rgba(0,0,0,0)' },
+      margin: { t: 10, b: 40, l: 50, r: 50 },
+      xaxis: { ...axisStyle, type: 'category' },
+      yaxis: { ...axisStyle, title: 'Varianza (%)', rangemode: 'tozero' },
+      yaxis2: { ...axisStyle, title: 'Acumulada (%)', overlaying: 'y', side: 'right', range: [0, 100], showgrid: false },
+      bargap: 0.3,
+      autosize: true
+    };
+  }, []);
+
+  const config = useMemo(() => ({
+    displayModeBar: false,
+    responsive: true
+  }), []);
+
+  const handleClick = useCallback((event) => {
+    const component = event.points?.[0]?.customdata;
+    if (typeof component === 'number') onComponentClick?.(component);
+  }, [onComponentClick]);
+
+  if (!hasVariance) {
+    return (
+      <p className="text-sm text-gray-400 text-center py-4">
+        El análisis no indica la varianza explicada por componente
+      </p>
+    );
+  }
+
+  return (
+    <Plot
+      data={plotData}
+      layout={layout}
+      config={config}
+      onClick={handleClick}
+      style={{ width: '100%', height: toCssSize(height) }}
+      useResizeHandler={true}
+    />
+  );
+};
+
+export default ScreePlot;
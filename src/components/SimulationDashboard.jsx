@@ -4,7 +4,8 @@
  * Panel de control unificado para pipelines de diseño de fármacos
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import dynamic from 'next/dynamic';
 import { 
   PlayIcon, 
   PauseIcon, 
@@ -17,8 +18,21 @@ import {
   ExclamationTriangleIcon,
   ArrowPathIcon
 } from '@heroicons/react/24/outline';
-import MolstarPlayer from './MolstarPlayer';
-import PCAPlot from './PCAPlot';
+import useJobUpdates from '../../hooks/useJobUpdates';
+import useSimulationView from '../../hooks/useSimulationView';
+import { DASHBOARD_TABS } from '../../hooks/useDashboardRoute';
+import {
+  listJobs,
+  getJobResults,
+  startPipeline as startPipelineJob,
+  cancelJob as cancelPipelineJob,
+  resolveFileUrl
+} from '../../lib/api/client';
+import { timeAxisFromFrames } from '../lib/timeAxis';
+
+// Mol* y Plotly dependen del DOM: cargar solo en el cliente
+const MolstarPlayer = dynamic(() => import('./MolstarPlayer'), { ssr: false });
+const PCAPlot = dynamic(() => import('./PCAPlot'), { ssr: false });
 
 /**
  * @typedef {Object} PipelineJob
@@ -92,16 +106,50 @@ const STATUS_ICONS = {
   cancelled: StopIcon
 };
 
-export const SimulationDashboard = () => {
+/**
+ * Panel de pipelines. Sin `onNavigate` gestiona su propio estado; con
+ * `onNavigate` es controlado (p. ej. por la URL en `/dashboard`).
+ *
+ * @param {Object} props
+ * @param {boolean} [props.routeReady=true] - Si el estado controlado ya está disponible
+ * @param {string|null} [props.selectedJobId] - Trabajo seleccionado
+ * @param {string} [props.activeTab] - Pestaña activa
+ * @param {number} [props.currentFrame] - Frame de la visualización
+ * @param {function} [props.onNavigate] - Recibe `{jobId?, tab?, frame?}` con los cambios
+ */
+export const SimulationDashboard = ({
+  routeReady = true,
+  selectedJobId: selectedJobIdProp,
+  activeTab: activeTabProp,
+  currentFrame: currentFrameProp,
+  onNavigate
+} = {}) => {
   // Estados principales
   const [jobs, setJobs] = useState([]);
-  const [selectedJob, setSelectedJob] = useState(null);
+  const [jobsLoaded, setJobsLoaded] = useState(false);
   const [results, setResults] = useState(null);
-  const [isPolling, setIsPolling] = useState(false);
+  const [error, setError] = useState(null);
   
-  // Estados de visualización
-  const [activeTab, setActiveTab] = useState('overview');
-  const [currentFrame, setCurrentFrame] = useState(0);
+  // Selección, pestaña y frame: controlados por props o locales
+  const [localView, setLocalView] = useState({ jobId: null, tab: 'overview', frame: 0 });
+  const isControlled = typeof onNavigate === 'function';
+  const selectedJobId = isControlled ? selectedJobIdProp ?? null : localView.jobId;
+  const activeTab = isControlled ? activeTabProp || 'overview' : localView.tab;
+  const currentFrame = isControlled ? currentFrameProp ?? 0 : localView.frame;
+
+  const navigate = useCallback((changes) => {
+    if (isControlled) {
+      onNavigate(changes);
+    } else {
+      setLocalView(prev => ({
+        ...prev,
+        ...changes,
+        frame: changes.frame ?? (changes.jobId !== undefined && changes.jobId !== prev.jobId ? 0 : prev.frame)
+      }));
+    }
+  }, [isControlled, onNavigate]);
+
+  const selectedJob = jobs.find(job => job.id === selectedJobId) || null;
   
   // Estados del formulario de nuevo pipeline
   const [showNewPipeline, setShowNewPipeline] = useState(false);
@@ -118,41 +166,27 @@ export const SimulationDashboard = () => {
    */
   const loadJobs = useCallback(async () => {
     try {
-      const response = await fetch('/api/v1/jobs');
-      if (response.ok) {
-        const jobsData = await response.json();
-        setJobs(jobsData);
-        
-        // Actualizar trabajo seleccionado si existe
-        if (selectedJob) {
-          const updated = jobsData.find(j => j.id === selectedJob.id);
-          if (updated) {
-            setSelectedJob(updated);
-            
-            // Cargar resultados si está completo
-            if (updated.status === 'completed' && updated.results) {
-              loadResults(updated.id);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error loading jobs:', error);
+      const jobsData = await listJobs();
+      setJobs(jobsData);
+      setJobsLoaded(true);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading jobs:', err);
+      setError(`Error cargando trabajos: ${err.message}`);
     }
-  }, [selectedJob]);
+  }, []);
 
   /**
    * Cargar resultados de un trabajo específico
    */
-  const loadResults = useCallback(async (jobId) => {
+  const loadResults = useCallback(async (jobId, { signal } = {}) => {
     try {
-      const response = await fetch(`/api/v1/jobs/${jobId}/results`);
-      if (response.ok) {
-        const resultsData = await response.json();
-        setResults(resultsData);
-      }
-    } catch (error) {
-      console.error('Error loading results:', error);
+      const resultsData = await getJobResults(jobId, { signal });
+      setResults(resultsData);
+    } catch (err) {
+      if (err.isCancelled) return;
+      console.error('Error loading results:', err);
+      setError(`Error cargando resultados: ${err.message}`);
     }
   }, []);
 
@@ -161,68 +195,71 @@ export const SimulationDashboard = () => {
    */
   const startPipeline = useCallback(async () => {
     try {
-      const response = await fetch('/api/v1/design/start-pipeline', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(pipelineConfig)
-      });
+      const newJob = await startPipelineJob(pipelineConfig);
+      setJobs(prev => [newJob, ...prev]);
+      navigate({ jobId: newJob.id });
+      setShowNewPipeline(false);
+      setError(null);
       
-      if (response.ok) {
-        const newJob = await response.json();
-        setJobs(prev => [newJob, ...prev]);
-        setSelectedJob(newJob);
-        setShowNewPipeline(false);
-        
-        // Reset form
-        setPipelineConfig({
-          type: 'full_pipeline',
-          name: '',
-          target_molecule: '',
-          target_protein: '',
-          parameters: {}
-        });
-        
-        // Start polling
-        setIsPolling(true);
-      }
-    } catch (error) {
-      console.error('Error starting pipeline:', error);
+      // Reset form
+      setPipelineConfig({
+        type: 'full_pipeline',
+        name: '',
+        target_molecule: '',
+        target_protein: '',
+        parameters: {}
+      });
+    } catch (err) {
+      console.error('Error starting pipeline:', err);
+      setError(`Error iniciando pipeline: ${err.message}`);
     }
-  }, [pipelineConfig]);
+  }, [pipelineConfig, navigate]);
 
   /**
    * Cancelar un trabajo
    */
   const cancelJob = useCallback(async (jobId) => {
     try {
-      const response = await fetch(`/api/v1/jobs/${jobId}/cancel`, {
-        method: 'POST'
-      });
-      
-      if (response.ok) {
-        loadJobs();
-      }
-    } catch (error) {
-      console.error('Error cancelling job:', error);
+      await cancelPipelineJob(jobId);
+      loadJobs();
+    } catch (err) {
+      console.error('Error cancelling job:', err);
+      setError(`Error cancelando trabajo: ${err.message}`);
     }
   }, [loadJobs]);
 
   /**
-   * Polling para trabajos activos
+   * Aplicar una actualización en vivo a la lista de trabajos
+   */
+  const applyJobUpdate = useCallback(({ jobId, ...changes }) => {
+    setJobs(prev => prev.map(job => (String(job.id) === jobId ? { ...job, ...changes } : job)));
+  }, []);
+
+  /**
+   * Cargar resultados cuando el trabajo seleccionado está completo
    */
   useEffect(() => {
-    let interval;
-    
-    if (isPolling || jobs.some(job => ['pending', 'running'].includes(job.status))) {
-      interval = setInterval(loadJobs, 2000);
+    setResults(null);
+    if (selectedJob?.status === 'completed') {
+      const controller = new AbortController();
+      loadResults(selectedJob.id, { signal: controller.signal });
+      return () => controller.abort();
     }
-    
-    return () => {
-      if (interval) clearInterval(interval);
-    };
-  }, [isPolling, jobs, loadJobs]);
+  }, [selectedJob?.id, selectedJob?.status, loadResults]);
+
+  /**
+   * Actualizaciones en vivo para trabajos activos (polling cada 2s de respaldo)
+   */
+  const activeJobIds = jobs
+    .filter(job => ['pending', 'running'].includes(job.status))
+    .map(job => job.id);
+
+  useJobUpdates({
+    jobIds: activeJobIds,
+    onUpdate: applyJobUpdate,
+    fallback: loadJobs,
+    fallbackInterval: 2000
+  });
 
   /**
    * Cargar trabajos al montar
@@ -231,12 +268,30 @@ export const SimulationDashboard = () => {
     loadJobs();
   }, [loadJobs]);
 
+  // Tiempos del payload de resultados, compartidos por visor y PCA
+  const timeAxis = useMemo(() => timeAxisFromFrames(results?.pcaData || []) ?? undefined, [results]);
+
+  // Vista del visor por trabajo, solo en el navegador; el frame lo lleva la URL
+  const jobView = useSimulationView(selectedJobId ?? undefined, { remote: false });
+  const restoredView = useMemo(() => {
+    if (!jobView.viewState) return undefined;
+    const { frame: _frame, ...view } = jobView.viewState;
+    return view;
+  }, [jobView.viewState]);
+
   /**
    * Handler para click en puntos PCA
    */
   const handlePCAPointClick = useCallback((frame) => {
-    setCurrentFrame(frame);
-  }, []);
+    navigate({ frame });
+  }, [navigate]);
+
+  /**
+   * Handler para cambios de frame en el visor molecular
+   */
+  const handleFrameChange = useCallback((frame) => {
+    if (frame !== currentFrame) navigate({ frame });
+  }, [navigate, currentFrame]);
 
   /**
    * Renderizar la lista de trabajos
@@ -250,7 +305,7 @@ export const SimulationDashboard = () => {
         return (
           <div
             key={job.id}
-            onClick={() => setSelectedJob(job)}
+            onClick={() => navigate({ jobId: job.id })}
             className={`p-4 rounded-lg border cursor-pointer transition-all ${
               selectedJob?.id === job.id 
                 ? 'border-blue-500 bg-blue-900/20' 
@@ -403,6 +458,19 @@ export const SimulationDashboard = () => {
         </div>
       </div>
 
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-900/40 border-b border-red-700 px-6 py-2 flex items-center justify-between text-sm text-red-300">
+          <div className="flex items-center space-x-2">
+            <ExclamationTriangleIcon className="h-4 w-4" />
+            <span>{error}</span>
+          </div>
+          <button onClick={() => setError(null)} className="text-red-300 hover:text-white">
+            Cerrar
+          </button>
+        </div>
+      )}
+
       <div className="flex h-[calc(100vh-80px)]">
         {/* Sidebar - Lista de trabajos */}
         <div className="w-80 bg-gray-800 border-r border-gray-700 p-4 overflow-y-auto">
@@ -471,10 +539,10 @@ export const SimulationDashboard = () => {
               {/* Tabs */}
               <div className="bg-gray-800 border-b border-gray-700 px-6">
                 <div className="flex space-x-6">
-                  {['overview', 'visualization', 'results'].map((tab) => (
+                  {DASHBOARD_TABS.map((tab) => (
                     <button
                       key={tab}
-                      onClick={() => setActiveTab(tab)}
+                      onClick={() => navigate({ tab })}
                       className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
                         activeTab === tab
                           ? 'border-blue-500 text-blue-400'
@@ -531,9 +599,15 @@ export const SimulationDashboard = () => {
                     <div className="space-y-4">
                       <h3 className="text-lg font-semibold">Visualización Molecular</h3>
                       <MolstarPlayer
-                        structureUrl={results?.trajectoryPath}
+                        topologyUrl={resolveFileUrl(results?.topologyPath)}
+                        trajectoryUrl={resolveFileUrl(results?.trajectoryPath)}
                         currentFrame={currentFrame}
-                        onFrameChange={setCurrentFrame}
+                        timeAxis={timeAxis}
+                        onFrameChange={handleFrameChange}
+                        pcaProjections={results?.pcaData}
+                        simulationId={selectedJobId ?? undefined}
+                        viewState={restoredView}
+                        onViewStateChange={jobView.save}
                         height={400}
                       />
                     </div>
@@ -542,8 +616,9 @@ export const SimulationDashboard = () => {
                     <div className="space-y-4">
                       <h3 className="text-lg font-semibold">Análisis PCA</h3>
                       <PCAPlot
-                        pcaData={results?.pcaData || []}
+                        data={results?.pcaData || []}
                         currentFrame={currentFrame}
+                        timeAxis={timeAxis}
                         onPointClick={handlePCAPointClick}
                         height={400}
                       />
@@ -587,6 +662,26 @@ export const SimulationDashboard = () => {
                 )}
               </div>
             </>
+          ) : !routeReady || (selectedJobId && !jobsLoaded) ? (
+            <div className="flex-1 flex items-center justify-center text-gray-400">
+              <ArrowPathIcon className="h-8 w-8 animate-spin" />
+            </div>
+          ) : selectedJobId ? (
+            <div className="flex-1 flex items-center justify-center text-gray-400">
+              <div className="text-center">
+                <ExclamationTriangleIcon className="h-16 w-16 mx-auto mb-4 opacity-50" />
+                <h2 className="text-xl font-semibold mb-2">Trabajo no encontrado</h2>
+                <p className="mb-4">
+                  No existe ningún trabajo con ID <code className="text-gray-300">{selectedJobId}</code>
+                </p>
+                <button
+                  onClick={() => navigate({ jobId: null })}
+                  className="bg-gray-700 hover:bg-gray-600 px-6 py-3 rounded-lg transition-colors"
+                >
+                  Volver a la lista
+                </button>
+              </div>
+            </div>
           ) : (
             <div className="flex-1 flex items-center justify-center text-gray-400">
               <div className="text-center">
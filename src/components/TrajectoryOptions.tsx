@@ -0,0 +1,140 @@
+/**
+ * 🧬 ASTROFLORA 7.1 - TRAJECTORY OPTIONS COMPONENT
+ * ================================================
+ * Panel del visor para superponer frames, reconstruir la caja periódica y ocultar el disolvente
+ */
+
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/solid';
+import {
+  SUPERPOSITION_LABELS,
+  SuperpositionSelection,
+  TrajectoryProcessing
+} from '../lib/trajectoryProcessing';
+
+export interface TrajectoryOptionsProps {
+  processing: TrajectoryProcessing;
+  onChange: (processing: TrajectoryProcessing) => void;
+  hideSolvent: boolean;
+  onHideSolventChange: (hideSolvent: boolean) => void;
+  /** Frame mostrado (0-indexed), para usarlo como referencia */
+  currentFrame: number;
+  frameCount: number;
+  /** Aviso si alguna opción no se ha podido aplicar */
+  notice?: string | null;
+  onClose?: () => void;
+}
+
+const selectClass = 'bg-gray-700 text-gray-100 text-xs rounded px-1 py-1 border border-gray-600';
+
+/**
+ * Opciones de procesado de la trayectoria (ver `trajectoryProcessing`).
+ */
+export const TrajectoryOptions: React.FC<TrajectoryOptionsProps> = ({
+  processing,
+  onChange,
+  hideSolvent,
+  onHideSolventChange,
+  currentFrame,
+  frameCount,
+  notice,
+  onClose
+}) => {
+  const update = (changes: Partial<TrajectoryProcessing>) => onChange({ ...processing, ...changes });
+
+  const handleReferenceChange = (value: string) => {
+    const frame = Number.parseInt(value, 10) - 1;
+    if (Number.isInteger(frame)) update({ referenceFrame: Math.max(0, Math.min(frame, frameCount - 1)) });
+  };
+
+  const checkbox = (checked: boolean, onToggle: (checked: boolean) => void, label: string, hint: string) => (
+    <label className="flex items-start space-x-2 text-xs cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={e => onToggle(e.target.checked)}
+        className="mt-0.5"
+      />
+      <span>
+        <span className="text-gray-200">{label}</span>
+        <span className="block text-gray-400">{hint}</span>
+      </span>
+    </label>
+  );
+
+  return (
+    <div className="w-72 max-h-full overflow-y-auto bg-gray-800 bg-opacity-95 border border-gray-700 rounded-lg shadow-lg p-3 text-gray-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium">Trayectoria</h4>
+        {onClose && (
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Cerrar">
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {/* Superposición */}
+      <div className="space-y-1">
+        <label className="text-xs text-gray-400" htmlFor="trajectory-superpose">Superponer sobre la referencia</label>
+        <select
+          id="trajectory-superpose"
+          value={processing.superpose}
+          onChange={e => update({ superpose: e.target.value as SuperpositionSelection })}
+          className={`${selectClass} w-full`}
+        >
+          {(Object.entries(SUPERPOSITION_LABELS) as [SuperpositionSelection, string][]).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {processing.superpose !== 'none' && (
+          <div className="flex items-center space-x-1 text-xs text-gray-400">
+            <span>Frame de referencia</span>
+            <input
+              type="number"
+              min={1}
+              max={Math.max(frameCount, 1)}
+              value={processing.referenceFrame + 1}
+              onChange={e => handleReferenceChange(e.target.value)}
+              className={`${selectClass} w-16`}
+            />
+            <button
+              onClick={() => update({ referenceFrame: currentFrame })}
+              disabled={processing.referenceFrame === currentFrame}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+            >
+              Usar el actual
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Caja periódica y disolvente */}
+      <div className="space-y-2">
+        {checkbox(
+          processing.makeWhole,
+          makeWhole => update({ makeWhole }),
+          'Moléculas enteras',
+          'Une las moléculas partidas por los bordes de la caja periódica'
+        )}
+        {checkbox(
+          processing.center,
+          center => update({ center }),
+          'Centrar en la proteína',
+          'Fija la proteína en el centro y lleva el resto a su imagen más cercana'
+        )}
+        {checkbox(
+          hideSolvent,
+          onHideSolventChange,
+          'Ocultar disolvente e iones',
+          'No muestra agua ni iones en ninguna representación'
+        )}
+      </div>
+
+      {notice && (
+        <p className="text-xs text-yellow-300">{notice}</p>
+      )}
+    </div>
+  );
+};
+
+export default TrajectoryOptions;
@@ -0,0 +1,46 @@
+// 🧬 ASTROFLORA 7.1 - LEGACY PROPS
+// ================================
+// Compatibilidad con los nombres de props de las copias antiguas de los componentes
+
+const warned = new Set<string>();
+
+/**
+ * Traduce props con nombres antiguos a los canónicos del componente.
+ * Si llegan ambos nombres gana el canónico. En desarrollo avisa una vez por prop.
+ *
+ * @param component - Nombre del componente (para el aviso)
+ * @param props - Props recibidas
+ * @param aliases - Mapa `nombreAntiguo → nombreCanónico`
+ * @returns Props solo con nombres canónicos
+ */
+export function resolveLegacyProps<P extends object>(
+  component: string,
+  props: P,
+  aliases: Record<string, string>
+): P {
+  const source = props as Record<string, unknown>;
+  let resolved = source;
+
+  Object.entries(aliases).forEach(([legacy, canonical]) => {
+    if (!(legacy in source)) return;
+
+    if (resolved === source) resolved = { ...source };
+    if (resolved[canonical] === undefined) resolved[canonical] = resolved[legacy];
+    delete resolved[legacy];
+
+    const key = `${component}.${legacy}`;
+    if (process.env.NODE_ENV !== 'production' && !warned.has(key)) {
+      warned.add(key);
+      console.warn(`[${component}] La prop "${legacy}" está obsoleta; usa "${canonical}".`);
+    }
+  });
+
+  return resolved as P;
+}
+
+/**
+ * Normaliza una altura: número en píxeles o cualquier longitud CSS.
+ */
+export function toCssSize(height: number | string): string {
+  return typeof height === 'number' ? `${height}px` : height;
+}
@@ -0,0 +1,40 @@
+// 🧬 ASTROFLORA 7.1 - USE CAMERA SYNC
+// ===================================
+// Cámara compartida entre visores a través de un canal `CameraSync`
+
+import { MutableRefObject, useEffect } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import { CameraSync, sameCameraView } from '../lib/cameraSync';
+import { cameraState, subscribeCameraChanges, syncCamera } from '../lib/molstar/viewSnapshot';
+
+/**
+ * Difunde la cámara del visor y sigue la de los demás. La cámara recibida no
+ * se reenvía al dibujarla.
+ */
+export function useCameraSync(
+  pluginRef: MutableRefObject<PluginUIContext | null>,
+  pluginReady: boolean,
+  cameraSync: CameraSync | undefined,
+  viewerId: string
+): void {
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    if (!pluginReady || !plugin?.canvas3d || !cameraSync) return undefined;
+
+    let received: ReturnType<typeof cameraState> = null;
+    const unsubscribeSync = cameraSync.subscribe(viewerId, camera => {
+      received = camera;
+      syncCamera(plugin, camera);
+    });
+    const unsubscribeCamera = subscribeCameraChanges(plugin, () => {
+      const camera = cameraState(plugin);
+      if (!camera || (received && sameCameraView(camera, received))) return;
+      received = null;
+      cameraSync.publish(viewerId, camera);
+    });
+    return () => {
+      unsubscribeSync();
+      unsubscribeCamera();
+    };
+  }, [pluginRef, pluginReady, cameraSync, viewerId]);
+}
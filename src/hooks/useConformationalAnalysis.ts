@@ -0,0 +1,114 @@
+// 🧬 ASTROFLORA 7.1 - USE CONFORMATIONAL ANALYSIS
+// ===============================================
+// PCA y clustering de la trayectoria mostrada en el visor, calculados en un Web Worker
+
+import { MutableRefObject, useCallback, useEffect, useRef, useState } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import {
+  ANALYSIS_STAGE_LABELS,
+  ConformationalAnalysisOptions,
+  DEFAULT_ANALYSIS_OPTIONS,
+  LocalPcaResult
+} from '../lib/conformationalAnalysis';
+import { runConformationalAnalysis } from '../lib/analysisWorker';
+import { selectionCoordinates } from '../lib/molstar/coordinates';
+import { LigandSelector } from '../lib/molstar/bindingSite';
+
+export interface ConformationalAnalysisParams {
+  pluginRef: MutableRefObject<PluginUIContext | null>;
+  /** Trayectoria procesada (superposición, PBC) que se analiza */
+  processedRef: MutableRefObject<string | null>;
+  /** Ligando y radio del bolsillo, para la selección de átomos `pocket` */
+  ligandSelector?: LigandSelector;
+  bindingSiteRadius: number;
+  /** Resultado al terminar (`null` al descartarlo) */
+  onResult?: (result: LocalPcaResult | null) => void;
+  viewerId: string;
+}
+
+/**
+ * Estado del panel «PCA»: opciones, progreso, error y último resultado.
+ * Solo hay un análisis en curso; lanzar otro, `cancel` o `reset` lo cancelan.
+ */
+export function useConformationalAnalysis({
+  pluginRef,
+  processedRef,
+  ligandSelector,
+  bindingSiteRadius,
+  onResult,
+  viewerId
+}: ConformationalAnalysisParams) {
+  const [options, setOptions] = useState<ConformationalAnalysisOptions>(DEFAULT_ANALYSIS_OPTIONS);
+  const [progress, setProgress] = useState<{ label: string; fraction?: number } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<LocalPcaResult | null>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  /**
+   * Lee las coordenadas de los átomos elegidos en la trayectoria procesada y
+   * las analiza en el worker
+   */
+  const run = useCallback(async () => {
+    const plugin = pluginRef.current;
+    const processed = processedRef.current;
+    const trajectory = processed ? plugin?.state.data.cells.get(processed)?.obj?.data : undefined;
+    if (!trajectory) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+    setError(null);
+    setProgress({ label: 'Leyendo coordenadas', fraction: 0 });
+
+    try {
+      const set = await selectionCoordinates(trajectory, options.atoms, {
+        ligand: ligandSelector,
+        pocketRadius: bindingSiteRadius,
+        signal,
+        onProgress: (done, total) => {
+          if (!signal.aborted) setProgress({ label: 'Leyendo coordenadas', fraction: done / total });
+        }
+      });
+      const analysis = await runConformationalAnalysis(set, options, {
+        signal,
+        onProgress: stage => {
+          if (!signal.aborted) setProgress({ label: ANALYSIS_STAGE_LABELS[stage] });
+        }
+      });
+      if (signal.aborted) return;
+      setResult(analysis);
+      onResult?.(analysis);
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error(`[${viewerId}] Error en el análisis conformacional:`, err);
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  }, [pluginRef, processedRef, options, ligandSelector, bindingSiteRadius, onResult, viewerId]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setProgress(null);
+  }, []);
+
+  const discard = useCallback(() => {
+    setResult(null);
+    onResult?.(null);
+  }, [onResult]);
+
+  /** Nueva estructura: el análisis en curso y el resultado ya no corresponden a ella */
+  const reset = useCallback(() => {
+    cancel();
+    setResult(null);
+  }, [cancel]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { options, setOptions, progress, error, result, run, cancel, discard, reset };
+}
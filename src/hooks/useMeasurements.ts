@@ -0,0 +1,146 @@
+// 🧬 ASTROFLORA 7.1 - USE MEASUREMENTS
+// ====================================
+// Mediciones del visor: selección con click, dibujo en Mol* y serie temporal por frame
+
+import { MutableRefObject, useCallback, useEffect, useState } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import {
+  MEASUREMENT_ATOM_COUNT,
+  MeasuredAtom,
+  Measurement,
+  MeasurementKind,
+  MeasurementSeries,
+  createMeasurement
+} from '../lib/measurements';
+import { computeMeasurementSeries, pickedAtom, showMeasurements } from '../lib/molstar/measurements';
+
+export interface MeasurementsParams {
+  /** Mediciones controladas desde fuera; mandan cuando cambia su contenido */
+  measurements?: Measurement[];
+  /** Mediciones iniciales sin prop (p. ej. las de la vista restaurada) */
+  initialMeasurements?: Measurement[];
+  onMeasurementsChange?: (measurements: Measurement[]) => void;
+  pluginRef: MutableRefObject<PluginUIContext | null>;
+  structureRef: MutableRefObject<string | null>;
+  /** Trayectoria procesada sobre la que se calcula la serie */
+  processedRef: MutableRefObject<string | null>;
+  /** Cola de cambios de la escena, para no dibujar a la vez que se reconstruye */
+  queueRef: MutableRefObject<Promise<void>>;
+  pluginReady: boolean;
+  /** Cambia al (re)crear la trayectoria mostrada: se vuelven a dibujar y a calcular */
+  trajectoryVersion: number;
+  viewerId: string;
+}
+
+/**
+ * Estado de las mediciones: lista activa, medición en curso (átomos elegidos
+ * con click en el visor) y valores por frame, que se recalculan por partes
+ * al cambiar la lista o la trayectoria.
+ */
+export function useMeasurements({
+  measurements,
+  initialMeasurements,
+  onMeasurementsChange,
+  pluginRef,
+  structureRef,
+  processedRef,
+  queueRef,
+  pluginReady,
+  trajectoryVersion,
+  viewerId
+}: MeasurementsParams) {
+  const [activeMeasurements, setActiveMeasurements] = useState<Measurement[]>(measurements ?? initialMeasurements ?? []);
+  const [picking, setPicking] = useState<{ kind: MeasurementKind; atoms: MeasuredAtom[] } | null>(null);
+  const [series, setSeries] = useState<MeasurementSeries>({});
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+
+  // La prop manda cuando cambia su contenido (no su identidad: suele ser un literal)
+  const measurementsPropKey = measurements ? JSON.stringify(measurements) : null;
+  useEffect(() => {
+    if (measurements) setActiveMeasurements(measurements);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [measurementsPropKey]);
+
+  const handleChange = useCallback((next: Measurement[]) => {
+    setActiveMeasurements(next);
+    onMeasurementsChange?.(next);
+  }, [onMeasurementsChange]);
+
+  // Selección de átomos para una medición: cada click en un átomo lo añade
+  const isPicking = picking !== null;
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    if (!isPicking || !plugin) return undefined;
+
+    // El BehaviorSubject reenvía el último click al suscribirse: se ignora
+    let initial = true;
+    const subscription = plugin.behaviors.interaction.click.subscribe(({ current }) => {
+      if (initial) {
+        initial = false;
+        return;
+      }
+      const atom = pickedAtom(current.loci);
+      if (!atom) return;
+      setPicking(prev => (
+        prev && !prev.atoms.some(a => a.index === atom.index) ? { ...prev, atoms: [...prev.atoms, atom] } : prev
+      ));
+    });
+    return () => subscription.unsubscribe();
+  }, [isPicking, pluginReady, pluginRef]);
+
+  // Medición completa: se añade a la lista
+  useEffect(() => {
+    if (picking && picking.atoms.length === MEASUREMENT_ATOM_COUNT[picking.kind]) {
+      handleChange([...activeMeasurements, createMeasurement(picking.kind, picking.atoms)]);
+      setPicking(null);
+    }
+  }, [picking, activeMeasurements, handleChange]);
+
+  // Mediciones en el visor (Mol* las actualiza en cada frame)
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    const structure = structureRef.current;
+    if (!plugin || !structure) return;
+
+    queueRef.current = queueRef.current
+      .then(() => showMeasurements(plugin, structure, activeMeasurements))
+      .catch(err => console.error(`[${viewerId}] Error mostrando mediciones:`, err));
+  }, [activeMeasurements, trajectoryVersion, pluginRef, structureRef, queueRef, viewerId]);
+
+  // Serie temporal de las mediciones sobre la trayectoria mostrada (con su procesado)
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    const processed = processedRef.current;
+    const trajectory = processed ? plugin?.state.data.cells.get(processed)?.obj?.data : undefined;
+    setSeries({});
+    if (!trajectory || activeMeasurements.length === 0) {
+      setProgress(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setProgress({ done: 0, total: trajectory.frameCount });
+    computeMeasurementSeries(trajectory, activeMeasurements, {
+      signal: controller.signal,
+      onProgress: (computed, done) => {
+        if (controller.signal.aborted) return;
+        // Mismos arrays, objeto nuevo para que React vuelva a pintar
+        setSeries({ ...computed });
+        setProgress(done < trajectory.frameCount ? { done, total: trajectory.frameCount } : null);
+      }
+    }).catch(err => {
+      if (!controller.signal.aborted) console.error(`[${viewerId}] Error calculando mediciones:`, err);
+    });
+    return () => controller.abort();
+  }, [activeMeasurements, trajectoryVersion, pluginRef, processedRef, viewerId]);
+
+  return {
+    measurements: activeMeasurements,
+    setMeasurements: setActiveMeasurements,
+    handleChange,
+    picking,
+    setPicking,
+    series,
+    progress
+  };
+}
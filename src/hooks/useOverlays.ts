@@ -0,0 +1,100 @@
+// 🧬 ASTROFLORA 7.1 - USE OVERLAYS
+// ================================
+// Trayectorias de otras simulaciones superpuestas en el visor
+
+import { MutableRefObject, useEffect, useRef, useState } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import { MolecularFormatError } from '../lib/molstar/formats';
+import { LoadedOverlay, OverlayTrajectory, loadOverlay, removeOverlays } from '../lib/molstar/overlays';
+import { alignmentReference, trajectoryProcessingNotice } from '../lib/molstar/trajectoryProcessing';
+import { TrajectoryProcessing } from '../lib/trajectoryProcessing';
+
+export interface OverlaysParams {
+  overlays?: OverlayTrajectory[];
+  pluginRef: MutableRefObject<PluginUIContext | null>;
+  /** Trayectoria procesada de la estructura principal, a la que se ajustan */
+  processedRef: MutableRefObject<string | null>;
+  /** Superposiciones cargadas; el visor las mueve de frame y las realinea */
+  overlaysRef: MutableRefObject<LoadedOverlay[]>;
+  /** Opciones de trayectoria actuales de la principal */
+  sceneRef: MutableRefObject<{ processing: TrajectoryProcessing }>;
+  /** Cola de cambios de la escena, para no cargarlas a la vez que se reconstruye */
+  queueRef: MutableRefObject<Promise<void>>;
+  /** Cambia al cargar la estructura principal (el visor se vacía) */
+  structureVersion: number;
+  goToFrame: (frame: number) => Promise<void>;
+  displayedFrameRef: MutableRefObject<number>;
+  viewerId: string;
+}
+
+/**
+ * Carga las superposiciones de nuevo al cambiar la lista o la estructura
+ * principal, sobre sus Cα en el frame de referencia y en el frame mostrado.
+ * Devuelve los avisos de las que no se alinean o no se pudieron cargar.
+ */
+export function useOverlays({
+  overlays,
+  pluginRef,
+  processedRef,
+  overlaysRef,
+  sceneRef,
+  queueRef,
+  structureVersion,
+  goToFrame,
+  displayedFrameRef,
+  viewerId
+}: OverlaysParams): string[] {
+  const [notices, setNotices] = useState<string[]>([]);
+  const goToFrameRef = useRef(goToFrame);
+  goToFrameRef.current = goToFrame;
+
+  const overlaysKey = JSON.stringify(overlays ?? []);
+  useEffect(() => {
+    const plugin = pluginRef.current;
+    const processed = processedRef.current;
+    const sources = overlays ?? [];
+    if (!plugin || !processed || structureVersion === 0) return undefined;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    queueRef.current = queueRef.current
+      .then(async () => {
+        await removeOverlays(plugin, overlaysRef.current);
+        overlaysRef.current = [];
+        setNotices([]);
+        if (sources.length === 0 || signal.aborted) return;
+
+        const { processing: options } = sceneRef.current;
+        const alignTo = await alignmentReference(plugin, processed, options.referenceFrame);
+        const next = alignTo ? [] : ['La estructura no tiene Cα de proteína: las superposiciones no se alinean'];
+
+        for (const source of sources) {
+          try {
+            const overlay = await loadOverlay(plugin, source, { processing: options, alignTo, signal });
+            if (signal.aborted) {
+              await removeOverlays(plugin, [overlay]);
+              return;
+            }
+            overlaysRef.current = [...overlaysRef.current, overlay];
+            const notice = trajectoryProcessingNotice(plugin, overlay.processedRef);
+            if (notice) next.push(`${source.label}: ${notice}`);
+            overlay.stream?.downloadAll().catch(err => {
+              if (!signal.aborted) console.error(`[${viewerId}] Error descargando la trayectoria de ${source.label}:`, err);
+            });
+          } catch (err) {
+            if (signal.aborted) return;
+            console.error(`[${viewerId}] Error cargando la superposición ${source.label}:`, err);
+            next.push(`${source.label}: ${err instanceof MolecularFormatError ? err.message : 'no se pudo cargar'}`);
+          }
+        }
+
+        setNotices(next);
+        await goToFrameRef.current(displayedFrameRef.current);
+      })
+      .catch(err => console.error(`[${viewerId}] Error superponiendo trayectorias:`, err));
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [overlaysKey, structureVersion, viewerId]);
+
+  return notices;
+}
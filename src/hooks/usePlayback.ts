@@ -0,0 +1,187 @@
+// 🧬 ASTROFLORA 7.1 - USE PLAYBACK
+// ================================
+// Reproducción de la trayectoria a FPS fijos con paso, modo, rango y subconjunto de frames
+
+import { MutableRefObject, useCallback, useEffect, useRef, useState } from 'react';
+import { DcdRangeSource } from '../lib/molstar/dcdRangeSource';
+import {
+  PlaybackDirection,
+  PlaybackSettings,
+  isOutsidePlayback,
+  nextPlaybackFrame,
+  normalizePlayback,
+  playbackBounds,
+  stepPlaybackFrame,
+  upcomingPlaybackFrames
+} from '../lib/playback';
+
+// Frames que se piden por adelantado durante la reproducción de una trayectoria por bloques
+const PREFETCH_FRAMES = 20;
+
+export interface PlaybackParams {
+  /** Ajustes controlados desde fuera; mandan cuando cambia su contenido */
+  playback?: Partial<PlaybackSettings>;
+  /** Ajustes iniciales sin prop (p. ej. los de la vista restaurada) */
+  initialPlayback?: Partial<PlaybackSettings>;
+  onPlaybackChange?: (playback: PlaybackSettings) => void;
+  frameCount: number;
+  currentFrame: number;
+  /** Muestra un frame; la reproducción espera a que termine antes del siguiente paso */
+  goToFrame: (frame: number) => Promise<void>;
+  /** Trayectoria por bloques, si la hay: se piden los próximos frames por adelantado */
+  streamRef: MutableRefObject<DcdRangeSource | null>;
+  /** Frame mostrado, leído en cada paso sin reiniciar la reproducción */
+  displayedFrameRef: MutableRefObject<number>;
+  viewerId: string;
+}
+
+/**
+ * Motor de reproducción y controles (reproducir, pausar, detener, frame
+ * anterior/siguiente) sobre los ajustes activos.
+ */
+export function usePlayback({
+  playback,
+  initialPlayback,
+  onPlaybackChange,
+  frameCount,
+  currentFrame,
+  goToFrame,
+  streamRef,
+  displayedFrameRef,
+  viewerId
+}: PlaybackParams) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [activePlayback, setActivePlayback] = useState<PlaybackSettings>(normalizePlayback(playback ?? initialPlayback));
+  const playbackRef = useRef(activePlayback);
+  playbackRef.current = activePlayback;
+  // Sentido de la reproducción (`bounce`), leído en cada paso sin reiniciarla
+  const directionRef = useRef<PlaybackDirection>(1);
+  const goToFrameRef = useRef(goToFrame);
+  goToFrameRef.current = goToFrame;
+
+  // La prop manda cuando cambia su contenido (no su identidad: suele ser un literal)
+  const playbackPropKey = playback ? JSON.stringify(playback) : null;
+  useEffect(() => {
+    if (playback) setActivePlayback(normalizePlayback(playback));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [playbackPropKey]);
+
+  const handleChange = useCallback((settings: PlaybackSettings) => {
+    setActivePlayback(settings);
+    onPlaybackChange?.(settings);
+  }, [onPlaybackChange]);
+
+  const range = playbackBounds(activePlayback, frameCount);
+
+  const play = useCallback(() => {
+    if (range.start === range.end) return;
+
+    // Fuera del rango (o del subconjunto) o al final de una reproducción `once`: desde el principio
+    const current = displayedFrameRef.current;
+    if (isOutsidePlayback(current, activePlayback, frameCount) || (activePlayback.mode === 'once' && current === range.end)) {
+      directionRef.current = 1;
+      goToFrame(range.start);
+    }
+    setIsPlaying(true);
+  }, [range.start, range.end, activePlayback, frameCount, goToFrame, displayedFrameRef]);
+
+  const pause = useCallback(() => {
+    setIsPlaying(false);
+  }, []);
+
+  const stop = useCallback(() => {
+    pause();
+    directionRef.current = 1;
+    goToFrame(range.start);
+  }, [pause, range.start, goToFrame]);
+
+  // Frame anterior/siguiente con el paso, el rango y el subconjunto activos
+  const previousTarget = stepPlaybackFrame(currentFrame, -1, activePlayback, frameCount);
+  const nextTarget = stepPlaybackFrame(currentFrame, 1, activePlayback, frameCount);
+
+  const previous = useCallback(() => {
+    if (previousTarget === null) return;
+    pause();
+    goToFrame(previousTarget);
+  }, [pause, previousTarget, goToFrame]);
+
+  const next = useCallback(() => {
+    if (nextTarget === null) return;
+    pause();
+    goToFrame(nextTarget);
+  }, [pause, nextTarget, goToFrame]);
+
+  /** Nueva trayectoria: parada y hacia delante */
+  const reset = useCallback(() => {
+    setIsPlaying(false);
+    directionRef.current = 1;
+  }, []);
+
+  // Reproducción a `fps` pasos por segundo. Un paso no empieza hasta que el
+  // anterior se ha mostrado; con la trayectoria por bloques, hasta que su frame
+  // está descargado (los siguientes se piden por adelantado)
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    let request = 0;
+    let lastStep = 0;
+    let busy = false;
+
+    const tick = (now: number) => {
+      request = requestAnimationFrame(tick);
+      const settings = playbackRef.current;
+      const interval = 1000 / settings.fps;
+      if (busy || now - lastStep < interval) return;
+
+      const step = nextPlaybackFrame(displayedFrameRef.current, directionRef.current, settings, frameCount);
+      if (!step) {
+        setIsPlaying(false);
+        return;
+      }
+
+      const stream = streamRef.current;
+      if (stream) {
+        stream.prefetch(upcomingPlaybackFrames(step.frame, step.direction, settings, frameCount, PREFETCH_FRAMES));
+        if (!stream.isLoaded(step.frame)) {
+          busy = true;
+          stream.loadFrame(step.frame)
+            .catch(err => {
+              console.error(`[${viewerId}] Error descargando el frame ${step.frame}:`, err);
+              setIsPlaying(false);
+            })
+            .finally(() => {
+              busy = false;
+            });
+          return;
+        }
+      }
+
+      // Sin acumular el retraso del redondeo a los frames de pantalla
+      lastStep = now - ((now - lastStep) % interval);
+      busy = true;
+      directionRef.current = step.direction;
+      goToFrameRef.current(step.frame).finally(() => {
+        busy = false;
+      });
+    };
+
+    request = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(request);
+  }, [isPlaying, frameCount, streamRef, displayedFrameRef, viewerId]);
+
+  return {
+    isPlaying,
+    playback: activePlayback,
+    setPlayback: setActivePlayback,
+    handleChange,
+    range,
+    play,
+    pause,
+    stop,
+    previous,
+    next,
+    hasPrevious: previousTarget !== null,
+    hasNext: nextTarget !== null,
+    reset
+  };
+}
@@ -0,0 +1,126 @@
+// 🧬 ASTROFLORA 7.1 - USE RECORDING
+// =================================
+// Exportación del visor: captura PNG y película del rango de frames con texto superpuesto
+
+import { MutableRefObject, useCallback, useEffect, useRef, useState } from 'react';
+import { PluginUIContext } from 'molstar/lib/mol-plugin-ui/context';
+import { MovieOverlays, RecordOptions, SnapshotOptions } from '../components/ExportPanel';
+import { recordMovie, snapshotPng } from '../lib/molstar/imageExport';
+import { saveBlob } from '../lib/saveFile';
+import { TimeUnit, formatTime } from '../lib/timeAxis';
+
+export interface RecordingParams {
+  pluginRef: MutableRefObject<PluginUIContext | null>;
+  /** Muestra un frame; la grabación espera a que termine antes de capturarlo */
+  goToFrame: (frame: number) => Promise<void>;
+  /** Frame mostrado: nombre de la captura y frame al que se vuelve tras grabar */
+  displayedFrameRef: MutableRefObject<number>;
+  /** Se llama al empezar a grabar (p. ej. para pausar la reproducción) */
+  onRecordStart?: () => void;
+  frameCount: number;
+  /** Tiempo de cada frame en `timeUnit`, si se conoce */
+  frameTimes: Float64Array | null;
+  timeUnit: TimeUnit;
+  /** Proyección PCA por frame */
+  pcaByFrame: ReadonlyMap<number, { pc1: number; pc2: number }>;
+  /** Prefijo de los archivos guardados */
+  exportName: string;
+  viewerId: string;
+}
+
+/**
+ * Estado de la exportación: captura en curso, progreso de la grabación y
+ * último error. Solo hay una grabación a la vez y se cancela al desmontar.
+ */
+export function useRecording({
+  pluginRef,
+  goToFrame,
+  displayedFrameRef,
+  onRecordStart,
+  frameCount,
+  frameTimes,
+  timeUnit,
+  pcaByFrame,
+  exportName,
+  viewerId
+}: RecordingParams) {
+  const [recording, setRecording] = useState<{ done: number; total: number } | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Grabación de película en curso, para cancelarla
+  const recordingRef = useRef<AbortController | null>(null);
+
+  const snapshot = useCallback(async (options: SnapshotOptions) => {
+    const plugin = pluginRef.current;
+    if (!plugin) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const blob = await snapshotPng(plugin, options);
+      saveBlob(`${exportName}-frame${displayedFrameRef.current + 1}.png`, blob);
+    } catch (err) {
+      console.error(`[${viewerId}] Error guardando la imagen:`, err);
+      setError('No se pudo guardar la imagen');
+    } finally {
+      setSaving(false);
+    }
+  }, [pluginRef, displayedFrameRef, exportName, viewerId]);
+
+  // Texto superpuesto en cada frame de la película
+  const overlayLines = useCallback((frame: number, overlays: MovieOverlays) => {
+    const lines: string[] = [];
+    if (overlays.frame) lines.push(`Frame ${frame + 1} / ${frameCount}`);
+    const time = frameTimes?.[frame];
+    if (overlays.time && time !== undefined && Number.isFinite(time)) lines.push(formatTime(time, timeUnit));
+    const point = pcaByFrame.get(frame);
+    if (overlays.pca && point) lines.push(`PC1 ${point.pc1.toFixed(2)}  PC2 ${point.pc2.toFixed(2)}`);
+    return lines;
+  }, [frameCount, frameTimes, timeUnit, pcaByFrame]);
+
+  /**
+   * Graba el rango de frames y vuelve después al frame que se estaba viendo
+   */
+  const record = useCallback(async ({ range: frames, step, overlays, ...options }: RecordOptions) => {
+    const plugin = pluginRef.current;
+    if (!plugin) return;
+
+    onRecordStart?.();
+    const controller = new AbortController();
+    recordingRef.current = controller;
+    const initialFrame = displayedFrameRef.current;
+    const recorded = Array.from(
+      { length: Math.floor((frames.end - frames.start) / step) + 1 },
+      (_, i) => frames.start + i * step
+    );
+    setRecording({ done: 0, total: recorded.length });
+    setError(null);
+
+    try {
+      const blob = await recordMovie(plugin, {
+        ...options,
+        frames: recorded,
+        showFrame: goToFrame,
+        overlay: frame => overlayLines(frame, overlays),
+        signal: controller.signal,
+        onProgress: (done, total) => setRecording({ done, total })
+      });
+      if (blob) saveBlob(`${exportName}-frames${frames.start + 1}-${frames.end + 1}.${options.format}`, blob);
+    } catch (err) {
+      console.error(`[${viewerId}] Error grabando la película:`, err);
+      setError(err instanceof Error ? err.message : 'No se pudo grabar la película');
+    } finally {
+      recordingRef.current = null;
+      setRecording(null);
+      goToFrame(initialFrame);
+    }
+  }, [pluginRef, displayedFrameRef, goToFrame, onRecordStart, overlayLines, exportName, viewerId]);
+
+  const cancel = useCallback(() => {
+    recordingRef.current?.abort();
+  }, []);
+
+  useEffect(() => () => recordingRef.current?.abort(), []);
+
+  return { recording, saving, error, snapshot, record, cancel };
+}
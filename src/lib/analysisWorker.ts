@@ -0,0 +1,71 @@
+// 🧬 ASTROFLORA 7.1 - ANALYSIS WORKER
+// ===================================
+// Lanza el análisis conformacional en un Web Worker (o en el hilo principal si no hay workers)
+
+import {
+  AnalysisStage,
+  ConformationalAnalysisOptions,
+  CoordinateSet,
+  LocalPcaResult,
+  analyzeConformations
+} from './conformationalAnalysis';
+
+export interface AnalysisWorkerRequest {
+  set: CoordinateSet;
+  options: ConformationalAnalysisOptions;
+}
+
+export type AnalysisWorkerMessage =
+  | { type: 'progress'; stage: AnalysisStage }
+  | { type: 'result'; result: LocalPcaResult }
+  | { type: 'error'; message: string };
+
+/**
+ * PCA y clustering de las coordenadas en un worker nuevo, que se cierra al
+ * terminar o al abortar `signal`. Las coordenadas se transfieren al worker:
+ * `set.coordinates` queda vacío después de la llamada.
+ */
+export function runConformationalAnalysis(
+  set: CoordinateSet,
+  options: ConformationalAnalysisOptions,
+  { signal, onProgress }: { signal?: AbortSignal; onProgress?: (stage: AnalysisStage) => void } = {}
+): Promise<LocalPcaResult> {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => analyzeConformations(set, options, onProgress));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Análisis cancelado'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/conformationalAnalysis.worker.ts', import.meta.url));
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', abort);
+    };
+    const abort = () => {
+      finish();
+      reject(new Error('Análisis cancelado'));
+    };
+    signal?.addEventListener('abort', abort);
+
+    worker.onmessage = ({ data }: MessageEvent<AnalysisWorkerMessage>) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.stage);
+        return;
+      }
+      finish();
+      if (data.type === 'result') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Error en el worker de análisis'));
+    };
+
+    const request: AnalysisWorkerRequest = { set, options };
+    worker.postMessage(request, [set.coordinates.buffer]);
+  });
+}
@@ -0,0 +1,43 @@
+// 🧬 ASTROFLORA 7.1 - BROWSER STORAGE
+// ===================================
+// Acceso seguro a localStorage (no existe en SSR y puede lanzar en modo privado)
+
+/**
+ * localStorage puede no existir (SSR) o lanzar (modo privado, cuota llena).
+ */
+export function storage(): Storage | null {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lee y parsea un valor JSON; `null` si no existe o está corrupto.
+ */
+export function readJson(key: string): unknown {
+  const raw = storage()?.getItem(key);
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Guarda un valor como JSON. Devuelve `false` si no se pudo (sin storage o cuota llena).
+ */
+export function writeJson(key: string, value: unknown): boolean {
+  const target = storage();
+  if (!target) return false;
+
+  try {
+    target.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,50 @@
+// 🧬 ASTROFLORA 7.1 - CAMERA SYNC
+// ===============================
+// Cámara compartida entre varios visores (p. ej. la comparación de simulaciones)
+
+import { CameraState } from './viewState';
+
+export type CameraListener = (camera: CameraState) => void;
+
+export interface CameraSync {
+  /** Difunde la cámara de un visor al resto */
+  publish(viewerId: string, camera: CameraState): void;
+  /** Recibe las cámaras de los demás visores; devuelve la función para darse de baja */
+  subscribe(viewerId: string, listener: CameraListener): () => void;
+}
+
+/**
+ * Canal de cámara para un grupo de visores. Cada visor se identifica por su
+ * `viewerId` y no recibe su propia cámara.
+ */
+export function createCameraSync(): CameraSync {
+  const listeners = new Map<string, CameraListener>();
+
+  return {
+    publish(viewerId, camera) {
+      listeners.forEach((listener, id) => {
+        if (id !== viewerId) listener(camera);
+      });
+    },
+
+    subscribe(viewerId, listener) {
+      listeners.set(viewerId, listener);
+      return () => {
+        if (listeners.get(viewerId) === listener) listeners.delete(viewerId);
+      };
+    }
+  };
+}
+
+const CAMERA_TOLERANCE = 1e-3;
+
+const near = (a: number, b: number) => Math.abs(a - b) <= CAMERA_TOLERANCE;
+
+/**
+ * `true` si las dos cámaras encuadran lo mismo (posición, objetivo,
+ * orientación, zoom y proyección). Sirve para no reenviar una cámara recibida.
+ */
+export function sameCameraView(a: CameraState, b: CameraState): boolean {
+  return a.mode === b.mode && near(a.fov, b.fov) && near(a.radius, b.radius)
+    && [0, 1, 2].every(i => near(a.position[i], b.position[i]) && near(a.target[i], b.target[i]) && near(a.up[i], b.up[i]));
+}
@@ -0,0 +1,209 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CoordinateSet,
+  alignFrames,
+  analyzeConformations,
+  hierarchicalClustering,
+  kMeans,
+  principalComponents,
+  symmetricEigen
+} from './conformationalAnalysis';
+
+/** Pseudoaleatorio reproducible para los datos de prueba */
+function lcg(seed: number): () => number {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/** Rotación aleatoria (cuaternión normalizado) como matriz 3×3 por filas */
+function randomRotation(next: () => number): number[] {
+  const [w, x, y, z] = [next(), next(), next(), next()].map(v => v - 0.5);
+  const n = Math.hypot(w, x, y, z);
+  const [a, b, c, d] = [w / n, x / n, y / n, z / n];
+  return [
+    a * a + b * b - c * c - d * d, 2 * (b * c - a * d), 2 * (b * d + a * c),
+    2 * (b * c + a * d), a * a - b * b + c * c - d * d, 2 * (c * d - a * b),
+    2 * (b * d - a * c), 2 * (c * d + a * b), a * a - b * b - c * c + d * d
+  ];
+}
+
+/**
+ * Trayectoria de dos estados: la mitad de los átomos se desplaza `shift` Å en
+ * la mitad de los frames, con ruido pequeño y un giro y traslación al azar por frame.
+ */
+function twoStateTrajectory(frameCount: number, atomCount: number, shift = 4, seed = 7): CoordinateSet & { states: number[] } {
+  const next = lcg(seed);
+  const base = Array.from({ length: atomCount * 3 }, () => (next() - 0.5) * 20);
+  const coordinates = new Float32Array(frameCount * atomCount * 3);
+  const states: number[] = [];
+
+  for (let f = 0; f < frameCount; f++) {
+    const state = f % 2;
+    states.push(state);
+    const r = randomRotation(next);
+    const t = [next() * 10, next() * 10, next() * 10];
+    for (let a = 0; a < atomCount; a++) {
+      const p = [0, 1, 2].map(axis => (
+        base[a * 3 + axis] + (state && a < atomCount / 2 && axis === 0 ? shift : 0) + (next() - 0.5) * 0.2
+      ));
+      for (let axis = 0; axis < 3; axis++) {
+        coordinates[(f * atomCount + a) * 3 + axis] = r[axis * 3] * p[0] + r[axis * 3 + 1] * p[1] + r[axis * 3 + 2] * p[2] + t[axis];
+      }
+    }
+  }
+  return { coordinates, frameCount, atomCount, states };
+}
+
+/** Varianza explicada (%) por diagonalización directa de la covarianza */
+function bruteForceVariance(frames: Float64Array, frameCount: number, dims: number): number[] {
+  const means = Array.from({ length: dims }, (_, i) => {
+    let sum = 0;
+    for (let f = 0; f < frameCount; f++) sum += frames[f * dims + i];
+    return sum / frameCount;
+  });
+  const covariance = new Float64Array(dims * dims);
+  for (let i = 0; i < dims; i++) {
+    for (let j = 0; j < dims; j++) {
+      let sum = 0;
+      for (let f = 0; f < frameCount; f++) sum += (frames[f * dims + i] - means[i]) * (frames[f * dims + j] - means[j]);
+      covariance[i * dims + j] = sum;
+    }
+  }
+  const { values } = symmetricEigen(covariance, dims);
+  const total = values.reduce((a, b) => a + b, 0);
+  return values.map(value => (value / total) * 100);
+}
+
+/** Fracción de frames cuyo cluster coincide con su estado (salvo permutación de etiquetas) */
+function agreement(labels: ArrayLike<number>, states: number[]): number {
+  let same = 0;
+  for (let i = 0; i < states.length; i++) if ((labels[i] === labels[0]) === (states[i] === states[0])) same++;
+  return same / states.length;
+}
+
+describe('symmetricEigen', () => {
+  it('valores y vectores propios ordenados de mayor a menor', () => {
+    const { values, vectors } = symmetricEigen([2, 1, 0, 1, 2, 0, 0, 0, 5], 3);
+    expect(values[0]).toBeCloseTo(5);
+    expect(values[1]).toBeCloseTo(3);
+    expect(values[2]).toBeCloseTo(1);
+    expect(Math.abs(vectors[0][2])).toBeCloseTo(1);
+    expect(Math.abs(vectors[1][0])).toBeCloseTo(Math.SQRT1_2);
+  });
+});
+
+describe('alignFrames', () => {
+  it('superpone copias giradas y desplazadas de la misma estructura', () => {
+    const next = lcg(3);
+    const atomCount = 6;
+    const base = Array.from({ length: atomCount * 3 }, () => (next() - 0.5) * 10);
+    const coordinates = new Float32Array(4 * atomCount * 3);
+    for (let f = 0; f < 4; f++) {
+      const r = randomRotation(next);
+      for (let a = 0; a < atomCount; a++) {
+        const p = base.slice(a * 3, a * 3 + 3);
+        for (let axis = 0; axis < 3; axis++) {
+          coordinates[(f * atomCount + a) * 3 + axis] = r[axis * 3] * p[0] + r[axis * 3 + 1] * p[1] + r[axis * 3 + 2] * p[2] + 5 * f;
+        }
+      }
+    }
+
+    const aligned = alignFrames({ coordinates, frameCount: 4, atomCount });
+    const size = atomCount * 3;
+    for (let f = 1; f < 4; f++) {
+      for (let k = 0; k < size; k++) expect(aligned[f * size + k]).toBeCloseTo(aligned[k], 3);
+    }
+  });
+});
+
+describe('principalComponents', () => {
+  it('la varianza explicada coincide con la diagonalización directa de la covarianza', () => {
+    const next = lcg(11);
+    const frameCount = 60;
+    const dims = 9;
+    // Varianzas distintas por dirección, mezcladas para que no coincidan con los ejes
+    const scales = [5, 3, 2, 1, 0.5, 0.3, 0.2, 0.1, 0.05];
+    const frames = new Float64Array(frameCount * dims);
+    for (let f = 0; f < frameCount; f++) {
+      const latent = scales.map(scale => (next() - 0.5) * scale);
+      for (let i = 0; i < dims; i++) {
+        frames[f * dims + i] = latent.reduce((sum, value, j) => sum + value * Math.cos((i + 1) * (j + 2)), 0);
+      }
+    }
+
+    const expected = bruteForceVariance(frames, frameCount, dims);
+    const { projections, explainedVariance } = principalComponents(frames, frameCount, dims, 4);
+
+    expect(explainedVariance).toHaveLength(4);
+    explainedVariance.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 4));
+    expect(projections).toHaveLength(frameCount);
+    expect(projections[0]).toHaveLength(4);
+  });
+
+  it('sin varianza no hay componentes', () => {
+    const frames = new Float64Array(5 * 3).fill(1);
+    expect(principalComponents(frames, 5, 3, 2).explainedVariance).toEqual([]);
+  });
+});
+
+describe('clustering', () => {
+  const next = lcg(5);
+  const blob = (cx: number, cy: number, count: number) => (
+    Array.from({ length: count }, () => [cx + (next() - 0.5), cy + (next() - 0.5)])
+  );
+  const points = [...blob(0, 0, 20), ...blob(10, 0, 15), ...blob(0, 10, 10)];
+  const truth = points.map((_, i) => (i < 20 ? 0 : i < 35 ? 1 : 2));
+
+  const samePartition = (labels: Int32Array) => {
+    for (let i = 0; i < points.length; i++) {
+      for (let j = 0; j < points.length; j++) {
+        if ((labels[i] === labels[j]) !== (truth[i] === truth[j])) return false;
+      }
+    }
+    return true;
+  };
+
+  it('k-means separa grupos bien definidos y es reproducible', () => {
+    const labels = kMeans(points, 3);
+    expect(samePartition(labels)).toBe(true);
+    expect(Array.from(kMeans(points, 3))).toEqual(Array.from(labels));
+  });
+
+  it('Ward separa grupos bien definidos', () => {
+    expect(samePartition(hierarchicalClustering(points, 3))).toBe(true);
+  });
+});
+
+describe('analyzeConformations', () => {
+  it.each(['kmeans', 'hierarchical'] as const)('recupera los dos estados de una trayectoria con movimiento rígido (%s)', method => {
+    const trajectory = twoStateTrajectory(80, 12);
+    const stages: string[] = [];
+    const result = analyzeConformations(
+      trajectory,
+      { atoms: 'ca', components: 3, method, clusters: 2 },
+      stage => stages.push(stage)
+    );
+
+    expect(stages).toEqual(['align', 'pca', 'clustering']);
+    expect(result.explainedVariance).toHaveLength(3);
+    // El cambio de estado domina la varianza una vez eliminado el movimiento rígido
+    expect(result.explainedVariance[0]).toBeGreaterThan(90);
+    expect(agreement(result.projections.map(p => p.cluster), trajectory.states)).toBe(1);
+
+    // Clusters ordenados por población, con su frame representativo
+    const { representative_frames: clusters } = result.clustering;
+    expect(clusters.map(c => c.population)).toEqual([40, 40]);
+    expect(clusters.map(c => c.percentage)).toEqual([50, 50]);
+    clusters.forEach(c => expect(result.projections[c.frame].cluster).toBe(c.cluster));
+    expect(result.projections[0]).toHaveProperty('pc1');
+  });
+
+  it('rechaza trayectorias demasiado cortas o selecciones pequeñas', () => {
+    const options = { atoms: 'ca', components: 2, method: 'kmeans', clusters: 2 } as const;
+    expect(() => analyzeConformations(twoStateTrajectory(2, 12), options)).toThrow(/al menos 3 frames/);
+    expect(() => analyzeConformations(twoStateTrajectory(10, 2), options)).toThrow(/menos de 3 átomos/);
+  });
+});
@@ -0,0 +1,564 @@
+// 🧬 ASTROFLORA 7.1 - CONFORMATIONAL ANALYSIS
+// ===========================================
+// PCA y clustering de una trayectoria en el navegador: superposición, componentes principales, k-means y Ward
+
+/** Átomos con los que se calcula el PCA */
+export type AnalysisAtoms = 'ca' | 'backbone' | 'pocket';
+
+export const ANALYSIS_ATOMS_LABELS: Record<AnalysisAtoms, string> = {
+  ca: 'Cα',
+  backbone: 'Cadena principal',
+  pocket: 'Cα del bolsillo'
+};
+
+export type ClusteringMethod = 'kmeans' | 'hierarchical';
+
+export const CLUSTERING_LABELS: Record<ClusteringMethod, string> = {
+  kmeans: 'k-means',
+  hierarchical: 'Jerárquico (Ward)'
+};
+
+export interface ConformationalAnalysisOptions {
+  atoms: AnalysisAtoms;
+  /** Componentes principales calculados (y espacio del clustering) */
+  components: number;
+  method: ClusteringMethod;
+  /** Número de clusters (k) */
+  clusters: number;
+}
+
+export const DEFAULT_ANALYSIS_OPTIONS: ConformationalAnalysisOptions = {
+  atoms: 'ca',
+  components: 5,
+  method: 'kmeans',
+  clusters: 4
+};
+
+export const MAX_ANALYSIS_COMPONENTS = 10;
+export const MAX_ANALYSIS_CLUSTERS = 20;
+/** La matriz de distancias del jerárquico crece con el cuadrado de los frames */
+export const MAX_HIERARCHICAL_FRAMES = 3000;
+
+/** Coordenadas de los átomos analizados en cada frame */
+export interface CoordinateSet {
+  /** Å, por frame y átomo: x, y, z seguidos */
+  coordinates: Float32Array;
+  frameCount: number;
+  atomCount: number;
+}
+
+/** Mismos campos que los clusters del backend (`clustering.representative_frames`) */
+export interface AnalysisCluster {
+  cluster: number;
+  /** Frame más cercano al centroide */
+  frame: number;
+  population: number;
+  percentage: number;
+}
+
+export interface LocalPcaResult {
+  /** Como las proyecciones del backend: `frame`, `pc1`... y `cluster` */
+  projections: Array<{ frame: number; cluster: number; [component: string]: number }>;
+  /** Varianza explicada (%) por componente */
+  explainedVariance: number[];
+  clustering: {
+    method: ClusteringMethod;
+    n_clusters: number;
+    representative_frames: AnalysisCluster[];
+  };
+  options: ConformationalAnalysisOptions;
+  frameCount: number;
+  atomCount: number;
+}
+
+export type AnalysisStage = 'align' | 'pca' | 'clustering';
+
+export const ANALYSIS_STAGE_LABELS: Record<AnalysisStage, string> = {
+  align: 'Superponiendo frames',
+  pca: 'Calculando componentes',
+  clustering: 'Agrupando conformaciones'
+};
+
+// ---------------------------------------------------------------------------
+// Álgebra
+// ---------------------------------------------------------------------------
+
+/** Generador pseudoaleatorio con semilla (mulberry32): resultados reproducibles */
+function random(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Valores y vectores propios de una matriz simétrica pequeña (n×n por filas),
+ * por Jacobi cíclico. Ordenados de mayor a menor; `vectors[k]` es el k-ésimo.
+ */
+export function symmetricEigen(matrix: ArrayLike<number>, n: number): { values: number[]; vectors: number[][] } {
+  const a = Float64Array.from(matrix);
+  const v = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) v[i * n + i] = 1;
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p * n + q] ** 2;
+    if (off < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        const apq = a[p * n + q];
+        if (Math.abs(apq) < 1e-300) continue;
+        const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k * n + p];
+          const akq = a[k * n + q];
+          a[k * n + p] = c * akp - s * akq;
+          a[k * n + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p * n + k];
+          const aqk = a[q * n + k];
+          a[p * n + k] = c * apk - s * aqk;
+          a[q * n + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k * n + p];
+          const vkq = v[k * n + q];
+          v[k * n + p] = c * vkp - s * vkq;
+          v[k * n + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j * n + j] - a[i * n + i]);
+  return {
+    values: order.map(i => a[i * n + i]),
+    vectors: order.map(i => Array.from({ length: n }, (_, k) => v[k * n + i]))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Superposición
+// ---------------------------------------------------------------------------
+
+/** Resta a cada frame su centroide */
+function centerFrames({ coordinates, frameCount, atomCount }: CoordinateSet): Float64Array {
+  const centered = Float64Array.from(coordinates);
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * atomCount * 3;
+    for (let axis = 0; axis < 3; axis++) {
+      let sum = 0;
+      for (let i = 0; i < atomCount; i++) sum += centered[offset + i * 3 + axis];
+      const mean = sum / atomCount;
+      for (let i = 0; i < atomCount; i++) centered[offset + i * 3 + axis] -= mean;
+    }
+  }
+  return centered;
+}
+
+/**
+ * Rota (en su sitio) un frame centrado sobre una referencia centrada con la
+ * rotación de mínimo RMSD (cuaternión de Horn).
+ */
+function superposeFrame(frames: Float64Array, offset: number, reference: ArrayLike<number>, atomCount: number): void {
+  // Correlación S[a][b] = Σ móvil_a · referencia_b
+  const s = new Float64Array(9);
+  for (let i = 0; i < atomCount; i++) {
+    for (let a = 0; a < 3; a++) {
+      const m = frames[offset + i * 3 + a];
+      for (let b = 0; b < 3; b++) s[a * 3 + b] += m * reference[i * 3 + b];
+    }
+  }
+  const [xx, xy, xz, yx, yy, yz, zx, zy, zz] = s;
+  const { vectors } = symmetricEigen([
+    xx + yy + zz, yz - zy, zx - xz, xy - yx,
+    yz - zy, xx - yy - zz, xy + yx, zx + xz,
+    zx - xz, xy + yx, -xx + yy - zz, yz + zy,
+    xy - yx, zx + xz, yz + zy, -xx - yy + zz
+  ], 4);
+  const [q0, q1, q2, q3] = vectors[0];
+  const r = [
+    q0 * q0 + q1 * q1 - q2 * q2 - q3 * q3, 2 * (q1 * q2 - q0 * q3), 2 * (q1 * q3 + q0 * q2),
+    2 * (q1 * q2 + q0 * q3), q0 * q0 - q1 * q1 + q2 * q2 - q3 * q3, 2 * (q2 * q3 - q0 * q1),
+    2 * (q1 * q3 - q0 * q2), 2 * (q2 * q3 + q0 * q1), q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3
+  ];
+
+  for (let i = 0; i < atomCount; i++) {
+    const k = offset + i * 3;
+    const x = frames[k];
+    const y = frames[k + 1];
+    const z = frames[k + 2];
+    frames[k] = r[0] * x + r[1] * y + r[2] * z;
+    frames[k + 1] = r[3] * x + r[4] * y + r[5] * z;
+    frames[k + 2] = r[6] * x + r[7] * y + r[8] * z;
+  }
+}
+
+/**
+ * Frames centrados y superpuestos: primero sobre el frame 0 y después sobre
+ * la estructura media, para no depender de la referencia elegida.
+ */
+export function alignFrames(set: CoordinateSet): Float64Array {
+  const { frameCount, atomCount } = set;
+  const size = atomCount * 3;
+  const frames = centerFrames(set);
+
+  let reference: ArrayLike<number> = frames.slice(0, size);
+  for (let pass = 0; pass < 2; pass++) {
+    for (let f = 0; f < frameCount; f++) superposeFrame(frames, f * size, reference, atomCount);
+
+    const mean = new Float64Array(size);
+    for (let f = 0; f < frameCount; f++) {
+      for (let k = 0; k < size; k++) mean[k] += frames[f * size + k] / frameCount;
+    }
+    reference = mean;
+  }
+  return frames;
+}
+
+// ---------------------------------------------------------------------------
+// Componentes principales
+// ---------------------------------------------------------------------------
+
+function orthonormalize(q: Float64Array, rows: number, columns: number): void {
+  for (let j = 0; j < columns; j++) {
+    for (let p = 0; p < j; p++) {
+      let dot = 0;
+      for (let i = 0; i < rows; i++) dot += q[j * rows + i] * q[p * rows + i];
+      for (let i = 0; i < rows; i++) q[j * rows + i] -= dot * q[p * rows + i];
+    }
+    let norm = 0;
+    for (let i = 0; i < rows; i++) norm += q[j * rows + i] ** 2;
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < rows; i++) q[j * rows + i] /= norm;
+  }
+}
+
+/**
+ * Y = X·Q para X (frames × dims, por filas) y Q (dims × columnas, por columnas).
+ */
+function project(x: Float64Array, frameCount: number, dims: number, q: Float64Array, columns: number): Float64Array {
+  const y = new Float64Array(frameCount * columns);
+  for (let j = 0; j < columns; j++) {
+    for (let f = 0; f < frameCount; f++) {
+      let sum = 0;
+      for (let i = 0; i < dims; i++) sum += x[f * dims + i] * q[j * dims + i];
+      y[j * frameCount + f] = sum;
+    }
+  }
+  return y;
+}
+
+/**
+ * Primeros componentes principales de los frames (frames × dims, por filas).
+ * Iteración de subespacio sobre la covarianza sin formarla (X^T·(X·Q)), así que
+ * el coste es lineal en frames y átomos.
+ * Devuelve la proyección de cada frame (`projections[f][k]`) y la varianza
+ * explicada (%) de cada componente.
+ */
+export function principalComponents(
+  frames: Float64Array,
+  frameCount: number,
+  dims: number,
+  components: number
+): { projections: number[][]; explainedVariance: number[] } {
+  const x = Float64Array.from(frames);
+  for (let i = 0; i < dims; i++) {
+    let mean = 0;
+    for (let f = 0; f < frameCount; f++) mean += x[f * dims + i] / frameCount;
+    for (let f = 0; f < frameCount; f++) x[f * dims + i] -= mean;
+  }
+
+  let totalVariance = 0;
+  for (let k = 0; k < x.length; k++) totalVariance += x[k] * x[k];
+  const rank = Math.min(frameCount - 1, dims);
+  const count = Math.min(components, rank);
+  if (count < 1 || totalVariance === 0) {
+    return { projections: Array.from({ length: frameCount }, () => []), explainedVariance: [] };
+  }
+
+  // Unas columnas de más aceleran la convergencia de las últimas que se devuelven
+  const block = Math.min(count + 4, rank);
+  const next = random(1);
+  let q = Float64Array.from({ length: dims * block }, () => next() - 0.5);
+  orthonormalize(q, dims, block);
+
+  let previous: number[] = [];
+  for (let iteration = 0; iteration < 300; iteration++) {
+    const y = project(x, frameCount, dims, q, block);
+    const z = new Float64Array(dims * block);
+    for (let j = 0; j < block; j++) {
+      for (let f = 0; f < frameCount; f++) {
+        const value = y[j * frameCount + f];
+        if (value === 0) continue;
+        for (let i = 0; i < dims; i++) z[j * dims + i] += x[f * dims + i] * value;
+      }
+    }
+
+    // Cocientes de Rayleigh de las columnas como criterio de parada
+    const values = Array.from({ length: count }, (_, j) => {
+      let dot = 0;
+      for (let i = 0; i < dims; i++) dot += z[j * dims + i] * q[j * dims + i];
+      return dot;
+    });
+    orthonormalize(z, dims, block);
+    q = z;
+    const converged = previous.length > 0 && values.every((value, j) => Math.abs(value - previous[j]) <= 1e-10 * Math.abs(value));
+    previous = values;
+    if (converged) break;
+  }
+
+  // Rayleigh-Ritz: diagonalizar la covarianza en el subespacio encontrado
+  const y = project(x, frameCount, dims, q, block);
+  const gram = new Float64Array(block * block);
+  for (let a = 0; a < block; a++) {
+    for (let b = a; b < block; b++) {
+      let dot = 0;
+      for (let f = 0; f < frameCount; f++) dot += y[a * frameCount + f] * y[b * frameCount + f];
+      gram[a * block + b] = dot;
+      gram[b * block + a] = dot;
+    }
+  }
+  const { values, vectors } = symmetricEigen(gram, block);
+
+  const projections = Array.from({ length: frameCount }, () => new Array<number>(count).fill(0));
+  for (let k = 0; k < count; k++) {
+    const w = vectors[k];
+    // Signo fijo: el frame 0 queda en el lado negativo de cada componente
+    let first = 0;
+    for (let b = 0; b < block; b++) first += y[b * frameCount] * w[b];
+    const sign = first > 0 ? -1 : 1;
+    for (let f = 0; f < frameCount; f++) {
+      let value = 0;
+      for (let b = 0; b < block; b++) value += y[b * frameCount + f] * w[b];
+      projections[f][k] = sign * value;
+    }
+  }
+
+  return {
+    projections,
+    explainedVariance: values.slice(0, count).map(value => (Math.max(value, 0) / totalVariance) * 100)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Clustering
+// ---------------------------------------------------------------------------
+
+const squaredDistance = (a: number[], b: number[]) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+function centroids(points: number[][], labels: Int32Array, k: number): number[][] {
+  const dims = points[0]?.length ?? 0;
+  const sums = Array.from({ length: k }, () => new Array<number>(dims).fill(0));
+  const counts = new Array<number>(k).fill(0);
+  points.forEach((point, i) => {
+    counts[labels[i]]++;
+    point.forEach((value, d) => { sums[labels[i]][d] += value; });
+  });
+  return sums.map((sum, c) => sum.map(value => value / Math.max(counts[c], 1)));
+}
+
+/**
+ * k-means (Lloyd) con inicio k-means++; se queda con el mejor de varios inicios.
+ */
+export function kMeans(points: number[][], k: number, { restarts = 5, seed = 1 } = {}): Int32Array {
+  const n = points.length;
+  const next = random(seed);
+  let best: Int32Array = new Int32Array(n);
+  let bestInertia = Infinity;
+
+  for (let restart = 0; restart < restarts; restart++) {
+    // k-means++: cada centro nuevo, con probabilidad proporcional a la distancia²
+    const centers = [points[Math.floor(next() * n)]];
+    const nearest = points.map(point => squaredDistance(point, centers[0]));
+    while (centers.length < k) {
+      const total = nearest.reduce((sum, d) => sum + d, 0);
+      let target = next() * total;
+      let chosen = n - 1;
+      for (let i = 0; i < n; i++) {
+        target -= nearest[i];
+        if (target <= 0) {
+          chosen = i;
+          break;
+        }
+      }
+      centers.push(points[chosen]);
+      points.forEach((point, i) => { nearest[i] = Math.min(nearest[i], squaredDistance(point, points[chosen])); });
+    }
+
+    const labels = new Int32Array(n).fill(-1);
+    let current = centers;
+    for (let iteration = 0; iteration < 100; iteration++) {
+      let changed = false;
+      points.forEach((point, i) => {
+        let label = 0;
+        for (let c = 1; c < k; c++) {
+          if (squaredDistance(point, current[c]) < squaredDistance(point, current[label])) label = c;
+        }
+        if (labels[i] !== label) {
+          labels[i] = label;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+      current = centroids(points, labels, k);
+    }
+
+    const inertia = points.reduce((sum, point, i) => sum + squaredDistance(point, current[labels[i]]), 0);
+    if (inertia < bestInertia) {
+      bestInertia = inertia;
+      best = labels;
+    }
+  }
+  return best;
+}
+
+/**
+ * Clustering aglomerativo de Ward (cadena de vecinos más cercanos, O(n²)) cortado en k grupos.
+ */
+export function hierarchicalClustering(points: number[][], k: number): Int32Array {
+  const n = points.length;
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = squaredDistance(points[i], points[j]);
+      distances[i * n + j] = d;
+      distances[j * n + i] = d;
+    }
+  }
+
+  const size = new Float64Array(n).fill(1);
+  const active = new Uint8Array(n).fill(1);
+  const merges: { a: number; b: number; height: number }[] = [];
+  const chain: number[] = [];
+
+  for (let remaining = n; remaining > 1; remaining--) {
+    if (chain.length === 0) chain.push(active.indexOf(1));
+
+    let a: number;
+    let b: number;
+    for (;;) {
+      a = chain[chain.length - 1];
+      const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+      // En empate gana el anterior de la cadena, para que termine
+      b = previous;
+      let nearest = previous === -1 ? Infinity : distances[a * n + previous];
+      for (let j = 0; j < n; j++) {
+        if (j !== a && active[j] && distances[a * n + j] < nearest) {
+          nearest = distances[a * n + j];
+          b = j;
+        }
+      }
+      if (b === previous) break;
+      chain.push(b);
+    }
+    chain.length -= 2;
+    merges.push({ a, b, height: distances[a * n + b] });
+
+    // Lance-Williams de Ward: el grupo unido conserva el índice `a`
+    const dab = distances[a * n + b];
+    for (let j = 0; j < n; j++) {
+      if (!active[j] || j === a || j === b) continue;
+      const d = ((size[a] + size[j]) * distances[a * n + j] + (size[b] + size[j]) * distances[b * n + j] - size[j] * dab)
+        / (size[a] + size[b] + size[j]);
+      distances[a * n + j] = d;
+      distances[j * n + a] = d;
+    }
+    size[a] += size[b];
+    active[b] = 0;
+  }
+
+  // Las uniones por altura, hasta quedar k grupos
+  const parent = Int32Array.from({ length: n }, (_, i) => i);
+  const root = (i: number): number => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  merges.sort((x, y) => x.height - y.height).slice(0, n - k).forEach(({ a, b }) => {
+    parent[root(b)] = root(a);
+  });
+
+  const ids = new Map<number, number>();
+  return Int32Array.from({ length: n }, (_, i) => {
+    const r = root(i);
+    if (!ids.has(r)) ids.set(r, ids.size);
+    return ids.get(r) as number;
+  });
+}
+
+/**
+ * Numera los clusters por población (0 = el mayor) y elige como representante
+ * el frame más cercano a su centroide.
+ */
+function summarizeClusters(points: number[][], labels: Int32Array, k: number): { labels: Int32Array; clusters: AnalysisCluster[] } {
+  const n = points.length;
+  const centers = centroids(points, labels, k);
+  const members = Array.from({ length: k }, (_, c) => points.flatMap((_, i) => (labels[i] === c ? [i] : [])));
+  const order = members.map((_, c) => c).filter(c => members[c].length > 0).sort((x, y) => members[y].length - members[x].length);
+  const renumber = new Map(order.map((c, index) => [c, index]));
+
+  const clusters = order.map((c, index) => {
+    const frame = members[c].reduce((best, i) => (
+      squaredDistance(points[i], centers[c]) < squaredDistance(points[best], centers[c]) ? i : best
+    ), members[c][0]);
+    return { cluster: index, frame, population: members[c].length, percentage: (members[c].length / n) * 100 };
+  });
+  return { labels: labels.map(label => renumber.get(label) as number), clusters };
+}
+
+/**
+ * Análisis completo de una trayectoria: superposición, PCA y clustering en el
+ * espacio de los componentes calculados.
+ */
+export function analyzeConformations(
+  set: CoordinateSet,
+  options: ConformationalAnalysisOptions,
+  onProgress?: (stage: AnalysisStage) => void
+): LocalPcaResult {
+  const { frameCount, atomCount } = set;
+  if (frameCount < 3) throw new Error('El PCA necesita al menos 3 frames');
+  if (atomCount < 3) throw new Error('La selección tiene menos de 3 átomos');
+  if (set.coordinates.length !== frameCount * atomCount * 3) throw new Error('Las coordenadas no corresponden a los frames y átomos indicados');
+
+  const components = Math.max(1, Math.min(Math.round(options.components), MAX_ANALYSIS_COMPONENTS));
+  const k = Math.max(1, Math.min(Math.round(options.clusters), MAX_ANALYSIS_CLUSTERS, frameCount));
+  if (options.method === 'hierarchical' && frameCount > MAX_HIERARCHICAL_FRAMES) {
+    throw new Error(`El clustering jerárquico admite hasta ${MAX_HIERARCHICAL_FRAMES} frames; usa k-means`);
+  }
+
+  onProgress?.('align');
+  const aligned = alignFrames(set);
+
+  onProgress?.('pca');
+  const { projections, explainedVariance } = principalComponents(aligned, frameCount, atomCount * 3, components);
+
+  onProgress?.('clustering');
+  const raw = options.method === 'hierarchical' ? hierarchicalClustering(projections, k) : kMeans(projections, k);
+  const { labels, clusters } = summarizeClusters(projections, raw, k);
+
+  return {
+    projections: projections.map((values, frame) => ({
+      frame,
+      ...Object.fromEntries(values.map((value, c) => [`pc${c + 1}`, value])),
+      cluster: labels[frame]
+    })),
+    explainedVariance,
+    clustering: { method: options.method, n_clusters: clusters.length, representative_frames: clusters },
+    options: { ...options, components: explainedVariance.length, clusters: k },
+    frameCount,
+    atomCount
+  };
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DIVERGING_COLORSCALE,
+  SEQUENTIAL_COLORSCALE,
+  colorRange,
+  detectFrameMetrics,
+  metricTitle,
+  metricValue
+} from './frameMetrics';
+
+const points = [
+  { frame: 0, time_ns: 0, pc1: 1.2, pc2: -0.4, pc10: 0.1, cluster: 1, rmsd: 1.5, custom_score: 3 },
+  { frame: 1, time_ns: 0.1, pc1: 0.8, pc2: 0.3, pc10: 0.2, cluster: 0, rmsd: 1.7, rg: 14.2, label: 'abierto' }
+];
+
+describe('detectFrameMetrics', () => {
+  it('excluye frame, time_ns, cluster y las componentes pcN', () => {
+    const keys = detectFrameMetrics(points).map(metric => metric.key);
+    expect(keys).toEqual(['rmsd', 'custom_score', 'rg']);
+  });
+
+  it('solo toma campos con valores numéricos finitos', () => {
+    const metrics = detectFrameMetrics([
+      { frame: 0, energy: NaN, name: 'x', flag: true, missing: null },
+      { frame: 1, energy: Infinity, pcx: 2 }
+    ]);
+    // `pcx` no es una componente: es una magnitud
+    expect(metrics).toEqual([{ key: 'pcx', label: 'pcx' }]);
+  });
+
+  it('nombra los campos conocidos y usa el nombre del resto', () => {
+    expect(detectFrameMetrics(points)).toEqual([
+      { key: 'rmsd', label: 'RMSD', unit: 'Å', scale: 'sequential' },
+      { key: 'custom_score', label: 'custom score' },
+      { key: 'rg', label: 'Radio de giro', unit: 'Å', scale: 'sequential' }
+    ]);
+  });
+
+  it('las magnitudes descritas van primero y sustituyen a las conocidas', () => {
+    const described = [
+      { key: 'rg', label: 'Rg', unit: 'nm' },
+      { key: 'absent', label: 'Sin datos' },
+      { key: 'custom_score', label: 'Puntuación', scale: 'diverging' as const, center: 2 }
+    ];
+    expect(detectFrameMetrics(points, described)).toEqual([
+      described[0],
+      described[2],
+      { key: 'rmsd', label: 'RMSD', unit: 'Å', scale: 'sequential' }
+    ]);
+  });
+
+  it('sin puntos no hay magnitudes', () => {
+    expect(detectFrameMetrics([], [{ key: 'rmsd', label: 'RMSD' }])).toEqual([]);
+  });
+});
+
+describe('metricTitle / metricValue', () => {
+  it('añade la unidad al título si la hay', () => {
+    expect(metricTitle({ key: 'rmsd', label: 'RMSD', unit: 'Å' })).toBe('RMSD (Å)');
+    expect(metricTitle({ key: 'score', label: 'score' })).toBe('score');
+  });
+
+  it('devuelve null si el punto no trae un valor finito', () => {
+    expect(metricValue(points[1], 'rg')).toBe(14.2);
+    expect(metricValue(points[0], 'rg')).toBeNull();
+    expect(metricValue(points[1], 'label')).toBeNull();
+    expect(metricValue({ rg: NaN }, 'rg')).toBeNull();
+  });
+});
+
+describe('colorRange', () => {
+  it('secuencial entre el mínimo y el máximo, ignorando los nulos', () => {
+    expect(colorRange([3, null, 1, 2])).toEqual({ colorscale: SEQUENTIAL_COLORSCALE, cmin: 1, cmax: 3 });
+  });
+
+  it('divergente y simétrica si los valores quedan a ambos lados del centro', () => {
+    expect(colorRange([-1, 4])).toEqual({ colorscale: DIVERGING_COLORSCALE, cmin: -4, cmax: 4 });
+    expect(colorRange([1, 4], { scale: 'diverging', center: 2 })).toEqual({ colorscale: DIVERGING_COLORSCALE, cmin: 0, cmax: 4 });
+    expect(colorRange([-1, 4], { scale: 'sequential' })).toEqual({ colorscale: SEQUENTIAL_COLORSCALE, cmin: -1, cmax: 4 });
+  });
+
+  it('sin valores usa un rango por defecto', () => {
+    expect(colorRange([null, null])).toEqual({ colorscale: SEQUENTIAL_COLORSCALE, cmin: 0, cmax: 1 });
+    expect(colorRange([2, 2], { scale: 'diverging', center: 2 })).toEqual({ colorscale: DIVERGING_COLORSCALE, cmin: 1, cmax: 3 });
+  });
+});
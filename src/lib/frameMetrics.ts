@@ -0,0 +1,101 @@
+// 🧬 ASTROFLORA 7.1 - FRAME METRICS
+// =================================
+// Magnitudes por frame que llegan con las proyecciones (RMSD, radio de giro...) y su escala de color
+
+/**
+ * Escala de color de una magnitud: secuencial (de menos a más) o divergente
+ * alrededor de `center` (p. ej. diferencias con signo).
+ */
+export type MetricScale = 'sequential' | 'diverging';
+
+export interface FrameMetric {
+  /** Campo de cada punto con el valor */
+  key: string;
+  label: string;
+  unit?: string;
+  /** Sin indicar: divergente si los valores quedan a ambos lados de `center` */
+  scale?: MetricScale;
+  /** Valor neutro de la escala divergente (por defecto 0) */
+  center?: number;
+}
+
+/** Nombres y unidades de las magnitudes habituales del backend */
+export const KNOWN_FRAME_METRICS: Record<string, Omit<FrameMetric, 'key'>> = {
+  rmsd: { label: 'RMSD', unit: 'Å', scale: 'sequential' },
+  rg: { label: 'Radio de giro', unit: 'Å', scale: 'sequential' },
+  radius_of_gyration: { label: 'Radio de giro', unit: 'Å', scale: 'sequential' },
+  potential_energy: { label: 'Energía potencial', unit: 'kJ/mol', scale: 'sequential' },
+  ligand_distance: { label: 'Distancia al ligando', unit: 'Å', scale: 'sequential' }
+};
+
+// Campos de las proyecciones que no son magnitudes por frame
+const RESERVED_FIELDS = new Set(['frame', 'time_ns', 'cluster']);
+const PC_FIELD = /^pc\d+$/;
+
+/** Escala secuencial (Viridis) y divergente (azul, blanco, rojo: bajo, neutro, alto) */
+export const SEQUENTIAL_COLORSCALE = 'Viridis';
+export const DIVERGING_COLORSCALE: [number, string][] = [
+  [0, '#2166AC'],
+  [0.25, '#67A9CF'],
+  [0.5, '#F7F7F7'],
+  [0.75, '#EF8A62'],
+  [1, '#B2182B']
+];
+
+const isValue = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Magnitudes presentes en los puntos, en el orden de `metrics` y después en
+ * el de aparición. `metrics` pone nombre, unidad y escala a los campos; los
+ * no descritos usan `KNOWN_FRAME_METRICS` o el propio nombre del campo.
+ */
+export function detectFrameMetrics(points: Record<string, unknown>[], metrics: FrameMetric[] = []): FrameMetric[] {
+  const keys = new Set<string>();
+  points.forEach(point => {
+    Object.keys(point).forEach(key => {
+      if (!RESERVED_FIELDS.has(key) && !PC_FIELD.test(key) && isValue(point[key])) keys.add(key);
+    });
+  });
+
+  const described = metrics.filter(metric => keys.has(metric.key));
+  const rest = [...keys]
+    .filter(key => !described.some(metric => metric.key === key))
+    .map(key => ({ key, ...(KNOWN_FRAME_METRICS[key] ?? { label: key.replace(/_/g, ' ') }) }));
+
+  return [...described, ...rest];
+}
+
+/** Título de la barra de color y del selector (`RMSD (Å)`) */
+export function metricTitle(metric: FrameMetric): string {
+  return metric.unit ? `${metric.label} (${metric.unit})` : metric.label;
+}
+
+export interface ColorRange {
+  colorscale: string | [number, string][];
+  cmin: number;
+  cmax: number;
+}
+
+/**
+ * Escala y rango de color para unos valores. La divergente es simétrica
+ * alrededor del centro para que el blanco sea siempre el valor neutro.
+ */
+export function colorRange(values: (number | null)[], { scale, center = 0 }: Pick<FrameMetric, 'scale' | 'center'> = {}): ColorRange {
+  const { min, max } = values.filter(isValue).reduce(
+    (range, value) => ({ min: Math.min(range.min, value), max: Math.max(range.max, value) }),
+    { min: Infinity, max: -Infinity }
+  );
+  if (min > max) return { colorscale: SEQUENTIAL_COLORSCALE, cmin: 0, cmax: 1 };
+
+  const diverging = scale === 'diverging' || (scale === undefined && min < center && max > center);
+  if (!diverging) return { colorscale: SEQUENTIAL_COLORSCALE, cmin: min, cmax: max };
+
+  const half = Math.max(center - min, max - center) || 1;
+  return { colorscale: DIVERGING_COLORSCALE, cmin: center - half, cmax: center + half };
+}
+
+/** Valor de la magnitud en un punto; `null` si no lo trae */
+export function metricValue(point: Record<string, unknown>, key: string): number | null {
+  const value = point[key];
+  return isValue(value) ? value : null;
+}
@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  CUSTOM_CLUSTER_COLORS,
+  createCustomCluster,
+  frameListCsv,
+  loadCustomClusters,
+  saveCustomClusters,
+  summarizeFrames
+} from './frameSelection';
+
+/** localStorage en memoria */
+function memoryStorage(): Storage {
+  const items = new Map<string, string>();
+  return {
+    get length() { return items.size; },
+    clear: () => items.clear(),
+    getItem: key => items.get(key) ?? null,
+    key: index => [...items.keys()][index] ?? null,
+    removeItem: key => { items.delete(key); },
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+}
+
+describe('createCustomCluster', () => {
+  it('toma el primer número libre y normaliza los frames', () => {
+    const first = createCustomCluster([], [5, 2, 2, -1, 3.5, 9]);
+    expect(first).toEqual({ id: 'custom-1', name: 'Selección 1', color: CUSTOM_CLUSTER_COLORS[0], frames: [2, 5, 9] });
+
+    const third = createCustomCluster([first, { ...first, id: 'custom-2' }], [1], 'sim-b');
+    expect(third).toMatchObject({ id: 'custom-3', name: 'Selección 3', seriesId: 'sim-b' });
+
+    const reused = createCustomCluster([{ ...first, id: 'custom-2' }], [1]);
+    expect(reused.id).toBe('custom-1');
+  });
+});
+
+describe('summarizeFrames', () => {
+  const points = [
+    { frame: 0, rmsd: 1, rg: 10 },
+    { frame: 1, rmsd: 2, rg: null },
+    { frame: 2, rmsd: 3, rg: 14 },
+    { frame: 3, rmsd: 4, rg: 16 }
+  ];
+  const metrics = [{ key: 'rmsd', label: 'RMSD' }, { key: 'rg', label: 'Rg' }, { key: 'energy', label: 'E' }];
+
+  it('calcula población, porcentaje y media de cada magnitud sin los valores nulos', () => {
+    expect(summarizeFrames([1, 2, 3, 99], points, metrics)).toEqual({
+      population: 3,
+      percentage: 75,
+      means: { rmsd: 3, rg: 15, energy: null }
+    });
+  });
+
+  it('sin puntos el porcentaje es 0', () => {
+    expect(summarizeFrames([0], [], metrics).percentage).toBe(0);
+  });
+});
+
+describe('frameListCsv', () => {
+  it('una columna de frames con una sola serie', () => {
+    expect(frameListCsv([{ frames: [3, 7] }])).toBe('frame\n3\n7\n');
+  });
+
+  it('antepone la simulación con varias series', () => {
+    expect(frameListCsv([{ series: 'a', frames: [1] }, { series: 'b', frames: [2, 4] }]))
+      .toBe('simulation,frame\na,1\nb,2\nb,4\n');
+  });
+});
+
+describe('loadCustomClusters / saveCustomClusters', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('guarda por simulación y descarta entradas corruptas', () => {
+    const localStorage = memoryStorage();
+    vi.stubGlobal('window', { localStorage });
+
+    const cluster = createCustomCluster([], [1, 2]);
+    saveCustomClusters('sim-1', [cluster]);
+    expect(loadCustomClusters('sim-1')).toEqual([cluster]);
+    expect(loadCustomClusters('sim-2')).toEqual([]);
+
+    localStorage.setItem('astroflora:custom-clusters:sim-3', JSON.stringify([cluster, { id: 1 }, { ...cluster, frames: [-1] }]));
+    expect(loadCustomClusters('sim-3')).toEqual([cluster]);
+  });
+
+  it('sin localStorage (SSR) no hay clusters guardados', () => {
+    expect(loadCustomClusters('sim-1')).toEqual([]);
+  });
+});
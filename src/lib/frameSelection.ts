@@ -0,0 +1,109 @@
+// 🧬 ASTROFLORA 7.1 - FRAME SELECTION
+// ===================================
+// Frames elegidos en el mapa PCA (lazo o caja): clusters propios, resumen y lista de índices
+
+import { readJson, writeJson } from './browserStorage';
+import { FrameMetric, metricValue } from './frameMetrics';
+import { normalizeFrameList } from './playback';
+
+/**
+ * Grupo de frames definido a mano (p. ej. una cuenca metaestable) para
+ * compararlo con otros o con los clusters del análisis.
+ */
+export interface CustomCluster {
+  id: string;
+  name: string;
+  color: string;
+  /** Frames (0-indexed, ordenados) */
+  frames: number[];
+  /** Serie (simulación) de los frames; sin indicar con una sola trayectoria */
+  seriesId?: string;
+}
+
+export const CUSTOM_CLUSTER_COLORS = ['#FBBF24', '#22D3EE', '#F472B6', '#A3E635', '#FB923C', '#C084FC'];
+
+const STORAGE_PREFIX = 'astroflora:custom-clusters:';
+
+const storageKey = (simulationId: string) => `${STORAGE_PREFIX}${simulationId}`;
+
+export function isCustomCluster(value: unknown): value is CustomCluster {
+  if (!value || typeof value !== 'object') return false;
+  const { id, name, color, frames, seriesId } = value as Record<string, unknown>;
+  return typeof id === 'string' && typeof name === 'string' && typeof color === 'string'
+    && Array.isArray(frames) && frames.every(frame => Number.isInteger(frame) && (frame as number) >= 0)
+    && (seriesId === undefined || typeof seriesId === 'string');
+}
+
+/**
+ * Cluster nuevo con los frames indicados. Toma el primer número libre para
+ * el identificador, el nombre (`Selección 3`) y el color.
+ */
+export function createCustomCluster(existing: CustomCluster[], frames: number[], seriesId?: string): CustomCluster {
+  let number = 1;
+  while (existing.some(cluster => cluster.id === `custom-${number}`)) number++;
+  return {
+    id: `custom-${number}`,
+    name: `Selección ${number}`,
+    color: CUSTOM_CLUSTER_COLORS[(number - 1) % CUSTOM_CLUSTER_COLORS.length],
+    frames: normalizeFrameList(frames),
+    ...(seriesId !== undefined ? { seriesId } : {})
+  };
+}
+
+export interface FrameSubsetSummary {
+  population: number;
+  /** Porcentaje de los frames de la serie */
+  percentage: number;
+  /** Media de cada magnitud por frame en el subconjunto; `null` sin valores */
+  means: Record<string, number | null>;
+}
+
+/**
+ * Población y media de las magnitudes de un subconjunto de `points`.
+ */
+export function summarizeFrames(
+  frames: number[],
+  points: Record<string, unknown>[],
+  metrics: FrameMetric[]
+): FrameSubsetSummary {
+  const selected = new Set(frames);
+  const members = points.filter(point => selected.has(point.frame as number));
+
+  const means = Object.fromEntries(metrics.map(metric => {
+    const values = members.map(point => metricValue(point, metric.key)).filter((value): value is number => value !== null);
+    return [metric.key, values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null];
+  }));
+
+  return {
+    population: members.length,
+    percentage: points.length ? (members.length / points.length) * 100 : 0,
+    means
+  };
+}
+
+/**
+ * CSV con un frame (0-indexed) por fila; con varias series, precedido de la
+ * simulación.
+ */
+export function frameListCsv(entries: { series?: string; frames: number[] }[]): string {
+  const withSeries = entries.some(entry => entry.series !== undefined);
+  const rows = [withSeries ? 'simulation,frame' : 'frame'];
+  entries.forEach(({ series, frames }) => {
+    frames.forEach(frame => rows.push(withSeries ? `${series ?? ''},${frame}` : String(frame)));
+  });
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Clusters propios guardados de una simulación. Descarta entradas corruptas.
+ */
+export function loadCustomClusters(simulationId: string): CustomCluster[] {
+  const parsed = readJson(storageKey(simulationId));
+  return Array.isArray(parsed) ? parsed.filter(isCustomCluster) : [];
+}
+
+export function saveCustomClusters(simulationId: string, clusters: CustomCluster[]): void {
+  if (!writeJson(storageKey(simulationId), clusters)) {
+    console.warn('[frameSelection] No se pudieron guardar los clusters propios');
+  }
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { GAS_CONSTANT, freeEnergyLandscape, landscapeCsv, nearestIndex } from './freeEnergy';
+
+describe('freeEnergyLandscape', () => {
+  // 5 bins en [0, 10]: 4 puntos en la celda 0, 2 en la 2 y 1 en la 4 (todas con y = 0 salvo el último)
+  const xs = [0, 1, 1.5, 1.9, 5, 5.5, 10];
+  const ys = [0, 0, 0, 0, 0, 0, 10];
+
+  it('agrupa los puntos en celdas por filas de Y y columnas de X', () => {
+    const landscape = freeEnergyLandscape(xs, ys, { bins: 5 })!;
+
+    expect(landscape.x).toEqual([1, 3, 5, 7, 9]);
+    expect(landscape.y).toEqual([1, 3, 5, 7, 9]);
+    expect(landscape.counts[0]).toEqual([4, 0, 2, 0, 0]);
+    // El máximo cae en la última celda
+    expect(landscape.counts[4]).toEqual([0, 0, 0, 0, 1]);
+    expect(landscape.total).toBe(7);
+  });
+
+  it('ΔG = −kT·ln(P/Pmax): 0 en la celda más poblada y null en las vacías', () => {
+    const landscape = freeEnergyLandscape(xs, ys, { bins: 5, temperature: 300, unit: 'kJ/mol' })!;
+    const kT = GAS_CONSTANT['kJ/mol'] * 300;
+
+    expect(landscape.kT).toBeCloseTo(kT);
+    expect(landscape.energy[0][0]).toBe(0);
+    expect(landscape.energy[0][2]).toBeCloseTo(kT * Math.log(2));
+    expect(landscape.energy[4][4]).toBeCloseTo(kT * Math.log(4));
+    expect(landscape.energy[0][1]).toBeNull();
+    expect(landscape.maxEnergy).toBeCloseTo(kT * Math.log(4));
+  });
+
+  it('ΔG escala con la temperatura', () => {
+    const cold = freeEnergyLandscape(xs, ys, { bins: 5, temperature: 150 })!;
+    const hot = freeEnergyLandscape(xs, ys, { bins: 5, temperature: 300 })!;
+    expect(hot.maxEnergy).toBeCloseTo(2 * cold.maxEnergy);
+  });
+
+  it('limita el número de celdas e ignora valores no finitos', () => {
+    expect(freeEnergyLandscape(xs, ys, { bins: 1000 })!.x).toHaveLength(100);
+    expect(freeEnergyLandscape(xs, ys, { bins: 1 })!.x).toHaveLength(5);
+    expect(freeEnergyLandscape([1, NaN], [1, 2], { bins: 5 })!.total).toBe(1);
+    expect(freeEnergyLandscape([], [])).toBeNull();
+  });
+
+  it('con todos los puntos iguales usa una celda de ancho 1 alrededor', () => {
+    const landscape = freeEnergyLandscape([2, 2], [3, 3], { bins: 5 })!;
+    expect(landscape.counts.flat().reduce((a, b) => a + b, 0)).toBe(2);
+    expect(landscape.x[0]).toBeCloseTo(1.6);
+  });
+});
+
+describe('nearestIndex', () => {
+  it('devuelve el punto más cercano o -1 sin puntos', () => {
+    expect(nearestIndex([0, 5, 10], [0, 5, 10], 6, 4)).toBe(1);
+    expect(nearestIndex([], [], 0, 0)).toBe(-1);
+  });
+});
+
+describe('landscapeCsv', () => {
+  it('escribe una fila por celda con ΔG vacío en las celdas sin frames', () => {
+    const landscape = freeEnergyLandscape([0, 0, 1], [0, 0, 1], { bins: 5 })!;
+    const lines = landscapeCsv(landscape, 'PC1', 'PC2').trim().split('\n');
+
+    expect(lines[0]).toBe('PC1,PC2,frames,probability,dG (kcal/mol; T = 300 K)');
+    expect(lines).toHaveLength(1 + 25);
+    expect(lines[1]).toBe('0.1000,0.1000,2,0.666667,0.0000');
+    expect(lines[2]).toBe('0.3000,0.1000,0,0.000000,');
+  });
+});
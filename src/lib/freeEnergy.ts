@@ -0,0 +1,161 @@
+// 🧬 ASTROFLORA 7.1 - FREE ENERGY
+// ===============================
+// Superficie de energía libre ΔG = −kT·ln(P/Pmax) sobre dos componentes principales
+
+export type EnergyUnit = 'kcal/mol' | 'kJ/mol';
+
+/** Constante de los gases R (kT molar = R·T) en cada unidad, por kelvin */
+export const GAS_CONSTANT: Record<EnergyUnit, number> = {
+  'kcal/mol': 0.0019872043,
+  'kJ/mol': 0.0083144626
+};
+
+export const DEFAULT_TEMPERATURE = 300;
+export const DEFAULT_LANDSCAPE_BINS = 30;
+export const MIN_LANDSCAPE_BINS = 5;
+export const MAX_LANDSCAPE_BINS = 100;
+
+export function isEnergyUnit(value: unknown): value is EnergyUnit {
+  return typeof value === 'string' && value in GAS_CONSTANT;
+}
+
+export interface LandscapeOptions {
+  /** Celdas por eje */
+  bins?: number;
+  /** Temperatura (K) */
+  temperature?: number;
+  unit?: EnergyUnit;
+}
+
+/**
+ * Rejilla de energía libre. Las matrices van por filas de Y y columnas de X,
+ * como las espera Plotly; las celdas sin frames no tienen energía (`null`).
+ */
+export interface FreeEnergyLandscape {
+  /** Centros de las celdas en X e Y */
+  x: number[];
+  y: number[];
+  counts: number[][];
+  energy: (number | null)[][];
+  /** Mayor ΔG de las celdas ocupadas (la menor es 0) */
+  maxEnergy: number;
+  kT: number;
+  unit: EnergyUnit;
+  temperature: number;
+  total: number;
+}
+
+const clampBins = (bins: number) => Math.min(MAX_LANDSCAPE_BINS, Math.max(MIN_LANDSCAPE_BINS, Math.round(bins)));
+
+function axisBins(values: number[], bins: number) {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  // Todos los valores iguales: una celda de ancho 1 alrededor
+  if (min === max) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  const width = (max - min) / bins;
+  return {
+    centers: Array.from({ length: bins }, (_, i) => min + (i + 0.5) * width),
+    // El máximo cae en la última celda
+    indexOf: (value: number) => Math.min(bins - 1, Math.floor((value - min) / width))
+  };
+}
+
+/**
+ * Histograma 2D de las proyecciones convertido en ΔG = −kT·ln(P/Pmax): la
+ * celda más poblada vale 0. `null` si no hay puntos.
+ */
+export function freeEnergyLandscape(
+  xs: ArrayLike<number>,
+  ys: ArrayLike<number>,
+  { bins = DEFAULT_LANDSCAPE_BINS, temperature = DEFAULT_TEMPERATURE, unit = 'kcal/mol' }: LandscapeOptions = {}
+): FreeEnergyLandscape | null {
+  const xValues: number[] = [];
+  const yValues: number[] = [];
+  for (let i = 0; i < Math.min(xs.length, ys.length); i++) {
+    if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) {
+      xValues.push(xs[i]);
+      yValues.push(ys[i]);
+    }
+  }
+  if (xValues.length === 0) return null;
+
+  const size = clampBins(bins);
+  const xBins = axisBins(xValues, size);
+  const yBins = axisBins(yValues, size);
+
+  const counts = Array.from({ length: size }, () => new Array<number>(size).fill(0));
+  xValues.forEach((x, i) => {
+    counts[yBins.indexOf(yValues[i])][xBins.indexOf(x)] += 1;
+  });
+
+  const kT = GAS_CONSTANT[unit] * temperature;
+  const maxCount = Math.max(...counts.map(row => Math.max(...row)));
+  let maxEnergy = 0;
+  const energy = counts.map(row => row.map(count => {
+    if (count === 0) return null;
+    const value = kT * Math.log(maxCount / count);
+    maxEnergy = Math.max(maxEnergy, value);
+    return value;
+  }));
+
+  return {
+    x: xBins.centers,
+    y: yBins.centers,
+    counts,
+    energy,
+    maxEnergy,
+    kT,
+    unit,
+    temperature,
+    total: xValues.length
+  };
+}
+
+/**
+ * Índice del punto más cercano a (x, y); -1 si no hay ninguno.
+ */
+export function nearestIndex(xs: ArrayLike<number>, ys: ArrayLike<number>, x: number, y: number): number {
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let i = 0; i < Math.min(xs.length, ys.length); i++) {
+    const distance = (xs[i] - x) ** 2 + (ys[i] - y) ** 2;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * CSV con una fila por celda: centro en cada eje, frames, probabilidad y ΔG
+ * (vacío en celdas sin frames).
+ */
+export function landscapeCsv(landscape: FreeEnergyLandscape, xLabel: string, yLabel: string): string {
+  const header = [
+    xLabel,
+    yLabel,
+    'frames',
+    'probability',
+    `dG (${landscape.unit}; T = ${landscape.temperature} K)`
+  ];
+
+  const rows = [header.join(',')];
+  landscape.y.forEach((y, row) => {
+    landscape.x.forEach((x, column) => {
+      const count = landscape.counts[row][column];
+      const energy = landscape.energy[row][column];
+      rows.push([
+        x.toFixed(4),
+        y.toFixed(4),
+        String(count),
+        (count / landscape.total).toFixed(6),
+        energy === null ? '' : energy.toFixed(4)
+      ].join(','));
+    });
+  });
+  return `${rows.join('\n')}\n`;
+}
@@ -0,0 +1,215 @@
+import { describe, expect, it } from 'vitest';
+import { GifEncoder, RgbaImage } from './gifEncoder';
+
+interface DecodedFrame {
+  delay: number;
+  width: number;
+  height: number;
+  palette: Uint8Array;
+  indices: number[];
+  /** Códigos de limpieza leídos y ancho máximo de código alcanzado */
+  clears: number;
+  maxCodeSize: number;
+}
+
+/** LZW de GIF: ancho variable hasta 12 bits, limpieza y fin de datos */
+function decodeLzw(data: Uint8Array, minCodeSize: number, pixelCount: number) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let table: number[][] = [];
+  let codeSize = 0;
+  let previous: number[] | null = null;
+  const reset = () => {
+    table = Array.from({ length: endCode + 1 }, (_, i) => (i < clearCode ? [i] : []));
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  const indices: number[] = [];
+  let clears = 0;
+  let maxCodeSize = codeSize;
+  let position = 0;
+  while (true) {
+    if (position + codeSize > data.length * 8) throw new Error('Datos LZW sin código de fin');
+    let code = 0;
+    for (let bit = 0; bit < codeSize; bit++, position++) {
+      code |= ((data[position >> 3] >> (position & 7)) & 1) << bit;
+    }
+
+    if (code === clearCode) {
+      clears++;
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry: number[];
+    if (code < table.length) entry = table[code];
+    else if (code === table.length && previous) entry = [...previous, previous[0]];
+    else throw new Error(`Código LZW fuera de la tabla: ${code}`);
+    indices.push(...entry);
+
+    if (previous && table.length < 4096) {
+      table.push([...previous, entry[0]]);
+      if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    maxCodeSize = Math.max(maxCodeSize, codeSize);
+    previous = entry;
+  }
+
+  expect(indices).toHaveLength(pixelCount);
+  return { indices, clears, maxCodeSize };
+}
+
+/** Lee el GIF bloque a bloque y devuelve sus frames; falla si falta el terminador */
+function decodeGif(bytes: Uint8Array): { width: number; height: number; loop: number | null; frames: DecodedFrame[] } {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  expect(bytes[10] & 0x80).toBe(0);
+  let pos = 13;
+
+  const subBlocks = () => {
+    const chunks: number[] = [];
+    for (let size = bytes[pos++]; size > 0; size = bytes[pos++]) {
+      chunks.push(...bytes.subarray(pos, pos + size));
+      pos += size;
+    }
+    return Uint8Array.from(chunks);
+  };
+
+  const frames: DecodedFrame[] = [];
+  let loop: number | null = null;
+  let delay = -1;
+  while (true) {
+    if (pos >= bytes.length) throw new Error('GIF sin terminador');
+    const introducer = bytes[pos++];
+    if (introducer === 0x3b) break;
+
+    if (introducer === 0x21) {
+      const label = bytes[pos++];
+      const body = subBlocks();
+      if (label === 0xf9) delay = body[1] | (body[2] << 8);
+      if (label === 0xff && String.fromCharCode(...body.subarray(0, 11)) === 'NETSCAPE2.0') {
+        loop = body[12] | (body[13] << 8);
+      }
+    } else if (introducer === 0x2c) {
+      const frameWidth = view.getUint16(pos + 4, true);
+      const frameHeight = view.getUint16(pos + 6, true);
+      const packed = bytes[pos + 8];
+      pos += 9;
+      expect(packed & 0x80).toBe(0x80);
+      const paletteSize = 3 * (1 << ((packed & 7) + 1));
+      const palette = bytes.slice(pos, pos + paletteSize);
+      pos += paletteSize;
+      const minCodeSize = bytes[pos++];
+      const lzw = decodeLzw(subBlocks(), minCodeSize, frameWidth * frameHeight);
+      frames.push({ delay, width: frameWidth, height: frameHeight, palette, ...lzw });
+    } else {
+      throw new Error(`Bloque GIF desconocido: 0x${introducer.toString(16)}`);
+    }
+  }
+
+  expect(pos).toBe(bytes.length);
+  return { width, height, loop, frames };
+}
+
+// 256 colores, cada uno en su propio cubo de 5 bits: la paleta los recoge exactos
+const color = (index: number) => [(index & 7) * 32, ((index >> 3) & 7) * 32, (index >> 6) * 64];
+
+/** Imagen con los colores de `pattern(p)` en cada píxel */
+function image(width: number, height: number, pattern: (pixel: number) => number): RgbaImage & { colors: number[] } {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const colors: number[] = [];
+  for (let p = 0; p < width * height; p++) {
+    const index = pattern(p);
+    colors.push(index);
+    data.set([...color(index), 255], p * 4);
+  }
+  return { data, width, height, colors };
+}
+
+/** Color de cada píxel decodificado, como índice de `color` */
+const decodedColors = ({ palette, indices }: DecodedFrame) => indices.map(i => {
+  const [r, g, b] = palette.subarray(i * 3, i * 3 + 3);
+  return (r / 32) | ((g / 32) << 3) | ((b / 64) << 6);
+});
+
+// Pseudoaleatorio y reproducible: llena el diccionario varias veces
+const noise = (seed: number) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) >>> 0;
+    return state >>> 24;
+  };
+};
+
+describe('GifEncoder', () => {
+  it('un decodificador LZW recupera los píxeles de cada frame', () => {
+    const random = noise(7);
+    const frames = [
+      image(96, 80, () => random()),
+      image(96, 80, p => (p % 96 < 48 ? 3 : 200)),
+      image(96, 80, p => (p * 7) % 256)
+    ];
+    const encoder = new GifEncoder(96, 80, { delayMs: 125 });
+    frames.forEach(frame => encoder.addFrame(frame));
+    const gif = decodeGif(encoder.finish());
+
+    expect(gif).toMatchObject({ width: 96, height: 80, loop: 0 });
+    expect(gif.frames).toHaveLength(3);
+    gif.frames.forEach((frame, i) => {
+      expect(frame).toMatchObject({ width: 96, height: 80, delay: 13 });
+      expect(decodedColors(frame)).toEqual(frames[i].colors);
+    });
+  });
+
+  it('los códigos crecen hasta 12 bits y el diccionario se limpia al llenarse', () => {
+    const random = noise(42);
+    const noisy = image(128, 128, () => random());
+    const encoder = new GifEncoder(128, 128, { delayMs: 40 });
+    encoder.addFrame(noisy);
+    const [frame] = decodeGif(encoder.finish()).frames;
+
+    expect(frame.maxCodeSize).toBe(12);
+    // Uno al principio y al menos otro al llenarse la tabla
+    expect(frame.clears).toBeGreaterThan(1);
+    expect(decodedColors(frame)).toEqual(noisy.colors);
+  });
+
+  it('un frame liso se comprime en cadenas largas del diccionario', () => {
+    const flat = image(200, 150, () => 17);
+    const encoder = new GifEncoder(200, 150, { delayMs: 100, loop: 3 });
+    encoder.addFrame(flat);
+    const bytes = encoder.finish();
+    const gif = decodeGif(bytes);
+
+    expect(gif.loop).toBe(3);
+    expect(gif.frames[0].clears).toBe(1);
+    expect(decodedColors(gif.frames[0])).toEqual(flat.colors);
+    expect(bytes.length).toBeLessThan(2000);
+  });
+
+  it('guarda el retraso en centésimas con el mínimo de 2 cs de los navegadores', () => {
+    const frame = image(2, 2, () => 0);
+    const delays = [5, 20, 1000].map(delayMs => {
+      const encoder = new GifEncoder(2, 2, { delayMs });
+      encoder.addFrame(frame);
+      return decodeGif(encoder.finish()).frames[0].delay;
+    });
+    expect(delays).toEqual([2, 2, 100]);
+  });
+
+  it('escribe el terminador una vez y rechaza frames posteriores o de otro tamaño', () => {
+    const encoder = new GifEncoder(4, 4, { delayMs: 100 });
+    expect(() => encoder.addFrame(image(3, 4, () => 0))).toThrow(RangeError);
+    encoder.addFrame(image(4, 4, () => 1));
+    const bytes = encoder.finish();
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+    expect(encoder.finish()).toEqual(bytes);
+    expect(() => encoder.addFrame(image(4, 4, () => 1))).toThrow('El GIF ya está cerrado');
+    expect(() => new GifEncoder(0, 4, { delayMs: 100 })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,272 @@
+// 🧬 ASTROFLORA 7.1 - GIF ENCODER
+// ===============================
+// Codificador de GIF animado: paleta de 256 colores por frame (corte por la mediana) y compresión LZW
+
+/** Píxeles RGBA, como `ImageData` */
+export interface RgbaImage {
+  data: Uint8ClampedArray | Uint8Array;
+  width: number;
+  height: number;
+}
+
+export interface GifOptions {
+  /** Tiempo que se muestra cada frame (ms); el formato lo guarda en centésimas */
+  delayMs: number;
+  /** Repeticiones; 0 = en bucle indefinido */
+  loop?: number;
+}
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4096;
+const MIN_CODE_SIZE = 8;
+
+// Los colores se agrupan en 5 bits por canal (32768 cubos)
+const BINS = 1 << 15;
+const binOf = (r: number, g: number, b: number) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+const channelOf = (bin: number, channel: number) => (bin >> (10 - channel * 5)) & 31;
+
+/**
+ * Paleta por corte por la mediana sobre el histograma de cubos: se parte
+ * siempre la caja con más píxeles por su canal más largo. Devuelve la paleta
+ * (RGB) y el índice de paleta de cada cubo.
+ */
+function quantize(image: RgbaImage): { palette: Uint8Array; binIndex: Uint8Array } {
+  const { data } = image;
+  const counts = new Uint32Array(BINS);
+  // Suma de cada canal por cubo: la paleta usa el color medio real, no el centro del cubo
+  const sums = new Float64Array(BINS * 3);
+  for (let i = 0; i < data.length; i += 4) {
+    const bin = binOf(data[i], data[i + 1], data[i + 2]);
+    counts[bin]++;
+    sums[bin * 3] += data[i];
+    sums[bin * 3 + 1] += data[i + 1];
+    sums[bin * 3 + 2] += data[i + 2];
+  }
+
+  const used: number[] = [];
+  for (let bin = 0; bin < BINS; bin++) if (counts[bin] > 0) used.push(bin);
+
+  const population = (bins: number[]) => bins.reduce((sum, bin) => sum + counts[bin], 0);
+  const longestChannel = (bins: number[]) => {
+    let best = { channel: 0, length: -1 };
+    for (let channel = 0; channel < 3; channel++) {
+      let min = 31;
+      let max = 0;
+      for (const bin of bins) {
+        const value = channelOf(bin, channel);
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      if (max - min > best.length) best = { channel, length: max - min };
+    }
+    return best;
+  };
+
+  const boxes = [{ bins: used, pixels: population(used) }];
+  while (boxes.length < MAX_COLORS) {
+    // La caja más poblada que aún tenga más de un cubo
+    let target = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].bins.length > 1 && (target < 0 || boxes[i].pixels > boxes[target].pixels)) target = i;
+    }
+    if (target < 0) break;
+
+    const { bins, pixels } = boxes[target];
+    const { channel } = longestChannel(bins);
+    bins.sort((a, b) => channelOf(a, channel) - channelOf(b, channel));
+
+    // Mediana ponderada por píxeles, dejando al menos un cubo a cada lado
+    let half = 0;
+    let split = 1;
+    for (; split < bins.length - 1; split++) {
+      half += counts[bins[split - 1]];
+      if (half >= pixels / 2) break;
+    }
+    const low = bins.slice(0, split);
+    const high = bins.slice(split);
+    boxes.splice(target, 1, { bins: low, pixels: population(low) }, { bins: high, pixels: population(high) });
+  }
+
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  const binIndex = new Uint8Array(BINS);
+  boxes.forEach(({ bins, pixels }, index) => {
+    const sum = [0, 0, 0];
+    for (const bin of bins) {
+      binIndex[bin] = index;
+      for (let channel = 0; channel < 3; channel++) sum[channel] += sums[bin * 3 + channel];
+    }
+    for (let channel = 0; channel < 3; channel++) {
+      palette[index * 3 + channel] = pixels > 0 ? Math.round(sum[channel] / pixels) : 0;
+    }
+  });
+  return { palette, binIndex };
+}
+
+/** Escritura de bytes con crecimiento automático */
+class ByteWriter {
+  private buffer = new Uint8Array(1 << 16);
+  length = 0;
+
+  byte(value: number): void {
+    if (this.length === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.length++] = value;
+  }
+
+  bytes(values: ArrayLike<number>): void {
+    for (let i = 0; i < values.length; i++) this.byte(values[i]);
+  }
+
+  short(value: number): void {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  text(value: string): void {
+    for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+  }
+
+  toArray(): Uint8Array {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Índices de paleta comprimidos con LZW de ancho variable, en sub-bloques de
+ * hasta 255 bytes como pide el formato.
+ */
+function writeLzw(out: ByteWriter, indices: Uint8Array): void {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const dictionary = new Map<number, number>();
+  let nextCode = endCode + 1;
+  let codeSize = MIN_CODE_SIZE + 1;
+
+  const block: number[] = [];
+  let bits = 0;
+  let bitCount = 0;
+  const flushBlock = () => {
+    out.byte(block.length);
+    out.bytes(block);
+    block.length = 0;
+  };
+  const emit = (code: number) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      if (block.length === 255) flushBlock();
+      bits >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(MIN_CODE_SIZE);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const symbol = indices[i];
+    const key = (prefix << 8) | symbol;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode < MAX_CODE) {
+      dictionary.set(key, nextCode++);
+      // El decodificador va una entrada por detrás: crece al superar, no al alcanzar
+      if (nextCode > 1 << codeSize) codeSize++;
+    } else {
+      emit(clearCode);
+      dictionary.clear();
+      nextCode = endCode + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    }
+    prefix = symbol;
+  }
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length > 0) flushBlock();
+  out.byte(0);
+}
+
+/**
+ * GIF animado construido frame a frame. Cada frame lleva su propia paleta;
+ * todos deben tener el tamaño indicado al crear el codificador.
+ */
+export class GifEncoder {
+  private readonly out = new ByteWriter();
+  private readonly delay: number;
+  private finished = false;
+
+  constructor(readonly width: number, readonly height: number, { delayMs, loop = 0 }: GifOptions) {
+    if (width < 1 || height < 1 || width > 0xffff || height > 0xffff) {
+      throw new RangeError(`Tamaño de GIF no válido: ${width}×${height}`);
+    }
+    // Los navegadores muestran a 10 cs los retrasos menores de 2 cs
+    this.delay = Math.max(2, Math.round(delayMs / 10));
+
+    const { out } = this;
+    out.text('GIF89a');
+    out.short(width);
+    out.short(height);
+    out.byte(0); // Sin paleta global
+    out.byte(0);
+    out.byte(0);
+
+    // Extensión NETSCAPE2.0: repeticiones
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.text('NETSCAPE2.0');
+    out.bytes([0x03, 0x01]);
+    out.short(loop);
+    out.byte(0);
+  }
+
+  addFrame(image: RgbaImage): void {
+    if (this.finished) throw new Error('El GIF ya está cerrado');
+    if (image.width !== this.width || image.height !== this.height) {
+      throw new RangeError(`El frame mide ${image.width}×${image.height}, se esperaba ${this.width}×${this.height}`);
+    }
+
+    const { palette, binIndex } = quantize(image);
+    const { data } = image;
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+      indices[p] = binIndex[binOf(data[i], data[i + 1], data[i + 2])];
+    }
+
+    const { out } = this;
+    // Control gráfico: cada frame sustituye al anterior (sin transparencia)
+    out.bytes([0x21, 0xf9, 0x04, 0x04]);
+    out.short(this.delay);
+    out.bytes([0x00, 0x00]);
+
+    // Descriptor de imagen con paleta local de 256 colores
+    out.byte(0x2c);
+    out.short(0);
+    out.short(0);
+    out.short(this.width);
+    out.short(this.height);
+    out.byte(0x87);
+    out.bytes(palette);
+
+    writeLzw(out, indices);
+  }
+
+  /** Cierra el archivo y devuelve sus bytes */
+  finish(): Uint8Array {
+    if (!this.finished) {
+      this.out.byte(0x3b);
+      this.finished = true;
+    }
+    return this.out.toArray();
+  }
+}
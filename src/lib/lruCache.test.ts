@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { LruCache } from './lruCache';
+
+describe('LruCache', () => {
+  it('descarta la entrada usada hace más tiempo al superar la capacidad', () => {
+    const cache = new LruCache<number, string>(2);
+    cache.set(1, 'a');
+    cache.set(2, 'b');
+    cache.set(3, 'c');
+
+    expect(cache.size).toBe(2);
+    expect(cache.has(1)).toBe(false);
+    expect(cache.get(2)).toBe('b');
+    expect(cache.get(3)).toBe('c');
+  });
+
+  it('una lectura cuenta como uso reciente', () => {
+    const cache = new LruCache<number, string>(2);
+    cache.set(1, 'a');
+    cache.set(2, 'b');
+    cache.get(1);
+    cache.set(3, 'c');
+
+    expect(cache.has(1)).toBe(true);
+    expect(cache.has(2)).toBe(false);
+  });
+
+  it('reemplazar un valor no ocupa otra entrada', () => {
+    const cache = new LruCache<string, number>(2);
+    cache.set('x', 1);
+    cache.set('x', 2);
+
+    expect(cache.size).toBe(1);
+    expect(cache.get('x')).toBe(2);
+  });
+
+  it('rechaza capacidades menores que 1', () => {
+    expect(() => new LruCache(0)).toThrow();
+  });
+});
@@ -0,0 +1,45 @@
+// 🧬 ASTROFLORA 7.1 - LRU CACHE
+// =============================
+// Caché acotada que descarta primero las entradas usadas hace más tiempo
+
+export class LruCache<K, V> {
+  private entries = new Map<K, V>();
+
+  constructor(readonly capacity: number) {
+    if (capacity < 1) throw new Error('La capacidad de la caché debe ser al menos 1');
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  has(key: K): boolean {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Devuelve el valor y lo marca como el usado más recientemente.
+   */
+  get(key: K): V | undefined {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key) as V;
+    // Map conserva el orden de inserción: reinsertar lo mueve al final
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key: K, value: V): void {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.capacity) {
+      const oldest = this.entries.keys().next().value as K;
+      this.entries.delete(oldest);
+    }
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+}
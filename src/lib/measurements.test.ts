@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { Measurement, Point, isMeasurement, measure, measurementsCsv } from './measurements';
+
+/** Diedro de referencia: eje p1→p2 en Z, p0 en +X y p3 girado `degrees` alrededor del eje */
+const dihedralPoints = (degrees: number): Point[] => {
+  const radians = (degrees * Math.PI) / 180;
+  return [[1, 0, 0], [0, 0, 0], [0, 0, 1.5], [Math.cos(radians), Math.sin(radians), 1.5]];
+};
+
+const atom = (index: number, label: string) => ({ index, label });
+
+describe('measure', () => {
+  it('distancia euclídea en Å', () => {
+    expect(measure('distance', [[0, 0, 0], [3, 4, 0]])).toBeCloseTo(5);
+    expect(measure('distance', [[1, 2, 3], [1, 2, 3]])).toBe(0);
+  });
+
+  it('ángulo en el átomo central, entre 0 y 180°', () => {
+    expect(measure('angle', [[1, 0, 0], [0, 0, 0], [0, 2, 0]])).toBeCloseTo(90);
+    expect(measure('angle', [[1, 0, 0], [0, 0, 0], [1, 1, 0]])).toBeCloseTo(45);
+    expect(measure('angle', [[2, 0, 0], [1, 0, 0], [0, 0, 0]])).toBeCloseTo(180);
+    expect(measure('angle', [[2, 0, 0], [0, 0, 0], [1, 0, 0]])).toBeCloseTo(0);
+  });
+
+  it('diedro con el signo de la convención IUPAC', () => {
+    expect(measure('dihedral', dihedralPoints(0))).toBeCloseTo(0);
+    expect(measure('dihedral', dihedralPoints(60))).toBeCloseTo(60);
+    expect(measure('dihedral', dihedralPoints(-60))).toBeCloseTo(-60);
+    expect(Math.abs(measure('dihedral', dihedralPoints(180)))).toBeCloseTo(180);
+    expect(measure('dihedral', dihedralPoints(120))).toBeCloseTo(120);
+  });
+
+  it('el diedro cambia de signo en la imagen especular y no depende de la traslación', () => {
+    const points = dihedralPoints(75);
+    const mirrored = points.map(([x, y, z]) => [x, -y, z] as const);
+    const moved = points.map(([x, y, z]) => [x + 10, y - 3, z + 7] as const);
+    expect(measure('dihedral', mirrored)).toBeCloseTo(-75);
+    expect(measure('dihedral', moved)).toBeCloseTo(75);
+    // Recorrer los átomos al revés no cambia el diedro
+    expect(measure('dihedral', [...points].reverse())).toBeCloseTo(75);
+  });
+
+  it('sin definir (NaN) con átomos alineados o superpuestos', () => {
+    expect(measure('dihedral', [[0, 0, 0], [1, 0, 0], [2, 0, 0], [2, 1, 0]])).toBeNaN();
+    expect(measure('dihedral', [[0, 1, 0], [0, 0, 0], [1, 0, 0], [2, 0, 0]])).toBeNaN();
+    expect(measure('angle', [[1, 0, 0], [1, 0, 0], [0, 1, 0]])).toBeNaN();
+  });
+});
+
+describe('measurementsCsv', () => {
+  const distance: Measurement = { id: 'd', kind: 'distance', atoms: [atom(0, 'A:LYS5:NZ'), atom(9, 'A:ASP10:OD1')] };
+  const angle: Measurement = {
+    id: 'a',
+    kind: 'angle',
+    atoms: [atom(1, 'A:GLY1:N'), atom(2, 'A:GLY1:CA'), atom(3, 'A:GLY1:C,"x"')]
+  };
+
+  it('una fila por frame con la columna de cada medición y vacíos sin calcular', () => {
+    const csv = measurementsCsv([distance], { d: Float64Array.from([1.23456, NaN, 3]) }, 3);
+    expect(csv).toBe([
+      'frame,Distancia A:LYS5:NZ – A:ASP10:OD1 (Å)',
+      '1,1.2346',
+      '2,',
+      '3,3.0000',
+      ''
+    ].join('\n'));
+  });
+
+  it('añade el tiempo si se conoce y escapa comillas y comas en la cabecera', () => {
+    const csv = measurementsCsv(
+      [distance, angle],
+      { d: Float64Array.from([1, 2]), a: Float64Array.from([90, 91]) },
+      2,
+      Float64Array.from([0.5, NaN]),
+      'ns'
+    );
+    const [header, ...rows] = csv.trimEnd().split('\n');
+    expect(header).toBe(
+      'frame,time (ns),Distancia A:LYS5:NZ – A:ASP10:OD1 (Å),"Ángulo A:GLY1:N – A:GLY1:CA – A:GLY1:C,""x"" (°)"'
+    );
+    expect(rows).toEqual(['1,0.5,1.0000,90.0000', '2,,2.0000,91.0000']);
+  });
+
+  it('sin unidad de tiempo no hay columna de tiempo, y una serie ausente queda vacía', () => {
+    const csv = measurementsCsv([distance], {}, 2, Float64Array.from([0, 1]));
+    expect(csv).toBe('frame,Distancia A:LYS5:NZ – A:ASP10:OD1 (Å)\n1,\n2,\n');
+  });
+});
+
+describe('isMeasurement', () => {
+  it('exige el número de átomos del tipo e índices enteros no negativos', () => {
+    expect(isMeasurement({ id: 'x', kind: 'distance', atoms: [atom(0, 'a'), atom(1, 'b')] })).toBe(true);
+    expect(isMeasurement({ id: 'x', kind: 'angle', atoms: [atom(0, 'a'), atom(1, 'b')] })).toBe(false);
+    expect(isMeasurement({ id: 'x', kind: 'distance', atoms: [atom(-1, 'a'), atom(1, 'b')] })).toBe(false);
+    expect(isMeasurement({ id: 'x', kind: 'torsion', atoms: [] })).toBe(false);
+    expect(isMeasurement(null)).toBe(false);
+  });
+});
@@ -0,0 +1,158 @@
+// 🧬 ASTROFLORA 7.1 - MEASUREMENTS
+// ================================
+// Distancias, ángulos y diedros entre átomos, su serie temporal y exportación a CSV
+
+import { TimeUnit } from './timeAxis';
+
+export type MeasurementKind = 'distance' | 'angle' | 'dihedral';
+
+/** Átomo medido: índice en la topología (orden del modelo) y etiqueta legible */
+export interface MeasuredAtom {
+  index: number;
+  label: string;
+}
+
+export interface Measurement {
+  id: string;
+  kind: MeasurementKind;
+  atoms: MeasuredAtom[];
+}
+
+/** Valor de cada medición por frame (`NaN` si aún no se ha calculado) */
+export type MeasurementSeries = Record<string, Float64Array>;
+
+export const MEASUREMENT_LABELS: Record<MeasurementKind, string> = {
+  distance: 'Distancia',
+  angle: 'Ángulo',
+  dihedral: 'Diedro'
+};
+
+/** Átomos que hay que elegir para cada tipo */
+export const MEASUREMENT_ATOM_COUNT: Record<MeasurementKind, number> = {
+  distance: 2,
+  angle: 3,
+  dihedral: 4
+};
+
+export const MEASUREMENT_UNITS: Record<MeasurementKind, string> = {
+  distance: 'Å',
+  angle: '°',
+  dihedral: '°'
+};
+
+export type Point = readonly [number, number, number];
+
+let measurementCounter = 0;
+
+export function createMeasurement(kind: MeasurementKind, atoms: MeasuredAtom[]): Measurement {
+  measurementCounter += 1;
+  return { id: `${Date.now().toString(36)}-${measurementCounter}`, kind, atoms };
+}
+
+/**
+ * Comprueba que un objeto (p. ej. leído de localStorage o de una URL) es una
+ * medición válida.
+ */
+export function isMeasurement(value: unknown): value is Measurement {
+  if (!value || typeof value !== 'object') return false;
+  const measurement = value as Record<string, unknown>;
+
+  if (typeof measurement.id !== 'string') return false;
+  if (typeof measurement.kind !== 'string' || !(measurement.kind in MEASUREMENT_LABELS)) return false;
+
+  const atoms = measurement.atoms;
+  return Array.isArray(atoms)
+    && atoms.length === MEASUREMENT_ATOM_COUNT[measurement.kind as MeasurementKind]
+    && atoms.every(atom => (
+      !!atom && Number.isInteger(atom.index) && atom.index >= 0 && typeof atom.label === 'string'
+    ));
+}
+
+/** Etiqueta de la medición, p. ej. `A:LYS5:NZ – A:ASP10:OD1` */
+export function measurementLabel(measurement: Measurement): string {
+  return measurement.atoms.map(atom => atom.label).join(' – ');
+}
+
+const sub = (a: Point, b: Point): Point => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a: Point, b: Point) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a: Point, b: Point): Point => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const norm = (a: Point) => Math.sqrt(dot(a, a));
+const degrees = (radians: number) => (radians * 180) / Math.PI;
+
+// Área (Å²) por debajo de la cual dos enlaces se consideran alineados
+const COLLINEAR_EPSILON = 1e-6;
+
+/**
+ * Valor de la medición: distancia en Å, ángulo en grados (0–180) y diedro en
+ * grados con signo (−180–180, convención IUPAC). `NaN` si no está definido:
+ * átomos superpuestos en un ángulo o tres átomos alineados en un diedro.
+ */
+export function measure(kind: MeasurementKind, points: Point[]): number {
+  switch (kind) {
+    case 'distance':
+      return norm(sub(points[1], points[0]));
+    case 'angle': {
+      const u = sub(points[0], points[1]);
+      const v = sub(points[2], points[1]);
+      const cos = dot(u, v) / (norm(u) * norm(v));
+      return degrees(Math.acos(Math.max(-1, Math.min(1, cos))));
+    }
+    case 'dihedral': {
+      const b1 = sub(points[1], points[0]);
+      const b2 = sub(points[2], points[1]);
+      const b3 = sub(points[3], points[2]);
+      const n1 = cross(b1, b2);
+      const n2 = cross(b2, b3);
+      if (norm(n1) < COLLINEAR_EPSILON || norm(n2) < COLLINEAR_EPSILON) return NaN;
+      return degrees(Math.atan2(norm(b2) * dot(b1, n2), dot(n1, n2)));
+    }
+  }
+}
+
+/** Texto del valor con su unidad */
+export function formatMeasurement(kind: MeasurementKind, value: number): string {
+  if (!Number.isFinite(value)) return 'N/A';
+  return kind === 'distance' ? `${value.toFixed(2)} Å` : `${value.toFixed(1)}°`;
+}
+
+const csvCell = (text: string) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * CSV con una fila por frame: frame (1-indexed), tiempo si se conoce y una
+ * columna por medición. Los valores sin calcular quedan vacíos.
+ *
+ * @param times - Tiempo de cada frame en `timeUnit` (`NaN` si no se conoce)
+ */
+export function measurementsCsv(
+  measurements: Measurement[],
+  series: MeasurementSeries,
+  frameCount: number,
+  times?: ArrayLike<number> | null,
+  timeUnit?: TimeUnit
+): string {
+  const withTime = !!times && !!timeUnit;
+  const header = [
+    'frame',
+    ...(withTime ? [`time (${timeUnit})`] : []),
+    ...measurements.map(m => `${MEASUREMENT_LABELS[m.kind]} ${measurementLabel(m)} (${MEASUREMENT_UNITS[m.kind]})`)
+  ];
+
+  const rows = [header.map(csvCell).join(',')];
+  for (let frame = 0; frame < frameCount; frame++) {
+    const time = withTime ? times![frame] : NaN;
+    const cells = [
+      String(frame + 1),
+      ...(withTime ? [Number.isFinite(time) ? String(time) : ''] : []),
+      ...measurements.map(m => {
+        const value = series[m.id]?.[frame];
+        return value !== undefined && Number.isFinite(value) ? value.toFixed(4) : '';
+      })
+    ];
+    rows.push(cells.join(','));
+  }
+  return `${rows.join('\n')}\n`;
+}
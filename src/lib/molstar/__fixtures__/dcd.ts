@@ -0,0 +1,91 @@
+// 🧬 ASTROFLORA 7.1 - DCD FIXTURES
+// ================================
+// DCD mínimos en memoria para las pruebas (little-endian, sin átomos fijos)
+
+export interface DcdFixtureOptions {
+  /** Coordenadas por frame: [x0, y0, z0, x1, y1, z1, ...] */
+  frames: number[][];
+  /** `charmm` guarda DELTA en float32 y la versión en ICNTRL(20); `xplor`, DELTA en double */
+  flavor: 'charmm' | 'xplor';
+  /** DELTA en unidades AKMA */
+  delta?: number;
+  nsavc?: number;
+  /** Celda por frame (solo CHARMM, ICNTRL(11) = 1) */
+  unitCell?: boolean;
+}
+
+export function buildDcd({ frames, flavor, delta = 0.5, nsavc = 1, unitCell = false }: DcdFixtureOptions): Uint8Array {
+  const atomCount = frames[0].length / 3;
+  const title = 'ASTROFLORA TEST'.padEnd(80, ' ');
+  const extraBlock = flavor === 'charmm' && unitCell;
+  const frameSize = (extraBlock ? 56 : 0) + 3 * (8 + 4 * atomCount);
+  const headerSize = 92 + (12 + 80) + 12;
+
+  const buffer = new ArrayBuffer(headerSize + frames.length * frameSize);
+  const view = new DataView(buffer);
+  let offset = 0;
+  const int = (value: number) => { view.setInt32(offset, value, true); offset += 4; };
+
+  // Primer registro: CORD + ICNTRL(1-20)
+  int(84);
+  new Uint8Array(buffer, offset, 4).set([...'CORD'].map(c => c.charCodeAt(0)));
+  offset += 4;
+  const icntrl = offset;
+  view.setInt32(icntrl, frames.length, true);
+  view.setInt32(icntrl + 4, 1, true);
+  view.setInt32(icntrl + 8, nsavc, true);
+  if (flavor === 'charmm') {
+    view.setFloat32(icntrl + 9 * 4, delta, true);
+    view.setInt32(icntrl + 10 * 4, extraBlock ? 1 : 0, true);
+    view.setInt32(icntrl + 19 * 4, 24, true);
+  } else {
+    view.setFloat64(icntrl + 9 * 4, delta, true);
+  }
+  offset += 80;
+  int(84);
+
+  // Títulos y número de átomos
+  int(84);
+  int(1);
+  new Uint8Array(buffer, offset, 80).set([...title].map(c => c.charCodeAt(0)));
+  offset += 80;
+  int(84);
+  int(4);
+  int(atomCount);
+  int(4);
+
+  frames.forEach(coordinates => {
+    if (extraBlock) {
+      int(48);
+      [30, 90, 30, 90, 90, 30].forEach(value => { view.setFloat64(offset, value, true); offset += 8; });
+      int(48);
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      int(4 * atomCount);
+      for (let atom = 0; atom < atomCount; atom++) {
+        view.setFloat32(offset, coordinates[3 * atom + axis], true);
+        offset += 4;
+      }
+      int(4 * atomCount);
+    }
+  });
+
+  return new Uint8Array(buffer);
+}
+
+/**
+ * `fetch` que sirve `bytes` respetando la cabecera Range (206 con Content-Range).
+ */
+export function rangeFetch(bytes: Uint8Array): typeof fetch {
+  return (async (_input: RequestInfo | URL, init?: RequestInit) => {
+    const range = /bytes=(\d+)-(\d+)/.exec(new Headers(init?.headers).get('Range') ?? '');
+    if (!range) return new Response(bytes, { status: 200 });
+
+    const start = Number(range[1]);
+    const end = Math.min(Number(range[2]), bytes.length - 1);
+    return new Response(bytes.slice(start, end + 1), {
+      status: 206,
+      headers: { 'Content-Range': `bytes ${start}-${end}/${bytes.length}` }
+    });
+  }) as typeof fetch;
+}
@@ -0,0 +1,192 @@
+// 🧬 ASTROFLORA 7.1 - BINDING SITE
+// ================================
+// Modo sitio de unión: ligando, residuos del bolsillo, interacciones y cámara fija
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { StructureSelectionQueries } from 'molstar/lib/mol-plugin-state/helpers/structure-selection-query';
+import { InteractionsRepresentationProvider } from 'molstar/lib/mol-model-props/computed/representations/interactions';
+import { MolScriptBuilder as MS } from 'molstar/lib/mol-script/language/builder';
+import { Expression } from 'molstar/lib/mol-script/language/expression';
+import { Structure, StructureElement } from 'molstar/lib/mol-model/structure';
+import { Loci } from 'molstar/lib/mol-model/loci';
+import { Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+import { Color } from 'molstar/lib/mol-util/color';
+import { clearComponents } from './representations';
+
+/**
+ * Ligando elegido a mano. Sin selector se usa el criterio de Mol*:
+ * residuos no poliméricos que no son disolvente, iones, lípidos ni azúcares.
+ */
+export interface LigandSelector {
+  /** Nombre(s) de residuo, p. ej. `'LIG'` o `['ATP', 'MG']` */
+  resname?: string | string[];
+  /** Cadena (`auth_asym_id`) */
+  chain?: string;
+  /** Rango de residuos (`auth_seq_id`), ambos extremos incluidos */
+  start?: number;
+  end?: number;
+}
+
+/** Componentes creados por el modo sitio de unión */
+export interface BindingSite {
+  ligandRef: string;
+  pocketRef: string | null;
+}
+
+export const DEFAULT_BINDING_SITE_RADIUS = 5;
+
+const POCKET_SURFACE_COLOR = Color(0xd1d5db);
+const POCKET_SURFACE_ALPHA = 0.25;
+
+export function ligandExpression(selector?: LigandSelector): Expression {
+  const { macromolecular } = MS.struct.atomProperty;
+  const { resname, chain, start, end } = selector ?? {};
+  const names = resname === undefined ? [] : ([] as string[]).concat(resname).filter(Boolean);
+
+  const residueTests: Expression[] = [];
+  if (names.length > 0) residueTests.push(MS.core.set.has([MS.set(...names), macromolecular.label_comp_id()]));
+  if (start !== undefined || end !== undefined) {
+    residueTests.push(MS.core.rel.inRange([
+      macromolecular.auth_seq_id(), start ?? -Infinity, end ?? Infinity
+    ]));
+  }
+
+  if (residueTests.length === 0 && !chain) return StructureSelectionQueries.ligand.expression;
+  return MS.struct.generator.atomGroups({
+    ...(chain ? { 'chain-test': MS.core.rel.eq([macromolecular.auth_asym_id(), chain]) } : {}),
+    ...(residueTests.length > 0
+      ? { 'residue-test': residueTests.length === 1 ? residueTests[0] : MS.core.logic.and(residueTests) }
+      : {})
+  });
+}
+
+/**
+ * Residuos completos a menos de `radius` Å del ligando, sin el ligando ni el agua.
+ */
+export function pocketExpression(ligand: Expression, radius: number): Expression {
+  return MS.struct.modifier.exceptBy({
+    0: MS.struct.modifier.includeSurroundings({ 0: ligand, radius, 'as-whole-residues': true }),
+    by: MS.struct.combinator.merge([ligand, StructureSelectionQueries.water.expression])
+  });
+}
+
+/**
+ * Sustituye las representaciones por el sitio de unión: polímero en cartoon
+ * como contexto, ligando en bolas y varillas, bolsillo en varillas con una
+ * superficie transparente e interacciones no covalentes del ligando.
+ * Los componentes se recalculan en cada frame, así que el bolsillo y las
+ * interacciones son siempre los del frame mostrado.
+ *
+ * @returns `null` (sin tocar la escena) si no se encuentra el ligando
+ */
+export async function applyBindingSite(
+  plugin: PluginContext,
+  structureRef: string,
+  { ligand, radius = DEFAULT_BINDING_SITE_RADIUS }: { ligand?: LigandSelector; radius?: number } = {}
+): Promise<BindingSite | null> {
+  const state = plugin.state.data;
+  if (!state.cells.has(structureRef)) return null;
+
+  const { builders } = plugin;
+  const ligandQuery = ligandExpression(ligand);
+
+  // Comprobar antes de borrar, para que quien llama pueda volver a la vista normal
+  const structure = state.cells.get(structureRef)?.obj?.data as Structure | undefined;
+  if (!structure || !hasAtoms(structure, ligandQuery)) return null;
+
+  let site: BindingSite | null = null;
+  await plugin.dataTransaction(async () => {
+    await clearComponents(plugin, structureRef);
+
+    const polymer = await builders.structure.tryCreateComponentStatic(structureRef, 'polymer', { label: 'Polímero' });
+    if (polymer) {
+      await builders.structure.representation.addRepresentation(polymer, {
+        type: 'cartoon',
+        color: 'chain-id',
+        typeParams: { alpha: 0.5 }
+      });
+    }
+
+    const ligandComponent = await builders.structure.tryCreateComponentFromExpression(
+      structureRef, ligandQuery, 'astroflora-ligand', { label: 'Ligando' }
+    );
+    if (!ligandComponent) return;
+
+    await builders.structure.representation.addRepresentation(ligandComponent, {
+      type: 'ball-and-stick',
+      color: 'element-symbol'
+    });
+    // Interacciones del ligando con el resto del sistema (puentes de H, π, iónicas...)
+    await builders.structure.representation.addRepresentation(ligandComponent, {
+      type: InteractionsRepresentationProvider,
+      typeParams: { includeParent: true, parentDisplay: 'between' }
+    });
+
+    const pocket = await builders.structure.tryCreateComponentFromExpression(
+      structureRef, pocketExpression(ligandQuery, radius), 'astroflora-pocket', { label: `Bolsillo (${radius} Å)` }
+    );
+    if (pocket) {
+      await builders.structure.representation.addRepresentation(pocket, {
+        type: 'ball-and-stick',
+        color: 'element-symbol',
+        typeParams: { sizeFactor: 0.15, sizeAspectRatio: 1 }
+      });
+      await builders.structure.representation.addRepresentation(pocket, {
+        type: 'molecular-surface',
+        color: 'uniform',
+        colorParams: { value: POCKET_SURFACE_COLOR },
+        typeParams: { alpha: POCKET_SURFACE_ALPHA }
+      });
+    }
+
+    site = { ligandRef: ligandComponent.ref, pocketRef: pocket?.ref ?? null };
+  });
+  return site;
+}
+
+function hasAtoms(structure: Structure, expression: Expression): boolean {
+  const loci = StructureElement.Loci.fromExpression(structure, expression);
+  return !StructureElement.Loci.isEmpty(loci);
+}
+
+function componentLoci(plugin: PluginContext, ref: string | null): Loci | null {
+  if (!ref) return null;
+  const structure = plugin.state.data.cells.get(ref)?.obj?.data as Structure | undefined;
+  return structure ? Structure.toStructureElementLoci(structure) : null;
+}
+
+/**
+ * Centro del ligando en el frame actual.
+ */
+export function bindingSiteCenter(plugin: PluginContext, site: BindingSite): Vec3 | null {
+  const loci = componentLoci(plugin, site.ligandRef);
+  return loci ? Vec3.clone(Loci.getBoundingSphere(loci)?.center ?? Vec3.zero()) : null;
+}
+
+/**
+ * Encuadra el ligando y su bolsillo.
+ */
+export function focusBindingSite(plugin: PluginContext, site: BindingSite, durationMs = 250): void {
+  const loci = [site.ligandRef, site.pocketRef]
+    .map(ref => componentLoci(plugin, ref))
+    .filter((l): l is Loci => l !== null);
+  if (loci.length > 0) plugin.managers.camera.focusLoci(loci, { durationMs });
+}
+
+/**
+ * Traslada la cámara lo que se ha movido el ligando: el bolsillo queda fijo en
+ * pantalla durante la reproducción sin perder el giro ni el zoom del usuario.
+ */
+export function followBindingSite(plugin: PluginContext, from: Vec3, to: Vec3): void {
+  const camera = plugin.canvas3d?.camera;
+  if (!camera) return;
+
+  const shift = Vec3.sub(Vec3(), to, from);
+  if (Vec3.magnitude(shift) === 0) return;
+
+  const { position, target } = camera.getSnapshot();
+  camera.setState({
+    position: Vec3.add(Vec3(), position, shift),
+    target: Vec3.add(Vec3(), target, shift)
+  }, 0);
+}
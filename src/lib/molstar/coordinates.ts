@@ -0,0 +1,77 @@
+// 🧬 ASTROFLORA 7.1 - MOLSTAR COORDINATES
+// ======================================
+// Coordenadas de una selección de átomos en todos los frames, para analizarlas fuera de Mol*
+
+import { StructureSelectionQueries } from 'molstar/lib/mol-plugin-state/helpers/structure-selection-query';
+import { Model, Trajectory } from 'molstar/lib/mol-model/structure';
+import { MolScriptBuilder as MS } from 'molstar/lib/mol-script/language/builder';
+import { Expression } from 'molstar/lib/mol-script/language/expression';
+import { Task } from 'molstar/lib/mol-task';
+import { DEFAULT_BINDING_SITE_RADIUS, LigandSelector, ligandExpression, pocketExpression } from './bindingSite';
+import { caExpression, selectAtoms } from './trajectoryProcessing';
+import { AnalysisAtoms, CoordinateSet } from '../conformationalAnalysis';
+
+// Frames entre pausas de la lectura, para no bloquear la interfaz
+const FRAMES_PER_BATCH = 25;
+
+function atomsExpression(atoms: AnalysisAtoms, ligand: LigandSelector | undefined, pocketRadius: number): Expression {
+  switch (atoms) {
+    case 'backbone':
+      return StructureSelectionQueries.backbone.expression;
+    case 'pocket':
+      return MS.struct.modifier.intersectBy({ 0: pocketExpression(ligandExpression(ligand), pocketRadius), by: caExpression });
+    default:
+      return caExpression;
+  }
+}
+
+const pause = () => new Promise<void>(resolve => setTimeout(resolve, 0));
+
+/**
+ * Coordenadas de los átomos elegidos en cada frame. Los átomos se eligen en el
+ * primer frame (el bolsillo, a su distancia del ligando). Los frames de una
+ * trayectoria por bloques se descargan si hace falta.
+ */
+export async function selectionCoordinates(
+  trajectory: Trajectory,
+  atoms: AnalysisAtoms,
+  {
+    ligand,
+    pocketRadius = DEFAULT_BINDING_SITE_RADIUS,
+    signal,
+    onProgress
+  }: {
+    ligand?: LigandSelector;
+    pocketRadius?: number;
+    signal?: AbortSignal;
+    onProgress?: (done: number, total: number) => void;
+  } = {}
+): Promise<CoordinateSet> {
+  const { frameCount } = trajectory;
+  const frameAt = async (index: number) => {
+    const result = trajectory.getFrameAtIndex(index);
+    return Task.is<Model>(result) ? result.run() : result;
+  };
+
+  const selected = selectAtoms(await frameAt(0), atomsExpression(atoms, ligand, pocketRadius));
+  const atomCount = selected.length;
+  const coordinates = new Float32Array(frameCount * atomCount * 3);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (signal?.aborted) throw new Error('Análisis cancelado');
+
+    const { x, y, z } = (await frameAt(frame)).atomicConformation;
+    selected.forEach((atom, k) => {
+      const offset = (frame * atomCount + k) * 3;
+      coordinates[offset] = x[atom];
+      coordinates[offset + 1] = y[atom];
+      coordinates[offset + 2] = z[atom];
+    });
+
+    if ((frame + 1) % FRAMES_PER_BATCH === 0 || frame === frameCount - 1) {
+      onProgress?.(frame + 1, frameCount);
+      await pause();
+    }
+  }
+  return { coordinates, frameCount, atomCount };
+}
@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildDcd, rangeFetch } from './__fixtures__/dcd';
+import { DCD_HEADER_REQUEST_BYTES, DcdRangeSource } from './dcdRangeSource';
+import { fetchRange } from './download';
+
+const FRAMES = [0, 1, 2, 3].map(frame => [frame, 10 + frame, 20 + frame, -frame, 0.5, 100 + frame]);
+
+async function openSource(bytes: Uint8Array): Promise<DcdRangeSource> {
+  vi.stubGlobal('fetch', rangeFetch(bytes));
+  const head = await fetchRange('test.dcd', 0, DCD_HEADER_REQUEST_BYTES - 1);
+  const source = DcdRangeSource.fromHeaderResponse('test.dcd', head);
+  if (!source) throw new Error('Sin Range');
+  return source;
+}
+
+describe('DcdRangeSource', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it.each([
+    ['CHARMM con celda', { flavor: 'charmm', unitCell: true }],
+    ['CHARMM sin celda', { flavor: 'charmm', unitCell: false }],
+    ['X-PLOR', { flavor: 'xplor' }]
+  ] as const)('%s: cuenta los frames y decodifica sus coordenadas', async (_label, options) => {
+    const source = await openSource(buildDcd({ frames: FRAMES, ...options }));
+
+    expect(source.atomCount).toBe(2);
+    expect(source.frameCount).toBe(4);
+
+    const frame = await source.loadFrame(3);
+    expect(Array.from(frame.x)).toEqual([3, -3]);
+    expect(Array.from(frame.y)).toEqual([13, 0.5]);
+    expect(Array.from(frame.z)).toEqual([23, 103]);
+  });
+
+  it('informa de los bytes en caché frente al total', async () => {
+    const bytes = buildDcd({ frames: FRAMES, flavor: 'charmm' });
+    const source = await openSource(bytes);
+    const frameSize = 3 * (8 + 4 * 2);
+
+    expect(source.progress).toEqual({ loaded: 0, total: 4 * frameSize });
+    expect(source.fitsInCache).toBe(true);
+
+    await source.downloadAll();
+    expect(source.progress.loaded).toBe(4 * frameSize);
+    expect(source.isLoaded(3)).toBe(true);
+  });
+});
@@ -0,0 +1,265 @@
+// 🧬 ASTROFLORA 7.1 - DCD RANGE SOURCE
+// ====================================
+// Frames de un DCD remoto descargados bajo demanda con peticiones HTTP Range
+
+import { _parseDcd } from 'molstar/lib/mol-io/reader/dcd/parser';
+import { coordinatesFromDcd } from 'molstar/lib/mol-model-formats/structure/dcd';
+import { Frame, Time } from 'molstar/lib/mol-model/structure';
+import { LruCache } from '../lruCache';
+import { DownloadProgress, FetchOptions, RangeResponse, fetchRange } from './download';
+import { MolecularFormatError } from './formats';
+
+/** Bytes pedidos para leer la cabecera (cabecera fija + títulos + número de átomos) */
+export const DCD_HEADER_REQUEST_BYTES = 64 * 1024;
+/** Tamaño aproximado de cada petición de frames */
+const CHUNK_BYTES = 4 * 1024 * 1024;
+/** Memoria máxima para frames decodificados (x, y, z en float32) */
+const CACHE_BYTES = 256 * 1024 * 1024;
+
+interface DcdLayout {
+  littleEndian: boolean;
+  /** Bytes hasta el primer frame */
+  headerSize: number;
+  /** Bytes por frame, incluidos los marcadores de bloque Fortran */
+  frameSize: number;
+  atomCount: number;
+  /** Frames según la cabecera (algunos programas lo dejan a 0 mientras escriben) */
+  declaredFrames: number;
+  istart: number;
+  /** CHARMM/NAMD (versión en ICNTRL(20)); X-PLOR guarda DELTA como double y no tiene bloques extra */
+  isCharmm: boolean;
+}
+
+/**
+ * Lee la disposición del archivo a partir de la cabecera. `int(i)` es el entero i
+ * del primer registro: 0 es su marcador (84), 1 «CORD» y 2-21 ICNTRL(1-20).
+ */
+function readLayout(bytes: Uint8Array): DcdLayout {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const littleEndian = view.getInt32(0, true) === 84;
+  if (!littleEndian && view.getInt32(0, false) !== 84) {
+    throw new MolecularFormatError('Cabecera DCD no válida', 'unknown_format');
+  }
+
+  const int = (index: number) => view.getInt32(index * 4, littleEndian);
+  const isCharmm = int(21) !== 0;
+  const extraBlock = isCharmm && int(12) !== 0;
+  const fourDims = isCharmm && int(13) === 1;
+
+  if (int(10) > 0) {
+    throw new MolecularFormatError('DCD con átomos fijos no está soportado', 'unsupported_format');
+  }
+
+  const titleOffset = 21 * 4 + 8;
+  const titleSize = view.getInt32(titleOffset, littleEndian);
+  const natomOffset = titleOffset + titleSize + 8;
+  if (natomOffset + 12 > bytes.length) {
+    throw new MolecularFormatError('Cabecera DCD truncada', 'unknown_format');
+  }
+
+  const atomCount = view.getInt32(natomOffset + 4, littleEndian);
+  const coordBlock = 8 + 4 * atomCount;
+
+  return {
+    littleEndian,
+    headerSize: natomOffset + 12,
+    frameSize: (extraBlock ? 4 + 48 + 4 : 0) + 3 * coordBlock + (fourDims ? coordBlock : 0),
+    atomCount,
+    declaredFrames: int(2),
+    istart: int(3),
+    isCharmm
+  };
+}
+
+/**
+ * El lector de Mol* toma todo DCD por CHARMM (mira el marcador de fin del primer
+ * registro en lugar de la versión). Para que decodifique bien un bloque X-PLOR,
+ * su cabecera se reescribe como CHARMM sin bloques extra y con DELTA en float32.
+ */
+function asCharmmHeader(header: Uint8Array, littleEndian: boolean): void {
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  const delta = view.getFloat64(11 * 4, littleEndian);
+  view.setFloat32(11 * 4, delta, littleEndian);
+  view.setInt32(12 * 4, 0, littleEndian);
+  view.setInt32(13 * 4, 0, littleEndian);
+}
+
+/**
+ * Trayectoria DCD remota: la cabecera se lee al abrir y los frames se piden por bloques
+ * a medida que se necesitan. Los frames decodificados viven en una caché LRU.
+ */
+export class DcdRangeSource {
+  readonly frameCount: number;
+  readonly atomCount: number;
+  /** Paso y origen de tiempo de la trayectoria completa (se conocen al decodificar el primer bloque) */
+  deltaTime: Time = Time(1, 'step');
+  timeOffset: Time = Time(0, 'step');
+
+  private readonly header: Uint8Array;
+  private readonly layout: DcdLayout;
+  private readonly framesPerChunk: number;
+  private readonly chunkCount: number;
+  private readonly totalBytes: number;
+  private readonly cache: LruCache<number, Frame>;
+  private readonly fetched = new Set<number>();
+  private readonly pending = new Map<number, Promise<void>>();
+  private readonly abort = new AbortController();
+
+  /**
+   * Abre la trayectoria a partir de la respuesta a la petición de cabecera.
+   * Devuelve `null` si el servidor no admite Range y hay que usar el archivo completo.
+   */
+  static fromHeaderResponse(
+    url: string,
+    response: RangeResponse,
+    { onProgress }: Pick<FetchOptions, 'onProgress'> = {}
+  ): DcdRangeSource | null {
+    if (!response.partial) return null;
+    return new DcdRangeSource(url, response.bytes, response.total, onProgress);
+  }
+
+  private constructor(
+    private readonly url: string,
+    headerBytes: Uint8Array,
+    fileSize: number | null,
+    private readonly onProgress?: (progress: DownloadProgress) => void
+  ) {
+    this.layout = readLayout(headerBytes);
+    this.header = headerBytes.slice(0, this.layout.headerSize);
+    if (!this.layout.isCharmm) asCharmmHeader(this.header, this.layout.littleEndian);
+    this.atomCount = this.layout.atomCount;
+
+    const { headerSize, frameSize } = this.layout;
+    this.frameCount = fileSize !== null
+      ? Math.floor((fileSize - headerSize) / frameSize)
+      : this.layout.declaredFrames;
+    if (this.frameCount < 1) {
+      throw new MolecularFormatError('El DCD no contiene frames', 'unknown_format');
+    }
+
+    this.framesPerChunk = Math.max(1, Math.floor(CHUNK_BYTES / frameSize));
+    this.chunkCount = Math.ceil(this.frameCount / this.framesPerChunk);
+    this.totalBytes = this.frameCount * frameSize;
+
+    // Siempre caben al menos dos bloques para que cargar uno no expulse el frame pedido
+    const frameBytes = Math.max(1, 12 * this.atomCount);
+    this.cache = new LruCache(Math.max(2 * this.framesPerChunk, Math.floor(CACHE_BYTES / frameBytes)));
+  }
+
+  /** `true` si todos los frames caben a la vez en la caché */
+  get fitsInCache(): boolean {
+    return this.frameCount <= this.cache.capacity;
+  }
+
+  /** Bytes de los frames en caché frente a los de toda la trayectoria */
+  get progress(): DownloadProgress {
+    return { loaded: this.cache.size * this.layout.frameSize, total: this.totalBytes };
+  }
+
+  /** El frame está decodificado en caché y se puede mostrar sin esperar a la red */
+  isLoaded(index: number): boolean {
+    return this.cache.has(index);
+  }
+
+  getFrame(index: number): Frame | undefined {
+    return this.cache.get(index);
+  }
+
+  async loadFrame(index: number): Promise<Frame> {
+    if (index < 0 || index >= this.frameCount) {
+      throw new RangeError(`Frame ${index} fuera de rango (0-${this.frameCount - 1})`);
+    }
+
+    const cached = this.cache.get(index);
+    if (cached) return cached;
+
+    await this.loadChunk(Math.floor(index / this.framesPerChunk));
+    const frame = this.cache.get(index);
+    if (!frame) throw new Error(`No se pudo cargar el frame ${index}`);
+    return frame;
+  }
+
+  /**
+   * Pide en segundo plano los bloques de los frames que no estén en caché
+   * (p. ej. los próximos de la reproducción). Los fallos se ignoran: el frame
+   * se vuelve a pedir al mostrarlo.
+   */
+  prefetch(indices: number[]): void {
+    for (const index of indices) {
+      if (index < 0 || index >= this.frameCount || this.cache.has(index)) continue;
+      this.loadChunk(Math.floor(index / this.framesPerChunk)).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Descarga en orden los bloques que falten. Se puede llamar mientras se piden
+   * frames sueltos: los bloques en curso no se repiten. Si la trayectoria no cabe
+   * en la caché no hace nada: cada bloque nuevo expulsaría uno ya descargado y se
+   * volvería a pedir al mostrarlo; los frames se piden entonces solo al mostrarlos
+   * y con `prefetch`.
+   */
+  async downloadAll(): Promise<void> {
+    if (!this.fitsInCache) return;
+
+    for (let chunk = 0; chunk < this.chunkCount; chunk++) {
+      if (this.abort.signal.aborted) return;
+      if (!this.fetched.has(chunk)) await this.loadChunk(chunk);
+    }
+  }
+
+  /** Cancela las descargas en curso y libera la caché */
+  dispose(): void {
+    this.abort.abort();
+    this.cache.clear();
+  }
+
+  private loadChunk(chunk: number): Promise<void> {
+    const inFlight = this.pending.get(chunk);
+    if (inFlight) return inFlight;
+
+    const promise = this.fetchChunk(chunk).finally(() => this.pending.delete(chunk));
+    this.pending.set(chunk, promise);
+    return promise;
+  }
+
+  private async fetchChunk(chunk: number): Promise<void> {
+    const { headerSize, frameSize } = this.layout;
+    const first = chunk * this.framesPerChunk;
+    const count = Math.min(this.framesPerChunk, this.frameCount - first);
+    const start = headerSize + first * frameSize;
+
+    const response = await fetchRange(this.url, start, start + count * frameSize - 1, {
+      signal: this.abort.signal
+    });
+    if (!response.partial || response.bytes.length !== count * frameSize) {
+      throw new Error(`Respuesta inesperada al pedir los frames ${first}-${first + count - 1}`);
+    }
+
+    const frames = await this.decode(first, count, response.bytes);
+    frames.forEach((frame, i) => this.cache.set(first + i, frame));
+    this.fetched.add(chunk);
+    this.onProgress?.(this.progress);
+  }
+
+  /**
+   * Decodifica un bloque con el lector de Mol*: se antepone la cabecera con
+   * NSET e ISTART ajustados, así celda y tiempos salen igual que al leer el archivo entero.
+   */
+  private async decode(first: number, count: number, bytes: Uint8Array): Promise<Frame[]> {
+    const { headerSize, littleEndian, istart } = this.layout;
+    const buffer = new Uint8Array(headerSize + bytes.length);
+    buffer.set(this.header);
+    buffer.set(bytes, headerSize);
+
+    const view = new DataView(buffer.buffer);
+    view.setInt32(2 * 4, count, littleEndian);
+    view.setInt32(3 * 4, Math.max(istart, 1) + first, littleEndian);
+
+    const coordinates = await coordinatesFromDcd(_parseDcd(buffer)).run();
+    const { deltaTime, timeOffset } = coordinates;
+    this.deltaTime = deltaTime;
+    this.timeOffset = Time(timeOffset.value - first * deltaTime.value, deltaTime.unit);
+
+    return coordinates.frames;
+  }
+}
@@ -0,0 +1,97 @@
+// 🧬 ASTROFLORA 7.1 - DOWNLOAD
+// ============================
+// Descargas con progreso y peticiones HTTP Range
+
+export interface DownloadProgress {
+  /** Bytes recibidos */
+  loaded: number;
+  /** Tamaño total en bytes (0 si el servidor no lo indica) */
+  total: number;
+}
+
+export interface FetchOptions {
+  signal?: AbortSignal;
+  onProgress?: (progress: DownloadProgress) => void;
+}
+
+export interface RangeResponse {
+  bytes: Uint8Array;
+  /** `true` si el servidor respondió 206 con solo el rango pedido */
+  partial: boolean;
+  /** Tamaño total del archivo, si se conoce */
+  total: number | null;
+}
+
+function assertOk(response: Response, url: string): void {
+  if (!response.ok) {
+    throw new Error(`Error ${response.status} descargando ${url}`);
+  }
+}
+
+/**
+ * Lee el cuerpo completo; con `onProgress` lo consume por trozos para informar del avance.
+ */
+async function readBody(response: Response, onProgress?: FetchOptions['onProgress']): Promise<Uint8Array> {
+  if (!onProgress || !response.body) {
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  // Con compresión Content-Length es el tamaño comprimido: el total nunca baja de lo recibido
+  const expected = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total: Math.max(expected, loaded) });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Descarga un archivo completo.
+ */
+export async function fetchBytes(url: string, { signal, onProgress }: FetchOptions = {}): Promise<Uint8Array> {
+  const response = await fetch(url, { signal });
+  assertOk(response, url);
+  return readBody(response, onProgress);
+}
+
+/**
+ * Pide los bytes `[start, end]` (ambos incluidos).
+ * Si el servidor ignora `Range` y responde 200, devuelve el archivo completo
+ * (informando del progreso) para no repetir la descarga.
+ */
+export async function fetchRange(
+  url: string,
+  start: number,
+  end: number,
+  { signal, onProgress }: FetchOptions = {}
+): Promise<RangeResponse> {
+  const response = await fetch(url, { signal, headers: { Range: `bytes=${start}-${end}` } });
+  assertOk(response, url);
+
+  if (response.status !== 206) {
+    const bytes = await readBody(response, onProgress);
+    return { bytes, partial: false, total: bytes.length };
+  }
+
+  // Content-Range: bytes 0-65535/123456 (el total puede ser `*`)
+  const match = /\/(\d+)\s*$/.exec(response.headers.get('Content-Range') ?? '');
+  return {
+    bytes: await readBody(response),
+    partial: true,
+    total: match ? Number(match[1]) : null
+  };
+}
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { buildDcd } from './__fixtures__/dcd';
+import {
+  MolecularFormatError,
+  assertSupportedCombination,
+  formatFromUrl,
+  resolveFormat,
+  sniffFormat
+} from './formats';
+
+const text = (content: string) => new TextEncoder().encode(content);
+
+const int32BE = (...values: number[]) => {
+  const bytes = new Uint8Array(4 * values.length);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setInt32(4 * i, value, false));
+  return bytes;
+};
+
+describe('formatFromUrl', () => {
+  it('usa la extensión sin query ni fragmento', () => {
+    expect(formatFromUrl('https://x.org/sim/run.XTC?token=1#t')).toBe('xtc');
+    expect(formatFromUrl('/files/system.parm7')).toBe('prmtop');
+    expect(formatFromUrl('/files/traj.nc')).toBe('nctraj');
+  });
+
+  it('devuelve null sin extensión conocida', () => {
+    expect(formatFromUrl('/api/files/123/trajectory')).toBeNull();
+    expect(formatFromUrl('/files/notes.txt')).toBeNull();
+  });
+});
+
+describe('sniffFormat', () => {
+  it('reconoce las trayectorias binarias por su número mágico', () => {
+    expect(sniffFormat(buildDcd({ frames: [[0, 0, 0]], flavor: 'charmm' }))).toBe('dcd');
+    expect(sniffFormat(int32BE(1995, 10))).toBe('xtc');
+    expect(sniffFormat(int32BE(1993, 13))).toBe('trr');
+    expect(sniffFormat(text('CDF\u0001\u0000\u0000\u0000\u0000'))).toBe('nctraj');
+  });
+
+  it('rechaza NetCDF4 con un error explicativo', () => {
+    const hdf5 = Uint8Array.from([0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(() => sniffFormat(hdf5)).toThrow(MolecularFormatError);
+  });
+
+  it('reconoce las topologías de texto por sus primeras líneas', () => {
+    expect(sniffFormat(text('data_1ABC\n#\n_entry.id 1ABC\n'))).toBe('mmcif');
+    expect(sniffFormat(text('PSF EXT\n\n         1 !NTITLE\n'))).toBe('psf');
+    expect(sniffFormat(text('%VERSION  VERSION_STAMP = V0001.000\n%FLAG TITLE\n'))).toBe('prmtop');
+    expect(sniffFormat(text('; topol.top\n[ defaults ]\n1 2 yes 0.5 0.8333\n'))).toBe('top');
+    expect(sniffFormat(text('Protein in water\n  3\n    1ALA      N    1   0.000   0.000   0.000\n'))).toBe('gro');
+    expect(sniffFormat(text('REMARK   1 test\nATOM      1  N   ALA A   1      11.104   6.134  -6.504\n'))).toBe('pdb');
+  });
+
+  it('devuelve null si no reconoce el contenido', () => {
+    expect(sniffFormat(text('hola mundo, esto no es una estructura'))).toBeNull();
+  });
+});
+
+describe('resolveFormat', () => {
+  const pdb = text('ATOM      1  N   ALA A   1      11.104   6.134  -6.504\n');
+
+  it('prefiere el formato explícito, luego la extensión y luego el contenido', () => {
+    expect(resolveFormat('topología', { explicit: 'gro', url: 'a.pdb', bytes: pdb })).toBe('gro');
+    expect(resolveFormat('topología', { url: 'a.cif', bytes: pdb })).toBe('mmcif');
+    expect(resolveFormat('topología', { url: '/files/1', bytes: pdb })).toBe('pdb');
+  });
+
+  it('falla con un formato desconocido o indetectable', () => {
+    expect(() => resolveFormat('trayectoria', { url: '/files/1', bytes: text('????????') }))
+      .toThrow(/indícalo con la prop `format`/);
+    expect(() => resolveFormat('trayectoria', { explicit: 'xyz' as never, url: 'a', bytes: pdb }))
+      .toThrow(/desconocido/);
+  });
+});
+
+describe('assertSupportedCombination', () => {
+  it('acepta estructuras solas y topologías con coordenadas', () => {
+    expect(() => assertSupportedCombination('pdb')).not.toThrow();
+    expect(() => assertSupportedCombination('gro', 'xtc')).not.toThrow();
+    expect(() => assertSupportedCombination('psf', 'dcd')).not.toThrow();
+  });
+
+  it('rechaza topologías sin coordenadas, coordenadas como topología y dos topologías', () => {
+    const code = (fn: () => void) => {
+      try {
+        fn();
+      } catch (err) {
+        return (err as MolecularFormatError).code;
+      }
+      return null;
+    };
+
+    expect(code(() => assertSupportedCombination('prmtop'))).toBe('unsupported_combination');
+    expect(code(() => assertSupportedCombination('dcd'))).toBe('unsupported_combination');
+    expect(code(() => assertSupportedCombination('pdb', 'gro'))).toBe('unsupported_combination');
+  });
+});
@@ -0,0 +1,173 @@
+// 🧬 ASTROFLORA 7.1 - MOLECULAR FORMATS
+// =====================================
+// Detección de formatos de topología y trayectoria (extensión, contenido o explícito)
+
+/** Formatos con coordenadas propias: sirven solos o como topología de una trayectoria */
+export type StructureFormat = 'pdb' | 'mmcif' | 'bcif' | 'gro';
+/** Formatos solo de topología: necesitan un archivo de coordenadas */
+export type TopologyFormat = 'psf' | 'prmtop' | 'top';
+/** Formatos de coordenadas de trayectoria */
+export type CoordinatesFormat = 'dcd' | 'xtc' | 'trr' | 'nctraj';
+
+export type MolecularFormat = StructureFormat | TopologyFormat | CoordinatesFormat;
+
+export interface FormatInfo {
+  kind: 'structure' | 'topology' | 'coordinates';
+  /** Nombre del proveedor de Mol* (`plugin.dataFormats`) */
+  provider: string;
+  binary: boolean;
+  label: string;
+  extensions: string[];
+}
+
+export const MOLECULAR_FORMATS: Record<MolecularFormat, FormatInfo> = {
+  pdb: { kind: 'structure', provider: 'pdb', binary: false, label: 'PDB', extensions: ['pdb', 'ent'] },
+  mmcif: { kind: 'structure', provider: 'mmcif', binary: false, label: 'mmCIF', extensions: ['cif', 'mmcif', 'mcif'] },
+  bcif: { kind: 'structure', provider: 'mmcif', binary: true, label: 'BinaryCIF', extensions: ['bcif'] },
+  gro: { kind: 'structure', provider: 'gro', binary: false, label: 'GRO', extensions: ['gro'] },
+  psf: { kind: 'topology', provider: 'psf', binary: false, label: 'PSF', extensions: ['psf'] },
+  prmtop: { kind: 'topology', provider: 'prmtop', binary: false, label: 'AMBER prmtop', extensions: ['prmtop', 'parm7'] },
+  top: { kind: 'topology', provider: 'top', binary: false, label: 'GROMACS top', extensions: ['top'] },
+  dcd: { kind: 'coordinates', provider: 'dcd', binary: true, label: 'DCD', extensions: ['dcd'] },
+  xtc: { kind: 'coordinates', provider: 'xtc', binary: true, label: 'XTC', extensions: ['xtc'] },
+  trr: { kind: 'coordinates', provider: 'trr', binary: true, label: 'TRR', extensions: ['trr'] },
+  nctraj: { kind: 'coordinates', provider: 'nctraj', binary: true, label: 'AMBER NetCDF', extensions: ['nc', 'nctraj', 'ncdf'] }
+};
+
+export type FormatErrorCode = 'unknown_format' | 'unsupported_format' | 'unsupported_combination' | 'atom_count_mismatch';
+
+/**
+ * Error de formato con un mensaje apto para mostrar al usuario.
+ */
+export class MolecularFormatError extends Error {
+  code: FormatErrorCode;
+
+  constructor(message: string, code: FormatErrorCode) {
+    super(message);
+    this.name = 'MolecularFormatError';
+    this.code = code;
+  }
+}
+
+export function isMolecularFormat(value: unknown): value is MolecularFormat {
+  return typeof value === 'string' && value in MOLECULAR_FORMATS;
+}
+
+/**
+ * Formato según la extensión de la URL (ignora query y fragmento).
+ */
+export function formatFromUrl(url: string): MolecularFormat | null {
+  const path = url.split(/[?#]/)[0];
+  const match = /\.([a-z0-9]+)$/i.exec(path);
+  if (!match) return null;
+
+  const ext = match[1].toLowerCase();
+  const entry = Object.entries(MOLECULAR_FORMATS).find(([, info]) => info.extensions.includes(ext));
+  return entry ? entry[0] as MolecularFormat : null;
+}
+
+const readInt32BE = (bytes: Uint8Array, offset: number) => (
+  new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getInt32(offset, false)
+);
+
+const ascii = (bytes: Uint8Array, start: number, end: number) => (
+  String.fromCharCode(...Array.from(bytes.subarray(start, end)))
+);
+
+/**
+ * Formato según el contenido (cabeceras binarias o primeras líneas de texto).
+ */
+export function sniffFormat(bytes: Uint8Array): MolecularFormat | null {
+  if (bytes.length < 8) return null;
+
+  // Binarios: números mágicos
+  if (ascii(bytes, 4, 8) === 'CORD') return 'dcd';
+  if (readInt32BE(bytes, 0) === 1995) return 'xtc';
+  if (readInt32BE(bytes, 0) === 1993) return 'trr';
+  if (ascii(bytes, 0, 3) === 'CDF') return 'nctraj';
+  if (ascii(bytes, 1, 4) === 'HDF') {
+    throw new MolecularFormatError(
+      'NetCDF4/HDF5 no está soportado: convierte la trayectoria a NetCDF clásico (p. ej. con cpptraj)',
+      'unsupported_format'
+    );
+  }
+
+  const head = ascii(bytes, 0, Math.min(bytes.length, 4096));
+
+  // BinaryCIF es MessagePack: un mapa que contiene `dataBlocks`
+  if ((bytes[0] & 0xf0) === 0x80 || bytes[0] === 0xde || bytes[0] === 0xdf) {
+    if (head.includes('dataBlocks')) return 'bcif';
+  }
+
+  // Texto: primeras líneas significativas
+  const lines = head.split(/\r?\n/);
+  const content = lines.filter(line => line.trim() && !/^\s*[#;]/.test(line));
+  const first = content[0]?.trim() ?? '';
+
+  if (/^data_/.test(first)) return 'mmcif';
+  if (/^PSF\b/.test(first)) return 'psf';
+  if (/^%VERSION\b/.test(first) || head.includes('%FLAG POINTERS')) return 'prmtop';
+  if (content.some(line => /^\s*\[\s*(defaults|atomtypes|moleculetype|system|molecules)\s*\]/.test(line))) return 'top';
+  if (/^\s*\d+\s*$/.test(lines[1] ?? '')) return 'gro';
+  if (lines.some(line => /^(HEADER|TITLE |COMPND|REMARK|CRYST1|MODEL |ATOM  |HETATM)/.test(line))) return 'pdb';
+
+  return null;
+}
+
+/**
+ * Resuelve el formato de un archivo: explícito > extensión > contenido.
+ *
+ * @param role - Papel del archivo, para el mensaje de error
+ */
+export function resolveFormat(
+  role: 'topología' | 'trayectoria',
+  { explicit, url, bytes }: { explicit?: MolecularFormat; url: string; bytes: Uint8Array }
+): MolecularFormat {
+  if (explicit) {
+    if (!isMolecularFormat(explicit)) {
+      throw new MolecularFormatError(`Formato de ${role} desconocido: "${explicit}"`, 'unknown_format');
+    }
+    return explicit;
+  }
+
+  const format = formatFromUrl(url) ?? sniffFormat(bytes);
+  if (!format) {
+    throw new MolecularFormatError(
+      `No se pudo detectar el formato de ${role}; indícalo con la prop \`format\``,
+      'unknown_format'
+    );
+  }
+  return format;
+}
+
+/**
+ * Comprueba que la combinación topología + trayectoria se puede cargar.
+ */
+export function assertSupportedCombination(topology: MolecularFormat, trajectory?: MolecularFormat | null): void {
+  const top = MOLECULAR_FORMATS[topology];
+
+  if (top.kind === 'coordinates') {
+    throw new MolecularFormatError(
+      `${top.label} solo contiene coordenadas; como topología usa PDB, mmCIF, BinaryCIF, GRO, PSF, prmtop o top`,
+      'unsupported_combination'
+    );
+  }
+
+  if (!trajectory) {
+    if (top.kind === 'topology') {
+      throw new MolecularFormatError(
+        `${top.label} no contiene coordenadas; necesita un archivo de trayectoria (DCD, XTC, TRR o NetCDF)`,
+        'unsupported_combination'
+      );
+    }
+    return;
+  }
+
+  const traj = MOLECULAR_FORMATS[trajectory];
+  if (traj.kind !== 'coordinates') {
+    throw new MolecularFormatError(
+      `${top.label} + ${traj.label} no es una combinación soportada: la trayectoria debe ser DCD, XTC, TRR o NetCDF`,
+      'unsupported_combination'
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { buildDcd } from './__fixtures__/dcd';
+import { dcdTimes, xtcTimes } from './frameTimes';
+
+const AKMA_PS = 0.04888821;
+
+/** XTC sin compresión (hasta 9 átomos): cabecera de 52 bytes + tamaño + coordenadas */
+function buildXtc(times: number[], atomCount = 2): Uint8Array {
+  const frameSize = 52 + 4 + 12 * atomCount;
+  const bytes = new Uint8Array(times.length * frameSize);
+  const view = new DataView(bytes.buffer);
+  times.forEach((time, i) => {
+    const offset = i * frameSize;
+    view.setInt32(offset, 1995);
+    view.setInt32(offset + 4, atomCount);
+    view.setInt32(offset + 8, i * 1000);
+    view.setFloat32(offset + 12, time);
+    view.setInt32(offset + 52, atomCount);
+  });
+  return bytes;
+}
+
+describe('dcdTimes', () => {
+  it('CHARMM: paso = DELTA (float32) × NSAVC en ps', () => {
+    const axis = dcdTimes(buildDcd({ frames: [[0, 0, 0]], flavor: 'charmm', delta: 0.5, nsavc: 10 }));
+    expect(axis?.unit).toBe('ps');
+    expect(axis?.start).toBe(0);
+    expect(axis?.step).toBeCloseTo(0.5 * 10 * AKMA_PS);
+  });
+
+  it('X-PLOR: lee DELTA como double', () => {
+    const delta = 20.45482651;
+    const axis = dcdTimes(buildDcd({ frames: [[0, 0, 0]], flavor: 'xplor', delta, nsavc: 500 }));
+    expect(axis?.step).toBeCloseTo(delta * 500 * AKMA_PS, 6);
+  });
+
+  it('sin DELTA no hay tiempo', () => {
+    expect(dcdTimes(buildDcd({ frames: [[0, 0, 0]], flavor: 'charmm', delta: 0 }))).toBeNull();
+  });
+});
+
+describe('xtcTimes', () => {
+  it('recorre las cabeceras y admite pasos no uniformes', () => {
+    expect(xtcTimes(buildXtc([0, 10, 25]))).toEqual({ unit: 'ps', times: [0, 10, 25] });
+  });
+
+  it('devuelve null si no es un XTC', () => {
+    expect(xtcTimes(new Uint8Array(64))).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+// 🧬 ASTROFLORA 7.1 - FRAME TIMES
+// ===============================
+// Tiempos de frame leídos de los metadatos de cada formato de trayectoria
+
+import { Coordinates } from 'molstar/lib/mol-model/structure';
+import { TimeAxis } from '../timeAxis';
+import { MolecularFormat } from './formats';
+
+/** Unidad de tiempo AKMA de CHARMM/NAMD (DELTA del DCD), en ps */
+const AKMA_PS = 0.04888821;
+
+/**
+ * DCD: paso = DELTA × NSAVC (pasos de integración entre frames guardados).
+ * Como MDAnalysis, el frame 0 está en t = 0. Sin DELTA no hay tiempo.
+ * Mol* no aplica NSAVC ni convierte bien AKMA, por eso no se usan sus tiempos.
+ */
+export function dcdTimes(header: Uint8Array): TimeAxis | null {
+  if (header.length < 92) return null;
+
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  const littleEndian = view.getInt32(0, true) === 84;
+  // ICNTRL(20), la versión de CHARMM; 0 en X-PLOR, que guarda DELTA como double
+  const isCharmm = view.getInt32(21 * 4, littleEndian) !== 0;
+  const delta = isCharmm ? view.getFloat32(44, littleEndian) : view.getFloat64(44, littleEndian);
+  const nsavc = view.getInt32(4 * 4, littleEndian);
+
+  if (!(delta > 0)) return null;
+  return { unit: 'ps', start: 0, step: delta * Math.max(nsavc, 1) * AKMA_PS };
+}
+
+/**
+ * XTC: cada frame guarda su tiempo (ps) en la cabecera; se recorren las
+ * cabeceras sin descomprimir coordenadas. Admite pasos no uniformes.
+ */
+export function xtcTimes(bytes: Uint8Array): TimeAxis | null {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const times: number[] = [];
+  let offset = 0;
+
+  // magic, natoms, step, time, caja 3×3
+  while (offset + 52 <= bytes.length && view.getInt32(offset) === 1995) {
+    const natoms = view.getInt32(offset + 4);
+    times.push(view.getFloat32(offset + 12));
+    offset += 52;
+
+    if (natoms <= 9) {
+      // Sin compresión: tamaño + coordenadas float
+      offset += 4 + natoms * 12;
+    } else {
+      // tamaño, precisión, min/max (6 enteros), smallidx, bytes comprimidos
+      const byteCount = view.getInt32(offset + 36);
+      offset += 40 + Math.ceil(byteCount / 4) * 4;
+    }
+  }
+
+  return times.length > 0 ? { unit: 'ps', times } : null;
+}
+
+/**
+ * TRR y NetCDF: Mol* conserva el tiempo inicial y el paso del archivo (en ps,
+ * aunque lo etiqueta como `step`).
+ */
+function coordinatesTimes({ deltaTime, timeOffset }: Coordinates): TimeAxis | null {
+  if (!(deltaTime.value > 0)) return null;
+  return { unit: 'ps', start: timeOffset.value, step: deltaTime.value };
+}
+
+/**
+ * Eje temporal de una trayectoria según su formato; `null` si no lo indica.
+ *
+ * @param bytes - Archivo completo (o al menos la cabecera, para DCD)
+ */
+export function trajectoryTimes(
+  format: MolecularFormat,
+  bytes: Uint8Array,
+  coordinates?: Coordinates
+): TimeAxis | null {
+  switch (format) {
+    case 'dcd': return dcdTimes(bytes);
+    case 'xtc': return xtcTimes(bytes);
+    case 'trr':
+    case 'nctraj': return coordinates ? coordinatesTimes(coordinates) : null;
+    default: return null;
+  }
+}
@@ -0,0 +1,236 @@
+// 🧬 ASTROFLORA 7.1 - MOLSTAR IMAGE EXPORT
+// ========================================
+// Imágenes a la resolución elegida y películas (WebM, GIF) renderizadas frame a frame fuera de pantalla
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { Task } from 'molstar/lib/mol-task';
+import { GifEncoder } from '../gifEncoder';
+
+export interface ImageSize {
+  width: number;
+  height: number;
+}
+
+/** Lado máximo de una imagen exportada (px) */
+export const MAX_IMAGE_SIZE = 8192;
+
+export type MovieFormat = 'webm' | 'gif';
+
+export const MOVIE_FORMAT_LABELS: Record<MovieFormat, string> = {
+  webm: 'WebM (vídeo)',
+  gif: 'GIF animado'
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const webmType = () => (
+  typeof MediaRecorder === 'undefined' ? undefined : WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+);
+
+/** `true` si el navegador puede grabar WebM desde un canvas */
+export function canRecordWebm(): boolean {
+  return webmType() !== undefined && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+/**
+ * Renderiza la escena actual a `width`×`height` con el encuadre del visor
+ * (el ancho visible se adapta a la proporción pedida). Con `transparent`,
+ * sin fondo.
+ */
+export async function renderImage(
+  plugin: PluginContext,
+  { width, height, transparent = false }: ImageSize & { transparent?: boolean }
+): Promise<ImageData> {
+  const helper = plugin.helpers.viewportScreenshot;
+  const canvas3d = plugin.canvas3d;
+  if (!helper || !canvas3d) throw new Error('El visor no está listo');
+
+  const previous = helper.values;
+  helper.behaviors.values.next({ ...previous, transparent });
+  canvas3d.pause(true);
+  try {
+    const pass = helper.imagePass;
+    await pass.updateBackground();
+    return await plugin.runTask(
+      Task.create('Renderizar imagen', ctx => pass.getImageData(ctx, width, height)),
+      { useOverlay: false }
+    );
+  } finally {
+    canvas3d.animate();
+    helper.behaviors.values.next(previous);
+  }
+}
+
+/**
+ * Texto en la esquina inferior izquierda sobre un recuadro oscuro, con un
+ * tamaño proporcional a la altura de la imagen.
+ */
+export function drawOverlay(context: CanvasRenderingContext2D, lines: string[]): void {
+  if (lines.length === 0) return;
+
+  const { height } = context.canvas;
+  const fontSize = Math.max(12, Math.round(height / 30));
+  const padding = Math.round(fontSize / 2);
+  const lineHeight = Math.round(fontSize * 1.3);
+
+  context.save();
+  context.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  context.textBaseline = 'top';
+  const boxWidth = Math.max(...lines.map(line => context.measureText(line).width)) + padding * 2;
+  const boxHeight = (lines.length - 1) * lineHeight + fontSize + padding * 2;
+  const x = padding;
+  const y = height - boxHeight - padding;
+
+  context.fillStyle = 'rgba(17, 24, 39, 0.7)';
+  context.fillRect(x, y, boxWidth, boxHeight);
+  context.fillStyle = '#FFFFFF';
+  lines.forEach((line, i) => context.fillText(line, x + padding, y + padding + i * lineHeight));
+  context.restore();
+}
+
+function createCanvas({ width, height }: ImageSize): { canvas: HTMLCanvasElement; context: CanvasRenderingContext2D } {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('El navegador no permite dibujar en un canvas 2D');
+  return { canvas, context };
+}
+
+const canvasToBlob = (canvas: HTMLCanvasElement, type: string) => new Promise<Blob>((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('No se pudo codificar la imagen'))), type);
+});
+
+/**
+ * PNG de la escena actual a la resolución indicada.
+ */
+export async function snapshotPng(
+  plugin: PluginContext,
+  options: ImageSize & { transparent?: boolean }
+): Promise<Blob> {
+  const image = await renderImage(plugin, options);
+  const { canvas, context } = createCanvas(image);
+  context.putImageData(image, 0, 0);
+  return canvasToBlob(canvas, 'image/png');
+}
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+interface MovieWriter {
+  /** Añade el contenido actual del canvas como un frame */
+  add(): Promise<void>;
+  finish(): Promise<Blob>;
+  cancel(): void;
+}
+
+/**
+ * WebM con MediaRecorder. El grabador solo está activo durante la duración de
+ * cada frame (el tiempo en pausa no cuenta), así la película va a `fps`
+ * aunque renderizar un frame tarde más.
+ */
+function webmWriter(canvas: HTMLCanvasElement, fps: number): MovieWriter {
+  const mimeType = webmType();
+  if (!mimeType) throw new Error('Este navegador no puede grabar WebM');
+
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0] as CanvasCaptureMediaStreamTrack;
+  // ~0,1 bits por píxel y frame, entre 2 y 25 Mbit/s
+  const bitrate = Math.min(25e6, Math.max(2e6, canvas.width * canvas.height * fps * 0.1));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = event => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const release = () => stream.getTracks().forEach(t => t.stop());
+
+  return {
+    async add() {
+      if (recorder.state === 'inactive') recorder.start();
+      else recorder.resume();
+      track.requestFrame();
+      await sleep(1000 / fps);
+      recorder.pause();
+    },
+    finish() {
+      return new Promise<Blob>((resolve, reject) => {
+        recorder.onstop = () => {
+          release();
+          resolve(new Blob(chunks, { type: 'video/webm' }));
+        };
+        recorder.onerror = () => {
+          release();
+          reject(new Error('Error grabando el vídeo'));
+        };
+        if (recorder.state === 'inactive') recorder.start();
+        recorder.stop();
+      });
+    },
+    cancel() {
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+      release();
+    }
+  };
+}
+
+function gifWriter(context: CanvasRenderingContext2D, fps: number): MovieWriter {
+  const { width, height } = context.canvas;
+  const encoder = new GifEncoder(width, height, { delayMs: 1000 / fps });
+
+  return {
+    async add() {
+      encoder.addFrame(context.getImageData(0, 0, width, height));
+    },
+    async finish() {
+      return new Blob([encoder.finish()], { type: 'image/gif' });
+    },
+    cancel() {
+      // Nada que liberar: los bytes se descartan con el codificador
+    }
+  };
+}
+
+export interface MovieOptions extends ImageSize {
+  format: MovieFormat;
+  /** Frames a grabar, en orden (0-indexed) */
+  frames: number[];
+  fps: number;
+  /** Muestra el frame en el visor; se espera antes de renderizarlo */
+  showFrame: (frame: number) => Promise<void>;
+  /** Líneas de texto superpuestas en cada frame */
+  overlay?: (frame: number) => string[];
+  signal?: AbortSignal;
+  onProgress?: (done: number, total: number) => void;
+}
+
+/**
+ * Graba los frames indicados: cada uno se muestra en el visor, se renderiza a
+ * la resolución pedida, se le superpone el texto y se codifica. Devuelve
+ * `null` si se cancela con `signal`.
+ */
+export async function recordMovie(plugin: PluginContext, options: MovieOptions): Promise<Blob | null> {
+  const { format, frames, fps, showFrame, overlay, signal, onProgress } = options;
+  const size = { width: Math.round(options.width), height: Math.round(options.height) };
+  const { canvas, context } = createCanvas(size);
+  const writer = format === 'webm' ? webmWriter(canvas, fps) : gifWriter(context, fps);
+
+  try {
+    for (let i = 0; i < frames.length; i++) {
+      if (signal?.aborted) {
+        writer.cancel();
+        return null;
+      }
+
+      await showFrame(frames[i]);
+      const image = await renderImage(plugin, size);
+      context.putImageData(image, 0, 0);
+      drawOverlay(context, overlay?.(frames[i]) ?? []);
+      await writer.add();
+      onProgress?.(i + 1, frames.length);
+    }
+    return await writer.finish();
+  } catch (err) {
+    writer.cancel();
+    throw err;
+  }
+}
@@ -0,0 +1,164 @@
+// 🧬 ASTROFLORA 7.1 - LOAD TRAJECTORY
+// ===================================
+// Carga topología (+ coordenadas) en Mol* como una única trayectoria animable
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { PluginStateObject } from 'molstar/lib/mol-plugin-state/objects';
+import { StateTransforms } from 'molstar/lib/mol-plugin-state/transforms';
+import { Model, Topology } from 'molstar/lib/mol-model/structure';
+import { StateObjectSelector } from 'molstar/lib/mol-state';
+import { DCD_HEADER_REQUEST_BYTES, DcdRangeSource } from './dcdRangeSource';
+import { DownloadProgress, fetchBytes, fetchRange } from './download';
+import {
+  MOLECULAR_FORMATS,
+  MolecularFormat,
+  MolecularFormatError,
+  assertSupportedCombination,
+  resolveFormat
+} from './formats';
+import { trajectoryTimes } from './frameTimes';
+import { StreamingTrajectoryFromModel } from './streamingTrajectory';
+import { TimeAxis } from '../timeAxis';
+
+type TrajectorySelector = StateObjectSelector<PluginStateObject.Molecule.Trajectory>;
+
+export interface TrajectorySource {
+  topologyUrl: string;
+  trajectoryUrl?: string | null;
+  /** Formatos explícitos; si faltan se detectan por extensión o contenido */
+  format?: { topology?: MolecularFormat; trajectory?: MolecularFormat };
+  signal?: AbortSignal;
+  /** Progreso de la descarga de la trayectoria (completa o por bloques) */
+  onProgress?: (progress: DownloadProgress) => void;
+}
+
+export interface LoadedTrajectory {
+  trajectory: TrajectorySelector;
+  topologyFormat: MolecularFormat;
+  trajectoryFormat: MolecularFormat | null;
+  /** Fuente por bloques si la trayectoria se carga bajo demanda; `null` si se descargó entera */
+  stream: DcdRangeSource | null;
+  /** Tiempos de frame según los metadatos de la trayectoria (ps); `null` si no los trae */
+  times: TimeAxis | null;
+}
+
+const fileLabel = (url: string) => url.split(/[?#]/)[0].split('/').pop() || url;
+
+/**
+ * Crea el nodo de datos y lo interpreta con el proveedor de Mol* del formato.
+ */
+async function parseFile(plugin: PluginContext, bytes: Uint8Array, format: MolecularFormat, label: string) {
+  const info = MOLECULAR_FORMATS[format];
+  const provider = plugin.dataFormats.get(info.provider);
+  if (!provider) {
+    throw new MolecularFormatError(`Mol* no tiene lector para ${info.label}`, 'unsupported_format');
+  }
+
+  const data = await plugin.builders.data.rawData({
+    data: info.binary ? bytes : new TextDecoder().decode(bytes),
+    label
+  });
+  return provider.parse(plugin, data);
+}
+
+/**
+ * Comprueba que coordenadas y topología describen el mismo sistema.
+ * Mol* también lo detecta al crear la trayectoria, pero con un error genérico
+ * que no se puede mostrar al usuario.
+ */
+function assertMatchingAtomCount(model: Model | Topology | undefined, actual: number | undefined): void {
+  if (!model || actual === undefined) return;
+
+  const expected = 'atomicHierarchy' in model
+    ? model.atomicHierarchy.atoms._rowCount
+    : model.basic.atom_site._rowCount;
+
+  if (actual !== expected) {
+    throw new MolecularFormatError(
+      `La trayectoria tiene ${actual} átomos por frame y la topología ${expected}: no corresponden al mismo sistema`,
+      'atom_count_mismatch'
+    );
+  }
+}
+
+/**
+ * Descarga y carga los archivos de una simulación.
+ * Sin trayectoria, la topología debe tener coordenadas (p. ej. PDB multi-modelo).
+ * Con trayectoria, las coordenadas se montan sobre el primer modelo o la topología.
+ *
+ * La topología se descarga primero. De la trayectoria se pide solo la cabecera:
+ * si es un DCD y el servidor admite Range, los frames se descargan por bloques
+ * bajo demanda (ver `stream`); si no, se usa el archivo completo.
+ */
+export async function loadTrajectory(
+  plugin: PluginContext,
+  { topologyUrl, trajectoryUrl, format = {}, signal, onProgress }: TrajectorySource
+): Promise<LoadedTrajectory> {
+  const topologyBytes = await fetchBytes(topologyUrl, { signal });
+  const topologyFormat = resolveFormat('topología', {
+    explicit: format.topology,
+    url: topologyUrl,
+    bytes: topologyBytes
+  });
+
+  const head = trajectoryUrl
+    ? await fetchRange(trajectoryUrl, 0, DCD_HEADER_REQUEST_BYTES - 1, { signal, onProgress })
+    : null;
+  const trajectoryFormat = trajectoryUrl && head
+    ? resolveFormat('trayectoria', { explicit: format.trajectory, url: trajectoryUrl, bytes: head.bytes })
+    : null;
+
+  assertSupportedCombination(topologyFormat, trajectoryFormat);
+
+  const parsed = await parseFile(plugin, topologyBytes, topologyFormat, fileLabel(topologyUrl));
+
+  if (!trajectoryUrl || !head || !trajectoryFormat) {
+    return { trajectory: parsed.trajectory, topologyFormat, trajectoryFormat, stream: null, times: null };
+  }
+
+  // Formatos con coordenadas aportan su primer modelo; PSF/prmtop/top, la topología
+  const model = 'trajectory' in parsed
+    ? await plugin.build()
+      .to(parsed.trajectory)
+      .apply(StateTransforms.Model.ModelFromTrajectory, { modelIndex: 0 }, { state: { isGhost: true } })
+      .commit()
+    : parsed.topology;
+
+  const stream = trajectoryFormat === 'dcd'
+    ? DcdRangeSource.fromHeaderResponse(trajectoryUrl, head, { onProgress })
+    : null;
+
+  if (stream) {
+    assertMatchingAtomCount(model.data, stream.atomCount);
+
+    const trajectory = await plugin.build()
+      .toRoot()
+      .apply(StreamingTrajectoryFromModel, { modelRef: model.ref, source: stream }, { dependsOn: [model.ref] })
+      .commit();
+
+    return { trajectory, topologyFormat, trajectoryFormat, stream, times: trajectoryTimes('dcd', head.bytes) };
+  }
+
+  // Sin Range (o formato sin acceso directo a frames): archivo completo
+  const complete = !head.partial || head.total === head.bytes.length;
+  const trajectoryBytes = complete ? head.bytes : await fetchBytes(trajectoryUrl, { signal, onProgress });
+  const coordinates = await parseFile(plugin, trajectoryBytes, trajectoryFormat, fileLabel(trajectoryUrl));
+
+  assertMatchingAtomCount(model.data, coordinates.data && (coordinates.data.frames[0]?.elementCount ?? 0));
+
+  const trajectory = await plugin.build()
+    .toRoot()
+    .apply(StateTransforms.Model.TrajectoryFromModelAndCoordinates, {
+      modelRef: model.ref,
+      coordinatesRef: coordinates.ref
+    }, { dependsOn: [model.ref, coordinates.ref] })
+    .commit();
+
+  return {
+    trajectory,
+    topologyFormat,
+    trajectoryFormat,
+    stream: null,
+    times: trajectoryTimes(trajectoryFormat, trajectoryBytes, coordinates.data)
+  };
+}
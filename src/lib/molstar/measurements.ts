@@ -0,0 +1,122 @@
+// 🧬 ASTROFLORA 7.1 - MOLSTAR MEASUREMENTS
+// ========================================
+// Selección de átomos en el visor, mediciones en 3D y su cálculo a lo largo de la trayectoria
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { ElementIndex, Model, Structure, StructureElement, StructureProperties, Trajectory } from 'molstar/lib/mol-model/structure';
+import { Loci } from 'molstar/lib/mol-model/loci';
+import { OrderedSet, SortedArray } from 'molstar/lib/mol-data/int';
+import { Task } from 'molstar/lib/mol-task';
+import { MeasuredAtom, Measurement, MeasurementSeries, Point, measure } from '../measurements';
+
+const MEASUREMENT_TAG = 'astroflora-measurement';
+
+// Frames entre pausas del cálculo, para no bloquear la interfaz
+const FRAMES_PER_BATCH = 25;
+
+const location = StructureElement.Location.create();
+
+/**
+ * Átomo de un click en el visor (granularidad de elemento); `null` si el click
+ * no cae sobre un átomo.
+ */
+export function pickedAtom(loci: Loci): MeasuredAtom | null {
+  if (!StructureElement.Loci.is(loci) || StructureElement.Loci.isEmpty(loci)) return null;
+  if (!StructureElement.Loci.getFirstLocation(loci, location)) return null;
+
+  const { atom, residue, chain } = StructureProperties;
+  const label = `${chain.auth_asym_id(location)}:${atom.label_comp_id(location)}${residue.auth_seq_id(location)}:${atom.label_atom_id(location)}`;
+  return { index: location.element, label };
+}
+
+function atomLoci(structure: Structure, atom: number): StructureElement.Loci | null {
+  for (const unit of structure.units) {
+    const index = SortedArray.indexOf(unit.elements, atom as ElementIndex);
+    if (index >= 0) {
+      return StructureElement.Loci(structure, [{ unit, indices: OrderedSet.ofSingleton(index as StructureElement.UnitIndex) }]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Sustituye las mediciones dibujadas en el visor. Mol* las actualiza al cambiar de frame.
+ */
+export async function showMeasurements(
+  plugin: PluginContext,
+  structureRef: string,
+  measurements: Measurement[]
+): Promise<void> {
+  const state = plugin.state.data;
+  const structure = state.cells.get(structureRef)?.obj?.data as Structure | undefined;
+
+  const cleanup = state.build();
+  state.selectQ(q => q.root.subtree().withTag(MEASUREMENT_TAG)).forEach(cell => cleanup.delete(cell.transform.ref));
+  await cleanup.commit();
+  if (!structure) return;
+
+  const { measurement } = plugin.managers.structure;
+  const options = { selectionTags: MEASUREMENT_TAG };
+
+  for (const { kind, atoms } of measurements) {
+    const loci = atoms.map(atom => atomLoci(structure, atom.index));
+    if (loci.some(l => l === null)) continue;
+    const [a, b, c, d] = loci as StructureElement.Loci[];
+
+    if (kind === 'distance') await measurement.addDistance(a, b, options);
+    else if (kind === 'angle') await measurement.addAngle(a, b, c, options);
+    else await measurement.addDihedral(a, b, c, d, options);
+  }
+}
+
+function atomPoint(model: Model, atom: number): Point {
+  const { x, y, z } = model.atomicConformation;
+  return [x[atom], y[atom], z[atom]];
+}
+
+/**
+ * Valores de las mediciones en un frame.
+ */
+export function measureModel(model: Model, measurements: Measurement[]): number[] {
+  const atomCount = model.atomicHierarchy.atoms._rowCount;
+  return measurements.map(({ kind, atoms }) => (
+    atoms.every(atom => atom.index < atomCount)
+      ? measure(kind, atoms.map(atom => atomPoint(model, atom.index)))
+      : NaN
+  ));
+}
+
+const pause = () => new Promise<void>(resolve => setTimeout(resolve, 0));
+
+/**
+ * Calcula las mediciones en todos los frames, por lotes. `onProgress` recibe
+ * la serie parcial (frames pendientes en `NaN`) tras cada lote.
+ * Los frames de una trayectoria por bloques se descargan si hace falta.
+ */
+export async function computeMeasurementSeries(
+  trajectory: Trajectory,
+  measurements: Measurement[],
+  { signal, onProgress }: { signal?: AbortSignal; onProgress?: (series: MeasurementSeries, done: number) => void } = {}
+): Promise<MeasurementSeries> {
+  const { frameCount } = trajectory;
+  const series: MeasurementSeries = Object.fromEntries(
+    measurements.map(m => [m.id, new Float64Array(frameCount).fill(NaN)])
+  );
+  if (measurements.length === 0) return series;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (signal?.aborted) break;
+
+    const result = trajectory.getFrameAtIndex(frame);
+    const model = Task.is<Model>(result) ? await result.run() : result;
+    measureModel(model, measurements).forEach((value, i) => {
+      series[measurements[i].id][frame] = value;
+    });
+
+    if ((frame + 1) % FRAMES_PER_BATCH === 0 || frame === frameCount - 1) {
+      onProgress?.(series, frame + 1);
+      await pause();
+    }
+  }
+  return series;
+}
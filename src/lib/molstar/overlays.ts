@@ -0,0 +1,143 @@
+// 🧬 ASTROFLORA 7.1 - TRAJECTORY OVERLAYS
+// =======================================
+// Trayectorias de otras simulaciones en el mismo visor: ajustadas a la principal y con un color cada una
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { StateTransforms } from 'molstar/lib/mol-plugin-state/transforms';
+import { StateBuilder } from 'molstar/lib/mol-state';
+import { Color } from 'molstar/lib/mol-util/color';
+import { DcdRangeSource } from './dcdRangeSource';
+import { TrajectorySource, loadTrajectory } from './loadTrajectory';
+import { AlignmentReference, addTrajectoryProcessing, updateTrajectoryProcessing } from './trajectoryProcessing';
+import { TrajectoryProcessing } from '../trajectoryProcessing';
+
+export interface OverlayTrajectory {
+  /** Identificador estable (p. ej. el ID de la simulación) */
+  id: string;
+  label: string;
+  topologyUrl: string;
+  trajectoryUrl?: string | null;
+  format?: TrajectorySource['format'];
+  /** Color de toda la estructura (`#rrggbb`) */
+  color: string;
+}
+
+export interface LoadedOverlay {
+  id: string;
+  label: string;
+  /** Nodos creados en la raíz del estado al cargarla; borrarlos la quita entera */
+  roots: string[];
+  processedRef: string;
+  modelRef: string;
+  frameCount: number;
+  /** Fuente por bloques de la trayectoria; `null` si se descargó entera */
+  stream: DcdRangeSource | null;
+}
+
+const rootChildren = (plugin: PluginContext) => {
+  const { tree } = plugin.state.data;
+  return tree.children.get(tree.root.ref).toArray();
+};
+
+/**
+ * Polímero en cartoon y ligandos en bolas y varillas, todo del color de la superposición.
+ */
+async function addOverlayRepresentations(plugin: PluginContext, structureRef: string, color: string): Promise<void> {
+  const colorParams = { value: Color.fromHexStyle(color) };
+
+  await plugin.dataTransaction(async () => {
+    const polymer = await plugin.builders.structure.tryCreateComponentStatic(structureRef, 'polymer');
+    if (polymer) {
+      await plugin.builders.structure.representation.addRepresentation(polymer, { type: 'cartoon', color: 'uniform', colorParams });
+    }
+    const ligand = await plugin.builders.structure.tryCreateComponentStatic(structureRef, 'ligand');
+    if (ligand) {
+      await plugin.builders.structure.representation.addRepresentation(ligand, { type: 'ball-and-stick', color: 'uniform', colorParams });
+    }
+  });
+}
+
+/**
+ * Carga una trayectoria superpuesta. Cada frame pasa por el mismo procesado
+ * que la principal y se ajusta a `alignTo` (sus Cα); sin referencia solo se procesa.
+ * Si la carga falla o se cancela no deja nodos en el estado.
+ */
+export async function loadOverlay(
+  plugin: PluginContext,
+  overlay: OverlayTrajectory,
+  { processing, alignTo, signal }: { processing: TrajectoryProcessing; alignTo: AlignmentReference | null; signal?: AbortSignal }
+): Promise<LoadedOverlay> {
+  const before = new Set(rootChildren(plugin));
+  const createdRoots = () => rootChildren(plugin).filter(ref => !before.has(ref));
+  let stream: DcdRangeSource | null = null;
+
+  try {
+    const loaded = await loadTrajectory(plugin, {
+      topologyUrl: overlay.topologyUrl,
+      trajectoryUrl: overlay.trajectoryUrl,
+      format: overlay.format,
+      signal
+    });
+    stream = loaded.stream;
+
+    const processed = await addTrajectoryProcessing(plugin, loaded.trajectory, { ...processing, alignTo: alignTo ?? undefined });
+    const model = await plugin.builders.structure.createModel(processed);
+    const structure = await plugin.builders.structure.createStructure(model);
+    await addOverlayRepresentations(plugin, structure.ref, overlay.color);
+
+    return {
+      id: overlay.id,
+      label: overlay.label,
+      roots: createdRoots(),
+      processedRef: processed.ref,
+      modelRef: model.ref,
+      frameCount: processed.data?.frameCount ?? 1,
+      stream
+    };
+  } catch (err) {
+    stream?.dispose();
+    const cleanup = plugin.state.data.build();
+    createdRoots().forEach(ref => cleanup.delete(ref));
+    await cleanup.commit();
+    throw err;
+  }
+}
+
+/**
+ * Quita las superposiciones del visor y libera sus descargas.
+ */
+export async function removeOverlays(plugin: PluginContext, overlays: LoadedOverlay[]): Promise<void> {
+  if (overlays.length === 0) return;
+
+  const cleanup = plugin.state.data.build();
+  overlays.forEach(overlay => {
+    overlay.stream?.dispose();
+    overlay.roots.forEach(ref => cleanup.delete(ref));
+  });
+  await cleanup.commit();
+}
+
+/**
+ * Añade a `update` el cambio de frame de cada superposición. Las más cortas
+ * se quedan en su último frame.
+ */
+export function updateOverlayFrames(update: StateBuilder.Root, overlays: LoadedOverlay[], frame: number): void {
+  overlays.forEach(overlay => {
+    const modelIndex = Math.min(frame, overlay.frameCount - 1);
+    update.to(overlay.modelRef).update(StateTransforms.Model.ModelFromTrajectory, params => ({ ...params, modelIndex }));
+  });
+}
+
+/**
+ * Vuelve a procesar las superposiciones con otras opciones o sobre otra referencia.
+ */
+export async function realignOverlays(
+  plugin: PluginContext,
+  overlays: LoadedOverlay[],
+  processing: TrajectoryProcessing,
+  alignTo: AlignmentReference | null
+): Promise<void> {
+  for (const overlay of overlays) {
+    await updateTrajectoryProcessing(plugin, overlay.processedRef, { ...processing, alignTo: alignTo ?? undefined });
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import { Mat4, Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+import { PeriodicBox, Positions, centroid, makeWhole, wrapNear } from './periodicBoundary';
+
+type Vector = [number, number, number];
+
+/** Caja con los vectores de celda `a`, `b`, `c` (columnas de la matriz fraccional → cartesiana) */
+function box(a: Vector, b: Vector, c: Vector): PeriodicBox {
+  const fromFractional = Mat4.ofRows([
+    [a[0], b[0], c[0], 0],
+    [a[1], b[1], c[1], 0],
+    [a[2], b[2], c[2], 0],
+    [0, 0, 0, 1]
+  ]);
+  return new PeriodicBox(Mat4.invert(Mat4(), fromFractional), fromFractional);
+}
+
+function positions(points: Vector[]): Positions {
+  return {
+    x: Float32Array.from(points.map(p => p[0])),
+    y: Float32Array.from(points.map(p => p[1])),
+    z: Float32Array.from(points.map(p => p[2]))
+  };
+}
+
+const pointsOf = ({ x, y, z }: Positions): Vector[] => Array.from(x, (_, i) => [x[i], y[i], z[i]]);
+const layout = (...starts: number[]) => ({ starts: Int32Array.from(starts) });
+const plus = (p: Vector, q: Vector, scale = 1): Vector => [p[0] + scale * q[0], p[1] + scale * q[1], p[2] + scale * q[2]];
+
+function expectVector(actual: ArrayLike<number>, expected: Vector) {
+  expected.forEach((value, axis) => expect(actual[axis]).toBeCloseTo(value, 4));
+}
+
+function expectPoints(actual: Positions, expected: Vector[]) {
+  pointsOf(actual).forEach((point, i) => expectVector(point, expected[i]));
+}
+
+describe('PeriodicBox.minimumImage', () => {
+  it('caja ortorrómbica: cada componente queda en media caja', () => {
+    const orthorhombic = box([10, 0, 0], [0, 12, 0], [0, 0, 14]);
+    expectVector(orthorhombic.minimumImage(Vec3(), Vec3.create(9, -7, 20)), [-1, 5, 6]);
+  });
+
+  it('caja triclínica: el desplazamiento cambia en vectores de celda', () => {
+    const a: Vector = [10, 0, 0];
+    const b: Vector = [3, 10, 0];
+    const c: Vector = [2, 2, 10];
+    const triclinic = box(a, b, c);
+    const d = plus(plus([0.5, 1, 0], b, -1), c);
+    expectVector(triclinic.minimumImage(Vec3(), Vec3.create(...d)), [0.5, 1, 0]);
+  });
+});
+
+describe('makeWhole', () => {
+  it('caja ortorrómbica: une una molécula partida por el borde', () => {
+    const orthorhombic = box([10, 0, 0], [0, 12, 0], [0, 0, 14]);
+    // La cadena 9.5 → 10.5 → 11.5 en x, guardada envuelta en la caja
+    const frame = positions([[9.5, 6, 7], [0.5, 6, 7], [1.5, 6.5, 13.5], [1.5, 7, 0.2]]);
+    makeWhole(frame, layout(0, 4), orthorhombic);
+    expectPoints(frame, [[9.5, 6, 7], [10.5, 6, 7], [11.5, 6.5, 13.5], [11.5, 7, 14.2]]);
+  });
+
+  it('caja triclínica: une la molécula a través de un vector de celda oblicuo', () => {
+    const a: Vector = [10, 0, 0];
+    const b: Vector = [3, 10, 0];
+    const c: Vector = [2, 2, 10];
+    const triclinic = box(a, b, c);
+    const whole: Vector[] = [[1, 9.5, 5], [1.5, 10.5, 5], [2, 11.5, 5.5]];
+    // Los dos últimos átomos, guardados en la imagen −b
+    const frame = positions([whole[0], plus(whole[1], b, -1), plus(plus(whole[2], b, -1), a)]);
+    makeWhole(frame, layout(0, 3), triclinic);
+    expectPoints(frame, whole);
+  });
+
+  it('no enlaza átomos de moléculas distintas', () => {
+    const orthorhombic = box([10, 0, 0], [0, 10, 0], [0, 0, 10]);
+    const frame = positions([[9.5, 5, 5], [0.5, 5, 5], [0.2, 5, 5], [9.8, 5, 5]]);
+    makeWhole(frame, layout(0, 2, 4), orthorhombic);
+    expectPoints(frame, [[9.5, 5, 5], [10.5, 5, 5], [0.2, 5, 5], [-0.2, 5, 5]]);
+  });
+});
+
+describe('wrapNear', () => {
+  const orthorhombic = box([10, 0, 0], [0, 10, 0], [0, 0, 10]);
+  const center = Vec3.create(5, 5, 5);
+
+  it('lleva cada molécula entera a la imagen más cercana al centro', () => {
+    // Molécula 0 entera pero fuera de la caja; molécula 1 ya cerca del centro
+    const frame = positions([[14, 5, -3], [15, 5.5, -3], [16, 5, -2.5], [4, 5, 5], [5, 5, 5]]);
+    wrapNear(frame, layout(0, 3, 5), orthorhombic, center);
+    expectPoints(frame, [[4, 5, 7], [5, 5.5, 7], [6, 5, 7.5], [4, 5, 5], [5, 5, 5]]);
+  });
+
+  it('tras makeWhole, una molécula que cruza el borde se desplaza sin deformarse', () => {
+    const frame = positions([[9, 1, 5], [0, 1, 5], [1, 1, 5]]);
+    makeWhole(frame, layout(0, 3), orthorhombic);
+    wrapNear(frame, layout(0, 3), orthorhombic, Vec3.create(0, 0, 5));
+    expectPoints(frame, [[-1, 1, 5], [0, 1, 5], [1, 1, 5]]);
+    expectVector(centroid(Vec3(), frame, [0, 1, 2]), [0, 1, 5]);
+  });
+
+  it('solo mueve las moléculas incluidas', () => {
+    const frame = positions([[14, 5, 5], [24, 5, 5]]);
+    wrapNear(frame, layout(0, 1, 2), orthorhombic, center, molecule => molecule === 1);
+    expectPoints(frame, [[14, 5, 5], [4, 5, 5]]);
+  });
+});
@@ -0,0 +1,152 @@
+// 🧬 ASTROFLORA 7.1 - PERIODIC BOUNDARY
+// =====================================
+// Coordenadas en una caja periódica: moléculas enteras, imagen mínima y centrado
+
+import { Mat3, Mat4, Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+
+/** Coordenadas de un frame, modificables in situ */
+export interface Positions {
+  x: Float32Array;
+  y: Float32Array;
+  z: Float32Array;
+}
+
+/**
+ * Moléculas como rangos contiguos de átomos: la molécula `m` va de
+ * `starts[m]` a `starts[m + 1] - 1`. Dentro de una molécula cada átomo está
+ * cerca del anterior (mismo residuo o residuo polimérico consecutivo).
+ */
+export interface MoleculeLayout {
+  starts: Int32Array;
+}
+
+/**
+ * Caja periódica (ortorrómbica o triclínica) a partir de las matrices
+ * fraccional ↔ cartesiana de la celda.
+ */
+export class PeriodicBox {
+  private readonly toFractional: Mat3;
+  private readonly fromFractional: Mat3;
+  private readonly fractional = Vec3();
+
+  constructor(toFractional: Mat4, fromFractional: Mat4) {
+    this.toFractional = Mat3.fromMat4(Mat3(), toFractional);
+    this.fromFractional = Mat3.fromMat4(Mat3(), fromFractional);
+  }
+
+  /**
+   * Imagen mínima del desplazamiento `d` (en `out`). Redondear en coordenadas
+   * fraccionales es exacto en cajas ortorrómbicas y suficiente en triclínicas.
+   */
+  minimumImage(out: Vec3, d: Vec3): Vec3 {
+    const f = Vec3.transformMat3(this.fractional, d, this.toFractional);
+    f[0] -= Math.round(f[0]);
+    f[1] -= Math.round(f[1]);
+    f[2] -= Math.round(f[2]);
+    return Vec3.transformMat3(out, f, this.fromFractional);
+  }
+}
+
+const delta = Vec3();
+const image = Vec3();
+
+/**
+ * Reconstruye las moléculas partidas por los bordes de la caja: cada átomo se
+ * lleva a la imagen más cercana al átomo anterior de su molécula.
+ */
+export function makeWhole(positions: Positions, { starts }: MoleculeLayout, box: PeriodicBox): void {
+  const { x, y, z } = positions;
+
+  for (let m = 0; m < starts.length - 1; m++) {
+    for (let i = starts[m] + 1; i < starts[m + 1]; i++) {
+      Vec3.set(delta, x[i] - x[i - 1], y[i] - y[i - 1], z[i] - z[i - 1]);
+      box.minimumImage(image, delta);
+      x[i] = x[i - 1] + image[0];
+      y[i] = y[i - 1] + image[1];
+      z[i] = z[i - 1] + image[2];
+    }
+  }
+}
+
+function rangeCentroid(out: Vec3, { x, y, z }: Positions, start: number, end: number): Vec3 {
+  Vec3.set(out, 0, 0, 0);
+  for (let i = start; i < end; i++) {
+    out[0] += x[i];
+    out[1] += y[i];
+    out[2] += z[i];
+  }
+  return Vec3.scale(out, out, 1 / Math.max(end - start, 1));
+}
+
+/** Centroide de los átomos indicados */
+export function centroid(out: Vec3, { x, y, z }: Positions, atoms: ArrayLike<number>): Vec3 {
+  Vec3.set(out, 0, 0, 0);
+  for (let k = 0; k < atoms.length; k++) {
+    const i = atoms[k];
+    out[0] += x[i];
+    out[1] += y[i];
+    out[2] += z[i];
+  }
+  return Vec3.scale(out, out, 1 / Math.max(atoms.length, 1));
+}
+
+function translateRange({ x, y, z }: Positions, start: number, end: number, shift: Vec3): void {
+  for (let i = start; i < end; i++) {
+    x[i] += shift[0];
+    y[i] += shift[1];
+    z[i] += shift[2];
+  }
+}
+
+const moleculeCenter = Vec3();
+const shift = Vec3();
+
+/**
+ * Lleva cada molécula seleccionada (entera) a la imagen cuyo centroide queda más
+ * cerca de `center`.
+ */
+export function wrapNear(
+  positions: Positions,
+  { starts }: MoleculeLayout,
+  box: PeriodicBox,
+  center: Vec3,
+  include: (molecule: number) => boolean = () => true
+): void {
+  for (let m = 0; m < starts.length - 1; m++) {
+    if (!include(m)) continue;
+
+    rangeCentroid(moleculeCenter, positions, starts[m], starts[m + 1]);
+    Vec3.sub(delta, moleculeCenter, center);
+    box.minimumImage(image, delta);
+    Vec3.sub(shift, image, delta);
+    if (shift[0] !== 0 || shift[1] !== 0 || shift[2] !== 0) {
+      translateRange(positions, starts[m], starts[m + 1], shift);
+    }
+  }
+}
+
+/** Desplaza todos los átomos */
+export function translate(positions: Positions, by: Vec3): void {
+  translateRange(positions, 0, positions.x.length, by);
+}
+
+const point = Vec3();
+
+/** Aplica una transformación rígida a todos los átomos */
+export function transform(positions: Positions, matrix: Mat4): void {
+  const { x, y, z } = positions;
+  for (let i = 0; i < x.length; i++) {
+    Vec3.set(point, x[i], y[i], z[i]);
+    Vec3.transformMat4(point, point, matrix);
+    x[i] = point[0];
+    y[i] = point[1];
+    z[i] = point[2];
+  }
+}
+
+/** Molécula de cada átomo (índice en `starts`) */
+export function moleculeIndex({ starts }: MoleculeLayout, atomCount: number): Int32Array {
+  const index = new Int32Array(atomCount);
+  for (let m = 0; m < starts.length - 1; m++) index.fill(m, starts[m], starts[m + 1]);
+  return index;
+}
@@ -0,0 +1,121 @@
+// 🧬 ASTROFLORA 7.1 - REPRESENTATIONS
+// ===================================
+// Representaciones declarativas (selección + tipo + color) aplicadas sobre una estructura de Mol*
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { StateTransforms } from 'molstar/lib/mol-plugin-state/transforms';
+import { StaticStructureComponentType } from 'molstar/lib/mol-plugin-state/helpers/structure-component';
+import { StructureSelectionQueries } from 'molstar/lib/mol-plugin-state/helpers/structure-selection-query';
+import { StructureRepresentationBuiltInProps } from 'molstar/lib/mol-plugin-state/helpers/structure-representation-params';
+import { MolScriptBuilder as MS } from 'molstar/lib/mol-script/language/builder';
+import { StructureRepresentationRegistry } from 'molstar/lib/mol-repr/structure/registry';
+import { ColorTheme } from 'molstar/lib/mol-theme/color';
+import {
+  RepresentationColor,
+  RepresentationSelection,
+  RepresentationSpec,
+  RepresentationType,
+  ResidueRange,
+  isRepresentationSpec,
+  selectionLabel
+} from '../representations';
+
+const REPRESENTATION_TYPES: Record<RepresentationType, StructureRepresentationRegistry.BuiltIn> = {
+  cartoon: 'cartoon',
+  surface: 'molecular-surface',
+  'ball-and-stick': 'ball-and-stick',
+  spacefill: 'spacefill',
+  putty: 'putty'
+};
+
+/**
+ * Factor B y RMSF se leen de la misma columna (B_iso_or_equiv) con el tema
+ * `uncertainty` de Mol*; cambia el dominio: Å² para B, Å para RMSF.
+ */
+const COLOR_THEMES: Record<RepresentationColor, { theme: ColorTheme.BuiltIn; params?: object }> = {
+  chain: { theme: 'chain-id' },
+  'secondary-structure': { theme: 'secondary-structure' },
+  hydrophobicity: { theme: 'hydrophobicity' },
+  'b-factor': { theme: 'uncertainty', params: { domain: [0, 100] } },
+  uncertainty: { theme: 'uncertainty', params: { domain: [0, 5] } },
+  element: { theme: 'element-symbol' }
+};
+
+// Disolvente e iones, que `hideSolvent` oculta
+const SOLVENT_SELECTIONS: ReadonlySet<RepresentationSelection> = new Set(['water', 'ion']);
+
+const nonSolventExpression = MS.struct.modifier.exceptBy({
+  0: MS.struct.generator.all(),
+  by: MS.struct.combinator.merge([
+    StructureSelectionQueries.water.expression,
+    StructureSelectionQueries.ion.expression
+  ])
+});
+
+function residueExpression({ start, end, chain }: ResidueRange) {
+  const { macromolecular } = MS.struct.atomProperty;
+  return MS.struct.generator.atomGroups({
+    ...(chain ? { 'chain-test': MS.core.rel.eq([macromolecular.auth_asym_id(), chain]) } : {}),
+    'residue-test': MS.core.rel.inRange([macromolecular.auth_seq_id(), start, end])
+  });
+}
+
+/**
+ * Borra los componentes de la estructura; sus representaciones caen con ellos.
+ */
+export async function clearComponents(plugin: PluginContext, structureRef: string): Promise<void> {
+  const state = plugin.state.data;
+  const cleanup = state.build();
+  state.tree.children.get(structureRef).forEach(child => {
+    if (state.tree.transforms.get(child)?.transformer === StateTransforms.Model.StructureComponent) {
+      cleanup.delete(child);
+    }
+  });
+  await cleanup.commit();
+}
+
+/**
+ * Sustituye las representaciones de la estructura por las indicadas.
+ * Las selecciones vacías (p. ej. agua en un sistema sin disolvente) se omiten.
+ * Los componentes siguen al modelo, así que se conservan al cambiar de frame.
+ * Con `hideSolvent` no se muestran agua ni iones, tampoco dentro de `all`.
+ */
+export async function applyRepresentations(
+  plugin: PluginContext,
+  structureRef: string,
+  specs: RepresentationSpec[],
+  { hideSolvent = false }: { hideSolvent?: boolean } = {}
+): Promise<void> {
+  const state = plugin.state.data;
+  if (!state.cells.has(structureRef)) return;
+
+  await plugin.dataTransaction(async () => {
+    await clearComponents(plugin, structureRef);
+
+    for (const [index, spec] of specs.entries()) {
+      if (!isRepresentationSpec(spec)) continue;
+      if (hideSolvent && SOLVENT_SELECTIONS.has(spec.selection)) continue;
+
+      const label = selectionLabel(spec);
+      const expression = spec.selection === 'residues'
+        ? residueExpression(spec.residues as ResidueRange)
+        : hideSolvent && spec.selection === 'all' ? nonSolventExpression : null;
+      const component = expression
+        ? await plugin.builders.structure.tryCreateComponentFromExpression(
+          structureRef, expression, `astroflora-${index}`, { label }
+        )
+        : await plugin.builders.structure.tryCreateComponentStatic(
+          structureRef, spec.selection as StaticStructureComponentType, { label }
+        );
+      if (!component) continue;
+
+      const { theme, params } = COLOR_THEMES[spec.color];
+      const props: StructureRepresentationBuiltInProps = {
+        type: REPRESENTATION_TYPES[spec.type],
+        color: theme,
+        colorParams: params
+      };
+      await plugin.builders.structure.representation.addRepresentation(component, props);
+    }
+  });
+}
@@ -0,0 +1,89 @@
+// 🧬 ASTROFLORA 7.1 - STREAMING TRAJECTORY
+// ========================================
+// Trayectoria de Mol* cuyos frames se descargan bajo demanda
+
+import { PluginStateObject, PluginStateTransform } from 'molstar/lib/mol-plugin-state/objects';
+import { Coordinates, Frame, Model, Topology, Trajectory } from 'molstar/lib/mol-model/structure';
+import { IndexPairBonds } from 'molstar/lib/mol-model-formats/structure/property/bonds/index-pair';
+import { Task } from 'molstar/lib/mol-task';
+import { ParamDefinition as PD } from 'molstar/lib/mol-util/param-definition';
+import { DcdRangeSource } from './dcdRangeSource';
+
+/**
+ * Cada `getFrameAtIndex` monta las coordenadas del frame sobre el modelo base.
+ * Si el frame no está en caché devuelve una tarea que lo descarga; Mol* la espera
+ * al actualizar `ModelFromTrajectory`.
+ */
+class StreamingTrajectory implements Trajectory {
+  readonly duration: number;
+  readonly frameCount: number;
+  readonly representative: Model;
+
+  private readonly bonds: IndexPairBonds | undefined;
+
+  constructor(private readonly source: DcdRangeSource, private readonly base: Model, firstFrame: Frame) {
+    this.frameCount = source.frameCount;
+    this.duration = source.frameCount;
+    this.bonds = IndexPairBonds.Provider.get(base);
+    this.representative = this.toModel(0, firstFrame);
+  }
+
+  getFrameAtIndex(index: number): Task<Model> | Model {
+    const frame = this.source.getFrame(index);
+    if (frame) return this.toModel(index, frame);
+
+    return Task.create(`Descargar frame ${index + 1}`, async () => (
+      this.toModel(index, await this.source.loadFrame(index))
+    ));
+  }
+
+  private toModel(index: number, frame: Frame): Model {
+    const coordinates = Coordinates.create([frame], this.source.deltaTime, this.source.timeOffset);
+    const model = Model.trajectoryFromModelAndCoordinates(this.base, coordinates).representative;
+
+    Model.TrajectoryInfo.set(model, { index, size: this.frameCount });
+    // Los enlaces de PSF/prmtop/top no se copian al crear el modelo del frame
+    if (this.bonds) IndexPairBonds.Provider.set(model, this.bonds);
+    return model;
+  }
+}
+
+/**
+ * Modelo base con las coordenadas del primer frame. Para topologías sin coordenadas
+ * (PSF, prmtop, top) lo construye Mol*, que también calcula los enlaces.
+ */
+async function baseModel(data: Model | Topology, firstFrame: Frame, source: DcdRangeSource): Promise<Model> {
+  if ('atomicHierarchy' in data) return data;
+
+  const coordinates = Coordinates.create([firstFrame], source.deltaTime, source.timeOffset);
+  const trajectory = await Model.trajectoryFromTopologyAndCoordinates(data, coordinates).run();
+  return trajectory.representative as Model;
+}
+
+export const StreamingTrajectoryFromModel = PluginStateTransform.BuiltIn({
+  name: 'astroflora-streaming-trajectory',
+  display: { name: 'Streaming Trajectory', description: 'Trayectoria DCD descargada por bloques bajo demanda.' },
+  from: PluginStateObject.Root,
+  to: PluginStateObject.Molecule.Trajectory,
+  params: {
+    modelRef: PD.Text('', { isHidden: true }),
+    source: PD.Value<DcdRangeSource | null>(null, { isHidden: true })
+  }
+})({
+  apply({ params, dependencies }) {
+    return Task.create('Abrir trayectoria por bloques', async () => {
+      const { source } = params;
+      if (!source) throw new Error('Falta la fuente de frames');
+
+      const data = dependencies![params.modelRef].data as Model | Topology;
+      const firstFrame = await source.loadFrame(0);
+      const base = await baseModel(data, firstFrame, source);
+      const trajectory = new StreamingTrajectory(source, base, firstFrame);
+
+      return new PluginStateObject.Molecule.Trajectory(trajectory, {
+        label: 'Trajectory',
+        description: `${trajectory.frameCount} frames (streaming)`
+      });
+    });
+  }
+});
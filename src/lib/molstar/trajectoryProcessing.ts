@@ -0,0 +1,424 @@
+// 🧬 ASTROFLORA 7.1 - TRAJECTORY PROCESSING
+// =========================================
+// Superposición, moléculas enteras y centrado de cada frame antes de mostrarlo
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { PluginStateObject, PluginStateTransform } from 'molstar/lib/mol-plugin-state/objects';
+import { StructureSelectionQueries } from 'molstar/lib/mol-plugin-state/helpers/structure-selection-query';
+import {
+  Coordinates,
+  Frame,
+  Model,
+  Structure,
+  StructureSelection,
+  Time,
+  Trajectory
+} from 'molstar/lib/mol-model/structure';
+import { IndexPairBonds } from 'molstar/lib/mol-model-formats/structure/property/bonds/index-pair';
+import { ModelSymmetry } from 'molstar/lib/mol-model-formats/structure/property/symmetry';
+import { Cell } from 'molstar/lib/mol-math/geometry/spacegroup/cell';
+import { SpacegroupCell } from 'molstar/lib/mol-math/geometry/spacegroup/construction';
+import { MinimizeRmsd } from 'molstar/lib/mol-math/linear-algebra/3d/minimize-rmsd';
+import { Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+import { Column } from 'molstar/lib/mol-data/db';
+import { MolScriptBuilder as MS } from 'molstar/lib/mol-script/language/builder';
+import { Expression } from 'molstar/lib/mol-script/language/expression';
+import { Script } from 'molstar/lib/mol-script/script';
+import { StateObjectRef, StateObjectSelector } from 'molstar/lib/mol-state';
+import { RuntimeContext, Task } from 'molstar/lib/mol-task';
+import { ParamDefinition as PD } from 'molstar/lib/mol-util/param-definition';
+import { DEFAULT_BINDING_SITE_RADIUS, LigandSelector, ligandExpression, pocketExpression } from './bindingSite';
+import {
+  MoleculeLayout,
+  PeriodicBox,
+  Positions,
+  centroid,
+  makeWhole,
+  moleculeIndex,
+  transform,
+  translate,
+  wrapNear
+} from './periodicBoundary';
+import { SUPERPOSITION_LABELS, SuperpositionSelection, TrajectoryProcessing } from '../trajectoryProcessing';
+
+// Mínimo de átomos para una superposición rígida
+const MIN_FIT_ATOMS = 3;
+
+/** Cα de la proteína */
+export const caExpression = MS.struct.modifier.intersectBy({
+  0: StructureSelectionQueries.protein.expression,
+  by: MS.struct.generator.atomGroups({ 'atom-test': MS.core.rel.eq([MS.ammp('label_atom_id'), 'CA']) })
+});
+
+/**
+ * Cα de otra trayectoria (la principal de una superposición) sobre los que se
+ * ajusta cada frame, identificados por cadena y número de residuo.
+ */
+export interface AlignmentReference {
+  keys: string[];
+  positions: Positions;
+}
+
+/** Parámetros del transform: opciones + ligando del bolsillo + referencia externa */
+type ProcessingParams = TrajectoryProcessing & {
+  ligand?: LigandSelector;
+  pocketRadius: number;
+  alignTo?: AlignmentReference;
+};
+
+interface ProcessingPlan {
+  layout: MoleculeLayout;
+  /** Átomos de la proteína (o del polímero, o todos) para centrar */
+  centerAtoms: Int32Array;
+  /** 1 si la molécula contiene átomos de `centerAtoms` */
+  centerMolecules: Uint8Array;
+  /** Átomos de la superposición y sus coordenadas en el frame de referencia */
+  fitAtoms: Int32Array | null;
+  reference: Positions | null;
+}
+
+/**
+ * Moléculas contiguas en el orden de átomos: un átomo sigue en la molécula del
+ * anterior si es del mismo residuo, o de un residuo polimérico consecutivo de
+ * la misma cadena. Agua, iones y ligandos quedan como moléculas de un residuo.
+ */
+function moleculeLayout(model: Model): MoleculeLayout {
+  const { residueAtomSegments, chainAtomSegments, derived } = model.atomicHierarchy;
+  // PolymerType.NA = 0 (enum const de Mol*, no accesible con isolatedModules)
+  const isPolymer = (residue: number) => derived.residue.polymerType[residue] !== 0;
+  const count = model.atomicHierarchy.atoms._rowCount;
+
+  const starts: number[] = [];
+  for (let i = 0; i < count; i++) {
+    const residue = residueAtomSegments.index[i];
+    const chain = chainAtomSegments.index[i];
+    const previousResidue = i > 0 ? residueAtomSegments.index[i - 1] : -1;
+    const sameMolecule = i > 0
+      && chain === chainAtomSegments.index[i - 1]
+      && (residue === previousResidue || (isPolymer(residue) && isPolymer(previousResidue)));
+    if (!sameMolecule) starts.push(i);
+  }
+  starts.push(count);
+  return { starts: Int32Array.from(starts) };
+}
+
+/** Índices (del modelo) de los átomos que cumplen la expresión */
+export function selectAtoms(model: Model, expression: Expression): Int32Array {
+  const structure = Structure.ofModel(model);
+  const selected = StructureSelection.unionStructure(Script.getStructureSelection(expression, structure));
+
+  const atoms: number[] = [];
+  for (const unit of selected.units) {
+    for (let k = 0; k < unit.elements.length; k++) atoms.push(unit.elements[k]);
+  }
+  return Int32Array.from(new Set(atoms)).sort();
+}
+
+/** Clave `cadena:residuo` de cada átomo, para emparejar Cα entre sistemas distintos */
+function residueKeys(model: Model, atoms: Int32Array): string[] {
+  const { chains, residues, chainAtomSegments, residueAtomSegments } = model.atomicHierarchy;
+  return Array.from(atoms, atom => (
+    `${chains.auth_asym_id.value(chainAtomSegments.index[atom])}:${residues.auth_seq_id.value(residueAtomSegments.index[atom])}`
+  ));
+}
+
+function fitExpression({ superpose, ligand, pocketRadius }: ProcessingParams): Expression | null {
+  switch (superpose) {
+    case 'ca': return caExpression;
+    case 'backbone': return StructureSelectionQueries.backbone.expression;
+    case 'pocket': return pocketExpression(ligandExpression(ligand), pocketRadius);
+    default: return null;
+  }
+}
+
+/** Caja periódica del frame; `null` si el formato no la trae */
+function periodicBox(model: Model): PeriodicBox | null {
+  const cell = ModelSymmetry.Provider.get(model)?.spacegroup.cell;
+  if (!cell || SpacegroupCell.isZero(cell)) return null;
+  return new PeriodicBox(cell.toFractional, cell.fromFractional);
+}
+
+function copyPositions(model: Model): Positions {
+  const { x, y, z } = model.atomicConformation;
+  return { x: Float32Array.from(x), y: Float32Array.from(y), z: Float32Array.from(z) };
+}
+
+function gather({ x, y, z }: Positions, atoms: Int32Array): Positions {
+  const out = { x: new Float32Array(atoms.length), y: new Float32Array(atoms.length), z: new Float32Array(atoms.length) };
+  atoms.forEach((atom, k) => {
+    out.x[k] = x[atom];
+    out.y[k] = y[atom];
+    out.z[k] = z[atom];
+  });
+  return out;
+}
+
+const center = Vec3();
+
+/**
+ * Moléculas enteras y centrado sobre la proteína (sin superposición).
+ */
+function unwrap(
+  positions: Positions,
+  box: PeriodicBox | null,
+  plan: Pick<ProcessingPlan, 'layout' | 'centerAtoms' | 'centerMolecules'>,
+  params: ProcessingParams
+): void {
+  const { layout, centerAtoms, centerMolecules } = plan;
+  if (params.makeWhole && box) makeWhole(positions, layout, box);
+  if (!params.center || centerAtoms.length === 0) return;
+
+  if (box) {
+    // Primero se juntan las cadenas de la proteína, después el resto a su alrededor
+    const first = centerAtoms[0];
+    Vec3.set(center, positions.x[first], positions.y[first], positions.z[first]);
+    wrapNear(positions, layout, box, center, m => centerMolecules[m] === 1);
+  }
+  centroid(center, positions, centerAtoms);
+  if (box) wrapNear(positions, layout, box, center, m => centerMolecules[m] === 0);
+  translate(positions, Vec3.negate(center, center));
+}
+
+/**
+ * Modelo con las coordenadas procesadas. Las coordenadas van en el orden del
+ * modelo, así que se indica ese mismo orden para que Mol* no las reordene.
+ */
+function modelWithPositions(model: Model, positions: Positions): Model {
+  const { atomSourceIndex } = model.atomicHierarchy;
+  const symmetryCell = ModelSymmetry.Provider.get(model)?.spacegroup.cell;
+  const frame: Frame = {
+    elementCount: positions.x.length,
+    time: Time(0, 'step'),
+    x: positions.x,
+    y: positions.y,
+    z: positions.z,
+    cell: symmetryCell && !SpacegroupCell.isZero(symmetryCell)
+      ? Cell.create(symmetryCell.size, symmetryCell.anglesInRadians)
+      : undefined,
+    xyzOrdering: Column.isIdentity(atomSourceIndex)
+      ? { isIdentity: true }
+      : { isIdentity: false, index: atomSourceIndex.toArray({ array: Int32Array }) }
+  };
+
+  const coordinates = Coordinates.create([frame], Time(1, 'step'), Time(0, 'step'));
+  const processed = Model.trajectoryFromModelAndCoordinates(model, coordinates).representative;
+
+  const info = Model.TrajectoryInfo.get(model);
+  Model.TrajectoryInfo.set(processed, info);
+  // Los enlaces de PSF/prmtop/top no se copian al crear el modelo
+  const bonds = IndexPairBonds.Provider.get(model);
+  if (bonds) IndexPairBonds.Provider.set(processed, bonds);
+  return processed;
+}
+
+/**
+ * Cα del modelo con residuo en la referencia, y las coordenadas de la
+ * referencia en el mismo orden. Los residuos que solo están en uno de los dos
+ * sistemas (mutaciones con inserciones, extremos) no cuentan.
+ */
+function matchReference(model: Model, alignTo: AlignmentReference): { fitAtoms: Int32Array; reference: Positions } {
+  const referenceIndex = new Map<string, number>();
+  alignTo.keys.forEach((key, k) => {
+    if (!referenceIndex.has(key)) referenceIndex.set(key, k);
+  });
+
+  const atoms = selectAtoms(model, caExpression);
+  const keys = residueKeys(model, atoms);
+  const fitAtoms: number[] = [];
+  const matched: number[] = [];
+  keys.forEach((key, k) => {
+    const index = referenceIndex.get(key);
+    if (index === undefined) return;
+    referenceIndex.delete(key);
+    fitAtoms.push(atoms[k]);
+    matched.push(index);
+  });
+  return { fitAtoms: Int32Array.from(fitAtoms), reference: gather(alignTo.positions, Int32Array.from(matched)) };
+}
+
+async function resolveFrame(trajectory: Trajectory, index: number, ctx: RuntimeContext): Promise<Model> {
+  const frame = trajectory.getFrameAtIndex(index);
+  return Task.is<Model>(frame) ? frame.runInContext(ctx) : frame;
+}
+
+/**
+ * Trayectoria cuyos frames se procesan al pedirlos (incluidos los que llegan
+ * por streaming). Sin opciones activas devuelve los frames originales.
+ */
+class ProcessedTrajectory implements Trajectory {
+  readonly frameCount: number;
+  readonly duration: number;
+  readonly representative: Model;
+
+  constructor(
+    private readonly base: Trajectory,
+    private readonly params: ProcessingParams,
+    private readonly plan: ProcessingPlan | null,
+    /** Aviso si alguna opción no se ha podido aplicar */
+    readonly notice: string | null
+  ) {
+    this.frameCount = base.frameCount;
+    this.duration = base.duration;
+    this.representative = this.process(base.representative);
+  }
+
+  static async create(base: Trajectory, params: ProcessingParams, ctx: RuntimeContext): Promise<ProcessedTrajectory> {
+    if (!params.makeWhole && !params.center && params.superpose === 'none' && !params.alignTo) {
+      return new ProcessedTrajectory(base, params, null, null);
+    }
+
+    const referenceIndex = Math.max(0, Math.min(Math.round(params.referenceFrame), base.frameCount - 1));
+    const referenceModel = await resolveFrame(base, referenceIndex, ctx);
+    const box = periodicBox(referenceModel);
+    const notices: string[] = [];
+    if (params.makeWhole && !box) notices.push('La trayectoria no trae caja periódica: las moléculas no se reconstruyen');
+
+    const layout = moleculeLayout(referenceModel);
+    const molecules = moleculeIndex(layout, referenceModel.atomicHierarchy.atoms._rowCount);
+    let centerAtoms = selectAtoms(referenceModel, StructureSelectionQueries.protein.expression);
+    if (centerAtoms.length === 0) centerAtoms = selectAtoms(referenceModel, StructureSelectionQueries.polymer.expression);
+    if (centerAtoms.length === 0) centerAtoms = Int32Array.from(molecules.keys());
+    const centerMolecules = new Uint8Array(layout.starts.length - 1);
+    centerAtoms.forEach(atom => { centerMolecules[molecules[atom]] = 1; });
+
+    // La superposición se calcula sobre el frame de referencia ya reconstruido y centrado
+    const referencePositions = copyPositions(referenceModel);
+    unwrap(referencePositions, box, { layout, centerAtoms, centerMolecules }, params);
+
+    let fitAtoms: Int32Array | null = null;
+    let reference: Positions | null = null;
+    const expression = fitExpression(params);
+    if (params.alignTo) {
+      // Referencia de otra trayectoria: manda sobre la superposición propia
+      ({ fitAtoms, reference } = matchReference(referenceModel, params.alignTo));
+      if (fitAtoms.length < MIN_FIT_ATOMS) {
+        notices.push('No hay Cα comunes con la simulación de referencia: no se superpone');
+        fitAtoms = null;
+        reference = null;
+      }
+    } else if (expression) {
+      fitAtoms = selectAtoms(modelWithPositions(referenceModel, referencePositions), expression);
+      if (fitAtoms.length < MIN_FIT_ATOMS) {
+        notices.push(`No hay átomos para superponer (${SUPERPOSITION_LABELS[params.superpose]})`);
+        fitAtoms = null;
+      }
+      reference = fitAtoms && gather(referencePositions, fitAtoms);
+    }
+
+    const plan: ProcessingPlan = { layout, centerAtoms, centerMolecules, fitAtoms, reference };
+    return new ProcessedTrajectory(base, params, plan, notices.length > 0 ? notices.join('. ') : null);
+  }
+
+  getFrameAtIndex(index: number): Task<Model> | Model {
+    const frame = this.base.getFrameAtIndex(index);
+    if (!Task.is<Model>(frame)) return this.process(frame);
+
+    return Task.create(`Procesar frame ${index + 1}`, async ctx => this.process(await frame.runInContext(ctx)));
+  }
+
+  private process(model: Model): Model {
+    const { plan } = this;
+    if (!plan) return model;
+
+    const positions = copyPositions(model);
+    unwrap(positions, periodicBox(model), plan, this.params);
+    if (plan.fitAtoms && plan.reference) {
+      const { bTransform } = MinimizeRmsd.compute({ a: plan.reference, b: gather(positions, plan.fitAtoms) });
+      transform(positions, bTransform);
+    }
+    return modelWithPositions(model, positions);
+  }
+}
+
+const SuperpositionOptions = PD.objectToOptions(SUPERPOSITION_LABELS);
+
+export const ProcessedTrajectoryFromTrajectory = PluginStateTransform.BuiltIn({
+  name: 'astroflora-processed-trajectory',
+  display: { name: 'Processed Trajectory', description: 'Superposición, moléculas enteras y centrado de cada frame.' },
+  from: PluginStateObject.Molecule.Trajectory,
+  to: PluginStateObject.Molecule.Trajectory,
+  params: {
+    superpose: PD.Select<SuperpositionSelection>('none', SuperpositionOptions),
+    referenceFrame: PD.Numeric(0, { min: 0, step: 1 }),
+    makeWhole: PD.Boolean(false),
+    center: PD.Boolean(false),
+    ligand: PD.Value<LigandSelector | undefined>(undefined, { isHidden: true }),
+    pocketRadius: PD.Numeric(DEFAULT_BINDING_SITE_RADIUS, { min: 1, max: 15, step: 0.5 }),
+    alignTo: PD.Value<AlignmentReference | undefined>(undefined, { isHidden: true })
+  }
+})({
+  apply({ a, params }) {
+    return Task.create('Procesar trayectoria', async ctx => {
+      const trajectory = await ProcessedTrajectory.create(a.data, params, ctx);
+      return new PluginStateObject.Molecule.Trajectory(trajectory, {
+        label: a.label,
+        description: a.description
+      });
+    });
+  }
+});
+
+type ProcessingOptions = TrajectoryProcessing & {
+  ligand?: LigandSelector;
+  pocketRadius?: number;
+  /** Ajustar cada frame a los Cα de otra trayectoria (ver `alignmentReference`) */
+  alignTo?: AlignmentReference;
+};
+
+const toParams = (options: ProcessingOptions): ProcessingParams => ({
+  ...options,
+  pocketRadius: options.pocketRadius ?? DEFAULT_BINDING_SITE_RADIUS
+});
+
+/**
+ * Inserta el procesado entre la trayectoria y el modelo (que se crea sobre el resultado).
+ */
+export function addTrajectoryProcessing(
+  plugin: PluginContext,
+  trajectory: StateObjectRef<PluginStateObject.Molecule.Trajectory>,
+  options: ProcessingOptions
+): Promise<StateObjectSelector<PluginStateObject.Molecule.Trajectory>> {
+  return plugin.build()
+    .to(trajectory)
+    .apply(ProcessedTrajectoryFromTrajectory, toParams(options))
+    .commit();
+}
+
+/**
+ * Cambia las opciones del procesado; el modelo hijo se recalcula sin cambiar de frame.
+ */
+export async function updateTrajectoryProcessing(
+  plugin: PluginContext,
+  processedRef: string,
+  options: ProcessingOptions
+): Promise<void> {
+  await plugin.build()
+    .to(processedRef)
+    .update(ProcessedTrajectoryFromTrajectory, () => toParams(options))
+    .commit();
+}
+
+/** Aviso de la trayectoria procesada (opción sin efecto); `null` si todo se aplicó */
+export function trajectoryProcessingNotice(plugin: PluginContext, processedRef: string): string | null {
+  const data = plugin.state.data.cells.get(processedRef)?.obj?.data;
+  return data instanceof ProcessedTrajectory ? data.notice : null;
+}
+
+/**
+ * Cα de un frame de la trayectoria procesada, para superponer otras
+ * trayectorias sobre ella; `null` si no hay suficientes.
+ */
+export async function alignmentReference(
+  plugin: PluginContext,
+  processedRef: string,
+  frame: number
+): Promise<AlignmentReference | null> {
+  const trajectory = plugin.state.data.cells.get(processedRef)?.obj?.data;
+  if (!trajectory) return null;
+
+  const index = Math.max(0, Math.min(Math.round(frame), trajectory.frameCount - 1));
+  const model = await plugin.runTask(Task.create('Referencia de superposición', ctx => resolveFrame(trajectory, index, ctx)));
+  const atoms = selectAtoms(model, caExpression);
+  if (atoms.length < MIN_FIT_ATOMS) return null;
+  return { keys: residueKeys(model, atoms), positions: gather(copyPositions(model), atoms) };
+}
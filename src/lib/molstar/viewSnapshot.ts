@@ -0,0 +1,157 @@
+// 🧬 ASTROFLORA 7.1 - MOLSTAR VIEW SNAPSHOT
+// =========================================
+// Cámara y selección del visor en la forma serializable de `ViewState`
+
+import { PluginContext } from 'molstar/lib/mol-plugin/context';
+import { ElementIndex, Structure, StructureElement } from 'molstar/lib/mol-model/structure';
+import { OrderedSet } from 'molstar/lib/mol-data/int';
+import { Vec3 } from 'molstar/lib/mol-math/linear-algebra';
+import { Camera } from 'molstar/lib/mol-canvas3d/camera';
+import { AtomRanges, CameraState, CameraVector } from '../viewState';
+
+const vector = (v: Vec3): CameraVector => [v[0], v[1], v[2]];
+
+/**
+ * Cámara actual; `null` si el visor aún no tiene canvas.
+ */
+export function cameraState(plugin: PluginContext): CameraState | null {
+  const camera = plugin.canvas3d?.camera;
+  if (!camera) return null;
+
+  const { mode, fov, position, up, target, radius, radiusMax, fog, clipFar, minNear, minFar } = camera.getSnapshot();
+  return {
+    mode,
+    fov,
+    position: vector(position),
+    up: vector(up),
+    target: vector(target),
+    radius,
+    radiusMax,
+    fog,
+    clipFar,
+    minNear,
+    minFar
+  };
+}
+
+/**
+ * Coloca la cámara sin transición. La escena pendiente se confirma antes: al
+ * confirmar la primera representación Mol* reencuadra y pisaría la cámara.
+ */
+export function restoreCamera(plugin: PluginContext, state: CameraState): void {
+  plugin.canvas3d?.commit(true);
+  plugin.managers.camera.setSnapshot({
+    ...state,
+    position: Vec3.create(...state.position),
+    up: Vec3.create(...state.up),
+    target: Vec3.create(...state.target)
+  }, 0);
+}
+
+/**
+ * Coloca la cámara al momento (sin esperar al siguiente dibujado), para
+ * seguir a otro visor. Solo el encuadre: el recorte depende de cada escena.
+ */
+export function syncCamera(plugin: PluginContext, { mode, fov, position, up, target, radius }: CameraState): void {
+  const canvas = plugin.canvas3d;
+  if (!canvas) return;
+
+  canvas.camera.setState({
+    mode,
+    fov,
+    radius,
+    position: Vec3.create(...position),
+    up: Vec3.create(...up),
+    target: Vec3.create(...target)
+  }, 0);
+  canvas.requestDraw();
+}
+
+const sameCamera = (a: Camera.Snapshot, b: Camera.Snapshot) => (
+  a.mode === b.mode && a.fov === b.fov && a.radius === b.radius
+  && Vec3.exactEquals(a.position, b.position) && Vec3.exactEquals(a.target, b.target) && Vec3.exactEquals(a.up, b.up)
+);
+
+/**
+ * Avisa cuando la cámara se ha movido. `camera.stateChanged` solo salta con
+ * `setState` (no al girar con el ratón), así que se compara tras cada dibujado.
+ */
+export function subscribeCameraChanges(plugin: PluginContext, listener: () => void): () => void {
+  const canvas = plugin.canvas3d;
+  if (!canvas) return () => {};
+
+  let last = canvas.camera.getSnapshot();
+  const subscription = canvas.didDraw.subscribe(() => {
+    const current = canvas.camera.getSnapshot();
+    if (sameCamera(current, last)) return;
+    last = current;
+    listener();
+  });
+  return () => subscription.unsubscribe();
+}
+
+const structureOf = (plugin: PluginContext, structureRef: string) => (
+  plugin.state.data.cells.get(structureRef)?.obj?.data as Structure | undefined
+);
+
+/**
+ * Átomos seleccionados en la estructura, como rangos ordenados de índices del
+ * modelo (iguales en todos los frames).
+ */
+export function selectionRanges(plugin: PluginContext, structureRef: string): AtomRanges {
+  const structure = structureOf(plugin, structureRef);
+  if (!structure) return [];
+
+  const loci = plugin.managers.structure.selection.getLoci(structure);
+  if (!StructureElement.Loci.is(loci)) return [];
+
+  const atoms: number[] = [];
+  for (const { unit, indices } of loci.elements) {
+    OrderedSet.forEach(indices, index => {
+      atoms.push(unit.elements[index]);
+    });
+  }
+  atoms.sort((a, b) => a - b);
+
+  const ranges: AtomRanges = [];
+  for (const atom of atoms) {
+    const last = ranges[ranges.length - 1];
+    if (last && atom <= last[1] + 1) last[1] = Math.max(last[1], atom);
+    else ranges.push([atom, atom]);
+  }
+  return ranges;
+}
+
+const inRanges = (ranges: AtomRanges, atom: ElementIndex) => {
+  // Búsqueda binaria: los rangos están ordenados y no se solapan
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (atom < ranges[mid][0]) high = mid - 1;
+    else if (atom > ranges[mid][1]) low = mid + 1;
+    else return true;
+  }
+  return false;
+};
+
+/**
+ * Sustituye la selección de la estructura por los átomos de `ranges`.
+ */
+export function restoreSelection(plugin: PluginContext, structureRef: string, ranges: AtomRanges): void {
+  const structure = structureOf(plugin, structureRef);
+  if (!structure) return;
+
+  const { selection } = plugin.managers.structure;
+  const elements: StructureElement.Loci['elements'][0][] = [];
+  for (const unit of structure.units) {
+    const indices: StructureElement.UnitIndex[] = [];
+    for (let i = 0; i < unit.elements.length; i++) {
+      if (inRanges(ranges, unit.elements[i])) indices.push(i as StructureElement.UnitIndex);
+    }
+    if (indices.length > 0) elements.push({ unit, indices: OrderedSet.ofSortedArray(indices) });
+  }
+
+  if (elements.length === 0) selection.clear();
+  else selection.fromLoci('set', StructureElement.Loci(structure, elements));
+}
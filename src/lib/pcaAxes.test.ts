@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_PC_AXES,
+  PCAxes,
+  axisTitle,
+  componentCount,
+  cumulativeVariance,
+  normalizeAxes,
+  setAxisComponent,
+  varianceByComponent
+} from './pcaAxes';
+
+describe('componentCount', () => {
+  it('cuenta los componentes consecutivos que traen todos los puntos', () => {
+    expect(componentCount([{ pc1: 1, pc2: 2, pc3: 3 }, { pc1: 0, pc2: -1, pc3: 5 }])).toBe(3);
+    // pc3 falta en un punto: pc4 ya no cuenta aunque esté en todos
+    expect(componentCount([{ pc1: 1, pc2: 2, pc3: 3, pc4: 1 }, { pc1: 0, pc2: -1, pc4: 1 }])).toBe(2);
+    expect(componentCount([{ pc1: 1, pc2: NaN }])).toBe(1);
+    expect(componentCount([{ frame: 0 }])).toBe(0);
+    expect(componentCount([])).toBe(0);
+  });
+});
+
+describe('varianceByComponent', () => {
+  it('acepta una lista y completa hasta `count` con null', () => {
+    expect(varianceByComponent([61.2, 24.5], 4)).toEqual([61.2, 24.5, null, null]);
+    expect(varianceByComponent(Float64Array.from([50, 30, 10]), 2)).toEqual([50, 30, 10]);
+  });
+
+  it('acepta un objeto por nombre de componente', () => {
+    expect(varianceByComponent({ pc1: 61.2, pc3: 6.8 }, 3)).toEqual([61.2, null, 6.8]);
+  });
+
+  it('los valores no finitos y la varianza ausente quedan en null', () => {
+    expect(varianceByComponent([40, NaN, null, undefined], 4)).toEqual([40, null, null, null]);
+    expect(varianceByComponent(null, 2)).toEqual([null, null]);
+    expect(varianceByComponent(undefined)).toEqual([]);
+  });
+});
+
+describe('cumulativeVariance', () => {
+  it('suma hasta el primer componente desconocido', () => {
+    expect(cumulativeVariance([50, 30, 10])).toEqual([50, 80, 90]);
+    expect(cumulativeVariance([50, null, 10])).toEqual([50, null, null]);
+  });
+});
+
+describe('normalizeAxes', () => {
+  it('conserva ejes válidos y distintos', () => {
+    expect(normalizeAxes([3, 1, 2], 5)).toEqual([3, 1, 2]);
+    expect(normalizeAxes([4, 5, 1], 5)).toEqual([4, 5, 1]);
+  });
+
+  it('sin ejes usa PC1, PC2 y PC3', () => {
+    expect(normalizeAxes(null, 5)).toEqual(DEFAULT_PC_AXES);
+    expect(normalizeAxes([2], 5)).toEqual([2, 1, 3]);
+  });
+
+  it('los ejes fuera de rango, repetidos o no enteros pasan al componente libre más bajo', () => {
+    expect(normalizeAxes([7, 2, 3], 4)).toEqual([1, 2, 3]);
+    expect(normalizeAxes([2, 2, 2], 4)).toEqual([2, 1, 3]);
+    expect(normalizeAxes([1.5, 0, -1], 4)).toEqual([1, 2, 3]);
+  });
+
+  it('con menos de tres componentes el eje Z no se usa', () => {
+    expect(normalizeAxes([2, 1, 3], 2)).toEqual([2, 1, 3]);
+    expect(normalizeAxes([5, 6, 7], 2)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('setAxisComponent', () => {
+  const axes: PCAxes = [1, 2, 3];
+
+  it('cambia el componente de un eje', () => {
+    expect(setAxisComponent(axes, 0, 4)).toEqual([4, 2, 3]);
+  });
+
+  it('intercambia los ejes si el componente ya estaba en otro', () => {
+    expect(setAxisComponent(axes, 0, 2)).toEqual([2, 1, 3]);
+    expect(setAxisComponent(axes, 2, 1)).toEqual([3, 2, 1]);
+    expect(setAxisComponent(axes, 1, 2)).toEqual([1, 2, 3]);
+    expect(axes).toEqual([1, 2, 3]);
+  });
+});
+
+describe('axisTitle', () => {
+  it('añade la varianza con un decimal si se conoce', () => {
+    const variances = [61.24, null, 6.75];
+    expect(axisTitle(1, variances)).toBe('PC1 (61.2%)');
+    expect(axisTitle(2, variances)).toBe('PC2');
+    expect(axisTitle(3, variances)).toBe('PC3 (6.8%)');
+    expect(axisTitle(4, variances)).toBe('PC4');
+  });
+});
@@ -0,0 +1,96 @@
+// 🧬 ASTROFLORA 7.1 - PCA AXES
+// ============================
+// Componentes principales de las proyecciones, ejes elegidos y varianza explicada por componente
+
+/** Componentes (1 = PC1) de los ejes X, Y y Z; en 2D se usan los dos primeros */
+export type PCAxes = [number, number, number];
+
+export const DEFAULT_PC_AXES: PCAxes = [1, 2, 3];
+
+/**
+ * Varianza explicada (%) por componente: lista (índice 0 = PC1) o por
+ * nombre (`{ pc1: 61.2, pc2: 24.5 }`).
+ */
+export type ExplainedVariance = ArrayLike<number | null | undefined> | Record<string, number | null | undefined>;
+
+export const componentKey = (component: number) => `pc${component}`;
+
+export const componentLabel = (component: number) => `PC${component}`;
+
+const isValue = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Número de componentes consecutivos (`pc1`, `pc2`...) que traen todos los puntos.
+ */
+export function componentCount(points: Record<string, unknown>[]): number {
+  if (points.length === 0) return 0;
+  let count = 0;
+  while (points.every(point => isValue(point[componentKey(count + 1)]))) count++;
+  return count;
+}
+
+/**
+ * Varianza de los `count` primeros componentes (o de todos los que traiga la
+ * lista, si son más); `null` donde no se conoce.
+ */
+export function varianceByComponent(explained: ExplainedVariance | null | undefined, count = 0): (number | null)[] {
+  const list = explained && typeof (explained as ArrayLike<unknown>).length === 'number'
+    ? Array.from(explained as ArrayLike<number | null | undefined>)
+    : null;
+  const length = Math.max(count, list?.length ?? 0);
+
+  return Array.from({ length }, (_, i) => {
+    const value = list ? list[i] : (explained as Record<string, unknown> | null | undefined)?.[componentKey(i + 1)];
+    return isValue(value) ? value : null;
+  });
+}
+
+/**
+ * Varianza acumulada; deja de sumarse en el primer componente desconocido.
+ */
+export function cumulativeVariance(variances: (number | null)[]): (number | null)[] {
+  let total: number | null = 0;
+  return variances.map(value => {
+    total = total !== null && value !== null ? total + value : null;
+    return total;
+  });
+}
+
+/**
+ * Ejes válidos para `count` componentes: en rango y distintos entre sí. Los
+ * que no lo son pasan al componente libre más bajo.
+ */
+export function normalizeAxes(axes: ArrayLike<number> | null | undefined, count: number): PCAxes {
+  const result: number[] = [];
+  for (let i = 0; i < 3; i++) {
+    const requested = axes?.[i] ?? DEFAULT_PC_AXES[i];
+    if (Number.isInteger(requested) && requested >= 1 && requested <= count && !result.includes(requested)) {
+      result.push(requested);
+      continue;
+    }
+    let free = 1;
+    while (free <= count && result.includes(free)) free++;
+    // Con menos de tres componentes el eje Z no se usa
+    result.push(free <= count ? free : DEFAULT_PC_AXES[i]);
+  }
+  return result as PCAxes;
+}
+
+/**
+ * Cambia el componente de un eje; si ya estaba en otro eje, los intercambia.
+ */
+export function setAxisComponent(axes: PCAxes, index: number, component: number): PCAxes {
+  const next = [...axes] as PCAxes;
+  const other = next.indexOf(component);
+  if (other !== -1 && other !== index) next[other] = next[index];
+  next[index] = component;
+  return next;
+}
+
+/** Título de un eje con su varianza, p. ej. `PC3 (6.8%)` */
+export function axisTitle(component: number, variances: (number | null)[]): string {
+  const variance = variances[component - 1];
+  return variance === null || variance === undefined
+    ? componentLabel(component)
+    : `${componentLabel(component)} (${variance.toFixed(1)}%)`;
+}
@@ -0,0 +1,149 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_PLAYBACK,
+  PlaybackSettings,
+  isOutsidePlayback,
+  nextPlaybackFrame,
+  normalizeFrameList,
+  normalizePlayback,
+  playbackBounds,
+  playbackFrames,
+  playbackRange,
+  stepPlaybackFrame,
+  upcomingPlaybackFrames
+} from './playback';
+
+const settings = (changes: Partial<PlaybackSettings>): PlaybackSettings => ({ ...DEFAULT_PLAYBACK, ...changes });
+
+/** Secuencia de frames que se mostrarían desde `start` */
+const sequence = (playback: PlaybackSettings, frameCount: number, count: number, start = 0) => (
+  upcomingPlaybackFrames(start, 1, playback, frameCount, count)
+);
+
+describe('normalizePlayback', () => {
+  it('completa los valores que faltan y corrige los no válidos', () => {
+    expect(normalizePlayback(null)).toEqual(DEFAULT_PLAYBACK);
+    expect(normalizePlayback({ fps: 500, step: 2.7, mode: 'x' as never })).toMatchObject({
+      fps: 60,
+      step: 2,
+      mode: 'loop'
+    });
+    expect(normalizePlayback({ fps: -1, step: 0 })).toMatchObject({ fps: 10, step: 1 });
+  });
+});
+
+describe('playbackRange', () => {
+  it('ordena los extremos y los recorta a la trayectoria', () => {
+    expect(playbackRange(null, 10)).toEqual({ start: 0, end: 9 });
+    expect(playbackRange({ start: 8, end: 2 }, 10)).toEqual({ start: 2, end: 8 });
+    expect(playbackRange({ start: -5, end: 50 }, 10)).toEqual({ start: 0, end: 9 });
+  });
+});
+
+describe('nextPlaybackFrame', () => {
+  it('loop: muestra el último frame aunque el paso no caiga en él y vuelve al inicio', () => {
+    expect(sequence(settings({ step: 3 }), 8, 6)).toEqual([3, 6, 7, 0, 3, 6]);
+  });
+
+  it('bounce: cambia de sentido en los extremos sin repetirlos', () => {
+    expect(sequence(settings({ mode: 'bounce' }), 4, 8)).toEqual([1, 2, 3, 2, 1, 0, 1, 2]);
+    expect(sequence(settings({ mode: 'bounce', step: 2 }), 6, 6)).toEqual([2, 4, 5, 3, 1, 0]);
+  });
+
+  it('once: se detiene en el último frame', () => {
+    expect(sequence(settings({ mode: 'once', step: 2 }), 6, 10)).toEqual([2, 4, 5]);
+    expect(nextPlaybackFrame(5, 1, settings({ mode: 'once' }), 6)).toBeNull();
+  });
+
+  it('recorre solo el rango y vuelve a su inicio desde fuera de él', () => {
+    const ranged = settings({ range: { start: 4, end: 6 } });
+    expect(sequence(ranged, 10, 5, 4)).toEqual([5, 6, 4, 5, 6]);
+    expect(nextPlaybackFrame(9, 1, ranged, 10)).toEqual({ frame: 4, direction: 1 });
+  });
+
+  it('con un solo frame no hay siguiente', () => {
+    expect(nextPlaybackFrame(0, 1, DEFAULT_PLAYBACK, 1)).toBeNull();
+    expect(nextPlaybackFrame(3, 1, settings({ range: { start: 3, end: 3 } }), 10)).toBeNull();
+  });
+});
+
+describe('subconjunto de frames', () => {
+  const subset = (changes: Partial<PlaybackSettings> = {}) => settings({ frames: [3, 5, 9], ...changes });
+
+  it('normaliza la lista y trata una lista vacía como toda la trayectoria', () => {
+    expect(normalizeFrameList([9, 3, 3, -2, 1.5, 5])).toEqual([3, 5, 9]);
+    expect(normalizePlayback({ frames: [9, 3] }).frames).toEqual([3, 9]);
+    expect(normalizePlayback({ frames: [] }).frames).toBeNull();
+  });
+
+  it('recorre solo los frames del subconjunto en cada modo', () => {
+    expect(sequence(subset(), 12, 6, 3)).toEqual([5, 9, 3, 5, 9, 3]);
+    expect(sequence(subset({ mode: 'bounce' }), 12, 5, 3)).toEqual([5, 9, 5, 3, 5]);
+    expect(sequence(subset({ mode: 'once' }), 12, 5, 3)).toEqual([5, 9]);
+  });
+
+  it('el paso cuenta frames del subconjunto', () => {
+    expect(sequence(settings({ frames: [1, 2, 4, 8, 16], step: 2 }), 20, 4, 1)).toEqual([4, 16, 1, 4]);
+  });
+
+  it('un frame fuera del subconjunto vuelve a su primer frame', () => {
+    expect(nextPlaybackFrame(4, 1, subset(), 12)).toEqual({ frame: 3, direction: 1 });
+    expect(isOutsidePlayback(4, subset(), 12)).toBe(true);
+    expect(isOutsidePlayback(5, subset(), 12)).toBe(false);
+  });
+
+  it('el rango y la longitud de la trayectoria recortan el subconjunto', () => {
+    expect(playbackFrames(subset({ range: { start: 4, end: 20 } }), 12)).toEqual([5, 9]);
+    expect(playbackFrames(subset(), 6)).toEqual([3, 5]);
+    expect(playbackBounds(subset(), 12)).toEqual({ start: 3, end: 9 });
+    expect(playbackFrames(DEFAULT_PLAYBACK, 12)).toBeNull();
+  });
+});
+
+describe('stepPlaybackFrame', () => {
+  it('avanza y retrocede de uno en uno por defecto', () => {
+    expect(stepPlaybackFrame(4, 1, DEFAULT_PLAYBACK, 10)).toBe(5);
+    expect(stepPlaybackFrame(4, -1, DEFAULT_PLAYBACK, 10)).toBe(3);
+  });
+
+  it('usa el paso y muestra el extremo antes de salirse', () => {
+    const stepped = settings({ step: 3 });
+    expect(stepPlaybackFrame(2, 1, stepped, 10)).toBe(5);
+    expect(stepPlaybackFrame(8, 1, stepped, 10)).toBe(9);
+    expect(stepPlaybackFrame(5, -1, stepped, 10)).toBe(2);
+    expect(stepPlaybackFrame(2, -1, stepped, 10)).toBe(0);
+  });
+
+  it('se detiene en los extremos del rango sin dar la vuelta, también en loop y bounce', () => {
+    const ranged = settings({ range: { start: 3, end: 6 } });
+    expect(stepPlaybackFrame(6, 1, ranged, 10)).toBeNull();
+    expect(stepPlaybackFrame(3, -1, ranged, 10)).toBeNull();
+    expect(stepPlaybackFrame(3, -1, { ...ranged, mode: 'bounce' }, 10)).toBeNull();
+    expect(stepPlaybackFrame(5, 1, ranged, 10)).toBe(6);
+    expect(stepPlaybackFrame(0, 1, DEFAULT_PLAYBACK, 1)).toBeNull();
+  });
+
+  it('un frame fuera del rango va a su inicio en ambos sentidos', () => {
+    const ranged = settings({ range: { start: 3, end: 6 } });
+    expect(stepPlaybackFrame(8, 1, ranged, 10)).toBe(3);
+    expect(stepPlaybackFrame(8, -1, ranged, 10)).toBe(3);
+  });
+
+  it('recorre las posiciones del subconjunto con su paso', () => {
+    const subset = settings({ frames: [1, 2, 4, 8, 16], step: 2 });
+    expect(stepPlaybackFrame(1, 1, subset, 20)).toBe(4);
+    expect(stepPlaybackFrame(4, 1, subset, 20)).toBe(16);
+    expect(stepPlaybackFrame(8, 1, subset, 20)).toBe(16);
+    expect(stepPlaybackFrame(16, 1, subset, 20)).toBeNull();
+    expect(stepPlaybackFrame(16, -1, subset, 20)).toBe(4);
+    expect(stepPlaybackFrame(2, -1, subset, 20)).toBe(1);
+    expect(stepPlaybackFrame(5, 1, subset, 20)).toBe(1);
+  });
+
+  it('el rango recorta el subconjunto', () => {
+    const subset = settings({ frames: [1, 2, 4, 8, 16], range: { start: 2, end: 10 } });
+    expect(stepPlaybackFrame(8, 1, subset, 20)).toBeNull();
+    expect(stepPlaybackFrame(2, -1, subset, 20)).toBeNull();
+    expect(stepPlaybackFrame(1, 1, subset, 20)).toBe(2);
+  });
+});
@@ -0,0 +1,216 @@
+// 🧬 ASTROFLORA 7.1 - PLAYBACK
+// ============================
+// Reglas de reproducción de trayectorias: velocidad, paso, modo, rango y subconjunto de frames
+
+/** `loop` vuelve al inicio, `bounce` cambia de sentido en los extremos, `once` se detiene al final */
+export type PlaybackMode = 'loop' | 'bounce' | 'once';
+
+/** Sentido de avance: 1 hacia delante, -1 hacia atrás (solo en `bounce`) */
+export type PlaybackDirection = 1 | -1;
+
+export interface FrameRange {
+  /** Primer frame (0-indexed, incluido) */
+  start: number;
+  /** Último frame (0-indexed, incluido) */
+  end: number;
+}
+
+export interface PlaybackSettings {
+  /** Frames mostrados por segundo */
+  fps: number;
+  /** Frames que avanza cada paso */
+  step: number;
+  mode: PlaybackMode;
+  /** Frames reproducidos; `null` para toda la trayectoria */
+  range: FrameRange | null;
+  /**
+   * Subconjunto de frames (0-indexed, ordenados) reproducido como una
+   * trayectoria filtrada, p. ej. una selección del mapa PCA; `null` para todos.
+   * El paso cuenta frames del subconjunto y el rango lo recorta.
+   */
+  frames?: number[] | null;
+}
+
+export const DEFAULT_PLAYBACK: PlaybackSettings = {
+  fps: 10,
+  step: 1,
+  mode: 'loop',
+  range: null,
+  frames: null
+};
+
+export const PLAYBACK_MODE_LABELS: Record<PlaybackMode, string> = {
+  loop: 'Bucle',
+  bounce: 'Ida y vuelta',
+  once: 'Una vez'
+};
+
+export const PLAYBACK_FPS_OPTIONS = [1, 2, 5, 10, 15, 24, 30, 60];
+
+const MAX_FPS = 60;
+
+const isMode = (value: unknown): value is PlaybackMode => (
+  typeof value === 'string' && value in PLAYBACK_MODE_LABELS
+);
+
+/** Frames válidos (enteros no negativos), ordenados y sin repetir */
+export function normalizeFrameList(frames: readonly unknown[]): number[] {
+  const valid = frames.filter((frame): frame is number => Number.isInteger(frame) && (frame as number) >= 0);
+  return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Ajustes completos a partir de unos parciales (props, estado guardado):
+ * FPS entre 0 y 60, paso entero positivo, modo conocido y subconjunto no vacío.
+ */
+export function normalizePlayback(settings?: Partial<PlaybackSettings> | null): PlaybackSettings {
+  const { fps, step, mode, range, frames } = { ...DEFAULT_PLAYBACK, ...settings };
+  const subset = Array.isArray(frames) ? normalizeFrameList(frames) : [];
+  return {
+    fps: Number.isFinite(fps) && fps > 0 ? Math.min(fps, MAX_FPS) : DEFAULT_PLAYBACK.fps,
+    step: Number.isFinite(step) && step >= 1 ? Math.floor(step) : DEFAULT_PLAYBACK.step,
+    mode: isMode(mode) ? mode : DEFAULT_PLAYBACK.mode,
+    range: range && Number.isFinite(range.start) && Number.isFinite(range.end)
+      ? { start: Math.floor(range.start), end: Math.floor(range.end) }
+      : null,
+    frames: subset.length ? subset : null
+  };
+}
+
+/**
+ * Rango reproducido dentro de la trayectoria; los extremos se ordenan y se
+ * recortan a los frames existentes.
+ */
+export function playbackRange(range: FrameRange | null, frameCount: number): FrameRange {
+  const last = Math.max(frameCount - 1, 0);
+  if (!range) return { start: 0, end: last };
+
+  const clamp = (frame: number) => Math.min(Math.max(frame, 0), last);
+  const start = clamp(Math.min(range.start, range.end));
+  const end = clamp(Math.max(range.start, range.end));
+  return { start, end };
+}
+
+/**
+ * Frames del subconjunto que existen y caen en el rango, o `null` si se
+ * reproduce toda la trayectoria (o el rango).
+ */
+export function playbackFrames(settings: PlaybackSettings, frameCount: number): number[] | null {
+  if (!settings.frames) return null;
+  const { start, end } = playbackRange(settings.range, frameCount);
+  return settings.frames.filter(frame => frame >= start && frame <= end && frame < frameCount);
+}
+
+/**
+ * Primer y último frame reproducidos: los del subconjunto si lo hay y, si no,
+ * los del rango.
+ */
+export function playbackBounds(settings: PlaybackSettings, frameCount: number): FrameRange {
+  const frames = playbackFrames(settings, frameCount);
+  if (!frames?.length) return playbackRange(settings.range, frameCount);
+  return { start: frames[0], end: frames[frames.length - 1] };
+}
+
+/**
+ * Si un frame está fuera de lo que se reproduce (rango o subconjunto).
+ */
+export function isOutsidePlayback(frame: number, settings: PlaybackSettings, frameCount: number): boolean {
+  const frames = playbackFrames(settings, frameCount);
+  if (frames) return !frames.includes(frame);
+  const { start, end } = playbackRange(settings.range, frameCount);
+  return frame < start || frame > end;
+}
+
+/**
+ * Siguiente frame de la reproducción, o `null` si termina (`once` en el último
+ * frame). Antes de volver al inicio o cambiar de sentido se muestra el extremo
+ * del rango aunque el paso no caiga en él. Un frame fuera del rango vuelve a su
+ * inicio. Con subconjunto, lo mismo sobre las posiciones de sus frames.
+ */
+export function nextPlaybackFrame(
+  current: number,
+  direction: PlaybackDirection,
+  settings: PlaybackSettings,
+  frameCount: number
+): { frame: number; direction: PlaybackDirection } | null {
+  const frames = playbackFrames(settings, frameCount);
+  if (frames) {
+    if (frames.length < 2) return null;
+    const position = frames.indexOf(current);
+    if (position === -1) return { frame: frames[0], direction: 1 };
+    const next = stepWithin(position, direction, settings, 0, frames.length - 1);
+    return next && { frame: frames[next.frame], direction: next.direction };
+  }
+
+  const { start, end } = playbackRange(settings.range, frameCount);
+  return stepWithin(current, direction, settings, start, end);
+}
+
+// Avance entre `start` y `end` (frames o posiciones del subconjunto)
+function stepWithin(
+  current: number,
+  direction: PlaybackDirection,
+  settings: PlaybackSettings,
+  start: number,
+  end: number
+): { frame: number; direction: PlaybackDirection } | null {
+  if (start === end) return null;
+  if (current < start || current > end) return { frame: start, direction: 1 };
+
+  const next = current + direction * settings.step;
+  if (next >= start && next <= end) return { frame: next, direction };
+
+  // El paso se sale del rango: primero el extremo
+  const edge = direction === 1 ? end : start;
+  if (current !== edge) return { frame: edge, direction };
+
+  switch (settings.mode) {
+    case 'loop':
+      return { frame: start, direction: 1 };
+    case 'bounce': {
+      const reversed: PlaybackDirection = direction === 1 ? -1 : 1;
+      const frame = Math.min(Math.max(current + reversed * settings.step, start), end);
+      return { frame, direction: reversed };
+    }
+    case 'once':
+      return null;
+  }
+}
+
+/**
+ * Frame anterior (`-1`) o siguiente (`1`) al avanzar a mano: un paso dentro del
+ * rango o del subconjunto, con el extremo antes de salirse y sin dar la vuelta
+ * (`null` en el extremo). Un frame fuera de lo reproducido va a su inicio.
+ */
+export function stepPlaybackFrame(
+  current: number,
+  direction: PlaybackDirection,
+  settings: PlaybackSettings,
+  frameCount: number
+): number | null {
+  if (frameCount < 1) return null;
+  if (isOutsidePlayback(current, settings, frameCount)) return playbackBounds(settings, frameCount).start;
+  return nextPlaybackFrame(current, direction, { ...settings, mode: 'once' }, frameCount)?.frame ?? null;
+}
+
+/**
+ * Los próximos `count` frames de la reproducción desde `current`, para
+ * pedirlos antes de mostrarlos.
+ */
+export function upcomingPlaybackFrames(
+  current: number,
+  direction: PlaybackDirection,
+  settings: PlaybackSettings,
+  frameCount: number,
+  count: number
+): number[] {
+  const frames: number[] = [];
+  let position = { frame: current, direction };
+  for (let i = 0; i < count; i++) {
+    const next = nextPlaybackFrame(position.frame, position.direction, settings, frameCount);
+    if (!next) break;
+    frames.push(next.frame);
+    position = next;
+  }
+  return frames;
+}
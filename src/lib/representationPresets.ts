@@ -0,0 +1,44 @@
+// 🧬 ASTROFLORA 7.1 - REPRESENTATION PRESETS
+// ==========================================
+// Presets de representación guardados por simulación en localStorage
+
+import { RepresentationSpec, isRepresentationSpec } from './representations';
+import { readJson, writeJson } from './browserStorage';
+
+export type RepresentationPresets = Record<string, RepresentationSpec[]>;
+
+const STORAGE_PREFIX = 'astroflora:representations:';
+
+const storageKey = (simulationId: string) => `${STORAGE_PREFIX}${simulationId}`;
+
+/**
+ * Presets guardados de una simulación. Descarta entradas corruptas.
+ */
+export function loadPresets(simulationId: string): RepresentationPresets {
+  const parsed = readJson(storageKey(simulationId));
+  if (!parsed || typeof parsed !== 'object') return {};
+
+  return Object.fromEntries(
+    Object.entries(parsed as Record<string, unknown>)
+      .filter(([, specs]) => Array.isArray(specs) && specs.every(isRepresentationSpec))
+  ) as RepresentationPresets;
+}
+
+function writePresets(simulationId: string, presets: RepresentationPresets): RepresentationPresets {
+  if (!writeJson(storageKey(simulationId), presets)) {
+    console.warn('[representationPresets] No se pudo guardar el preset');
+  }
+  return presets;
+}
+
+/**
+ * Guarda (o sobrescribe) un preset y devuelve la lista actualizada.
+ */
+export function savePreset(simulationId: string, name: string, specs: RepresentationSpec[]): RepresentationPresets {
+  return writePresets(simulationId, { ...loadPresets(simulationId), [name]: specs });
+}
+
+export function deletePreset(simulationId: string, name: string): RepresentationPresets {
+  const { [name]: _removed, ...rest } = loadPresets(simulationId);
+  return writePresets(simulationId, rest);
+}
@@ -0,0 +1,108 @@
+// 🧬 ASTROFLORA 7.1 - REPRESENTATIONS
+// ===================================
+// Representaciones declarativas (selección + tipo + color): tipos, etiquetas, presets y validación
+
+export type RepresentationSelection = 'all' | 'protein' | 'nucleic' | 'ligand' | 'lipid' | 'water' | 'ion' | 'residues';
+export type RepresentationType = 'cartoon' | 'surface' | 'ball-and-stick' | 'spacefill' | 'putty';
+export type RepresentationColor = 'chain' | 'secondary-structure' | 'hydrophobicity' | 'b-factor' | 'uncertainty' | 'element';
+
+/** Rango de residuos (numeración del archivo, `auth_seq_id`), ambos extremos incluidos */
+export interface ResidueRange {
+  start: number;
+  end: number;
+  /** Cadena (`auth_asym_id`); sin ella, todas */
+  chain?: string;
+}
+
+export interface RepresentationSpec {
+  selection: RepresentationSelection;
+  /** Obligatorio con `selection: 'residues'` */
+  residues?: ResidueRange;
+  type: RepresentationType;
+  color: RepresentationColor;
+}
+
+export const SELECTION_LABELS: Record<RepresentationSelection, string> = {
+  all: 'Todo',
+  protein: 'Proteína',
+  nucleic: 'Ácidos nucleicos',
+  ligand: 'Ligandos',
+  lipid: 'Lípidos',
+  water: 'Agua',
+  ion: 'Iones',
+  residues: 'Rango de residuos'
+};
+
+export const TYPE_LABELS: Record<RepresentationType, string> = {
+  cartoon: 'Cartoon',
+  surface: 'Superficie',
+  'ball-and-stick': 'Bolas y varillas',
+  spacefill: 'Esferas (spacefill)',
+  putty: 'Putty'
+};
+
+export const COLOR_LABELS: Record<RepresentationColor, string> = {
+  chain: 'Cadena',
+  'secondary-structure': 'Estructura secundaria',
+  hydrophobicity: 'Hidrofobicidad',
+  'b-factor': 'Factor B',
+  uncertainty: 'Incertidumbre (RMSF)',
+  element: 'Elemento'
+};
+
+/**
+ * Representaciones por defecto: nada sobre el disolvente, que en una caja de MD
+ * son decenas de miles de átomos.
+ */
+export const DEFAULT_REPRESENTATIONS: RepresentationSpec[] = [
+  { selection: 'protein', type: 'cartoon', color: 'chain' },
+  { selection: 'nucleic', type: 'cartoon', color: 'chain' },
+  { selection: 'ligand', type: 'ball-and-stick', color: 'element' },
+  { selection: 'ion', type: 'spacefill', color: 'element' }
+];
+
+/** Presets incluidos; los del usuario se guardan por simulación */
+export const BUILTIN_PRESETS: Record<string, RepresentationSpec[]> = {
+  'Por defecto': DEFAULT_REPRESENTATIONS,
+  'Superficie hidrofóbica': [
+    { selection: 'protein', type: 'surface', color: 'hydrophobicity' },
+    { selection: 'ligand', type: 'ball-and-stick', color: 'element' }
+  ],
+  'Flexibilidad (B/RMSF)': [
+    { selection: 'protein', type: 'putty', color: 'b-factor' },
+    { selection: 'ligand', type: 'ball-and-stick', color: 'element' }
+  ],
+  'Estructura secundaria': [
+    { selection: 'protein', type: 'cartoon', color: 'secondary-structure' },
+    { selection: 'ligand', type: 'ball-and-stick', color: 'element' }
+  ]
+};
+
+const oneOf = <T extends string>(labels: Record<T, string>, value: unknown): value is T => (
+  typeof value === 'string' && value in labels
+);
+
+/**
+ * Comprueba que un objeto (p. ej. leído de localStorage o de una URL) es una
+ * representación válida.
+ */
+export function isRepresentationSpec(value: unknown): value is RepresentationSpec {
+  if (!value || typeof value !== 'object') return false;
+  const spec = value as Record<string, unknown>;
+
+  if (!oneOf(SELECTION_LABELS, spec.selection)) return false;
+  if (!oneOf(TYPE_LABELS, spec.type) || !oneOf(COLOR_LABELS, spec.color)) return false;
+  if (spec.selection !== 'residues') return true;
+
+  const range = spec.residues as ResidueRange | undefined;
+  return !!range && Number.isInteger(range.start) && Number.isInteger(range.end) && range.start <= range.end;
+}
+
+/**
+ * Etiqueta legible de la selección (para la lista y los componentes de Mol*).
+ */
+export function selectionLabel(spec: RepresentationSpec): string {
+  if (spec.selection !== 'residues' || !spec.residues) return SELECTION_LABELS[spec.selection];
+  const { start, end, chain } = spec.residues;
+  return `${chain ? `${chain}:` : ''}${start}-${end}`;
+}
@@ -0,0 +1,22 @@
+// 🧬 ASTROFLORA 7.1 - SAVE FILE
+// =============================
+// Descarga de archivos generados en el navegador (CSV, imágenes, vídeos)
+
+/**
+ * Ofrece el blob como descarga con el nombre indicado.
+ */
+export function saveBlob(filename: string, blob: Blob): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Algunos navegadores leen la URL después del click
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function saveTextFile(filename: string, content: string, type = 'text/plain'): void {
+  saveBlob(filename, new Blob([content], { type: `${type};charset=utf-8` }));
+}
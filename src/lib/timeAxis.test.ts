@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import {
+  convertTime,
+  displayUnit,
+  formatTime,
+  frameTime,
+  hasFrameTimes,
+  timeAxisFromFrames
+} from './timeAxis';
+
+describe('convertTime', () => {
+  it('convierte entre ps, ns y µs', () => {
+    expect(convertTime(1500, 'ps', 'ns')).toBe(1.5);
+    expect(convertTime(2, 'µs', 'ns')).toBe(2000);
+    expect(convertTime(0.25, 'ns', 'ns')).toBe(0.25);
+  });
+});
+
+describe('frameTime', () => {
+  it('calcula el tiempo con inicio y paso', () => {
+    const axis = { unit: 'ns' as const, start: 5, step: 0.1 };
+    expect(frameTime(axis, 10)).toBeCloseTo(6);
+    expect(frameTime(axis, 10, 'ps')).toBeCloseTo(6000);
+  });
+
+  it('usa los tiempos por frame y no inventa los que faltan', () => {
+    const axis = { unit: 'ps' as const, times: [0, 10, 25] };
+    expect(frameTime(axis, 2)).toBe(25);
+    expect(frameTime(axis, 3)).toBeNull();
+    expect(frameTime({ unit: 'ps', times: [0, NaN] }, 1)).toBeNull();
+  });
+
+  it('sin tiempos (solo unidad) devuelve null', () => {
+    expect(hasFrameTimes({ unit: 'ns' })).toBe(false);
+    expect(frameTime({ unit: 'ns' }, 0)).toBeNull();
+    expect(frameTime(null, 0)).toBeNull();
+  });
+});
+
+describe('displayUnit y formatTime', () => {
+  it('muestra ns por defecto y recorta ceros sobrantes', () => {
+    expect(displayUnit(null)).toBe('ns');
+    expect(displayUnit({ unit: 'µs' })).toBe('µs');
+    expect(formatTime(0.25, 'ns')).toBe('0.25 ns');
+    expect(formatTime(100, 'ps')).toBe('100 ps');
+    expect(formatTime(0.00099, 'µs')).toBe('0.00099 µs');
+    expect(formatTime(null, 'ns')).toBe('N/A');
+  });
+});
+
+describe('timeAxisFromFrames', () => {
+  it('ordena los tiempos por frame en la unidad pedida', () => {
+    const axis = timeAxisFromFrames([{ frame: 1, time_ns: 0.1 }, { frame: 0, time_ns: 0 }], 'ps');
+    expect(axis).toEqual({ unit: 'ps', times: [0, 100] });
+  });
+
+  it('devuelve null si algún frame no trae tiempo', () => {
+    expect(timeAxisFromFrames([{ frame: 0, time_ns: 0 }, { frame: 1 }])).toBeNull();
+    expect(timeAxisFromFrames([])).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+// 🧬 ASTROFLORA 7.1 - TIME AXIS
+// =============================
+// Tiempo de cada frame de una trayectoria y su formato en ps, ns o µs
+
+export type TimeUnit = 'ps' | 'ns' | 'µs';
+
+/** Picosegundos por unidad */
+export const TIME_UNITS: Record<TimeUnit, number> = {
+  ps: 1,
+  ns: 1e3,
+  'µs': 1e6
+};
+
+/**
+ * Eje temporal de una trayectoria. `times`, `start` y `step` van en `unit`,
+ * que es también la unidad en que se muestran los tiempos.
+ * Con solo `unit` se conservan los tiempos de la trayectoria y cambia la unidad mostrada.
+ */
+export interface TimeAxis {
+  unit: TimeUnit;
+  /** Tiempo de cada frame (admite pasos no uniformes) */
+  times?: ArrayLike<number>;
+  /** Tiempo del frame 0 cuando se usa `step` */
+  start?: number;
+  /** Tiempo entre frames consecutivos */
+  step?: number;
+}
+
+export const DEFAULT_TIME_UNIT: TimeUnit = 'ns';
+
+export function isTimeUnit(value: unknown): value is TimeUnit {
+  return typeof value === 'string' && value in TIME_UNITS;
+}
+
+export function convertTime(value: number, from: TimeUnit, to: TimeUnit): number {
+  return from === to ? value : (value * TIME_UNITS[from]) / TIME_UNITS[to];
+}
+
+/** `true` si el eje indica tiempos (no solo la unidad) */
+export function hasFrameTimes(axis: TimeAxis | null | undefined): axis is TimeAxis {
+  return !!axis && (axis.times !== undefined || axis.step !== undefined);
+}
+
+/** Unidad en que se muestran los tiempos */
+export function displayUnit(axis: TimeAxis | null | undefined): TimeUnit {
+  return axis && isTimeUnit(axis.unit) ? axis.unit : DEFAULT_TIME_UNIT;
+}
+
+/**
+ * Tiempo del frame en `unit` (por defecto la del eje); `null` si no se conoce.
+ */
+export function frameTime(axis: TimeAxis | null | undefined, frame: number, unit?: TimeUnit): number | null {
+  if (!hasFrameTimes(axis)) return null;
+
+  let value: number | undefined;
+  if (axis.times !== undefined) {
+    value = frame >= 0 && frame < axis.times.length ? axis.times[frame] : undefined;
+  } else if (axis.step !== undefined) {
+    value = (axis.start ?? 0) + frame * axis.step;
+  }
+
+  if (value === undefined || !Number.isFinite(value)) return null;
+  return convertTime(value, axis.unit, unit ?? axis.unit);
+}
+
+/**
+ * Texto del tiempo con su unidad, sin ceros sobrantes (p. ej. `0.25 ns`, `100 ps`).
+ */
+export function formatTime(value: number | null, unit: TimeUnit): string {
+  if (value === null) return 'N/A';
+  // Por debajo de 1, cifras significativas para no redondear a 0 (p. ej. 0.00099 µs)
+  const text = Math.abs(value) >= 1 || value === 0 ? value.toFixed(3) : value.toPrecision(3);
+  return `${parseFloat(text)} ${unit}`;
+}
+
+/**
+ * Eje a partir del payload de resultados: puntos con `frame` y `time_ns`.
+ * Devuelve `null` si algún frame no trae tiempo.
+ */
+export function timeAxisFromFrames(
+  points: ReadonlyArray<{ frame: number; time_ns?: number | null }>,
+  unit: TimeUnit = DEFAULT_TIME_UNIT
+): TimeAxis | null {
+  if (points.length === 0) return null;
+  if (points.some(p => typeof p.time_ns !== 'number')) return null;
+
+  const count = Math.max(...points.map(p => p.frame)) + 1;
+  const times = new Array<number>(count).fill(NaN);
+  points.forEach(p => {
+    times[p.frame] = convertTime(p.time_ns as number, 'ns', unit);
+  });
+  return { unit, times };
+}
@@ -0,0 +1,31 @@
+// 🧬 ASTROFLORA 7.1 - TRAJECTORY PROCESSING
+// =========================================
+// Opciones de procesado de los frames (superposición, caja periódica, centrado) y sus etiquetas
+
+export type SuperpositionSelection = 'none' | 'ca' | 'backbone' | 'pocket';
+
+/** Opciones de procesado de los frames */
+export interface TrajectoryProcessing {
+  /** Átomos con los que se superpone cada frame sobre el de referencia */
+  superpose: SuperpositionSelection;
+  /** Frame de referencia (0-indexed) de la superposición */
+  referenceFrame: number;
+  /** Reconstruir las moléculas partidas por la caja periódica */
+  makeWhole: boolean;
+  /** Centrar la proteína y llevar el resto de moléculas a su imagen más cercana */
+  center: boolean;
+}
+
+export const DEFAULT_TRAJECTORY_PROCESSING: TrajectoryProcessing = {
+  superpose: 'none',
+  referenceFrame: 0,
+  makeWhole: false,
+  center: false
+};
+
+export const SUPERPOSITION_LABELS: Record<SuperpositionSelection, string> = {
+  none: 'Sin superponer',
+  ca: 'Cα',
+  backbone: 'Cadena principal',
+  pocket: 'Bolsillo del ligando'
+};
@@ -0,0 +1,179 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  VIEW_STATE_VERSION,
+  ViewState,
+  decodeViewToken,
+  encodeViewToken,
+  isInlineViewToken,
+  loadViewState,
+  parseViewState,
+  saveViewState
+} from './viewState';
+
+function memoryStorage(): Storage {
+  const items = new Map<string, string>();
+  return {
+    get length() { return items.size; },
+    clear: () => items.clear(),
+    getItem: key => items.get(key) ?? null,
+    key: index => [...items.keys()][index] ?? null,
+    removeItem: key => { items.delete(key); },
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+}
+
+const camera = {
+  mode: 'perspective' as const,
+  fov: 0.78,
+  position: [10, 20, 30] as [number, number, number],
+  up: [0, 1, 0] as [number, number, number],
+  target: [1, 2, 3] as [number, number, number],
+  radius: 25,
+  radiusMax: 60,
+  fog: 50,
+  clipFar: true,
+  minNear: 5,
+  minFar: 0
+};
+
+const fullState: ViewState = {
+  version: VIEW_STATE_VERSION,
+  savedAt: 1700000000000,
+  camera,
+  representations: [
+    { selection: 'protein', type: 'cartoon', color: 'chain' },
+    { selection: 'residues', residues: { start: 10, end: 20 }, type: 'surface', color: 'hydrophobicity' }
+  ],
+  focusMode: 'binding-site',
+  processing: { superpose: 'ca', referenceFrame: 3, makeWhole: true, center: false },
+  hideSolvent: true,
+  playback: { fps: 24, step: 2, mode: 'bounce', range: { start: 5, end: 40 }, frames: [5, 9, 12] },
+  frame: 12,
+  selection: [[0, 4], [10, 12]],
+  measurements: [{ id: 'm1', kind: 'distance', atoms: [{ index: 1, label: 'A:LYS5:NZ' }, { index: 8, label: 'A:ASP10:OD1' }] }]
+};
+
+describe('parseViewState', () => {
+  it('conserva un estado válido tal cual, también tras pasar por JSON', () => {
+    expect(parseViewState(fullState)).toEqual(fullState);
+    expect(parseViewState(JSON.parse(JSON.stringify(fullState)))).toEqual(fullState);
+  });
+
+  it('sin datos o de otra versión no hay estado', () => {
+    expect(parseViewState(null)).toEqual({});
+    expect(parseViewState('frame=3')).toEqual({});
+    expect(parseViewState({ ...fullState, version: VIEW_STATE_VERSION + 1 })).toEqual({});
+    // Sin versión se acepta (estados anteriores a su introducción)
+    expect(parseViewState({ frame: 2 })).toEqual({ version: VIEW_STATE_VERSION, frame: 2 });
+  });
+
+  it('descarta uno a uno los campos corruptos', () => {
+    const parsed = parseViewState({
+      ...fullState,
+      savedAt: 'ayer',
+      camera: { ...camera, position: [1, 2] },
+      representations: [{ selection: 'residues', type: 'cartoon', color: 'chain' }],
+      focusMode: 'ligand',
+      processing: { ...fullState.processing, superpose: 'all-atoms' },
+      hideSolvent: 'sí',
+      frame: -1
+    });
+    expect(parsed).toEqual({
+      version: VIEW_STATE_VERSION,
+      playback: fullState.playback,
+      selection: fullState.selection,
+      measurements: fullState.measurements
+    });
+  });
+
+  it('rechaza números fuera de rango o no finitos', () => {
+    const parsed = parseViewState({
+      camera: { ...camera, fov: Infinity },
+      processing: { ...fullState.processing, referenceFrame: 1.5 },
+      frame: 2.5
+    });
+    expect(parsed).toEqual({ version: VIEW_STATE_VERSION });
+    expect(parseViewState({ processing: { ...fullState.processing, referenceFrame: -2 } }).processing).toBeUndefined();
+  });
+
+  it('normaliza la reproducción y la selección, y filtra las mediciones', () => {
+    const parsed = parseViewState({
+      playback: { fps: 500, step: 0, mode: 'shuffle', frames: [7, 3, 3, -1] },
+      selection: [[10, 12], [0, 4], [5, 6], [8, 2], [-1, 3], 'x', [11, 15]],
+      measurements: [fullState.measurements![0], { id: 'm2', kind: 'angle', atoms: [] }]
+    });
+    expect(parsed.playback).toEqual({ fps: 60, step: 1, mode: 'loop', range: null, frames: [3, 7] });
+    expect(parsed.selection).toEqual([[0, 6], [10, 15]]);
+    expect(parsed.measurements).toEqual(fullState.measurements);
+  });
+});
+
+describe('tokens de URL', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('un token comprimido devuelve el mismo estado', async () => {
+    const token = await encodeViewToken(fullState);
+    expect(token).toMatch(/^z\.[A-Za-z0-9_-]+$/);
+    expect(isInlineViewToken(token)).toBe(true);
+    expect(await decodeViewToken(token)).toEqual(fullState);
+  });
+
+  it('sin CompressionStream usa JSON en base64url', async () => {
+    vi.stubGlobal('CompressionStream', undefined);
+    const token = await encodeViewToken(fullState);
+    expect(token.startsWith('j.')).toBe(true);
+    expect(await decodeViewToken(token)).toEqual(fullState);
+  });
+
+  it('un token comprimido no se puede leer sin DecompressionStream', async () => {
+    const token = await encodeViewToken(fullState);
+    vi.stubGlobal('DecompressionStream', undefined);
+    expect(await decodeViewToken(token)).toBeNull();
+  });
+
+  it('un token corrupto o de otro tipo es null', async () => {
+    expect(await decodeViewToken('z.no-es-deflate')).toBeNull();
+    expect(await decodeViewToken('j.%%%')).toBeNull();
+    expect(await decodeViewToken(`j.${btoa('{"frame":')}`)).toBeNull();
+    expect(await decodeViewToken('abc123')).toBeNull();
+    expect(isInlineViewToken('abc123')).toBe(false);
+  });
+
+  it('los campos corruptos de un token se descartan como los guardados', async () => {
+    const token = `j.${btoa(JSON.stringify({ frame: -3, hideSolvent: false }))}`;
+    expect(await decodeViewToken(token)).toEqual({ version: VIEW_STATE_VERSION, hideSolvent: false });
+  });
+});
+
+describe('loadViewState / saveViewState', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('guarda por simulación, combina los cambios y fecha el guardado', () => {
+    vi.stubGlobal('window', { localStorage: memoryStorage() });
+    vi.useFakeTimers({ now: 1700000000000 });
+
+    saveViewState('sim-1', { frame: 4, hideSolvent: true });
+    vi.setSystemTime(1700000005000);
+    const saved = saveViewState('sim-1', { frame: 9 });
+
+    expect(saved).toEqual({ version: VIEW_STATE_VERSION, savedAt: 1700000005000, frame: 9, hideSolvent: true });
+    expect(loadViewState('sim-1')).toEqual(saved);
+    expect(loadViewState('sim-2')).toEqual({});
+  });
+
+  it('un valor corrupto en localStorage no rompe la carga', () => {
+    const localStorage = memoryStorage();
+    vi.stubGlobal('window', { localStorage });
+    localStorage.setItem('astroflora:view:sim-1', '{roto');
+    expect(loadViewState('sim-1')).toEqual({});
+  });
+
+  it('sin localStorage (SSR) no hay estado guardado', () => {
+    expect(loadViewState('sim-1')).toEqual({});
+  });
+});
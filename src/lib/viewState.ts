@@ -0,0 +1,213 @@
+// 🧬 ASTROFLORA 7.1 - VIEW STATE
+// ==============================
+// Estado completo del visor de una simulación: guardado en el navegador y compartible por URL
+
+import { readJson, writeJson } from './browserStorage';
+import { Measurement, isMeasurement } from './measurements';
+import { RepresentationSpec, isRepresentationSpec } from './representations';
+import { SUPERPOSITION_LABELS, TrajectoryProcessing } from './trajectoryProcessing';
+import { PlaybackSettings, normalizePlayback } from './playback';
+
+export const VIEW_STATE_VERSION = 1;
+
+/** Vista general (representaciones) o centrada en el sitio de unión del ligando */
+export type FocusMode = 'structure' | 'binding-site';
+
+export type CameraVector = [number, number, number];
+
+/** Parte serializable del `Camera.Snapshot` de Mol* */
+export interface CameraState {
+  mode: 'perspective' | 'orthographic';
+  fov: number;
+  position: CameraVector;
+  up: CameraVector;
+  target: CameraVector;
+  radius: number;
+  radiusMax: number;
+  fog: number;
+  clipFar: boolean;
+  minNear: number;
+  minFar: number;
+}
+
+/** Átomos seleccionados como rangos de índices del modelo, ambos extremos incluidos */
+export type AtomRanges = [number, number][];
+
+export interface ViewState {
+  version?: number;
+  /** Momento del guardado (ms desde epoch); decide entre copias local y remota */
+  savedAt?: number;
+  camera?: CameraState;
+  representations?: RepresentationSpec[];
+  focusMode?: FocusMode;
+  processing?: TrajectoryProcessing;
+  hideSolvent?: boolean;
+  playback?: PlaybackSettings;
+  /** Frame mostrado (0-indexed) */
+  frame?: number;
+  selection?: AtomRanges;
+  measurements?: Measurement[];
+}
+
+const STORAGE_PREFIX = 'astroflora:view:';
+
+const storageKey = (simulationId: string) => `${STORAGE_PREFIX}${simulationId}`;
+
+const isNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const isVector = (value: unknown): value is CameraVector => (
+  Array.isArray(value) && value.length === 3 && value.every(isNumber)
+);
+
+const isIndex = (value: unknown): value is number => Number.isInteger(value) && (value as number) >= 0;
+
+const CAMERA_NUMBERS = ['fov', 'radius', 'radiusMax', 'fog', 'minNear', 'minFar'] as const;
+
+function parseCamera(value: unknown): CameraState | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+  const camera = value as Record<string, unknown>;
+
+  if (camera.mode !== 'perspective' && camera.mode !== 'orthographic') return undefined;
+  if (!isVector(camera.position) || !isVector(camera.up) || !isVector(camera.target)) return undefined;
+  if (!CAMERA_NUMBERS.every(key => isNumber(camera[key])) || typeof camera.clipFar !== 'boolean') return undefined;
+
+  const { mode, fov, position, up, target, radius, radiusMax, fog, clipFar, minNear, minFar } = camera as unknown as CameraState;
+  return { mode, fov, position, up, target, radius, radiusMax, fog, clipFar, minNear, minFar };
+}
+
+function parseProcessing(value: unknown): TrajectoryProcessing | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+  const { superpose, referenceFrame, makeWhole, center } = value as Record<string, unknown>;
+
+  if (typeof superpose !== 'string' || !(superpose in SUPERPOSITION_LABELS) || !isIndex(referenceFrame)) return undefined;
+  if (typeof makeWhole !== 'boolean' || typeof center !== 'boolean') return undefined;
+  return { superpose: superpose as TrajectoryProcessing['superpose'], referenceFrame, makeWhole, center };
+}
+
+// Rangos válidos, ordenados y sin solapes
+function parseSelection(value: unknown): AtomRanges | undefined {
+  if (!Array.isArray(value)) return undefined;
+
+  const ranges = value
+    .filter((range): range is [number, number] => (
+      Array.isArray(range) && range.length === 2 && isIndex(range[0]) && isIndex(range[1]) && range[0] <= range[1]
+    ))
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged: AtomRanges = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * Estado de la vista a partir de datos sin validar (localStorage, backend o
+ * URL). Los campos corruptos o de otra versión se descartan uno a uno.
+ */
+export function parseViewState(value: unknown): ViewState {
+  if (!value || typeof value !== 'object') return {};
+  const raw = value as Record<string, unknown>;
+  if (raw.version !== undefined && raw.version !== VIEW_STATE_VERSION) return {};
+
+  const camera = parseCamera(raw.camera);
+  const processing = parseProcessing(raw.processing);
+  const selection = parseSelection(raw.selection);
+  const { savedAt, representations, focusMode, hideSolvent, playback, frame, measurements } = raw;
+
+  return {
+    version: VIEW_STATE_VERSION,
+    ...(isNumber(savedAt) ? { savedAt } : {}),
+    ...(camera ? { camera } : {}),
+    ...(Array.isArray(representations) && representations.every(isRepresentationSpec) ? { representations } : {}),
+    ...(focusMode === 'structure' || focusMode === 'binding-site' ? { focusMode } : {}),
+    ...(processing ? { processing } : {}),
+    ...(typeof hideSolvent === 'boolean' ? { hideSolvent } : {}),
+    ...(playback && typeof playback === 'object' ? { playback: normalizePlayback(playback as Partial<PlaybackSettings>) } : {}),
+    ...(isIndex(frame) ? { frame } : {}),
+    ...(selection ? { selection } : {}),
+    ...(Array.isArray(measurements) ? { measurements: measurements.filter(isMeasurement) } : {})
+  };
+}
+
+/**
+ * Estado guardado de una simulación. Descarta los campos corruptos.
+ */
+export function loadViewState(simulationId: string): ViewState {
+  return parseViewState(readJson(storageKey(simulationId)));
+}
+
+/**
+ * Actualiza parte del estado guardado y devuelve el estado completo, con la
+ * fecha del guardado.
+ */
+export function saveViewState(simulationId: string, changes: Partial<ViewState>): ViewState {
+  const state = { ...loadViewState(simulationId), ...changes, version: VIEW_STATE_VERSION, savedAt: Date.now() };
+  if (!writeJson(storageKey(simulationId), state)) {
+    console.warn('[viewState] No se pudo guardar el estado de la vista');
+  }
+  return state;
+}
+
+// ---------------------------------------------------------------------------
+// Tokens de URL sin backend
+// ---------------------------------------------------------------------------
+
+// Prefijos de los tokens que llevan el estado dentro: comprimido o JSON tal cual
+const DEFLATE_PREFIX = 'z.';
+const JSON_PREFIX = 'j.';
+
+/** `true` si el token lleva el estado dentro (no hay que pedirlo al backend) */
+export function isInlineViewToken(token: string): boolean {
+  return token.startsWith(DEFLATE_PREFIX) || token.startsWith(JSON_PREFIX);
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text: string): Uint8Array {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transform(bytes: Uint8Array, stream: CompressionStream | DecompressionStream): Promise<Uint8Array> {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Token con el estado dentro, para compartir la vista sin backend. Se
+ * comprime cuando el navegador lo permite; el tamaño crece con la selección
+ * y las mediciones.
+ */
+export async function encodeViewToken(state: ViewState): Promise<string> {
+  const json = new TextEncoder().encode(JSON.stringify(state));
+  if (typeof CompressionStream === 'undefined') return `${JSON_PREFIX}${toBase64Url(json)}`;
+  return `${DEFLATE_PREFIX}${toBase64Url(await transform(json, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Estado de un token de `encodeViewToken`; `null` si está corrupto o el
+ * navegador no puede descomprimirlo.
+ */
+export async function decodeViewToken(token: string): Promise<ViewState | null> {
+  try {
+    let bytes = fromBase64Url(token.slice(2));
+    if (token.startsWith(DEFLATE_PREFIX)) {
+      if (typeof DecompressionStream === 'undefined') return null;
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } else if (!token.startsWith(JSON_PREFIX)) {
+      return null;
+    }
+    return parseViewState(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,6 @@
+// 🧬 ASTROFLORA 7.1 - NEXT TYPES
+// ==============================
+// Tipos globales de Next.js (styled-jsx, imports de CSS) para `npm run typecheck`.
+// Equivale a `next-env.d.ts`, que Next genera al compilar y no se versiona.
+
+/// <reference types="next" />
@@ -0,0 +1,21 @@
+// 🧬 ASTROFLORA 7.1 - CONFORMATIONAL ANALYSIS WORKER
+// ==================================================
+// Ejecuta el PCA y el clustering de `conformationalAnalysis` fuera del hilo de la interfaz
+
+import { analyzeConformations } from '../lib/conformationalAnalysis';
+import type { AnalysisWorkerMessage, AnalysisWorkerRequest } from '../lib/analysisWorker';
+
+// Sin la librería `webworker` en el tsconfig: solo lo que se usa del ámbito del worker
+const scope = self as unknown as {
+  onmessage: ((event: MessageEvent<AnalysisWorkerRequest>) => void) | null;
+  postMessage: (message: AnalysisWorkerMessage) => void;
+};
+
+scope.onmessage = ({ data }) => {
+  try {
+    const result = analyzeConformations(data.set, data.options, stage => scope.postMessage({ type: 'progress', stage }));
+    scope.postMessage({ type: 'result', result });
+  } catch (err) {
+    scope.postMessage({ type: 'error', message: err instanceof Error ? err.message : String(err) });
+  }
+};